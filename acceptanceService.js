@@ -0,0 +1,137 @@
+// acceptanceService.js
+// Judges how a step went, so paymentPolicyService.js can decide how much of
+// its escrow to release.
+//
+// Codebase agents are checked against the same JSON schema their Claude
+// tool_use call was given; text agents get a plain checker. On top of that
+// we look at the outcome signals the call left behind: did it throw or time
+// out, did the model stop on max_tokens, did we fill in defaults for fields
+// it skipped — and, with ?verify=true, did it pass the verifier's rubric
+// (see verifierService.js). See settlementService.js openEscrow / settleEscrow.
+
+require('dotenv').config();
+
+const { failedCriteria } = require('./verifierService');
+
+// Text steps shorter than this are treated as "the agent didn't really answer"
+const MIN_TEXT_LENGTH = 20;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// ─────────────────────────────────────────────
+// validateSchema(value, schema, path)
+// Checks value against the subset of JSON Schema our tool definitions use:
+// type, properties, required, items, enum.
+// Returns a list of problems like "techStack[2].category: must be one of ..."
+// (empty = valid)
+// ─────────────────────────────────────────────
+function validateSchema(value, schema, path) {
+  const at = path || '(output)';
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const ok = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+    if (!ok) return [at + ': expected ' + schema.type + ', got ' + actual];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(at + ': must be one of ' + schema.enum.join(', '));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push((path ? path + '.' : '') + key + ': is required');
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propSchema, (path ? path + '.' : '') + key));
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, at + '[' + i + ']')));
+  }
+
+  return errors;
+}
+
+// ─────────────────────────────────────────────
+// checkText(text)
+// Acceptance check for a text agent's answer.
+// Returns a list of problems (empty = accepted)
+// ─────────────────────────────────────────────
+function checkText(text) {
+  if (typeof text !== 'string') return ['expected text, got ' + typeOf(text)];
+  if (text.trim().length < MIN_TEXT_LENGTH) return ['answer is empty or too short (' + text.trim().length + ' chars)'];
+  return [];
+}
+
+// ─────────────────────────────────────────────
+// assessOutcome(output, { schema, error, stopReason, defaultsFilled, verification })
+// The outcome of one step, from its output and the signals the call left:
+//   schema         → JSON schema to validate against (codebase agents); omit for text
+//   error          → why the step failed, if it did (threw, timed out)
+//   stopReason     → the Anthropic response's stop_reason
+//   defaultsFilled → fields we filled in because the model left them out
+//   verification   → verifierService.js verifyWithRetry()'s verdict, if verification is on
+// Worst signal wins: error > empty > invalid > below_rubric > truncated > defaults_filled > ok
+// (outcomes are described in paymentPolicyService.js).
+// Returns { outcome, accepted, reasons, signals }
+// ─────────────────────────────────────────────
+function assessOutcome(output, { schema, error, stopReason, defaultsFilled, verification } = {}) {
+  const signals = {
+    error: error || null,
+    stopReason: stopReason || null,
+    defaultsFilled: defaultsFilled || [],
+    ...(verification ? { verified: verification.passed } : {}),
+  };
+  const result = (outcome, reasons) => ({ outcome, accepted: outcome === 'ok', reasons, signals });
+
+  if (error) return result('error', [error]);
+
+  if (!schema) {
+    const problems = checkText(output);
+    if (problems.length) return result('empty', problems);
+  } else {
+    if (output === undefined || output === null) return result('empty', ['no structured output']);
+    const problems = validateSchema(output, schema);
+    if (problems.length) return result('invalid', problems);
+  }
+
+  if (verification && verification.passed === false) {
+    return result('below_rubric', failedCriteria(verification.attempts[verification.attempts.length - 1]));
+  }
+  if (stopReason === 'max_tokens') return result('truncated', ['model hit max_tokens — output may be cut short']);
+  if (signals.defaultsFilled.length) return result('defaults_filled', ['filled in missing ' + signals.defaultsFilled.join(', ')]);
+  return result('ok', []);
+}
+
+// ─────────────────────────────────────────────
+// withTimeout(fn, ms, label)
+// Calls fn(signal) and rejects with "<label> timed out after Ns" if it takes
+// longer than ms. signal is aborted at that point — hand it to the model call
+// (createMessage's signal) so a timed-out step stops spending tokens once its
+// escrow has been refunded. The escrow also expires on-chain shortly after,
+// so a late answer can't be paid.
+// ─────────────────────────────────────────────
+function withTimeout(fn, ms, label) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(label + ' timed out after ' + Math.round(ms / 1000) + 's');
+      reject(err);
+      controller.abort(err);
+    }, ms);
+  });
+  const work = Promise.resolve().then(() => fn(controller.signal));
+  return Promise.race([work, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { validateSchema, checkText, assessOutcome, withTimeout, MIN_TEXT_LENGTH };
@@ -0,0 +1,168 @@
+// agentRegistry.js
+// The sub-agents the task planner can hand steps to.
+//
+// Agents live in a JSON file — agents.json next to this file, or
+// AGENT_REGISTRY_PATH in .env — and can be changed at runtime through
+// /api/agents (see server.js), which writes the file back. Each agent:
+//   {
+//     name,             unique, what the planner and HCS messages call it
+//     systemPrompt,     its role
+//     models,           the Claude models it can run on, biggest first — a step
+//                       starts on the biggest one its share of the budget covers
+//                       and falls back down the list (default: modelService.js
+//                       modelsFor; a single "model" is accepted too)
+//     maxTokens,        max_tokens for each of its calls
+//     tools,            what it may use while it works — any of toolService.js
+//                       TOOL_NAMES, e.g. ["web_search", "fetch_url"] (default: none)
+//     price,            the most it's paid per step, in the run's currency
+//                       (0 = no cap — it gets its full share of the agent pool)
+//     payoutAccountId   Hedera account its payments go to; null falls back to
+//                       the agent's variable in .env ('Research Agent' →
+//                       RESEARCH_AGENT_ACCOUNT_ID)
+//   }
+//
+// The codebase agents (codebaseAgentService.js) are a fixed pipeline and
+// aren't in the registry.
+
+require('dotenv').config();
+
+const fs   = require('fs');
+const path = require('path');
+const { modelsFor, DEFAULT_MODELS } = require('./modelService');
+const { TOOL_NAMES } = require('./toolService');
+
+const DEFAULT_MAX_TOKENS = 512;
+const MAX_MAX_TOKENS     = 8192;
+const MAX_PROMPT_LENGTH  = 4000;
+const MAX_MODELS         = 5;
+
+const NAME_PATTERN       = /^[\w .-]{1,64}$/;
+const MODEL_PATTERN      = /^[\w.-]{1,100}$/;
+const ACCOUNT_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+let agents = null;   // name → agent, loaded from the file on first use
+
+function registryPath() {
+  return process.env.AGENT_REGISTRY_PATH || path.join(__dirname, 'agents.json');
+}
+
+function load() {
+  if (agents) return agents;
+
+  const list = JSON.parse(fs.readFileSync(registryPath(), 'utf8'));
+  agents = new Map();
+  for (const input of list) {
+    const { agent, error } = validateAgent(input);
+    if (error) throw new Error('Agent registry ' + registryPath() + ': ' + error);
+    agents.set(agent.name, agent);
+  }
+  return agents;
+}
+
+// Write to a temp file and rename, so a crash mid-write never leaves half a registry
+function save() {
+  const file = registryPath();
+  fs.writeFileSync(file + '.tmp', JSON.stringify([...agents.values()], null, 2) + '\n');
+  fs.renameSync(file + '.tmp', file);
+}
+
+// ─────────────────────────────────────────────
+// validateAgent(input, existing)
+// Checks an agent definition and fills in defaults.
+// existing (optional) = the agent being updated — input only needs the changed fields.
+// Returns { agent } or { error }
+// ─────────────────────────────────────────────
+function validateAgent(input, existing) {
+  if (!input || typeof input !== 'object') return { error: 'agent must be a JSON object' };
+  const agent = {
+    name:            existing ? existing.name : input.name,
+    systemPrompt:    input.systemPrompt    !== undefined ? input.systemPrompt    : (existing ? existing.systemPrompt : undefined),
+    models:          input.models          !== undefined ? input.models          : (input.model !== undefined ? [input.model] : (existing ? existing.models : modelsFor(input.name))),
+    maxTokens:       input.maxTokens       !== undefined ? input.maxTokens       : (existing ? existing.maxTokens : DEFAULT_MAX_TOKENS),
+    tools:           input.tools           !== undefined ? input.tools           : (existing ? existing.tools : []),
+    price:           input.price           !== undefined ? input.price           : (existing ? existing.price : 0),
+    payoutAccountId: input.payoutAccountId !== undefined ? input.payoutAccountId : (existing ? existing.payoutAccountId : null),
+  };
+
+  if (typeof agent.name !== 'string' || !NAME_PATTERN.test(agent.name)) {
+    return { error: 'name must be 1-64 letters, digits, spaces, dots, dashes or underscores' };
+  }
+  if (typeof agent.systemPrompt !== 'string' || !agent.systemPrompt.trim() || agent.systemPrompt.length > MAX_PROMPT_LENGTH) {
+    return { error: agent.name + ': systemPrompt must be 1-' + MAX_PROMPT_LENGTH + ' characters' };
+  }
+  if (!Array.isArray(agent.models) || agent.models.length < 1 || agent.models.length > MAX_MODELS
+      || agent.models.some((m) => typeof m !== 'string' || !MODEL_PATTERN.test(m))) {
+    return { error: agent.name + ': models must be a list of 1-' + MAX_MODELS + ' model IDs like ' + JSON.stringify(DEFAULT_MODELS) };
+  }
+  if (!Number.isInteger(agent.maxTokens) || agent.maxTokens < 1 || agent.maxTokens > MAX_MAX_TOKENS) {
+    return { error: agent.name + ': maxTokens must be a whole number from 1 to ' + MAX_MAX_TOKENS };
+  }
+  if (!Array.isArray(agent.tools) || agent.tools.some((t) => !TOOL_NAMES.includes(t)) || new Set(agent.tools).size !== agent.tools.length) {
+    return { error: agent.name + ': tools must be a list of distinct tool names from ' + TOOL_NAMES.join(', ') };
+  }
+  if (typeof agent.price !== 'number' || !Number.isFinite(agent.price) || agent.price < 0) {
+    return { error: agent.name + ': price must be 0 or more' };
+  }
+  if (agent.payoutAccountId !== null && (typeof agent.payoutAccountId !== 'string' || !ACCOUNT_ID_PATTERN.test(agent.payoutAccountId))) {
+    return { error: agent.name + ': payoutAccountId must be a Hedera account ID like 0.0.12345, or null' };
+  }
+  return { agent };
+}
+
+// ─────────────────────────────────────────────
+// listAgents() / getAgent(name)
+// Copies — callers can't change the registry by accident
+// ─────────────────────────────────────────────
+function listAgents() {
+  return [...load().values()].map((a) => ({ ...a }));
+}
+
+function getAgent(name) {
+  const agent = load().get(name);
+  return agent ? { ...agent } : null;
+}
+
+// ─────────────────────────────────────────────
+// createAgent(input) / updateAgent(name, input) / deleteAgent(name)
+// Change the registry and write it back to the file.
+// create → { agent } or { error } (also if the name is taken)
+// update → { agent } or { error }, null if there's no such agent
+// delete → true, or false if there's no such agent
+// ─────────────────────────────────────────────
+function createAgent(input) {
+  const { agent, error } = validateAgent(input);
+  if (error) return { error };
+  if (load().has(agent.name)) return { error: 'An agent named "' + agent.name + '" already exists' };
+
+  agents.set(agent.name, agent);
+  save();
+  console.log('[Agents] Registered ' + agent.name + ' (' + agent.models.join(' → ') + ', paid to ' + (agent.payoutAccountId || 'its .env account') + ')');
+  return { agent: { ...agent } };
+}
+
+function updateAgent(name, input) {
+  const existing = load().get(name);
+  if (!existing) return null;
+  if (input && input.name !== undefined && input.name !== name) return { error: 'An agent can\'t be renamed — create a new one instead' };
+
+  const { agent, error } = validateAgent(input, existing);
+  if (error) return { error };
+
+  agents.set(name, agent);
+  save();
+  console.log('[Agents] Updated ' + name);
+  // Where the money goes — always worth a line in the log
+  if (agent.payoutAccountId !== existing.payoutAccountId) {
+    console.log('[Agents] Payout account of ' + name + ' changed: ' + (existing.payoutAccountId || 'its .env account') + ' → ' + (agent.payoutAccountId || 'its .env account'));
+  }
+  return { agent: { ...agent } };
+}
+
+function deleteAgent(name) {
+  if (!load().delete(name)) return false;
+  save();
+  console.log('[Agents] Removed ' + name);
+  return true;
+}
+
+module.exports = { listAgents, getAgent, createAgent, updateAgent, deleteAgent, validateAgent, DEFAULT_MODELS };
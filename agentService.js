@@ -3,200 +3,868 @@
 
 require('dotenv').config();
 
-const Anthropic = require('@anthropic-ai/sdk/index.js');
-const {
-  initClient,
-  createHCSTopic,
-  fundAgent,
-  paySubAgent,
-  refundRemainder,
-} = require('./hederaService');
-
-// Initialize the Anthropic client
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-
-// What fraction of the total budget goes to agents (the rest is refunded)
-// e.g. 0.30 means 30% is spent on agents, 70% is refunded
-const AGENT_BUDGET_RATIO = 0.30;
+const { getLedger } = require('./ledgerService');
+const { createRunBudget, splitTinybars } = require('./budgetService');
+const { resolveCurrency, toSmallestUnits, formatAmount, amountFields } = require('./currencyService');
+const { openRun, openEscrow, settleEscrow, settleRun, failRun, pauseRun, resumeRun, fundedEvent, paymentDecisionEvent, refundEvent } = require('./settlementService');
+const { createAttestation } = require('./attestationService');
+const { assessOutcome, withTimeout } = require('./acceptanceService');
+const { decidePayment } = require('./paymentPolicyService');
+const { meterUsage, meterToolCall, estimateTokens, chooseModel, MIN_OUTPUT_TOKENS } = require('./meteringService');
+const { waitForPlanDecision } = require('./planApprovalService');
+const { verifyWithRetry, withCritique } = require('./verifierService');
+const { toolDefinitions, runTool } = require('./toolService');
+const { createMessage, modelsFor } = require('./modelService');
+const agentRegistry = require('./agentRegistry');
+const runStore = require('./runStore');
+
+// What percentage of the total budget goes to agents (the rest is refunded)
+// e.g. 30 means 30% is spent on agents, 70% is refunded
+const AGENT_BUDGET_PERCENT = 30;
+
+// Most steps the planner may split a task into
+const MAX_PLAN_STEPS = 8;
+
+// Smallest share of the agent pool one step may be given (percent)
+const MIN_STEP_ALLOCATION = 5;
+
+// The tool the planner must call to hand back its plan
+const PLAN_TOOL_NAME = 'create_plan';
+
+// Rounds of tool calls a sub-agent gets before it has to answer
+const MAX_TOOL_ROUNDS = 5;
 
 // ─────────────────────────────────────────────
-// runSubAgent(agentName, stepDescription)
-// A specialized AI agent that completes one step using Claude Sonnet.
-// Each agent has a different role and system prompt.
-// Returns the result as a string.
+// runSubAgent(agentName, stepDescription, meta, callOptions)
+// A specialized AI agent that completes one step using Claude.
+// Each agent's role, models, max_tokens and tools come from the registry
+// (agentRegistry.js) — an agent that isn't registered is refused.
+// An agent with tools runs a tool_use loop: whenever the model stops to use
+// tools they're run (toolService.js) and their results sent back, until it
+// answers — after MAX_TOOL_ROUNDS rounds it has to answer without them.
+// callOptions (all optional — the defaults are the agent's own):
+//   model / fallbackModels → where in the agent's model list to start, and
+//                            what to fall back to (see meteringService.js chooseModel)
+//   maxTokens              → lowered when the step can't pay for the agent's usual one
+//   onText(delta)          → the output as it streams in — with tools, that
+//                            includes what the model says between tool calls
+//   onToolCall({ id, tool, input })                  → a tool call is starting
+//   onToolResult({ id, tool, input, ok, error, ms }) → and how it went
+//   onFallback({ from, to, error }) → a model was given up on
+//   signal                 → AbortSignal that stops the loop — the model call
+//                            and any tool running (see acceptanceService.js withTimeout)
+// Returns the result (the text of the final answer) as a string. If meta is
+// passed, the model, token usage (summed over the loop), stop_reason and tool
+// calls are written onto it (for the HCS attestation and the payment policy),
+// and the system / prompt it was sent plus what its tools returned (for the verifier).
 // ─────────────────────────────────────────────
-async function runSubAgent(agentName, stepDescription) {
+async function runSubAgent(agentName, stepDescription, meta, callOptions = {}) {
+  const agent = agentRegistry.getAgent(agentName);
+  if (!agent) throw new Error('Unknown agent: ' + agentName);
+
   console.log('\n[' + agentName + '] Starting work...');
   console.log('[' + agentName + '] Task: ' + stepDescription);
 
-  // Each agent has a specific personality and job
-  const systemPrompts = {
-    'Research Agent': 'You are a Research Agent. Your job is to find and gather relevant, factual information. Be specific and thorough. Keep your response under 200 words.',
-    'Analysis Agent': 'You are an Analysis Agent. Your job is to evaluate and compare information critically. Provide clear insights. Keep your response under 200 words.',
-    'Writer Agent':   'You are a Writer Agent. Your job is to synthesize information into a clean, readable summary. Keep your response under 200 words.',
+  const tools = toolDefinitions(agent.tools);
+  const messages = [{ role: 'user', content: stepDescription }];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const toolCalls = [];
+  const toolOutputs = [];
+  let model = callOptions.model || agent.models[0];
+  let fallbackModels = callOptions.fallbackModels || agent.models.slice(agent.models.indexOf(model) + 1);
+  let response;
+
+  for (let round = 0; ; round++) {
+    response = await createMessage({
+      model,
+      max_tokens: callOptions.maxTokens || agent.maxTokens,
+      system: agent.systemPrompt,
+      messages,
+      ...(tools.length ? { tools, tool_choice: { type: round < MAX_TOOL_ROUNDS ? 'auto' : 'none' } } : {}),
+    }, {
+      onText: callOptions.onText,
+      label: agentName,
+      fallbackModels,
+      onFallback: callOptions.onFallback,
+      signal: callOptions.signal,
+    });
+    usage.input_tokens += response.usage.input_tokens;
+    usage.output_tokens += response.usage.output_tokens;
+
+    // The rest of the loop stays on whichever model answered
+    if (response.model !== model && fallbackModels.includes(response.model)) fallbackModels = fallbackModels.slice(fallbackModels.indexOf(response.model) + 1);
+    model = response.model;
+
+    const uses = response.content.filter((b) => b.type === 'tool_use');
+    if (response.stop_reason !== 'tool_use' || !uses.length) break;
+
+    // Run this round's tools one after another and hand the results back
+    const results = [];
+    for (const use of uses) {
+      console.log('[' + agentName + '] Tool: ' + use.name + ' ' + JSON.stringify(use.input));
+      if (callOptions.onToolCall) callOptions.onToolCall({ id: use.id, tool: use.name, input: use.input });
+      const outcome = await runTool(use.name, use.input, agent.tools, callOptions.signal);
+      const call = { id: use.id, tool: use.name, input: use.input, ok: outcome.ok, ...(outcome.error ? { error: outcome.error } : {}), ms: outcome.ms };
+      toolCalls.push(call);
+      toolOutputs.push(use.name + ' ' + JSON.stringify(use.input) + ':\n' + outcome.content);
+      if (callOptions.onToolResult) callOptions.onToolResult(call);
+      results.push({ type: 'tool_result', tool_use_id: use.id, content: outcome.content, ...(outcome.ok ? {} : { is_error: true }) });
+    }
+    messages.push({ role: 'assistant', content: response.content }, { role: 'user', content: results });
+  }
+
+  const result = response.content.filter((b) => b.type === 'text').map((b) => b.text).join('');
+  if (meta) {
+    Object.assign(meta, {
+      model: response.model,
+      usage,
+      stopReason: response.stop_reason,
+      toolCalls,
+      system: agent.systemPrompt,
+      prompt: stepDescription + (toolOutputs.length ? '\n\nWHAT ITS TOOLS RETURNED:\n' + toolOutputs.join('\n\n') : ''),
+    });
+  }
+  console.log('[' + agentName + '] Done.');
+  return result;
+}
+
+// ─────────────────────────────────────────────
+// plannerPrompt(agents)
+// System prompt for the planner, listing the registered agents it can use.
+// The plan is a graph: each step names the earlier steps whose results it needs.
+// ─────────────────────────────────────────────
+function plannerPrompt(agents) {
+  const roster = agents.map((a) => '- ' + a.name + ': ' + a.systemPrompt).join('\n');
+  return `You are a task planner AND budget allocator. Analyze the given task, break it into steps, give each step to the best-suited agent below, and assign each step a budget allocation percentage based on the complexity of its work for THIS specific task.
+
+Available agents:
+` + roster + `
+
+Rules:
+- Use between 1 and ` + MAX_PLAN_STEPS + ` steps — as many as the task really needs
+- Only use agents from the list above, with their names spelled exactly as shown
+- An agent may take more than one step
+- Give every step a short unique id ("s1", "s2", ...)
+- dependsOn lists the ids of EARLIER steps whose results this step needs — it is given their output
+- Steps that don't depend on each other run in parallel, so only add a dependency when the step really needs that output
+- Allocations are whole percentages that must sum to exactly 100, minimum ` + MIN_STEP_ALLOCATION + `% per step
+
+Submit the plan by calling the ` + PLAN_TOOL_NAME + ` tool.`;
+}
+
+// ─────────────────────────────────────────────
+// planTool(agents)
+// The planner's tool — forced with tool_choice (like callWithToolUse in
+// codebaseAgentService.js), so the plan always comes back structured.
+// The agent enum keeps the model to registered names.
+// ─────────────────────────────────────────────
+function planTool(agents) {
+  return {
+    name: PLAN_TOOL_NAME,
+    description: 'Submit the plan: its steps, which agent does each, which earlier steps each builds on, and each step\'s share of the agent budget.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        steps: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_PLAN_STEPS,
+          items: {
+            type: 'object',
+            properties: {
+              id:         { type: 'string', description: 'Short unique id: s1, s2, ...' },
+              agent:      { type: 'string', enum: agents.map((a) => a.name) },
+              task:       { type: 'string', description: 'What this agent should do, specific to the task.' },
+              dependsOn:  { type: 'array', items: { type: 'string' }, description: 'Ids of EARLIER steps whose results this step needs.' },
+              allocation: { type: 'integer', minimum: MIN_STEP_ALLOCATION, maximum: 100, description: 'Whole percent of the agent budget. All steps sum to 100.' },
+            },
+            required: ['id', 'agent', 'task', 'dependsOn', 'allocation'],
+          },
+        },
+      },
+      required: ['steps'],
+    },
   };
+}
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-6',
-    max_tokens: 512,
-    system: systemPrompts[agentName] || 'You are a helpful AI agent. Keep your response under 200 words.',
-    messages: [{ role: 'user', content: stepDescription }],
+// ─────────────────────────────────────────────
+// validatePlan(steps, agents)
+// Every problem with the planner's steps, as messages the planner can act on
+// (an empty list = a usable plan): unknown agents, missing tasks, bad
+// allocations, duplicate ids, dependencies on anything but an earlier step —
+// so the graph can never have a cycle. Allocations that don't sum to 100 are
+// fine here; normalizeAllocations() fixes those.
+// Fills in defaults as it goes: a step without an id gets 's<n>', one without
+// dependsOn depends on nothing.
+// ─────────────────────────────────────────────
+function validatePlan(steps, agents) {
+  if (!Array.isArray(steps) || steps.length === 0) return ['The plan has no steps'];
+  if (steps.length > MAX_PLAN_STEPS) return ['The plan has ' + steps.length + ' steps — the most allowed is ' + MAX_PLAN_STEPS];
+
+  const names = agents.map((a) => a.name);
+  const problems = [];
+  const seenIds = [];
+  steps.forEach((step, i) => {
+    if (!step || typeof step !== 'object') {
+      problems.push('Step ' + (i + 1) + ' isn\'t an object');
+      return;
+    }
+    if (step.id === undefined || step.id === null) step.id = 's' + (i + 1);
+    step.id = String(step.id);
+    const label = 'Step ' + step.id;
+
+    if (!names.includes(step.agent)) problems.push(label + ' uses unknown agent "' + step.agent + '" (registered: ' + names.join(', ') + ')');
+    if (typeof step.task !== 'string' || !step.task.trim()) problems.push(label + ' has no task');
+    if (typeof step.allocation !== 'number' || !(step.allocation > 0)) problems.push(label + ' has an invalid allocation: ' + step.allocation);
+    if (seenIds.includes(step.id)) problems.push('Step id "' + step.id + '" is used twice');
+
+    if (step.dependsOn === undefined || step.dependsOn === null) step.dependsOn = [];
+    if (!Array.isArray(step.dependsOn)) {
+      problems.push(label + ' has a dependsOn that isn\'t a list');
+      step.dependsOn = [];
+    }
+    step.dependsOn = [...new Set(step.dependsOn.map(String))];
+    for (const dep of step.dependsOn) {
+      if (!seenIds.includes(dep)) problems.push(label + ' depends on "' + dep + '", which isn\'t an earlier step');
+    }
+    seenIds.push(step.id);
   });
+  return problems;
+}
 
-  const result = response.content[0].text;
-  console.log('[' + agentName + '] Done.');
-  return result;
+// ─────────────────────────────────────────────
+// normalizeAllocations(steps)
+// Scales the allocations to whole percentages summing to exactly 100
+// (largest remainder, like budgetService.js splitTinybars). Returns the
+// problems left after that — a step scaled under MIN_STEP_ALLOCATION.
+// ─────────────────────────────────────────────
+function normalizeAllocations(steps) {
+  const percents = splitTinybars(100, steps.map((s) => s.allocation));
+  steps.forEach((s, i) => { s.allocation = percents[i]; });
+  return steps
+    .filter((s) => s.allocation < MIN_STEP_ALLOCATION)
+    .map((s) => 'Step ' + s.id + ' gets ' + s.allocation + '% of the budget — the minimum is ' + MIN_STEP_ALLOCATION + '%');
+}
+
+// Calls the planner, forced to use the plan tool. messages = the conversation so far
+async function callPlanner(agents, messages) {
+  const response = await createMessage({
+    model: modelsFor('Planner')[0],
+    max_tokens: 1024,
+    system: plannerPrompt(agents),
+    tools: [planTool(agents)],
+    tool_choice: { type: 'tool', name: PLAN_TOOL_NAME },
+    messages,
+  }, { label: 'Planner', fallbackModels: modelsFor('Planner').slice(1) });
+  const block = response.content.find((b) => b.type === 'tool_use');
+  if (!block) throw new Error('Planner returned no plan (stop_reason: ' + response.stop_reason + ')');
+  return block;
+}
+
+// The plan's steps if they're usable: { steps } — or { problems }
+function checkPlan(input, agents) {
+  const steps = input && Array.isArray(input.steps) ? input.steps.map((s) => (s && typeof s === 'object' ? { ...s } : s)) : input && input.steps;
+  const problems = validatePlan(steps, agents);
+  if (problems.length) return { problems };
+  const allocationProblems = normalizeAllocations(steps);
+  return allocationProblems.length ? { problems: allocationProblems } : { steps };
+}
+
+// One step per agent (up to MAX_PLAN_STEPS), each building on the last, equal shares
+function defaultPlan(task, agents) {
+  const steps = agents.slice(0, MAX_PLAN_STEPS).map((a, i) => ({
+    id: 's' + (i + 1),
+    agent: a.name,
+    task: 'Complete your part of this task: ' + task,
+    dependsOn: i ? ['s' + i] : [],
+    allocation: 1,
+  }));
+  normalizeAllocations(steps);
+  return steps;
+}
+
+// ─────────────────────────────────────────────
+// stepPrompt(step, inputs)
+// What a sub-agent is actually sent: its task, plus the results of the
+// steps it depends on (inputs = those steps' results, in plan order)
+// ─────────────────────────────────────────────
+function stepPrompt(step, inputs) {
+  if (!inputs.length) return step.task;
+
+  const upstream = inputs
+    .map((r) => '=== ' + r.agentName + ' (' + r.stepId + '): ' + r.task + ' ===\n' + r.result)
+    .join('\n\n');
+  return step.task + '\n\nResults from the earlier steps this one builds on:\n\n' + upstream;
 }
 
 // ─────────────────────────────────────────────
-// formatFinalReport(task, results)
-// Takes all 3 sub-agent outputs and calls Claude one final time
+// planSteps(task, agents)
+// Asks Claude Sonnet to plan the task across the registered agents, through
+// the forced plan tool. A plan that fails validation goes back to the model
+// once with the problems listed; if the repaired plan still fails (or the
+// planner call itself fails), the default plan is used instead.
+// Returns { steps: [{ id, agent, task, dependsOn, allocation }], fallback }
+//   fallback = null, or { reason, problems } when the default plan was used
+// ─────────────────────────────────────────────
+async function planSteps(task, agents) {
+  console.log('\nMain Agent calling Claude Sonnet to plan the task...');
+
+  const messages = [{ role: 'user', content: task }];
+  let problems;
+  try {
+    const first = await callPlanner(agents, messages);
+    const checked = checkPlan(first.input, agents);
+    if (checked.steps) return { steps: checked.steps, fallback: null };
+
+    // One repair round-trip: hand the problems back as the tool's error result
+    problems = checked.problems;
+    console.log('Plan invalid (' + problems.join('; ') + ') — asking the planner to fix it...');
+    messages.push(
+      { role: 'assistant', content: [first] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: first.id, is_error: true, content: 'The plan was rejected:\n- ' + problems.join('\n- ') + '\nFix these problems and call ' + PLAN_TOOL_NAME + ' again with the whole corrected plan.' }] },
+    );
+    const repaired = checkPlan((await callPlanner(agents, messages)).input, agents);
+    if (repaired.steps) return { steps: repaired.steps, fallback: null };
+    problems = repaired.problems;
+  } catch (err) {
+    problems = ['Planner call failed: ' + err.message];
+  }
+
+  console.log('Planning failed (' + problems.join('; ') + '), using default steps.');
+  return {
+    steps: defaultPlan(task, agents),
+    fallback: { reason: 'The planner didn\'t produce a valid plan', problems },
+  };
+}
+
+// ─────────────────────────────────────────────
+// stepPayments(steps, agents, budget)
+// Splits the agent pool by allocation — the shares always add up to the pool
+// exactly. An agent with a price is never paid more than that per step; the
+// rest is refunded. Returns each step's payment (smallest units), in step order.
+// ─────────────────────────────────────────────
+function stepPayments(steps, agents, budget) {
+  const shares = budget.allocate(Object.fromEntries(steps.map((s, i) => [i, s.allocation])));
+  return steps.map((s, i) => {
+    const agent = agents.find((a) => a.name === s.agent);
+    return agent.price > 0 ? Math.min(shares[i], toSmallestUnits(budget.currency, agent.price)) : shares[i];
+  });
+}
+
+// ─────────────────────────────────────────────
+// formatFinalReport(task, results, onText)
+// Takes all the sub-agent outputs and calls Claude one final time
 // to combine them into a single clean report for the user.
+// onText(delta) (optional) gets the report as it streams in.
 // ─────────────────────────────────────────────
-async function formatFinalReport(task, results) {
+async function formatFinalReport(task, results, onText) {
   console.log('\nFormatting final report with Claude Sonnet...');
 
   const combinedResults = results
     .map((r) => '=== ' + r.agentName + ' ===\n' + r.result)
     .join('\n\n');
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-6',
+  const response = await createMessage({
+    model: modelsFor('Report Formatter')[0],
     max_tokens: 1024,
     system: 'You are a report formatter. Combine the outputs from multiple AI agents into one clean, well-structured final report with clear headings.',
     messages: [{
       role: 'user',
       content: 'Original task: "' + task + '"\n\nAgent outputs:\n\n' + combinedResults + '\n\nCombine these into a single, clean final report.',
     }],
-  });
+  }, { onText, label: 'Report Formatter', fallbackModels: modelsFor('Report Formatter').slice(1) });
 
   return response.content[0].text;
 }
 
 // ─────────────────────────────────────────────
-// runMainAgent(task, budgetInHbar)
-// The main orchestrator. This is the full PayStream flow:
-//   1. Initialize Hedera client + create HCS audit trail topic
-//   2. Fund agent wallet + create 10-min scheduled auto-refund
-//   3. Ask Claude to break the task into 3 steps
-//   4. Run each sub-agent (Research, Analysis, Writer)
-//   5. After each step: pay the sub-agent + log to HCS
-//   6. Format the final combined report
-//   7. Cancel the scheduled refund + immediately refund remainder to user
+// reviewPlan(steps, { run, budget, agents, onEvent })
+// Pauses the run on a plan_ready event until the user answers through
+// POST /api/runs/:runId/plan with the event's planToken (see
+// planApprovalService.js). The run stays paused — auto-refund renewed,
+// nothing spent — until then. Edits are checked like the planner's plan.
+// Returns { action: 'approve', steps } or { action: 'reject', reason }
 // ─────────────────────────────────────────────
-async function runMainAgent(task, budgetInHbar, onEvent = () => {}) {
-  console.log('\n========================================');
-  console.log('PAYSTREAM — DEPLOYING AGENT');
-  console.log('Task:   ' + task);
-  console.log('Budget: ' + budgetInHbar + ' HBAR');
-  console.log('========================================\n');
-
-  // Step 1: Initialize Hedera + create HCS topic
-  initClient();
-  await createHCSTopic();
-
-  // Step 2: Fund agent wallet + create scheduled auto-refund on Hedera
-  const scheduleId = await fundAgent(budgetInHbar);
-  let remainingBudget = budgetInHbar;
-
-  // Step 3: Ask Claude Sonnet to plan the task as 3 steps
-  console.log('\nMain Agent calling Claude Sonnet to plan the task...');
-
-  const planResponse = await anthropic.messages.create({
-    model: 'claude-sonnet-4-6',
-    max_tokens: 512,
-    system: `You are a task planner AND budget allocator. Analyze the given task, break it into 3 steps for 3 specialized agents, and assign each agent a budget allocation percentage based on the complexity of their work for THIS specific task.
+async function reviewPlan(steps, { run, budget, agents, onEvent }) {
+  const payments = stepPayments(steps, agents, budget);
+  await pauseRun(run);
+  console.log('\nPlan ready — waiting for approval (POST /api/runs/' + run.runId + '/plan)...');
+
+  const { token, decision } = waitForPlanDecision(run.runId, steps, { checkSteps: (edited) => checkPlan({ steps: edited }, agents) });
+  onEvent({
+    type: 'plan_ready',
+    runId: run.runId,
+    planToken: token,
+    steps: steps.map((s, i) => ({
+      id: s.id,
+      agent: s.agent,
+      task: s.task,
+      dependsOn: s.dependsOn,
+      allocation: s.allocation,
+      ...amountFields(budget.currency, 'payment', payments[i]),
+    })),
+    ...amountFields(budget.currency, 'agentPool', budget.agentPool),
+    actions: ['approve', 'edit', 'reject'],
+    respondTo: '/api/runs/' + run.runId + '/plan',
+  });
 
-Rules:
-- Allocations must sum to exactly 100
-- Minimum 15% per agent, maximum 60% per agent
-- Research-heavy tasks: give Research Agent 45-60%
-- Analysis-heavy tasks: give Analysis Agent 40-55%
-- Writing/content-heavy tasks: give Writer Agent 40-55%
-
-Respond with ONLY a valid JSON object — no extra text, no markdown.
-Format: {"steps": [{"agent": "Research Agent", "task": "...", "allocation": 40}, {"agent": "Analysis Agent", "task": "...", "allocation": 35}, {"agent": "Writer Agent", "task": "...", "allocation": 25}]}`,
-    messages: [{ role: 'user', content: task }],
+  const answer = await decision;
+  await resumeRun(run);
+  console.log('[Run ' + run.runId + '] plan ' + (answer.action === 'reject' ? 'rejected: ' + answer.reason : (answer.edited ? 'approved with edits' : 'approved')));
+  onEvent({
+    type: answer.action === 'reject' ? 'plan_rejected' : 'plan_approved',
+    runId: run.runId,
+    ...(answer.action === 'reject' ? { reason: answer.reason } : { edited: Boolean(answer.edited) }),
   });
+  return answer;
+}
 
-  // Parse the plan — fall back to default steps if anything goes wrong
-  let steps;
-  try {
-    const jsonMatch = planResponse.content[0].text.match(/\{[\s\S]*\}/);
-    steps = JSON.parse(jsonMatch[0]).steps;
-  } catch (e) {
-    console.log('Plan parsing failed, using default steps.');
-    steps = [
-      { agent: 'Research Agent', task: 'Research and find relevant information for: ' + task, allocation: 40 },
-      { agent: 'Analysis Agent', task: 'Analyze and evaluate the findings for: ' + task,      allocation: 35 },
-      { agent: 'Writer Agent',   task: 'Write a clear final report for: ' + task,             allocation: 25 },
-    ];
+// ─────────────────────────────────────────────
+// planAndExecute(task, { ledger, run, budget, agents, pricing, approvePlan, verify, onEvent })
+// Steps 3–6 of runMainAgent: plan the step graph, run each sub-agent against
+// its escrow as soon as the steps it depends on are done (independent steps
+// in parallel), pay out of it per the payment policy, format the report.
+// agents  = the registered agents this run may use (agentRegistry.listAgents())
+// pricing = 'allocation' (each step's share is its price) or 'metered'
+//           (each step pays for its tokens, capped at its share — see meteringService.js)
+// approvePlan = wait for the user to approve, edit or reject the plan first
+// verify  = grade each output before it's paid, retrying once below the bar (see verifierService.js)
+// Returns { finalReport, results, usage, planRejected } — usage = the sub-agents' token totals
+// (and calls per model)
+// ─────────────────────────────────────────────
+async function planAndExecute(task, { ledger, run, budget, agents, pricing, approvePlan, verify, onEvent }) {
+  const metered = pricing === 'metered';
+
+  // Step 3: Ask Claude Sonnet to plan the task across the registered agents
+  const plan = await planSteps(task, agents);
+  let steps = plan.steps;
+  if (plan.fallback) {
+    onEvent({ type: 'plan_fallback', runId: run.runId, reason: plan.fallback.reason, problems: plan.fallback.problems, steps });
   }
 
-  // Calculate total HBAR pool for agents based on budget ratio
-  const totalAgentBudget = Math.round(budgetInHbar * AGENT_BUDGET_RATIO * 100) / 100;
+  // Approval mode: nothing is spent until the user approves (or edits) the plan
+  if (approvePlan) {
+    const decision = await reviewPlan(steps, { run, budget, agents, onEvent });
+    if (decision.action === 'reject') {
+      const finalReport = 'Plan rejected — ' + decision.reason + '. Nothing was spent; the whole budget is refunded.';
+      onEvent({ type: 'report', text: finalReport });
+      return { finalReport, results: [], usage: { calls: 0, inputTokens: 0, outputTokens: 0, costUnits: 0, models: {}, toolCalls: 0, toolCostUnits: 0 }, planRejected: true };
+    }
+    steps = decision.steps;
+  }
+  const payments = stepPayments(steps, agents, budget);
 
   console.log('\nPlan ready — ' + steps.length + ' steps:');
-  console.log('Total agent budget: ' + totalAgentBudget + ' HBAR (30% of ' + budgetInHbar + ' HBAR)');
+  console.log('Total agent budget: ' + formatAmount(budget.currency, budget.agentPool) + ' (' + AGENT_BUDGET_PERCENT + '% of ' + formatAmount(budget.currency, budget.total) + ')');
   steps.forEach((s, i) => {
-    const payment = Math.round((s.allocation / 100) * totalAgentBudget * 100) / 100;
-    console.log('  Step ' + (i + 1) + ': [' + s.agent + '] ' + s.allocation + '% → ' + payment + ' HBAR — ' + s.task);
+    const after = s.dependsOn.length ? ' (after ' + s.dependsOn.join(', ') + ')' : '';
+    console.log('  ' + s.id + ': [' + s.agent + '] ' + s.allocation + '% → ' + formatAmount(budget.currency, payments[i]) + after + ' — ' + s.task);
   });
 
-  // Step 4 + 5: Run each sub-agent, then pay it and log to HCS
-  const results = [];
+  // Tell the frontend the whole graph up front — every node starts out pending
+  onEvent({
+    type: 'graph',
+    nodes: steps.map((s, i) => ({
+      id: s.id,
+      agent: s.agent,
+      task: s.task,
+      allocation: s.allocation,
+      dependsOn: s.dependsOn,
+      status: 'pending',
+      ...amountFields(budget.currency, 'payment', payments[i]),
+    })),
+    edges: steps.flatMap((s) => s.dependsOn.map((dep) => ({ from: dep, to: s.id }))),
+  });
 
-  for (const step of steps) {
-    // Calculate this agent's dynamic payment based on allocation percentage
-    const payment = Math.round((step.allocation / 100) * totalAgentBudget * 100) / 100;
+  // Every sub-agent call's tokens (and, metered, their cost) — for the run summary
+  const usage = { calls: 0, inputTokens: 0, outputTokens: 0, costUnits: 0, models: {}, toolCalls: 0, toolCostUnits: 0 };
 
-    // Stop if we've run out of budget
-    if (remainingBudget < payment) {
-      console.log('\nBudget exhausted — stopping. Completed ' + results.length + ' of ' + steps.length + ' steps.');
-      break;
+  // node_status: pending → running → complete | failed | skipped
+  function nodeStatus(step, status, reason) {
+    onEvent({ type: 'node_status', id: step.id, agent: step.agent, status, ...(reason ? { reason } : {}) });
+  }
+
+  // Step 4 + 5: one step — run its sub-agent against its escrow, then settle it per the payment policy.
+  // upstream = what each step it depends on ended as. Resolves to { status, result? }.
+  async function runStep(step, i, upstream) {
+    // This agent's dynamic payment based on allocation percentage
+    const payment = payments[i];
+
+    // Nothing to build on if a step this one needs produced no accepted result
+    const missing = step.dependsOn.filter((dep, k) => upstream[k].status !== 'complete');
+    if (missing.length) {
+      console.log('\n[' + step.agent + '] Skipping ' + step.id + ' — ' + missing.join(', ') + ' produced no result.');
+      nodeStatus(step, 'skipped', 'needs ' + missing.join(', ') + ', which produced no accepted result');
+      return { status: 'skipped' };
     }
 
-    // Notify frontend that this agent is starting
-    onEvent({ type: 'step_start', agent: step.agent, task: step.task, allocation: step.allocation, payment });
+    // Don't start new steps if the refund window is closing and the request asked us to settle
+    if (run.stopRequested) {
+      console.log('\nRefund window closing — not starting ' + step.id + '.');
+      nodeStatus(step, 'skipped', 'refund window closing');
+      return { status: 'skipped' };
+    }
 
-    // Run the sub-agent using Claude Sonnet
-    const result = await runSubAgent(step.agent, step.task);
+    // Stop if we've run out of budget. Nothing is awaited between this check
+    // and openEscrow (which charges synchronously), so parallel steps can't overspend.
+    if (!budget.canAfford(payment)) {
+      console.log('\nBudget exhausted — not starting ' + step.id + '.');
+      nodeStatus(step, 'skipped', 'budget exhausted');
+      return { status: 'skipped' };
+    }
 
-    // Pay the sub-agent dynamically — logs the payment permanently to HCS
-    const txId = await paySubAgent(step.agent, payment, step.task);
+    // Pick the model from what the step can pay for: the biggest in the agent's
+    // list whose worst case (every max_token used) fits its share, with
+    // max_tokens lowered on the smallest if even that doesn't fit. Metered, a
+    // share that can't cover a useful call skips the step — otherwise it
+    // still runs, on the smallest model at MIN_OUTPUT_TOKENS.
+    const inputs = upstream.map((u) => u.result);
+    const prompt = stepPrompt(step, inputs);
+    const agent = agents.find((a) => a.name === step.agent);
+    const route = chooseModel(budget.currency, agent.models, payment, estimateTokens(agent.systemPrompt + prompt), agent.maxTokens);
+    if (!route.maxTokens) {
+      if (metered) {
+        console.log('\n[' + step.agent + '] ' + formatAmount(budget.currency, payment) + ' can\'t cover a call — not starting ' + step.id + '.');
+        nodeStatus(step, 'skipped', 'budget can\'t cover the call');
+        return { status: 'skipped' };
+      }
+      route.maxTokens = MIN_OUTPUT_TOKENS;
+    }
+    if (route.downshifted) {
+      console.log('[' + step.agent + '] Downshifting ' + agent.models[0] + ' / ' + agent.maxTokens + ' max_tokens → ' + route.model + ' / ' + route.maxTokens + ' to fit ' + formatAmount(budget.currency, payment));
+      onEvent({
+        type: 'downshift',
+        stepId: step.id,
+        agent: step.agent,
+        fromModel: agent.models[0],
+        toModel: route.model,
+        fromMaxTokens: agent.maxTokens,
+        toMaxTokens: route.maxTokens,
+        ...amountFields(budget.currency, 'cap', payment),
+      });
+    }
+    const maxTokens = route.maxTokens;
 
-    // Track remaining budget
-    remainingBudget = Math.round((remainingBudget - payment) * 100) / 100;
-    console.log('Budget remaining: ' + remainingBudget + ' HBAR');
+    // Lock this step's payment in escrow before the agent starts — it's only
+    // released to the sub-agent if the output passes acceptance
+    nodeStatus(step, 'running');
+    const entry = await openEscrow(ledger, run, budget, step.agent, payment, step.task);
 
-    // Notify frontend that this step is done with payment info
-    onEvent({ type: 'step_complete', agent: step.agent, task: step.task, payment, txId, remainingBudget });
+    // Notify frontend that this agent is starting
+    onEvent({
+      type: 'step_start',
+      stepId: step.id,
+      agent: step.agent,
+      task: step.task,
+      dependsOn: step.dependsOn,
+      allocation: step.allocation,
+      model: route.model,
+      maxTokens,
+      ...amountFields(budget.currency, 'payment', payment),
+      escrow: { state: entry.escrow.state, scheduleId: entry.escrow.scheduleId, expiresAt: entry.escrow.expiresAt },
+    });
+
+    // Run the sub-agent using Claude Sonnet, fed the results it depends on —
+    // a throw or a timeout fails the step, not the run. Its output streams to
+    // the frontend as step_delta events until the step is decided, and each
+    // tool it uses as a tool_call / tool_result pair with what the call cost.
+    const meta = {};
+    let streaming = true;
+    const onText = (text) => {
+      if (streaming) onEvent({ type: 'step_delta', stepId: step.id, agent: step.agent, text });
+    };
+    const callOptions = {
+      model: route.model,
+      fallbackModels: route.fallbackModels,
+      maxTokens,
+      onText,
+      onToolCall: (call) => onEvent({ type: 'tool_call', stepId: step.id, agent: step.agent, ...call }),
+      onToolResult: (call) => onEvent({
+        type: 'tool_result',
+        stepId: step.id,
+        agent: step.agent,
+        ...call,
+        ...amountFields(budget.currency, 'cost', call.ok ? meterToolCall(budget.currency, call.tool) : 0),
+      }),
+      onFallback: (fallback) => onEvent({ type: 'model_fallback', stepId: step.id, agent: step.agent, ...fallback }),
+    };
+    let result, error;
+    try {
+      result = await withTimeout((signal) => runSubAgent(step.agent, prompt, meta, { ...callOptions, signal }), run.stepTimeoutMs, step.agent);
+    } catch (err) {
+      console.log('[' + step.agent + '] Failed: ' + err.message);
+      error = err.message;
+    }
+
+    // Verification: the output is graded before it's paid for, and below the bar
+    // the step runs once more with the critique — its deltas start over (retrying: true)
+    let verification = null;
+    if (verify && !error) {
+      const checked = await verifyWithRetry(step.agent, { output: result, meta }, async (critique) => {
+        const retryMeta = {};
+        const output = await withTimeout((signal) => runSubAgent(step.agent, withCritique(prompt, critique), retryMeta, { ...callOptions, signal }), run.stepTimeoutMs, step.agent);
+        return { output, meta: retryMeta };
+      }, (attempt, grade, retrying) => onEvent({ type: 'verification', stepId: step.id, agent: step.agent, attempt, ...grade, retrying }));
+      result = checked.output;
+      Object.assign(meta, checked.meta);
+      verification = checked.verification;
+    }
+    streaming = false;
+
+    // What the call used — and, metered, what it costs: its tokens plus its
+    // tool calls (a failed tool call costs nothing)
+    const callUsage = meterUsage(budget.currency, meta.model || route.model, meta.usage);
+    const toolCalls = (meta.toolCalls || []).map((c) => ({ ...c, costUnits: c.ok ? meterToolCall(budget.currency, c.tool) : 0 }));
+    const toolCostUnits = toolCalls.reduce((sum, c) => sum + c.costUnits, 0);
+    usage.calls++;
+    if (meta.model) usage.models[meta.model] = (usage.models[meta.model] || 0) + 1;
+    usage.inputTokens += callUsage.inputTokens;
+    usage.outputTokens += callUsage.outputTokens;
+    usage.toolCalls += toolCalls.length;
+    usage.toolCostUnits += toolCostUnits;
+    if (metered) usage.costUnits += Math.min(callUsage.costUnits + toolCostUnits, payment);
+    onEvent({
+      type: 'usage',
+      stepId: step.id,
+      agent: step.agent,
+      model: callUsage.model,
+      inputTokens: callUsage.inputTokens,
+      outputTokens: callUsage.outputTokens,
+      maxTokens,
+      toolCalls: toolCalls.length,
+      ...amountFields(budget.currency, 'toolCost', toolCostUnits),
+      pricing,
+      ...(metered ? amountFields(budget.currency, 'cost', callUsage.costUnits + toolCostUnits) : {}),
+    });
+
+    // How the step went decides how much of its escrow the agent gets — full, partial or nothing.
+    // Metered, that's taken of what its tokens cost rather than of the whole escrow.
+    const assessment = assessOutcome(result, { error, stopReason: meta.stopReason, verification });
+    const decision = decidePayment(step.agent, assessment, payment, metered ? callUsage.costUnits + toolCostUnits : undefined);
+    if (metered) decision.metered = { ...callUsage, ...(toolCalls.length ? { toolCostUnits } : {}) };
+    if (meta.model) decision.model = meta.model;
+    if (toolCalls.length) decision.tools = { calls: toolCalls.map((c) => c.tool + (c.ok ? '' : ' (failed)')), costUnits: toolCostUnits };
+    console.log('[' + step.agent + '] Payment decision: ' + decision.reason);
+    onEvent({ ...paymentDecisionEvent(ledger, run, budget, entry, decision), stepId: step.id });
+
+    if (decision.decision === 'none') {
+      // Delete the escrow and send this step's payment straight back to the funder.
+      // An accepted output whose share rounded down to nothing has only the policy's reason.
+      const reasons = assessment.reasons.length ? assessment.reasons : [decision.reason];
+      await settleEscrow(ledger, run, budget, entry, decision);
+      onEvent({
+        type: 'step_failed',
+        stepId: step.id,
+        agent: step.agent,
+        task: step.task,
+        reasons,
+        outcome: decision.outcome,
+        model: meta.model || null,
+        ...amountFields(budget.currency, 'refunded', payment),
+        refundTxId: entry.escrow.refundTxId || null,
+        links: { refund: ledger.explorerLink('transaction', entry.escrow.refundTxId) },
+        ...amountFields(budget.currency, 'remaining', budget.remaining(), 'remainingBudget'),
+      });
+      nodeStatus(step, 'failed', reasons.join('; '));
+      return { status: 'failed' };
+    }
 
-    results.push({ agentName: step.agent, task: step.task, result });
+    // Pay the sub-agent out of its escrow — and a permanent HCS record carries a
+    // signed hash of exactly what it produced and the policy decision,
+    // persisted on the run record so a crash can be reconciled
+    const attestation = createAttestation({ agent: step.agent, task: step.task, output: result, model: meta.model, usage: meta.usage });
+    const { transferTxId, hcsTxId } = await settleEscrow(ledger, run, budget, entry, decision, attestation);
+    console.log('Budget remaining: ' + formatAmount(budget.currency, budget.remaining()));
+
+    // Notify frontend that this step is done with payment info (payment = what was actually paid)
+    // txId is kept pointing at the HCS record for older frontend builds
+    onEvent({
+      type: 'step_complete',
+      stepId: step.id,
+      agent: step.agent,
+      task: step.task,
+      ...amountFields(budget.currency, 'payment', entry.tinybars),
+      decision: decision.decision,
+      outcome: decision.outcome,
+      model: meta.model,
+      ...(verification ? { verified: verification.passed } : {}),
+      ...(entry.refundedTinybars ? amountFields(budget.currency, 'refunded', entry.refundedTinybars) : {}),
+      txId: hcsTxId,
+      transferTxId,
+      hcsTxId,
+      escrowScheduleId: entry.escrow.scheduleId,
+      outputHash: attestation.outputHash,
+      links: { transfer: ledger.explorerLink('transaction', transferTxId), hcs: ledger.explorerLink('transaction', hcsTxId) },
+      ...amountFields(budget.currency, 'remaining', budget.remaining(), 'remainingBudget'),
+    });
+    nodeStatus(step, 'complete');
+
+    return {
+      status: 'complete',
+      result: {
+        stepId: step.id,
+        agentName: step.agent,
+        task: step.task,
+        dependsOn: step.dependsOn,
+        model: meta.model,
+        result,
+        outputHash: attestation.outputHash,
+        hcsTxId,
+        ...(verification ? { verification } : {}),
+        ...(toolCalls.length ? { toolCalls: toolCalls.map(({ costUnits, ...c }) => ({ ...c, ...amountFields(budget.currency, 'cost', costUnits) })) } : {}),
+      },
+    };
   }
 
-  // Step 6: Combine all results into a final report
-  const finalReport = await formatFinalReport(task, results);
+  // Each step starts the moment everything it depends on has finished. dependsOn
+  // only names earlier steps, so their promises always exist by the time we get here.
+  const running = {};
+  steps.forEach((step, i) => {
+    running[step.id] = Promise.all(step.dependsOn.map((dep) => running[dep])).then((upstream) => runStep(step, i, upstream));
+  });
+
+  // Let every in-flight step finish before a ledger error fails the run, so
+  // failRun never settles while an escrow is still being opened or released
+  const outcomes = await Promise.allSettled(steps.map((s) => running[s.id]));
+  const crashed = outcomes.find((o) => o.status === 'rejected');
+  if (crashed) throw crashed.reason;
+
+  // Accepted results, in plan order
+  const results = outcomes.map((o) => o.value.result).filter(Boolean);
+  if (results.length < steps.length) console.log('\nCompleted ' + results.length + ' of ' + steps.length + ' steps.');
+
+  // Step 6: Combine all accepted results into a final report
+  const finalReport = results.length
+    ? await formatFinalReport(task, results, (text) => onEvent({ type: 'report_delta', text }))
+    : 'No step produced an accepted result — every step\'s payment was refunded.';
   onEvent({ type: 'report', text: finalReport });
 
+  return { finalReport, results, usage };
+}
+
+// ─────────────────────────────────────────────
+// runMainAgent(task, budgetAmount)
+// The main orchestrator. This is the full PayStream flow:
+//   1. Initialize Hedera client + find (or create) the HCS audit trail topic
+//   2. Fund agent wallet + create the scheduled auto-refund (10 min by default)
+//   3. Ask Claude to break the task into a graph of steps for the registered agents (agentRegistry.js)
+//   4. Run each sub-agent once the steps it depends on are done — fed their
+//      results, independent steps in parallel — its payment held in escrow
+//   5. After each step: the payment policy decides full, partial or no pay from
+//      how it went — release the escrow (+ log to HCS) accordingly and refund
+//      the unpaid part to the funder
+//   6. Format the final combined report
+//   7. Cancel the scheduled refund + immediately refund remainder to whoever funded the run
+// budgetAmount is in HBAR, or in options.currency if set.
+// options.ledger               → ledger backend to use (defaults to getLedger(), see ledgerService.js)
+// options.currency             → 'HBAR' (default) or an HTS token ID to budget the run in
+// options.project              → HCS audit topic to share with the project's other runs
+//                                (default: one topic per funding account, see topicStore.js)
+// options.funding              → { payerAccountId, transactionId } if the user funded the run
+//                                from their own wallet (default: the .env user wallet pays)
+// options.refundTimeoutMinutes → when the scheduled auto-refund fires (default 10)
+// options.onExpiry             → 'renew' (default) or 'settle' as that time approaches
+// options.stepTimeoutSeconds   → how long one step may run before it's failed (default 300)
+// options.pricing              → 'allocation' (default: each agent gets its share of the
+//                                agent pool) or 'metered' (paid per token, see meteringService.js)
+// options.approvePlan          → pause after planning until the user approves, edits or
+//                                rejects the plan (see planApprovalService.js)
+// options.verify               → grade each step's output before paying for it (see verifierService.js)
+// ─────────────────────────────────────────────
+async function runMainAgent(task, budgetAmount, onEvent = () => {}, options = {}) {
+  const ledger = options.ledger || getLedger();
+
+  console.log('\n========================================');
+  console.log('PAYSTREAM — DEPLOYING AGENT');
+  console.log('Task:   ' + task);
+  console.log('Budget: ' + budgetAmount + ' ' + (options.currency || 'HBAR'));
+  console.log('Ledger: ' + ledger.name);
+  console.log('========================================\n');
+
+  // Step 1 + 2: Initialize Hedera, create HCS topic, fund agent wallet and
+  // create the scheduled auto-refund — all recorded in runStore as we go
+  ledger.initClient();
+
+  // The agents this run may plan with — a snapshot, so registry edits mid-run don't change it
+  const agents = agentRegistry.listAgents();
+  if (!agents.length) throw new Error('No agents registered — add one through /api/agents first');
+
+  // All money math from here on is integer smallest units — tinybars, or
+  // the token's units (see budgetService.js / currencyService.js)
+  const currency = await resolveCurrency(ledger, options.currency);
+  const budget = createRunBudget(toSmallestUnits(currency, budgetAmount), AGENT_BUDGET_PERCENT, currency);
+
+  const run = await openRun(ledger, budget, {
+    kind: 'task',
+    label: task,
+    project: options.project,
+    funding: options.funding,
+    payees: agents.map((a) => a.name),
+    refundTimeoutMs: options.refundTimeoutMinutes ? options.refundTimeoutMinutes * 60 * 1000 : undefined,
+    onExpiry: options.onExpiry,
+    stepTimeoutMs: options.stepTimeoutSeconds ? options.stepTimeoutSeconds * 1000 : undefined,
+    onEvent,
+  });
+  onEvent(fundedEvent(ledger, run, budget));
+
+  // Steps 3–6: plan, run + pay each sub-agent, format the report.
+  // If anything throws, settle immediately instead of waiting on the scheduled refund.
+  const pricing = options.pricing || 'allocation';
+  let finalReport, results, usage, planRejected;
+  try {
+    ({ finalReport, results, usage, planRejected } = await planAndExecute(task, { ledger, run, budget, agents, pricing, approvePlan: options.approvePlan, verify: options.verify, onEvent }));
+  } catch (err) {
+    const refundTxId = await failRun(ledger, run, budget, err);
+    if (refundTxId) onEvent(refundEvent(ledger, run, budget, budget.remaining(), refundTxId));
+    throw err;
+  }
+
+  // Keep what the run produced on its record, for follow-up questions (askService.js)
+  if (!planRejected) {
+    await runStore.updateRun(run.runId, { outcome: { finalReport, results } })
+      .catch((err) => console.error('[Run ' + run.runId + '] Couldn\'t save its results: ' + err.message));
+  }
+
   // Step 7: Cancel the scheduled auto-refund + send remainder back to user immediately
-  console.log('\nRefunding ' + remainingBudget + ' HBAR to user...');
-  const refundTxId = await refundRemainder(scheduleId, remainingBudget);
-  onEvent({ type: 'refund', amount: remainingBudget, txId: refundTxId });
+  const refundTinybars = budget.remaining();
+  console.log('\nRefunding ' + formatAmount(currency, refundTinybars) + ' to user...');
+  const refundTxId = await settleRun(ledger, run, budget);
+  onEvent(refundEvent(ledger, run, budget, refundTinybars, refundTxId));
 
   console.log('\n========================================');
   console.log('PAYSTREAM — COMPLETE');
-  console.log('Spent:    ' + (budgetInHbar - remainingBudget) + ' HBAR');
-  console.log('Refunded: ' + remainingBudget + ' HBAR');
+  console.log('Spent:    ' + formatAmount(currency, budget.spent()));
+  console.log('Refunded: ' + formatAmount(currency, refundTinybars + budget.refunded()) + (budget.refunded() ? ' (' + formatAmount(currency, budget.refunded()) + ' returned from escrows)' : ''));
+  console.log('Usage:    ' + usage.calls + ' call(s), ' + usage.inputTokens + ' input + ' + usage.outputTokens + ' output tokens'
+    + (usage.toolCalls ? ', ' + usage.toolCalls + ' tool call(s) costing ' + formatAmount(currency, usage.toolCostUnits) : '') + (pricing === 'metered' ? ' — metered cost ' + formatAmount(currency, usage.costUnits) : ''));
   console.log('========================================\n');
 
+  // The sub-agents' token totals for the run, and what they cost if it was metered
+  const usageSummary = {
+    pricing,
+    calls: usage.calls,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    models: usage.models,
+    toolCalls: usage.toolCalls,
+    ...amountFields(currency, 'toolCost', usage.toolCostUnits),
+    ...(pricing === 'metered' ? amountFields(currency, 'cost', usage.costUnits) : {}),
+  };
+  onEvent({ type: 'usage_summary', runId: run.runId, ...usageSummary });
+
+  // HBAR runs keep spent/spentTinybars; token runs report spentToken/spentTokenUnits instead
   return {
+    runId: run.runId,
     finalReport,
     results,
-    spent: budgetInHbar - remainingBudget,
-    refunded: remainingBudget,
+    currency: currency.code,
+    ...amountFields(currency, 'spent', budget.spent()),
+    ...amountFields(currency, 'refunded', refundTinybars + budget.refunded()),
+    ledger: budget.entries(),
+    ...(planRejected ? { planRejected: true } : {}),
+    usage: usageSummary,
     refundTxId,
   };
 }
 
-module.exports = { runMainAgent, runSubAgent, formatFinalReport };
+module.exports = { runMainAgent, runSubAgent, formatFinalReport, planSteps, validatePlan, normalizeAllocations, checkPlan, stepPayments, AGENT_BUDGET_PERCENT };
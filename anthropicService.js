@@ -0,0 +1,36 @@
+// anthropicService.js
+// The real model provider: Claude through the Anthropic API.
+// Select it with MODEL_PROVIDER=anthropic (the default, see modelService.js).
+//
+// Every call is streamed, so callers can forward output as it's generated.
+// The SDK's own retries are off — modelService.js retries 429 / 529 itself,
+// and only while nothing has streamed yet.
+
+require('dotenv').config();
+
+const Anthropic = require('@anthropic-ai/sdk/index.js');
+
+let client = null;
+
+// Created on first use, so loading this module never needs ANTHROPIC_API_KEY
+function getClient() {
+  if (!client) client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+  return client;
+}
+
+// ─────────────────────────────────────────────
+// streamMessage(params, { onText, onJson, signal })
+// One Messages API call. params = the usual messages.create() body.
+//   onText(delta)       → text output as it streams in
+//   onJson(partialJson) → tool_use input as it streams in (raw JSON fragments)
+//   signal              → AbortSignal that cancels the call
+// Returns the final message { model, content, usage, stop_reason }
+// ─────────────────────────────────────────────
+async function streamMessage(params, { onText, onJson, signal } = {}) {
+  const stream = getClient().messages.stream(params, { signal });
+  if (onText) stream.on('text', (delta) => onText(delta));
+  if (onJson) stream.on('inputJson', (partialJson) => onJson(partialJson));
+  return stream.finalMessage();
+}
+
+module.exports = { name: 'anthropic', streamMessage };
@@ -0,0 +1,259 @@
+// askService.js
+// Follow-up questions on a finished run or a saved codebase report
+// (POST /api/runs/:runId/ask and POST /api/report/:shareId/ask in server.js).
+//
+// The Answer Agent answers from what was stored, never from scratch:
+//   task run     → the final report and every accepted step's result
+//   analysis     → the four sections, plus the files the agents read
+// (see runStore.js outcome and the report's files in mongoService.js).
+//
+// Every answer is a small run of its own, metered: funded like any other run
+// (its own runId, scheduled auto-refund and HCS record), the answer's budget
+// held in escrow, and the Answer Agent paid for the tokens it used — capped at
+// the budget, through the same payment policy as every other agent (see
+// paymentPolicyService.js) — with the rest refunded. The answer streams back
+// as answer_delta events.
+
+require('dotenv').config();
+
+const { getLedger } = require('./ledgerService');
+const { createRunBudget } = require('./budgetService');
+const { resolveCurrency, toSmallestUnits, formatAmount, amountFields } = require('./currencyService');
+const { openRun, openEscrow, settleEscrow, settleRun, failRun, fundedEvent, paymentDecisionEvent, refundEvent } = require('./settlementService');
+const { createAttestation } = require('./attestationService');
+const { assessOutcome, withTimeout } = require('./acceptanceService');
+const { decidePayment } = require('./paymentPolicyService');
+const { meterUsage, estimateTokens, chooseModel } = require('./meteringService');
+const { createMessage, modelsFor } = require('./modelService');
+const runStore = require('./runStore');
+
+const ANSWER_AGENT = 'Answer Agent';
+const ANSWER_MAX_TOKENS = 1024;
+
+// The whole budget of a question can go to its answer — it's metered, so
+// only what the tokens cost is paid and the rest comes back
+const ASK_AGENT_BUDGET_PERCENT = 100;
+
+const MAX_QUESTION_LENGTH = 2000;
+
+// How much stored material the Answer Agent is shown (characters) — results
+// first, then as many files as fit
+const MAX_CONTEXT_CHARS = 60000;
+
+const ANSWER_SYSTEM_PROMPT = 'You are an Answer Agent. You answer follow-up questions about work other agents already did, using ONLY the material you are given. '
+  + 'Quote file paths or step results when they support the answer. If the material doesn\'t answer the question, say so plainly — never guess. Keep your answer under 250 words.';
+
+// ─────────────────────────────────────────────
+// runSource(run) / reportSource(report)
+// What a question can be asked about, from a run record (runStore.js) or a
+// saved report (mongoService.js):
+//   { kind: 'task' | 'analyze', label, about: { runId } | { shareId },
+//     finalReport?, results, files? }
+// runSource returns { source } or { error } — only finished task and
+// analysis runs have stored results.
+// ─────────────────────────────────────────────
+function runSource(run) {
+  if (!['task', 'analyze'].includes(run.kind)) return { error: 'Only task and analysis runs can be asked about' };
+  if (!run.outcome) return { error: 'This run has no stored results to ask about — it may not have finished' };
+  return {
+    source: {
+      kind: run.kind,
+      label: run.label,
+      about: { runId: run.runId },
+      finalReport: run.outcome.finalReport,
+      results: run.outcome.results,
+      files: run.outcome.files,
+    },
+  };
+}
+
+function reportSource(shareId, report) {
+  return { kind: 'analyze', label: report.repoName, about: { shareId }, results: report.data, files: report.files };
+}
+
+// ─────────────────────────────────────────────
+// buildContext(source)
+// The material the Answer Agent reads: the results, then the files (whole
+// files only) until MAX_CONTEXT_CHARS
+// ─────────────────────────────────────────────
+function buildContext(source) {
+  let context;
+  if (source.kind === 'task') {
+    context = 'ORIGINAL TASK: ' + source.label + '\n\n'
+      + 'FINAL REPORT:\n' + (source.finalReport || '(none)') + '\n\n'
+      + 'STEP RESULTS:\n' + (source.results || []).map((r) => '=== ' + r.agentName + ' (' + r.stepId + '): ' + r.task + ' ===\n' + r.result).join('\n\n');
+  } else {
+    context = 'REPOSITORY: ' + source.label + '\n\n'
+      + 'ANALYSIS SECTIONS:\n' + JSON.stringify(source.results || {}, null, 2);
+  }
+  context = context.slice(0, MAX_CONTEXT_CHARS);
+
+  const files = source.files || [];
+  let shown = 0;
+  for (const file of files) {
+    const block = '\n\n=== FILE: ' + file.path + ' ===\n' + file.content;
+    if (context.length + block.length > MAX_CONTEXT_CHARS) break;
+    context += block;
+    shown++;
+  }
+  if (shown < files.length) context += '\n\n(' + (files.length - shown) + ' more file(s) left out for length)';
+  return context;
+}
+
+// ─────────────────────────────────────────────
+// answerQuestion(source, question, budgetAmount, onEvent, options)
+// Answers one follow-up question about source (runSource / reportSource) as
+// a metered run. budgetAmount is the most the answer may cost, in the run's
+// currency. options = the run options server.js parseRunOptions reads
+// (currency, funding, project, timeout, stepTimeout, dryRun's ledger).
+// Events: funded, answer_start, answer_delta, usage, payment_decision,
+// answer | answer_failed, refund.
+// Returns { runId, answer, model, spent, refunded, ledger }
+// ─────────────────────────────────────────────
+async function answerQuestion(source, question, budgetAmount, onEvent, options = {}) {
+  onEvent = onEvent || function () {};
+  if (typeof question !== 'string' || !question.trim() || question.length > MAX_QUESTION_LENGTH) {
+    throw new Error('question must be 1-' + MAX_QUESTION_LENGTH + ' characters');
+  }
+
+  const ledger = options.ledger || getLedger();
+  ledger.initClient();
+
+  const currency = await resolveCurrency(ledger, options.currency);
+  const budget = createRunBudget(toSmallestUnits(currency, budgetAmount), ASK_AGENT_BUDGET_PERCENT, currency);
+  const payment = budget.agentPool;
+
+  // Size the call before anything is funded — a budget too small for a useful
+  // answer is turned away instead of refunded
+  const context = buildContext(source);
+  const prompt = context + '\n\nQUESTION: ' + question.trim();
+  const route = chooseModel(currency, modelsFor(ANSWER_AGENT), payment, estimateTokens(ANSWER_SYSTEM_PROMPT + prompt), ANSWER_MAX_TOKENS);
+  if (!route.maxTokens) throw new Error(formatAmount(currency, payment) + ' can\'t cover an answer — raise the budget');
+
+  console.log('\n[' + ANSWER_AGENT + '] Question about ' + source.label + ': ' + question);
+
+  const run = await openRun(ledger, budget, {
+    kind: 'ask',
+    label: question,
+    project: options.project,
+    funding: options.funding,
+    payees: [ANSWER_AGENT],
+    refundTimeoutMs: options.refundTimeoutMinutes ? options.refundTimeoutMinutes * 60 * 1000 : undefined,
+    onExpiry: options.onExpiry,
+    stepTimeoutMs: options.stepTimeoutSeconds ? options.stepTimeoutSeconds * 1000 : undefined,
+    onEvent,
+  });
+  onEvent(fundedEvent(ledger, run, budget));
+
+  let answer, decision, entry;
+  try {
+    entry = await openEscrow(ledger, run, budget, ANSWER_AGENT, payment, question);
+    onEvent({
+      type: 'answer_start',
+      question,
+      about: source.about,
+      model: route.model,
+      maxTokens: route.maxTokens,
+      ...amountFields(currency, 'payment', payment),
+      escrow: { state: entry.escrow.state, scheduleId: entry.escrow.scheduleId, expiresAt: entry.escrow.expiresAt },
+    });
+
+    // The answer streams out as it's written — a throw or a timeout refunds the escrow
+    let response, error;
+    let streaming = true;
+    try {
+      response = await withTimeout((signal) => createMessage({
+        model: route.model,
+        max_tokens: route.maxTokens,
+        system: ANSWER_SYSTEM_PROMPT,
+        messages: [{ role: 'user', content: prompt }],
+      }, {
+        onText: (text) => { if (streaming) onEvent({ type: 'answer_delta', text }); },
+        label: ANSWER_AGENT,
+        fallbackModels: route.fallbackModels,
+        onFallback: (fallback) => onEvent({ type: 'model_fallback', agent: ANSWER_AGENT, ...fallback }),
+        signal,
+      }), run.stepTimeoutMs, ANSWER_AGENT);
+      answer = response.content.filter((b) => b.type === 'text').map((b) => b.text).join('');
+    } catch (err) {
+      console.log('[' + ANSWER_AGENT + '] Failed: ' + err.message);
+      error = err.message;
+    }
+    streaming = false;
+
+    // Metered: paid for the tokens the answer used, capped at the escrow
+    const callUsage = meterUsage(currency, response ? response.model : route.model, response && response.usage);
+    onEvent({
+      type: 'usage',
+      agent: ANSWER_AGENT,
+      model: callUsage.model,
+      inputTokens: callUsage.inputTokens,
+      outputTokens: callUsage.outputTokens,
+      maxTokens: route.maxTokens,
+      pricing: 'metered',
+      ...amountFields(currency, 'cost', callUsage.costUnits),
+    });
+
+    const assessment = assessOutcome(answer, { error, stopReason: response && response.stop_reason });
+    decision = decidePayment(ANSWER_AGENT, assessment, payment, callUsage.costUnits);
+    decision.metered = callUsage;
+    if (response) decision.model = response.model;
+    console.log('[' + ANSWER_AGENT + '] Payment decision: ' + decision.reason);
+    onEvent(paymentDecisionEvent(ledger, run, budget, entry, decision));
+
+    if (decision.decision === 'none') {
+      await settleEscrow(ledger, run, budget, entry, decision);
+      onEvent({
+        type: 'answer_failed',
+        reasons: assessment.reasons.length ? assessment.reasons : [decision.reason],
+        outcome: decision.outcome,
+        ...amountFields(currency, 'refunded', payment),
+        refundTxId: entry.escrow.refundTxId || null,
+        links: { refund: ledger.explorerLink('transaction', entry.escrow.refundTxId) },
+      });
+      answer = null;
+    } else {
+      // Paid with a signed hash of the answer on HCS, like every step
+      const attestation = createAttestation({ agent: ANSWER_AGENT, task: question, output: answer, model: response.model, usage: response.usage });
+      const { transferTxId, hcsTxId } = await settleEscrow(ledger, run, budget, entry, decision, attestation);
+      onEvent({
+        type: 'answer',
+        question,
+        about: source.about,
+        text: answer,
+        model: response.model,
+        outcome: decision.outcome,
+        ...amountFields(currency, 'payment', entry.tinybars),
+        ...(entry.refundedTinybars ? amountFields(currency, 'refunded', entry.refundedTinybars) : {}),
+        transferTxId,
+        hcsTxId,
+        outputHash: attestation.outputHash,
+        links: { transfer: ledger.explorerLink('transaction', transferTxId), hcs: ledger.explorerLink('transaction', hcsTxId) },
+      });
+    }
+  } catch (err) {
+    const refundTxId = await failRun(ledger, run, budget, err);
+    if (refundTxId) onEvent(refundEvent(ledger, run, budget, budget.remaining(), refundTxId));
+    throw err;
+  }
+
+  await runStore.updateRun(run.runId, { outcome: { question, answer, about: source.about } })
+    .catch((err) => console.error('[Run ' + run.runId + '] Couldn\'t save its answer: ' + err.message));
+
+  const refundTinybars = budget.remaining();
+  const refundTxId = await settleRun(ledger, run, budget);
+  onEvent(refundEvent(ledger, run, budget, refundTinybars, refundTxId));
+  console.log('[' + ANSWER_AGENT + '] Done — spent ' + formatAmount(currency, budget.spent()) + ', refunded ' + formatAmount(currency, refundTinybars + budget.refunded()));
+
+  return {
+    runId: run.runId,
+    answer,
+    model: decision.model || null,
+    currency: currency.code,
+    ...amountFields(currency, 'spent', budget.spent()),
+    ...amountFields(currency, 'refunded', refundTinybars + budget.refunded()),
+    ledger: budget.entries(),
+  };
+}
+
+module.exports = { answerQuestion, runSource, reportSource, buildContext, ANSWER_AGENT, MAX_QUESTION_LENGTH };
@@ -0,0 +1,140 @@
+// attestationService.js
+// Content-hash attestations: on-chain proof of what each agent delivered.
+//
+// When an agent gets paid, its HCS payment message carries an attestation:
+//   { agent, task, outputHash, hashAlgorithm, model, usage, signature, publicKey }
+// outputHash is the SHA-256 of the agent's output (text, or the structured
+// JSON from a codebase agent), and the whole thing is signed with the agent
+// key — so anyone holding the output can prove it's exactly what was paid for.
+//
+// verifyReport() re-hashes a saved report and checks every section against
+// the attestations on the run's HCS topic.
+
+require('dotenv').config();
+
+const { createHash } = require('crypto');
+const { getLedger } = require('./ledgerService');
+
+const HASH_ALGORITHM = 'sha256';
+
+// Which codebase agent produced which section of a saved report
+const REPORT_SECTION_AGENTS = {
+  codeReader: 'Code Reader Agent',
+  simplifier: 'Simplifier Agent',
+  analogy:    'Analogy Agent',
+  insight:    'Insight Agent',
+};
+
+// ─────────────────────────────────────────────
+// canonicalJson(value)
+// JSON with object keys sorted at every level, so the same output always
+// hashes the same — even after a round trip through MongoDB reorders keys.
+// ─────────────────────────────────────────────
+function canonicalJson(value) {
+  if (Array.isArray(value)) return '[' + value.map((v) => canonicalJson(v === undefined ? null : v)).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => JSON.stringify(k) + ':' + canonicalJson(value[k]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+// ─────────────────────────────────────────────
+// hashOutput(output)
+// SHA-256 (hex) of an agent's output. Strings are hashed as UTF-8 as-is;
+// anything else is hashed as canonical JSON.
+// ─────────────────────────────────────────────
+function hashOutput(output) {
+  const content = typeof output === 'string' ? output : canonicalJson(output);
+  return createHash(HASH_ALGORITHM).update(content, 'utf8').digest('hex');
+}
+
+// ─────────────────────────────────────────────
+// createAttestation({ agent, task, output, model, usage })
+// The unsigned attestation for one agent's work.
+// usage = Anthropic's { input_tokens, output_tokens } for the call
+// ─────────────────────────────────────────────
+function createAttestation({ agent, task, output, model, usage }) {
+  return {
+    agent,
+    task,
+    outputHash: hashOutput(output),
+    hashAlgorithm: HASH_ALGORITHM,
+    model: model || null,
+    usage: {
+      inputTokens:  (usage && usage.input_tokens)  || 0,
+      outputTokens: (usage && usage.output_tokens) || 0,
+    },
+  };
+}
+
+// The exact bytes the agent key signs — everything but the signature itself
+function attestationBytes(attestation) {
+  const { signature, publicKey, ...signed } = attestation;
+  return Buffer.from(canonicalJson(signed), 'utf8');
+}
+
+// ─────────────────────────────────────────────
+// verifyReport(report)
+// Checks every section of a saved codebase report against the on-chain
+// attestations on its run's HCS topic.
+// Returns { verified, topicId, sections: [{ key, agent, localHash, onChainHash,
+//   hashMatches, signatureValid, hcsSequenceNumber }], reason? }
+// ─────────────────────────────────────────────
+async function verifyReport(report) {
+  if (!report.topicId) {
+    return { verified: false, topicId: null, sections: [], reason: 'Report was saved before attestations were recorded on-chain.' };
+  }
+
+  const ledger = getLedger(report.ledger);
+  ledger.initClient();
+  const messages = await ledger.getAuditMessages(report.topicId);
+
+  // Latest attestation per agent wins (an agent is only paid once per run).
+  // Topics are shared between runs — only this report's run counts.
+  const onChain = {};
+  for (const m of messages) {
+    if (report.runId && m.payload && m.payload.runId !== report.runId) continue;
+    if (m.payload && m.payload.type === 'payment' && m.payload.attestation) {
+      const attestation = m.payload.attestation;
+      onChain[attestation.agent] = {
+        attestation,
+        sequenceNumber: m.sequenceNumber,
+        signatureValid: await ledger.verifyAttestation(attestation),
+      };
+    }
+  }
+
+  const sections = Object.keys(report.data || {}).map((key) => {
+    const agent = (report.attestations && report.attestations[key] && report.attestations[key].agent) || REPORT_SECTION_AGENTS[key] || key;
+    const localHash = hashOutput(report.data[key]);
+    const found = onChain[agent];
+    if (!found) {
+      return { key, agent, localHash, onChainHash: null, hashMatches: false, signatureValid: false, hcsSequenceNumber: null };
+    }
+    return {
+      key,
+      agent,
+      localHash,
+      onChainHash: found.attestation.outputHash,
+      hashMatches: localHash === found.attestation.outputHash,
+      signatureValid: found.signatureValid,
+      hcsSequenceNumber: found.sequenceNumber,
+    };
+  });
+
+  const verified = sections.length > 0 && sections.every((s) => s.hashMatches && s.signatureValid);
+  return { verified, topicId: report.topicId, sections };
+}
+
+module.exports = {
+  HASH_ALGORITHM,
+  canonicalJson,
+  hashOutput,
+  createAttestation,
+  attestationBytes,
+  verifyReport,
+};
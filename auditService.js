@@ -0,0 +1,198 @@
+// auditService.js
+// Reads a run's HCS audit trail back and cross-checks it against what we
+// recorded locally (runStore.js).
+//
+// The trail is pulled from the ledger — for Hedera that's the mirror node
+// REST API (see mirrorNodeService.js; set HEDERA_MIRROR_REST_URL to point it
+// at a local stub). Topics are shared between runs (see topicStore.js), so
+// only messages tagged with this run's ID are checked. Every payment we
+// recorded should have exactly one HCS payment message saying the same
+// thing, and no other payment message should carry our run ID.
+//
+// Mismatch kinds:
+//   missing_message     a paid payment (or a renewal) with no HCS message
+//   unrecorded_payment  an HCS payment message we have no payment record for
+//   unexpected_run      the message we recorded for a payment is tagged with a different run ID
+//   agent_mismatch      message names a different agent than the payment
+//   amount_mismatch     message amount ≠ recorded amount
+//   currency_mismatch   message is in a different currency than the run
+//   transfer_mismatch   message references a different transfer transaction
+//   output_mismatch     message's attested output hash ≠ the one we recorded
+//   unconfirmed_payment payment still 'charged' locally but its message is on-chain
+//   reversed_payment    payment reversed locally but its message is on-chain
+//   unreadable_message  a message we recorded that isn't valid JSON
+
+require('dotenv').config();
+
+const runStore = require('./runStore');
+const { getLedger } = require('./ledgerService');
+
+// Amount a payment / renewal message carries, in the run currency's smallest unit
+function messageUnits(payload, kind) {
+  return payload[kind + 'TokenId'] ? payload[kind + 'Units'] : payload[kind + 'Tinybars'];
+}
+
+// Which token (null = HBAR) a payment / renewal message is in
+function messageTokenId(payload, kind) {
+  return payload[kind + 'TokenId'] || null;
+}
+
+// ─────────────────────────────────────────────
+// comparePayment(run, payment, message)
+// Field-by-field check of one recorded payment against its HCS message.
+// Returns a list of mismatches (empty = they agree)
+// ─────────────────────────────────────────────
+function comparePayment(run, payment, message) {
+  const payload = message.payload;
+  const at = { paymentId: payment.id, sequenceNumber: message.sequenceNumber };
+  const tokenId = (run.currency && run.currency.tokenId) || null;
+  const mismatches = [];
+
+  if (payment.status === 'reversed') {
+    mismatches.push({ kind: 'reversed_payment', ...at, message: 'Payment ' + payment.id + ' was reversed locally, but its HCS message says ' + payload.agent + ' was paid' });
+  }
+  if (payment.status === 'charged') {
+    mismatches.push({ kind: 'unconfirmed_payment', ...at, message: 'Payment ' + payment.id + ' is still pending locally, but its HCS message is on-chain' });
+  }
+  if (payload.agent !== payment.agent) {
+    mismatches.push({ kind: 'agent_mismatch', ...at, expected: payment.agent, onChain: payload.agent, message: 'Payment ' + payment.id + ' was to ' + payment.agent + ', HCS says ' + payload.agent });
+  }
+  if (messageTokenId(payload, 'paid') !== tokenId) {
+    mismatches.push({ kind: 'currency_mismatch', ...at, expected: tokenId || 'HBAR', onChain: messageTokenId(payload, 'paid') || 'HBAR', message: 'Payment ' + payment.id + ' HCS message is in a different currency than the run' });
+  } else if (messageUnits(payload, 'paid') !== payment.tinybars) {
+    mismatches.push({ kind: 'amount_mismatch', ...at, expected: payment.tinybars, onChain: messageUnits(payload, 'paid'), message: 'Payment ' + payment.id + ' recorded ' + payment.tinybars + ' units, HCS says ' + messageUnits(payload, 'paid') });
+  }
+  if (payment.transferTxId && payload.transferTxId !== payment.transferTxId) {
+    mismatches.push({ kind: 'transfer_mismatch', ...at, expected: payment.transferTxId, onChain: payload.transferTxId, message: 'Payment ' + payment.id + ' HCS message references a different transfer' });
+  }
+  if (payment.outputHash && (!payload.attestation || payload.attestation.outputHash !== payment.outputHash)) {
+    mismatches.push({ kind: 'output_mismatch', ...at, expected: payment.outputHash, onChain: payload.attestation ? payload.attestation.outputHash : null, message: 'Payment ' + payment.id + ' HCS attestation does not match the recorded output hash' });
+  }
+  return mismatches;
+}
+
+// ─────────────────────────────────────────────
+// auditRun(run, messages, ledger)
+// The cross-check itself, on an already-loaded run record and topic messages.
+// Returns { ok, payments, mismatches, messages }
+// ─────────────────────────────────────────────
+function auditRun(run, messages, ledger) {
+  const mismatches = [];
+  const matched = new Map();  // sequenceNumber → payment id / 'renewal'
+
+  // Transaction IDs we recorded for this run — a message with one of those
+  // IDs is ours no matter what run it claims to belong to
+  const recordedTxIds = new Set([
+    ...(run.payments || []).map((p) => p.hcsTxId),
+    ...(run.renewals || []).map((r) => r.hcsTxId),
+  ].filter(Boolean));
+
+  // Messages that are ours to check. Other runs' messages on the shared topic are skipped;
+  // one we recorded that claims to be another run's is flagged and set aside.
+  const own = messages.filter((m) => {
+    const recorded = recordedTxIds.has(m.transactionId);
+    if (!m.payload) {
+      if (recorded) mismatches.push({ kind: 'unreadable_message', sequenceNumber: m.sequenceNumber, message: 'HCS message ' + m.sequenceNumber + ' is not valid JSON' });
+      return false;
+    }
+    if (m.payload.runId !== run.runId) {
+      if (recorded) mismatches.push({ kind: 'unexpected_run', sequenceNumber: m.sequenceNumber, onChain: m.payload.runId || null, message: 'HCS message ' + m.sequenceNumber + ' belongs to run ' + m.payload.runId });
+      return false;
+    }
+    return true;
+  });
+  const paymentMessages = own.filter((m) => m.payload.type === 'payment');
+
+  const payments = (run.payments || []).map((payment) => {
+    // Match on the HCS transaction ID we recorded; a payment interrupted before
+    // we saved it falls back to the first unclaimed message for the same agent
+    let message = payment.hcsTxId ? paymentMessages.find((m) => m.transactionId === payment.hcsTxId) : null;
+    if (!message && !payment.hcsTxId) {
+      message = paymentMessages.find((m) => !matched.has(m.sequenceNumber) && m.payload.agent === payment.agent);
+    }
+
+    if (message) {
+      matched.set(message.sequenceNumber, payment.id);
+      mismatches.push(...comparePayment(run, payment, message));
+    } else if (payment.status === 'paid') {
+      mismatches.push({ kind: 'missing_message', paymentId: payment.id, expected: payment.hcsTxId, message: 'Payment ' + payment.id + ' to ' + payment.agent + ' has no HCS message' });
+    }
+
+    return {
+      id: payment.id,
+      agent: payment.agent,
+      status: payment.status,
+      units: payment.tinybars,
+      hcsTxId: payment.hcsTxId || null,
+      sequenceNumber: message ? message.sequenceNumber : null,
+    };
+  });
+
+  for (const renewal of run.renewals || []) {
+    if (!renewal.hcsTxId) continue;
+    const message = own.find((m) => m.transactionId === renewal.hcsTxId);
+    if (!message) {
+      mismatches.push({ kind: 'missing_message', expected: renewal.hcsTxId, message: 'Refund renewal ' + renewal.scheduleId + ' has no HCS message' });
+      continue;
+    }
+    matched.set(message.sequenceNumber, 'renewal');
+    if (messageUnits(message.payload, 'refund') !== renewal.tinybars) {
+      mismatches.push({ kind: 'amount_mismatch', sequenceNumber: message.sequenceNumber, expected: renewal.tinybars, onChain: messageUnits(message.payload, 'refund'), message: 'Refund renewal ' + renewal.scheduleId + ' recorded ' + renewal.tinybars + ' units, HCS says ' + messageUnits(message.payload, 'refund') });
+    }
+  }
+
+  for (const m of paymentMessages) {
+    if (!matched.has(m.sequenceNumber)) {
+      mismatches.push({ kind: 'unrecorded_payment', sequenceNumber: m.sequenceNumber, onChain: messageUnits(m.payload, 'paid'), message: 'HCS message ' + m.sequenceNumber + ' pays ' + m.payload.agent + ' but no such payment was recorded' });
+    }
+  }
+
+  return {
+    ok: mismatches.length === 0,
+    payments,
+    mismatches,
+    messages: own.map((m) => ({
+      sequenceNumber: m.sequenceNumber,
+      consensusTimestamp: m.consensusTimestamp,
+      transactionId: m.transactionId || null,
+      type: m.payload.type || null,
+      paymentId: matched.has(m.sequenceNumber) && matched.get(m.sequenceNumber) !== 'renewal' ? matched.get(m.sequenceNumber) : null,
+      link: ledger.explorerLink('transaction', m.transactionId),
+      payload: m.payload,
+    })),
+  };
+}
+
+// ─────────────────────────────────────────────
+// getRunAudit(runId)
+// Loads the run, pulls its topic's messages and cross-checks them.
+// Returns null if the run doesn't exist, otherwise
+//   { runId, topicId, ledger, status, currency, checkedAt, ok, messageCount,
+//     payments, mismatches, messages, reason? }
+// ─────────────────────────────────────────────
+async function getRunAudit(runId) {
+  const run = await runStore.getRun(runId);
+  if (!run) return null;
+
+  const ledger = getLedger(run.ledger);
+  const summary = {
+    runId: run.runId,
+    topicId: run.topicId || null,
+    ledger: ledger.name,
+    status: run.status,
+    currency: run.currency || null,
+    checkedAt: new Date().toISOString(),
+    link: ledger.explorerLink('topic', run.topicId),
+  };
+
+  if (!run.topicId) {
+    return { ...summary, ok: false, messageCount: 0, payments: [], mismatches: [], messages: [], reason: 'Run has no HCS topic yet.' };
+  }
+
+  // Only this run's stretch of the (shared) topic — it can't have messages from before it was created
+  const messages = await ledger.getAuditMessages(run.topicId, run.createdAt);
+  const audit = auditRun(run, messages, ledger);
+  return { ...summary, messageCount: audit.messages.length, ...audit };
+}
+
+module.exports = { getRunAudit, auditRun };
@@ -0,0 +1,218 @@
+// budgetService.js
+// All budget math in integer tinybars (1 HBAR = 100,000,000 tinybars).
+//
+// Float HBAR math (Math.round(x * 100) / 100) rounds small payments to
+// zero and makes refunds drift. Everything here is whole tinybars, so
+// allocations always add back up to the pool and spent + refunded
+// always equals the budget exactly.
+//
+// Runs budgeted in an HTS token use the same math on the token's smallest
+// unit — toUnits()/formatUnits() take the token's decimals (see currencyService.js).
+
+const TINYBARS_PER_HBAR = 100000000;
+const HBAR_DECIMALS     = 8;
+
+// ─────────────────────────────────────────────
+// toUnits(amount, decimals, symbol)
+// Converts a decimal amount (number or string) to integer smallest units.
+// Strings are parsed digit by digit so "0.1" HBAR is exactly 10,000,000.
+// Throws on negatives, more than `decimals` decimals, or amounts too big for a safe integer.
+// ─────────────────────────────────────────────
+function toUnits(amount, decimals, symbol) {
+  const label = symbol || 'HBAR';
+  const str = typeof amount === 'number' ? amount.toFixed(decimals) : String(amount).trim();
+  const match = str.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || (match[1] === '' && !match[2])) throw new Error('Invalid ' + label + ' amount: ' + amount);
+
+  const whole    = match[1] || '0';
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals) throw new Error(label + ' amount has more than ' + decimals + ' decimals: ' + amount);
+
+  const units = BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+  if (units > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error(label + ' amount too large: ' + amount);
+  return Number(units);
+}
+
+// ─────────────────────────────────────────────
+// hbarToTinybars(hbar)
+// toUnits() for HBAR: "0.1" → 10000000
+// ─────────────────────────────────────────────
+function hbarToTinybars(hbar) {
+  return toUnits(hbar, HBAR_DECIMALS, 'HBAR');
+}
+
+// ─────────────────────────────────────────────
+// tinybarsToHbar(tinybars)
+// Integer tinybars → HBAR number. For display and SSE events only —
+// never feed the result back into budget math.
+// ─────────────────────────────────────────────
+function tinybarsToHbar(tinybars) {
+  return tinybars / TINYBARS_PER_HBAR;
+}
+
+// ─────────────────────────────────────────────
+// formatUnits(units, decimals)
+// Exact decimal string, trailing zeros trimmed: formatUnits(1500000, 6) → "1.5"
+// ─────────────────────────────────────────────
+function formatUnits(units, decimals) {
+  const sign     = units < 0 ? '-' : '';
+  const abs      = Math.abs(units);
+  const perWhole = 10 ** decimals;
+  const whole    = Math.floor(abs / perWhole);
+  const fraction = String(abs % perWhole).padStart(decimals, '0').replace(/0+$/, '');
+  return sign + whole + (fraction && decimals ? '.' + fraction : '');
+}
+
+// ─────────────────────────────────────────────
+// formatHbar(tinybars)
+// Exact decimal string, trailing zeros trimmed: 9000000 → "0.09"
+// ─────────────────────────────────────────────
+function formatHbar(tinybars) {
+  return formatUnits(tinybars, HBAR_DECIMALS);
+}
+
+// ─────────────────────────────────────────────
+// percentOf(tinybars, percent)
+// Integer share of an amount, rounded down. percent may be fractional
+// (e.g. 12.5) — it's applied in basis points to stay in integer math.
+// ─────────────────────────────────────────────
+function percentOf(tinybars, percent) {
+  const basisPoints = BigInt(Math.round(percent * 100));
+  return Number(BigInt(tinybars) * basisPoints / 10000n);
+}
+
+// ─────────────────────────────────────────────
+// splitTinybars(total, weights)
+// Splits `total` into integer parts proportional to `weights`
+// (largest-remainder method). The parts ALWAYS sum to `total`.
+// e.g. splitTinybars(10, [1, 1, 1]) → [4, 3, 3]
+// ─────────────────────────────────────────────
+function splitTinybars(total, weights) {
+  const weightSum = weights.reduce((a, w) => a + w, 0);
+  if (!weights.length || weightSum <= 0) throw new Error('Cannot split a budget with no positive weights');
+
+  // Weights can be fractional percentages — scale to integers first
+  const scaled   = weights.map((w) => BigInt(Math.round((w / weightSum) * 1e9)));
+  const scaleSum = scaled.reduce((a, w) => a + w, 0n);
+  const bigTotal = BigInt(total);
+
+  const parts = scaled.map((w, i) => ({ i, floor: bigTotal * w / scaleSum, rem: bigTotal * w % scaleSum }));
+  let leftover = bigTotal - parts.reduce((a, p) => a + p.floor, 0n);
+
+  // Hand out the leftover tinybars one at a time, biggest remainder first
+  const order = [...parts].sort((a, b) => (b.rem > a.rem ? 1 : b.rem < a.rem ? -1 : a.i - b.i));
+  for (const p of order) {
+    if (leftover === 0n) break;
+    p.floor += 1n;
+    leftover -= 1n;
+  }
+
+  return parts.map((p) => Number(p.floor));
+}
+
+// ─────────────────────────────────────────────
+// createRunBudget(budgetTinybars, agentPercent, currency)
+// One run's money, with an itemized spend ledger.
+// currency = { symbol, decimals } the amounts are in (default HBAR / tinybars);
+//            every amount below is in its smallest unit.
+//   total      — everything the user funded
+//   agentPool  — the share agents may spend (agentPercent of total)
+//   allocate(weights)            → { key: tinybars } split of the agent pool
+//   charge(agent, tinybars, details) → ledger entry (throws if it won't fit)
+//   reverse(entry, reason)       → puts a charge back (e.g. the transfer failed)
+//   refund(entry, reason, tinybars) → a charge (or, with tinybars, part of one) that was sent
+//                                  straight back to the funder (e.g. a failed step's escrow)
+//                                  — neither spent nor remaining
+//   remaining() / spent() / refunded() → integer tinybars
+//   entries()                    → copy of the itemized ledger
+//   currency                     → what it's all denominated in
+//
+// charge() is synchronous on purpose: call it BEFORE awaiting the payment,
+// so parallel agents can never both spend the same tinybars.
+// ─────────────────────────────────────────────
+function createRunBudget(budgetTinybars, agentPercent, currency) {
+  const unit = currency || { symbol: 'HBAR', decimals: HBAR_DECIMALS };
+  const format = (units) => formatUnits(units, unit.decimals) + ' ' + unit.symbol;
+
+  if (!Number.isSafeInteger(budgetTinybars) || budgetTinybars <= 0) {
+    throw new Error('Budget must be a positive whole number of tinybars, got ' + budgetTinybars);
+  }
+
+  const total     = budgetTinybars;
+  const agentPool = percentOf(total, agentPercent);
+  const ledger    = [];
+  let spent       = 0;
+  let refunded    = 0;
+
+  function allocate(weights) {
+    const keys  = Object.keys(weights);
+    const parts = splitTinybars(agentPool, keys.map((k) => weights[k]));
+    const out   = {};
+    keys.forEach((k, i) => { out[k] = parts[i]; });
+    return out;
+  }
+
+  function charge(agent, tinybars, details) {
+    if (!Number.isSafeInteger(tinybars) || tinybars < 0) throw new Error('Invalid charge for ' + agent + ': ' + tinybars);
+    if (tinybars > total - spent - refunded) {
+      throw new Error('Budget exhausted: ' + agent + ' needs ' + format(tinybars) + ', ' + format(total - spent - refunded) + ' left');
+    }
+    spent += tinybars;
+    const entry = { ...details, id: ledger.length + 1, agent, tinybars, status: 'charged', at: new Date().toISOString() };
+    ledger.push(entry);
+    return entry;
+  }
+
+  function reverse(entry, reason) {
+    if (entry.status !== 'charged') return entry;
+    spent -= entry.tinybars;
+    entry.status = 'reversed';
+    entry.reason = reason;
+    return entry;
+  }
+
+  function refund(entry, reason, tinybars) {
+    if (entry.status !== 'charged') return entry;
+    const amount = tinybars === undefined ? entry.tinybars : tinybars;
+    if (!Number.isSafeInteger(amount) || amount < 0 || amount > entry.tinybars) throw new Error('Invalid refund for ' + entry.agent + ': ' + amount);
+    spent -= amount;
+    refunded += amount;
+    entry.reason = reason;
+    if (amount === entry.tinybars) {
+      entry.status = 'refunded';
+    } else {
+      // Partial refund: the entry keeps only what the agent is still owed
+      entry.tinybars -= amount;
+      entry.refundedTinybars = (entry.refundedTinybars || 0) + amount;
+    }
+    return entry;
+  }
+
+  return {
+    currency: unit,
+    total,
+    agentPool,
+    allocate,
+    charge,
+    reverse,
+    refund,
+    canAfford: (tinybars) => tinybars <= total - spent - refunded,
+    remaining: () => total - spent - refunded,
+    spent:     () => spent,
+    refunded:  () => refunded,
+    entries:   () => ledger.map((e) => ({ ...e })),
+  };
+}
+
+module.exports = {
+  TINYBARS_PER_HBAR,
+  HBAR_DECIMALS,
+  toUnits,
+  formatUnits,
+  hbarToTinybars,
+  tinybarsToHbar,
+  formatHbar,
+  percentOf,
+  splitTinybars,
+  createRunBudget,
+};
@@ -1,22 +1,23 @@
 // codebaseAgentService.js
 // 4-agent codebase intelligence orchestrator.
 // Uses Claude tool_use API for guaranteed structured JSON output per agent.
-// Plugs into existing hederaService.js — zero changes to blockchain layer.
+// Plugs into whichever ledger backend ledgerService.js selects — zero changes to blockchain layer.
 
 require('dotenv').config();
 
-const Anthropic = require('@anthropic-ai/sdk/index.js');
-const {
-  initClient,
-  createHCSTopic,
-  fundAgent,
-  paySubAgent,
-  refundRemainder,
-} = require('./hederaService');
-
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-
-const AGENT_BUDGET_RATIO = 0.30;
+const { getLedger } = require('./ledgerService');
+const { createRunBudget } = require('./budgetService');
+const { resolveCurrency, toSmallestUnits, formatAmount, amountFields } = require('./currencyService');
+const settlement = require('./settlementService');
+const { createAttestation } = require('./attestationService');
+const { assessOutcome, withTimeout } = require('./acceptanceService');
+const { decidePayment } = require('./paymentPolicyService');
+const { estimateTokens, chooseModel, MIN_OUTPUT_TOKENS } = require('./meteringService');
+const { createMessage, modelsFor } = require('./modelService');
+const { verifyWithRetry, withCritique } = require('./verifierService');
+const runStore = require('./runStore');
+
+const AGENT_BUDGET_PERCENT = 30;
 const AGENT_ALLOCATIONS  = {
   'Code Reader Agent': 30,
   'Simplifier Agent':  20,
@@ -48,21 +49,78 @@ function buildFilesSummary(files, maxFiles, maxCharsPerFile) {
     .join('\n\n');
 }
 
+// Every agent's call: its max_tokens, and which files it's shown (count, chars per file)
+const AGENT_MAX_TOKENS = 4096;
+const AGENT_FILE_SAMPLES = {
+  'Code Reader Agent': [20, 1500],
+  'Simplifier Agent':  [8, 500],
+  'Analogy Agent':     [0, 0],
+  'Insight Agent':     [12, 1000],
+};
+
+// Rough size of what's sent besides the files: system prompt + tool schema,
+// and the Code Reader's summary the phase-2 agents are given
+const PROMPT_OVERHEAD_TOKENS = 600;
+const CODE_READER_SUMMARY_TOKENS = 1000;
+
+// ─────────────────────────────────────────────
+// estimateAgentCalls(repoContent)
+// What each agent's call will roughly send and at most generate, without
+// calling Claude — for /api/quote.
+// Returns [{ agent, allocation, inputTokens, maxTokens }]
+// ─────────────────────────────────────────────
+function estimateAgentCalls(repoContent) {
+  return Object.keys(AGENT_ALLOCATIONS).map((agent) => {
+    const [maxFiles, maxChars] = AGENT_FILE_SAMPLES[agent];
+    const files = maxFiles ? buildFilesSummary(repoContent.files, maxFiles, maxChars) : '';
+    const summary = agent === 'Code Reader Agent' ? 0 : CODE_READER_SUMMARY_TOKENS;
+    return {
+      agent,
+      allocation: AGENT_ALLOCATIONS[agent],
+      inputTokens: estimateTokens(files) + summary + PROMPT_OVERHEAD_TOKENS,
+      maxTokens: AGENT_MAX_TOKENS,
+    };
+  });
+}
+
 // ─────────────────────────────────────────────
 // callWithToolUse — shared Claude tool_use helper
+// agentName picks the models (modelService.js modelsFor).
+// meta (optional) gets the call's model + token usage, for the HCS attestation,
+// plus its stop_reason and the tool's input schema — the outcome signals the
+// payment policy decides on (see acceptanceService.js assessOutcome)
+// call (optional) = how runAgents routes it:
+//   model / fallbackModels → where in the agent's model list to start (see
+//                            meteringService.js chooseModel), and what to fall back to
+//   maxTokens              → lowered when the agent's payment can't cover maxTokens
+//   onJson(partialJson)    → the tool input as it streams in — raw JSON
+//                            fragments that, joined, are the whole input
+//   onFallback({ from, to, error }) → a model was given up on
+//   critique               → a verifier's critique of the last try, appended to the prompt
+//   signal                 → AbortSignal that cancels the call (see acceptanceService.js withTimeout)
+// meta also gets the system / user prompt the call was sent, for the verifier.
 // ─────────────────────────────────────────────
-async function callWithToolUse(systemPrompt, userPrompt, toolName, toolDescription, inputSchema, maxTokens) {
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-6',
-    max_tokens: maxTokens || 4096,
+async function callWithToolUse(agentName, systemPrompt, userPrompt, toolName, toolDescription, inputSchema, maxTokens, meta, call = {}) {
+  const models = modelsFor(agentName);
+  const prompt = call.critique ? withCritique(userPrompt, call.critique) : userPrompt;
+  const response = await createMessage({
+    model: call.model || models[0],
+    max_tokens: call.maxTokens || maxTokens || 4096,
     system: systemPrompt,
     tools: [{ name: toolName, description: toolDescription, input_schema: inputSchema }],
     tool_choice: { type: 'tool', name: toolName },
-    messages: [{ role: 'user', content: userPrompt }],
+    messages: [{ role: 'user', content: prompt }],
+  }, {
+    onJson: call.onJson,
+    label: agentName,
+    fallbackModels: call.fallbackModels || models.slice(1),
+    onFallback: call.onFallback,
+    signal: call.signal,
   });
 
   const block = response.content.find((b) => b.type === 'tool_use');
   if (!block) throw new Error(toolName + ' returned no structured output (stop_reason: ' + response.stop_reason + ')');
+  if (meta) Object.assign(meta, { model: response.model, usage: response.usage, schema: inputSchema, stopReason: response.stop_reason, system: systemPrompt, prompt });
   return block.input;
 }
 
@@ -71,11 +129,11 @@ async function callWithToolUse(systemPrompt, userPrompt, toolName, toolDescripti
 // Input: compact file dump (~20 files, 1500 chars each ≈ 30KB)
 // Output: architecture map, tech stack, modules, dependencies
 // ─────────────────────────────────────────────
-async function runCodeReaderAgent(repoContent) {
+async function runCodeReaderAgent(repoContent, meta, call) {
   console.log('[Code Reader Agent] Starting...');
 
   // ← KEY FIX: only send 20 files, 1500 chars each — keeps input ~30KB
-  const filesDump = buildFilesSummary(repoContent.files, 20, 1500);
+  const filesDump = buildFilesSummary(repoContent.files, ...AGENT_FILE_SAMPLES['Code Reader Agent']);
 
   const userPrompt =
     'Analyze this codebase: ' + repoContent.repoName + '\n' +
@@ -83,6 +141,7 @@ async function runCodeReaderAgent(repoContent) {
     'FILES (top 20 by importance):\n' + filesDump;
 
   const result = await callWithToolUse(
+    'Code Reader Agent',
     'You are an expert software architect. Analyze the codebase and produce structured insights. ' +
     'For Mermaid diagrams use ONLY "graph TD" syntax with short alphanumeric node IDs (e.g. A, B, FE, API). ' +
     'No parentheses in node IDs. Labels go in square brackets. Keep to 10 nodes max. ' +
@@ -143,14 +202,19 @@ async function runCodeReaderAgent(repoContent) {
       },
       required: ['architectureMap', 'techStack', 'modules', 'dependencies'],
     },
-    4096  // ← increased from 2048
+    AGENT_MAX_TOKENS,  // ← increased from 2048
+    meta,
+    call
   );
 
-  // Defensive: ensure arrays exist even if Claude skips them
+  // Defensive: ensure arrays exist even if Claude skips them — and note which
+  // ones we filled in, so the payment policy can see the output wasn't complete
+  const defaultsFilled = ['techStack', 'modules', 'dependencies', 'architectureMap'].filter((key) => !result[key]);
   result.techStack    = result.techStack    || [];
   result.modules      = result.modules      || [];
   result.dependencies = result.dependencies || [];
   if (!result.architectureMap) result.architectureMap = { mermaid: 'graph TD\n  A[App]', description: 'No architecture data available.' };
+  if (meta) meta.defaultsFilled = defaultsFilled;
 
   console.log('[Code Reader Agent] Got ' + result.techStack.length + ' tech items, ' + result.modules.length + ' modules');
   return result;
@@ -161,7 +225,7 @@ async function runCodeReaderAgent(repoContent) {
 // Input: Code Reader output (compact, already processed)
 // Output: code flow story, glossary, onboarding doc
 // ─────────────────────────────────────────────
-async function runSimplifierAgent(repoContent, codeReaderResult) {
+async function runSimplifierAgent(repoContent, codeReaderResult, meta, call) {
   console.log('[Simplifier Agent] Starting...');
 
   // Defensive fallbacks — guard against partial Code Reader output
@@ -171,7 +235,7 @@ async function runSimplifierAgent(repoContent, codeReaderResult) {
 
   const moduleList  = modules.map((m)  => m.path + ': ' + m.purpose).join('\n') || 'No module data';
   const techList    = techStack.map((t) => t.name + ': ' + t.role).join('\n')    || 'No tech stack data';
-  const fileSamples = buildFilesSummary(repoContent.files, 8, 500);
+  const fileSamples = buildFilesSummary(repoContent.files, ...AGENT_FILE_SAMPLES['Simplifier Agent']);
 
   const userPrompt =
     'Project: ' + repoContent.repoName + '\n\n' +
@@ -181,6 +245,7 @@ async function runSimplifierAgent(repoContent, codeReaderResult) {
     'Key files:\n' + fileSamples;
 
   return callWithToolUse(
+    'Simplifier Agent',
     'You are a technical writer who makes complex code understandable to non-engineers. ' +
     'Use simple language, short sentences, and "when X → then Y" patterns for flows.',
     userPrompt,
@@ -212,7 +277,9 @@ async function runSimplifierAgent(repoContent, codeReaderResult) {
       },
       required: ['codeFlow', 'glossary', 'onboardingDoc'],
     },
-    4096
+    AGENT_MAX_TOKENS,
+    meta,
+    call
   );
 }
 
@@ -221,7 +288,7 @@ async function runSimplifierAgent(repoContent, codeReaderResult) {
 // Input: Code Reader output
 // Output: tech analogies, CEO deck (5 slides)
 // ─────────────────────────────────────────────
-async function runAnalogyAgent(repoContent, codeReaderResult) {
+async function runAnalogyAgent(repoContent, codeReaderResult, meta, call) {
   console.log('[Analogy Agent] Starting...');
 
   // Defensive fallbacks
@@ -239,6 +306,7 @@ async function runAnalogyAgent(repoContent, codeReaderResult) {
     'What modules do:\n' + moduleList;
 
   return callWithToolUse(
+    'Analogy Agent',
     'You are a CTO who explains technical products to executives using vivid, memorable analogies. ' +
     'CEO deck must be polished, jargon-free, and ready to present to a board.',
     userPrompt,
@@ -277,7 +345,9 @@ async function runAnalogyAgent(repoContent, codeReaderResult) {
       },
       required: ['techAnalogies', 'ceoSlides'],
     },
-    4096
+    AGENT_MAX_TOKENS,
+    meta,
+    call
   );
 }
 
@@ -286,14 +356,14 @@ async function runAnalogyAgent(repoContent, codeReaderResult) {
 // Input: raw files + Code Reader summary
 // Output: complexity score, red flags, scalability, tech debt
 // ─────────────────────────────────────────────
-async function runInsightAgent(repoContent, codeReaderResult) {
+async function runInsightAgent(repoContent, codeReaderResult, meta, call) {
   console.log('[Insight Agent] Starting...');
 
   // Defensive fallbacks
   const deps     = codeReaderResult.dependencies || [];
   const archDesc = (codeReaderResult.architectureMap || {}).description || '';
 
-  const fileSamples = buildFilesSummary(repoContent.files, 12, 1000);
+  const fileSamples = buildFilesSummary(repoContent.files, ...AGENT_FILE_SAMPLES['Insight Agent']);
   const depList     = deps.map((d) => d.name + ': ' + d.purpose).join('\n') || 'No dependency data';
 
   const userPrompt =
@@ -304,6 +374,7 @@ async function runInsightAgent(repoContent, codeReaderResult) {
     'Key files:\n' + fileSamples;
 
   return callWithToolUse(
+    'Insight Agent',
     'You are a senior engineering consultant reviewing codebases for CTOs and VCs. ' +
     'Be specific, honest, and base findings only on evidence in the shown code.',
     userPrompt,
@@ -366,7 +437,9 @@ async function runInsightAgent(repoContent, codeReaderResult) {
       },
       required: ['complexityScore', 'redFlags', 'scalability', 'techDebt', 'rebuildSuggestion'],
     },
-    4096
+    AGENT_MAX_TOKENS,
+    meta,
+    call
   );
 }
 
@@ -379,89 +452,78 @@ async function runInsightAgent(repoContent, codeReaderResult) {
 // Phase 2 (parallel):   Simplifier + Analogy + Insight run
 //   simultaneously via Promise.allSettled — 3x faster.
 // ─────────────────────────────────────────────
-// persistFn(results) → optional async fn that saves the report and returns a shareId
-async function runCodebaseAnalysis(repoContent, budgetInHbar, onEvent, persistFn) {
+// budgetAmount is in HBAR, or in options.currency if set.
+// persistFn(results, attestation) → optional async fn that saves the report and returns a shareId.
+//   attestation = { runId, topicId, ledger, attestations: { [key]: { agent, model, outputHash, hcsTxId } } }
+//   — save it with the report so GET /api/report/:shareId/verify can check it on-chain
+//   (with options.verify it also has verifications: { [key]: { passed, attempts } })
+// options.ledger               → ledger backend to use (defaults to getLedger(), see ledgerService.js)
+// options.currency             → 'HBAR' (default) or an HTS token ID to budget the run in
+// options.project              → HCS audit topic to share with the project's other runs
+//                                (default: one topic per funding account, see topicStore.js)
+// options.funding              → { payerAccountId, transactionId } if the user funded the run
+//                                from their own wallet (default: the .env user wallet pays)
+// options.refundTimeoutMinutes → when the scheduled auto-refund fires (default 10)
+// options.onExpiry             → 'renew' (default) or 'settle' as that time approaches
+// options.stepTimeoutSeconds   → how long one agent may run before it's failed (default 300)
+// options.verify               → grade each section before paying for it (see verifierService.js);
+//                                the grades are saved with the report as verifications
+async function runCodebaseAnalysis(repoContent, budgetAmount, onEvent, persistFn, options) {
   if (!onEvent) onEvent = function () {};
+  if (!options) options = {};
+  const ledger = options.ledger || getLedger();
 
   console.log('\n========================================');
   console.log('PAYSTREAM — CODEBASE INTELLIGENCE (PARALLEL)');
   console.log('Repo:   ' + repoContent.repoName);
   console.log('Files:  ' + repoContent.fileCount);
-  console.log('Budget: ' + budgetInHbar + ' HBAR');
+  console.log('Budget: ' + budgetAmount + ' ' + (options.currency || 'HBAR'));
+  console.log('Ledger: ' + ledger.name);
   console.log('========================================\n');
 
-  initClient();
-  await createHCSTopic();
-  const scheduleId = await fundAgent(budgetInHbar);
-  let remainingBudget = budgetInHbar;
-
-  const totalAgentBudget = Math.round(budgetInHbar * AGENT_BUDGET_RATIO * 100) / 100;
-  console.log('Agent pool: ' + totalAgentBudget + ' HBAR');
-
-  const pay = (name) => Math.round((AGENT_ALLOCATIONS[name] / 100) * totalAgentBudget * 100) / 100;
-  const results = {};
-
-  // ── PHASE 1: Code Reader (sequential — foundation for all others) ──────────
-
-  const crPayment = pay('Code Reader Agent');
-  onEvent({ type: 'agent_start', agent: 'Code Reader Agent', allocation: AGENT_ALLOCATIONS['Code Reader Agent'], payment: crPayment });
+  ledger.initClient();
+
+  // All money math is integer smallest units — tinybars, or the token's units
+  // (see budgetService.js / currencyService.js)
+  const currency = await resolveCurrency(ledger, options.currency);
+  const budget = createRunBudget(toSmallestUnits(currency, budgetAmount), AGENT_BUDGET_PERCENT, currency);
+
+  const run = await settlement.openRun(ledger, budget, {
+    kind: 'analyze',
+    label: repoContent.repoName,
+    project: options.project,
+    funding: options.funding,
+    payees: Object.keys(AGENT_ALLOCATIONS),
+    refundTimeoutMs: options.refundTimeoutMinutes ? options.refundTimeoutMinutes * 60 * 1000 : undefined,
+    onExpiry: options.onExpiry,
+    stepTimeoutMs: options.stepTimeoutSeconds ? options.stepTimeoutSeconds * 1000 : undefined,
+    onEvent,
+  });
+  onEvent(settlement.fundedEvent(ledger, run, budget));
 
+  let results;
+  const attestations = {};
+  const verifications = {};
   try {
-    results.codeReader = await runCodeReaderAgent(repoContent);
+    results = await runAgents(repoContent, { ledger, run, budget, onEvent, attestations, verify: options.verify, verifications });
   } catch (err) {
-    console.error('[Code Reader Agent] Error: ' + err.message);
-    onEvent({ type: 'agent_error', agent: 'Code Reader Agent', message: err.message });
-    // Provide fallback so phase 2 doesn't crash
-    results.codeReader = { techStack: [], modules: [], dependencies: [], architectureMap: { mermaid: 'graph TD\n  A[App]', description: 'Analysis unavailable.' } };
+    // Settle now rather than leaving the budget for the scheduled refund
+    const refundTxId = await settlement.failRun(ledger, run, budget, err);
+    if (refundTxId) onEvent(settlement.refundEvent(ledger, run, budget, budget.remaining(), refundTxId));
+    throw err;
   }
 
-  const crTxId = await paySubAgent('Code Reader Agent', crPayment, 'Codebase intelligence for ' + repoContent.repoName);
-  remainingBudget = Math.round((remainingBudget - crPayment) * 100) / 100;
-  onEvent({ type: 'agent_complete', agent: 'Code Reader Agent', key: 'codeReader', result: results.codeReader, txId: crTxId, payment: crPayment, remainingBudget });
-  console.log('[Code Reader Agent] done. Remaining: ' + remainingBudget + ' HBAR');
-
-  // ── PHASE 2: Simplifier + Analogy + Insight — all 3 in parallel ───────────
-
-  const phase2 = [
-    { name: 'Simplifier Agent', key: 'simplifier', fn: () => runSimplifierAgent(repoContent, results.codeReader) },
-    { name: 'Analogy Agent',    key: 'analogy',    fn: () => runAnalogyAgent(repoContent,    results.codeReader) },
-    { name: 'Insight Agent',    key: 'insight',    fn: () => runInsightAgent(repoContent,     results.codeReader) },
-  ];
-
-  // Emit all 3 "starting" events at the same time — they're all spinning up now
-  phase2.forEach((a) => {
-    onEvent({ type: 'agent_start', agent: a.name, allocation: AGENT_ALLOCATIONS[a.name], payment: pay(a.name) });
-  });
-
-  console.log('[Phase 2] Launching Simplifier, Analogy, Insight in parallel...');
-
-  // Run all 3 Claude calls simultaneously
-  const phase2Results = await Promise.allSettled(phase2.map((a) => a.fn()));
-
-  // Process results — pay each one and emit complete/error
-  await Promise.all(phase2.map(async (agentDef, i) => {
-    const settled  = phase2Results[i];
-    const payment  = pay(agentDef.name);
-    const jobDesc  = 'Codebase intelligence for ' + repoContent.repoName;
-
-    if (settled.status === 'fulfilled') {
-      results[agentDef.key] = settled.value;
-      const txId = await paySubAgent(agentDef.name, payment, jobDesc);
-      remainingBudget = Math.round((remainingBudget - payment) * 100) / 100;
-      onEvent({ type: 'agent_complete', agent: agentDef.name, key: agentDef.key, result: settled.value, txId, payment, remainingBudget });
-      console.log('[' + agentDef.name + '] done. Remaining: ' + remainingBudget + ' HBAR');
-    } else {
-      console.error('[' + agentDef.name + '] Error: ' + settled.reason.message);
-      onEvent({ type: 'agent_error', agent: agentDef.name, message: settled.reason.message });
-    }
-  }));
-
-  onEvent({ type: 'analysis_complete', data: results });
-
   // Persist report to MongoDB and notify frontend with a shareable ID
+  let shareId = null;
   if (typeof persistFn === 'function') {
     try {
-      const shareId = await persistFn(results);
+      shareId = await persistFn(results, {
+        runId: run.runId,
+        topicId: run.topicId,
+        ledger: ledger.name,
+        attestations,
+        ...(options.verify ? { verifications } : {}),
+      });
       if (shareId) {
         onEvent({ type: 'report_saved', shareId });
         console.log('[MongoDB] Report saved — shareId:', shareId);
@@ -471,15 +533,243 @@ async function runCodebaseAnalysis(repoContent, budgetInHbar, onEvent, persistFn
     }
   }
 
-  console.log('\nRefunding ' + remainingBudget + ' HBAR...');
-  const refundTxId = await refundRemainder(scheduleId, remainingBudget);
-  onEvent({ type: 'refund', amount: remainingBudget, txId: refundTxId });
+  // Keep what the run produced on its record too, for follow-up questions (askService.js)
+  await runStore.updateRun(run.runId, { outcome: { results, files: repoContent.files, shareId } })
+    .catch((err) => console.error('[Run ' + run.runId + '] Couldn\'t save its results: ' + err.message));
+
+  const refundTinybars = budget.remaining();
+  console.log('\nRefunding ' + formatAmount(currency, refundTinybars) + '...');
+  const refundTxId = await settlement.settleRun(ledger, run, budget);
+  onEvent(settlement.refundEvent(ledger, run, budget, refundTinybars, refundTxId));
 
   console.log('\n========================================');
-  console.log('COMPLETE — Spent: ' + (budgetInHbar - remainingBudget).toFixed(4) + ' | Refunded: ' + remainingBudget.toFixed(4));
+  console.log('COMPLETE — Spent: ' + formatAmount(currency, budget.spent()) + ' | Refunded: ' + formatAmount(currency, refundTinybars + budget.refunded()));
   console.log('========================================\n');
 
-  return { results, spent: budgetInHbar - remainingBudget, refunded: remainingBudget };
+  // HBAR runs keep spent/spentTinybars; token runs report spentToken/spentTokenUnits instead
+  return {
+    runId: run.runId,
+    results,
+    currency: currency.code,
+    ...amountFields(currency, 'spent', budget.spent()),
+    ...amountFields(currency, 'refunded', refundTinybars + budget.refunded()),
+    ledger: budget.entries(),
+  };
+}
+
+// ─────────────────────────────────────────────
+// runAgents(repoContent, { ledger, run, budget, onEvent, attestations, verify, verifications })
+// Phase 1 + Phase 2 of runCodebaseAnalysis. Each agent's payment is held in
+// escrow while it works; the payment policy then decides how much of it the
+// agent gets from how it did (see paymentPolicyService.js). An agent that
+// errors, times out or doesn't match its tool schema gets nothing; one that
+// was cut off or needed defaults filled in gets part. The unpaid part goes
+// straight back to the funder.
+// Each payment's HCS record carries a signed hash of that agent's section;
+// attestations[key] collects { agent, model, outputHash, hcsTxId } per section.
+// With verify, each section is graded before it's settled — and retried once
+// below the bar (see verifierService.js); verifications[key] collects the grades.
+// Returns the results object { codeReader, simplifier, analogy, insight } —
+// sections that were paid for (fully or partly) only
+// ─────────────────────────────────────────────
+async function runAgents(repoContent, { ledger, run, budget, onEvent, attestations, verify, verifications = {} }) {
+  console.log('Agent pool: ' + formatAmount(budget.currency, budget.agentPool));
+
+  // Exact split of the agent pool — the four payments always sum to the pool
+  const payments = budget.allocate(AGENT_ALLOCATIONS);
+  const jobDesc  = 'Codebase intelligence for ' + repoContent.repoName;
+  const results  = {};
+  const metas    = {};   // key → { model, usage, schema } of the Claude call that produced it
+  const escrows  = {};   // key → settlement ledger entry holding that agent's payment
+
+  // Each agent starts on the biggest of its models its payment covers, with
+  // max_tokens lowered on the smallest if even that doesn't (see
+  // meteringService.js chooseModel). Analysis is always allocation-priced, so
+  // an agent runs even when its payment can't cover MIN_OUTPUT_TOKENS.
+  const routes = {};
+  for (const c of estimateAgentCalls(repoContent)) {
+    const models = modelsFor(c.agent);
+    routes[c.agent] = { ...chooseModel(budget.currency, models, payments[c.agent], c.inputTokens, c.maxTokens), models };
+    if (!routes[c.agent].maxTokens) routes[c.agent].maxTokens = MIN_OUTPUT_TOKENS;
+  }
+
+  // Charge the budget and lock the agent's payment in escrow, tell the frontend.
+  // settlement.openEscrow() charges synchronously, so the parallel phase-2 agents can't race each other.
+  const startAgent = async (name, key) => {
+    const route = routes[name];
+    if (route.downshifted) {
+      console.log('[' + name + '] Downshifting ' + route.models[0] + ' / ' + AGENT_MAX_TOKENS + ' max_tokens → ' + route.model + ' / ' + route.maxTokens + ' to fit ' + formatAmount(budget.currency, payments[name]));
+      onEvent({
+        type: 'downshift',
+        agent: name,
+        key,
+        fromModel: route.models[0],
+        toModel: route.model,
+        fromMaxTokens: AGENT_MAX_TOKENS,
+        toMaxTokens: route.maxTokens,
+        ...amountFields(budget.currency, 'cap', payments[name]),
+      });
+    }
+    escrows[key] = await settlement.openEscrow(ledger, run, budget, name, payments[name], jobDesc);
+    onEvent({
+      type: 'agent_start',
+      agent: name,
+      model: route.model,
+      maxTokens: route.maxTokens,
+      allocation: AGENT_ALLOCATIONS[name],
+      ...amountFields(budget.currency, 'payment', payments[name]),
+      escrow: { state: escrows[key].escrow.state, scheduleId: escrows[key].escrow.scheduleId, expiresAt: escrows[key].escrow.expiresAt },
+    });
+  };
+
+  // Run one agent under the step timeout on its route, streaming its tool input
+  // to the frontend as agent_delta events while it runs. fn(call, meta) makes
+  // the call; metas[key] = its meta. Returns { output } or { error }
+  const runAgent = async (name, key, fn, critique) => {
+    let streaming = true;
+    const meta = (metas[key] = {});
+    const call = {
+      critique,
+      model: routes[name].model,
+      fallbackModels: routes[name].fallbackModels,
+      maxTokens: routes[name].maxTokens,
+      onJson: (partialJson) => {
+        if (streaming) onEvent({ type: 'agent_delta', agent: name, key, partialJson });
+      },
+      onFallback: (fallback) => onEvent({ type: 'model_fallback', agent: name, key, ...fallback }),
+    };
+    try {
+      return { output: await withTimeout((signal) => fn({ ...call, signal }, meta), run.stepTimeoutMs, name) };
+    } catch (err) {
+      console.error('[' + name + '] Error: ' + err.message);
+      return { error: err.message };
+    } finally {
+      streaming = false;
+    }
+  };
+
+  // runAgent, then with verification on, grade the output — below the bar the
+  // agent runs once more with the critique (its agent_delta events start over)
+  const runChecked = async (name, key, fn) => {
+    const ran = await runAgent(name, key, fn);
+    if (!verify || ran.error) return ran;
+
+    const checked = await verifyWithRetry(name, { output: ran.output, meta: metas[key] }, async (critique) => {
+      const again = await runAgent(name, key, fn, critique);
+      if (again.error) throw new Error(again.error);
+      return { output: again.output, meta: metas[key] };
+    }, (attempt, grade, retrying) => onEvent({ type: 'verification', agent: name, key, attempt, ...grade, retrying }));
+    metas[key] = checked.meta;
+    verifications[key] = checked.verification;
+    return { output: checked.output };
+  };
+
+  // The payment policy decides from how the agent did: full or partial pay releases
+  // the escrow (that much of it) and keeps the section; no pay refunds it all.
+  // Returns true if the section was kept
+  const settleAgent = async (name, key, { output, error }) => {
+    const entry = escrows[key];
+    const meta = metas[key] || {};
+    const assessment = assessOutcome(output, {
+      schema: meta.schema,
+      error: error || (meta.schema ? null : name + ' returned no structured output'),
+      stopReason: meta.stopReason,
+      defaultsFilled: meta.defaultsFilled,
+      verification: verifications[key],
+    });
+    const decision = decidePayment(name, assessment, payments[name]);
+    if (meta.model) decision.model = meta.model;
+    console.log('[' + name + '] Payment decision: ' + decision.reason);
+    onEvent(settlement.paymentDecisionEvent(ledger, run, budget, entry, decision));
+
+    if (decision.decision === 'none') {
+      const reasons = assessment.reasons.length ? assessment.reasons : [decision.reason];
+      await settlement.settleEscrow(ledger, run, budget, entry, decision);
+      onEvent({
+        type: 'agent_error',
+        agent: name,
+        key,
+        message: error || 'Output rejected: ' + reasons.join('; '),
+        reasons,
+        outcome: decision.outcome,
+        model: meta.model || null,
+        ...amountFields(budget.currency, 'refunded', payments[name]),
+        refundTxId: entry.escrow.refundTxId || null,
+        links: { refund: ledger.explorerLink('transaction', entry.escrow.refundTxId) },
+        ...amountFields(budget.currency, 'remaining', budget.remaining(), 'remainingBudget'),
+      });
+      return false;
+    }
+
+    results[key] = output;
+    const attestation = createAttestation({ agent: name, task: jobDesc, output, model: meta.model, usage: meta.usage });
+    const { transferTxId, hcsTxId } = await settlement.settleEscrow(ledger, run, budget, entry, decision, attestation);
+    if (attestations) attestations[key] = { agent: name, model: meta.model, outputHash: attestation.outputHash, hcsTxId };
+
+    onEvent({
+      type: 'agent_complete',
+      agent: name,
+      key,
+      result: output,
+      decision: decision.decision,
+      outcome: decision.outcome,
+      model: meta.model,
+      ...(verifications[key] ? { verified: verifications[key].passed } : {}),
+      txId: hcsTxId,
+      transferTxId,
+      hcsTxId,
+      escrowScheduleId: entry.escrow.scheduleId,
+      outputHash: attestation.outputHash,
+      links: { transfer: ledger.explorerLink('transaction', transferTxId), hcs: ledger.explorerLink('transaction', hcsTxId) },
+      ...amountFields(budget.currency, 'payment', entry.tinybars),
+      ...(entry.refundedTinybars ? amountFields(budget.currency, 'refunded', entry.refundedTinybars) : {}),
+      ...amountFields(budget.currency, 'remaining', budget.remaining(), 'remainingBudget'),
+    });
+    console.log('[' + name + '] done. Remaining: ' + formatAmount(budget.currency, budget.remaining()));
+    return true;
+  };
+
+  // ── PHASE 1: Code Reader (sequential — foundation for all others) ──────────
+
+  await startAgent('Code Reader Agent', 'codeReader');
+  const codeReader = await runChecked('Code Reader Agent', 'codeReader', (call, meta) => runCodeReaderAgent(repoContent, meta, call));
+  const codeReaderAccepted = await settleAgent('Code Reader Agent', 'codeReader', codeReader);
+
+  // Phase 2 still runs on a rejected Code Reader — with a fallback, and the Code Reader unpaid
+  const codeReaderResult = codeReaderAccepted
+    ? results.codeReader
+    : { techStack: [], modules: [], dependencies: [], architectureMap: { mermaid: 'graph TD\n  A[App]', description: 'Analysis unavailable.' } };
+
+  // Refund window closing with onExpiry=settle — wrap up with what we have
+  if (run.stopRequested) {
+    console.log('[Phase 2] Skipped — refund window closing');
+    onEvent({ type: 'analysis_complete', data: results });
+    return results;
+  }
+
+  // ── PHASE 2: Simplifier + Analogy + Insight — all 3 in parallel ───────────
+
+  const phase2 = [
+    { name: 'Simplifier Agent', key: 'simplifier', fn: (call, meta) => runSimplifierAgent(repoContent, codeReaderResult, meta, call) },
+    { name: 'Analogy Agent',    key: 'analogy',    fn: (call, meta) => runAnalogyAgent(repoContent,    codeReaderResult, meta, call) },
+    { name: 'Insight Agent',    key: 'insight',    fn: (call, meta) => runInsightAgent(repoContent,     codeReaderResult, meta, call) },
+  ];
+
+  console.log('[Phase 2] Launching Simplifier, Analogy, Insight in parallel...');
+
+  // Each agent escrows its payment, runs and has its escrow released or refunded
+  // on its own, all 3 at once. Every one finishes before a ledger error fails
+  // the run, so failRun never settles while an escrow is still being opened or released
+  const outcomes = await Promise.allSettled(phase2.map(async (a) => {
+    await startAgent(a.name, a.key);
+    return settleAgent(a.name, a.key, await runChecked(a.name, a.key, a.fn));
+  }));
+  const crashed = outcomes.find((o) => o.status === 'rejected');
+  if (crashed) throw crashed.reason;
+
+  onEvent({ type: 'analysis_complete', data: results });
+
+  return results;
 }
 
-module.exports = { runCodebaseAnalysis };
+module.exports = { runCodebaseAnalysis, estimateAgentCalls, AGENT_ALLOCATIONS, AGENT_BUDGET_PERCENT };
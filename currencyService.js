@@ -0,0 +1,94 @@
+// currencyService.js
+// What a run's budget is denominated in.
+//
+// Default is HBAR. Pass a Hedera Token Service fungible token ID
+// (e.g. a USD stablecoin, "0.0.429274") as `currency` on /api/run or
+// /api/analyze to fund, pay and refund the whole run in that token instead.
+// Transaction fees are still paid in HBAR by the operator account.
+//
+// A currency object looks like:
+//   { code: 'HBAR' | tokenId, symbol, decimals, tokenId }   (tokenId null for HBAR)
+// Budget math is always in the currency's smallest unit (tinybars for HBAR).
+
+require('dotenv').config();
+
+const { HBAR_DECIMALS, toUnits, formatUnits } = require('./budgetService');
+
+const HBAR = Object.freeze({ code: 'HBAR', symbol: 'HBAR', decimals: HBAR_DECIMALS, tokenId: null });
+
+const TOKEN_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+function isToken(currency) {
+  return Boolean(currency && currency.tokenId);
+}
+
+// ─────────────────────────────────────────────
+// isValidCurrencyCode(code)
+// 'HBAR' (any case) or a token ID — what /api/run and /api/analyze accept
+// ─────────────────────────────────────────────
+function isValidCurrencyCode(code) {
+  return String(code).toUpperCase() === 'HBAR' || TOKEN_ID_PATTERN.test(code);
+}
+
+// ─────────────────────────────────────────────
+// resolveCurrency(ledger, code)
+// 'HBAR' / empty → HBAR. A token ID → looked up on the ledger for its
+// symbol and decimals. Throws if it isn't a fungible token.
+// ─────────────────────────────────────────────
+async function resolveCurrency(ledger, code) {
+  if (!code || String(code).toUpperCase() === 'HBAR') return HBAR;
+  if (!TOKEN_ID_PATTERN.test(code)) throw new Error('Unknown currency "' + code + '". Use HBAR or an HTS token ID like 0.0.12345');
+
+  const info = await ledger.getTokenInfo(code);
+  return { code: info.tokenId, symbol: info.symbol, decimals: info.decimals, tokenId: info.tokenId };
+}
+
+// Decimal amount → integer smallest units of `currency`
+function toSmallestUnits(currency, amount) {
+  const c = currency || HBAR;
+  return toUnits(amount, c.decimals, c.symbol);
+}
+
+// Smallest units → display number. For SSE events only — never back into budget math.
+function toDisplayAmount(currency, units) {
+  return units / 10 ** (currency || HBAR).decimals;
+}
+
+// Smallest units → "0.09 HBAR" / "1.5 USDC"
+function formatAmount(currency, units) {
+  const c = currency || HBAR;
+  return formatUnits(units, c.decimals) + ' ' + c.symbol;
+}
+
+// ─────────────────────────────────────────────
+// amountFields(currency, name, units, hbarName)
+// The fields an SSE event or summary uses for one amount, kept apart by currency:
+//   HBAR  → { [hbarName || name]: 0.09, [name + 'Tinybars']: 9000000 }
+//   token → { [name + 'Token']: 1.5,   [name + 'TokenUnits']: 1500000 }
+// so an HBAR field never carries a token amount (and vice versa).
+// hbarName keeps older field names, e.g. 'remainingBudget' next to 'remainingTinybars'.
+// ─────────────────────────────────────────────
+function amountFields(currency, name, units, hbarName) {
+  if (isToken(currency)) {
+    return { [name + 'Token']: toDisplayAmount(currency, units), [name + 'TokenUnits']: units };
+  }
+  return { [hbarName || name]: toDisplayAmount(HBAR, units), [name + 'Tinybars']: units };
+}
+
+// What goes on the funded event / run summary so the frontend knows which fields to read
+function describeCurrency(currency) {
+  const c = currency || HBAR;
+  return { code: c.code, symbol: c.symbol, decimals: c.decimals, tokenId: c.tokenId };
+}
+
+module.exports = {
+  HBAR,
+  isToken,
+  isValidCurrencyCode,
+  resolveCurrency,
+  toSmallestUnits,
+  toDisplayAmount,
+  formatAmount,
+  amountFields,
+  describeCurrency,
+};
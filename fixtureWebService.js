@@ -0,0 +1,131 @@
+// fixtureWebService.js
+// Offline stand-in for liveWebService.js: a local HTTP server serves canned
+// search results and pages, and this backend talks to it instead of the web.
+// Select it with WEB_BACKEND=fixture and point WEB_FIXTURE_URL at the server
+// (default http://127.0.0.1:4010). See webService.js.
+//
+// Start a server from a test with startFixtureServer(fixtures), or on its own:
+//   node fixtureWebService.js [fixtures.json]      (port: WEB_FIXTURE_PORT, default 4010)
+//
+// Fixtures:
+//   {
+//     "search": [{ "match": "projects", "results": [{ "title", "url", "snippet" }] }],
+//                                       first entry whose match is in the query —
+//                                       none matching lists every page below
+//     "pages":  { "https://example.com/a": { "contentType": "text/html", "body": "..." } }
+//                                       a plain string body is served as text/html
+//   }
+// Without a fixtures file it serves DEFAULT_FIXTURES, which answer the default
+// task in index.js and test.js.
+
+require('dotenv').config();
+
+const http = require('http');
+const fs = require('fs');
+
+const DEFAULT_PORT = 4010;
+
+const DEFAULT_FIXTURES = {
+  search: [],
+  pages: {
+    'https://news.example.com/launches/ledger-lite': {
+      contentType: 'text/html',
+      body: '<html><head><title>LedgerLite launches</title></head><body><h1>LedgerLite 1.0 is out</h1>'
+        + '<p>LedgerLite, an open-source light client for Hedera, shipped 1.0 on Monday with scheduled transaction support.</p>'
+        + '<p>The team says it syncs in under 2 seconds on a phone.</p></body></html>',
+    },
+    'https://news.example.com/launches/agent-mesh': {
+      contentType: 'text/html',
+      body: '<html><head><title>AgentMesh announced</title></head><body><h1>AgentMesh: pay-per-call AI agents</h1>'
+        + '<p>AgentMesh was announced on Wednesday as a marketplace where AI agents are paid per call in HBAR.</p>'
+        + '<p>12 agents are live at launch.</p></body></html>',
+    },
+    'https://news.example.com/launches/token-scope': {
+      contentType: 'text/html',
+      body: '<html><head><title>TokenScope beta</title></head><body><h1>TokenScope opens its beta</h1>'
+        + '<p>TokenScope, an HTS token analytics dashboard, opened a public beta on Thursday.</p></body></html>',
+    },
+  },
+};
+
+function fixtureUrl() {
+  return (process.env.WEB_FIXTURE_URL || 'http://127.0.0.1:' + DEFAULT_PORT).replace(/\/$/, '');
+}
+
+// The first <title> of a page, for the default search results
+function pageTitle(body) {
+  const match = /<title>([^<]*)<\/title>/i.exec(body);
+  return match ? match[1] : '';
+}
+
+function searchResults(fixtures, query) {
+  const scripted = (fixtures.search || []).find((s) => query.toLowerCase().includes(s.match.toLowerCase()));
+  if (scripted) return scripted.results;
+  return Object.entries(fixtures.pages || {}).map(([url, page]) => {
+    const body = typeof page === 'string' ? page : page.body;
+    return { title: pageTitle(body) || url, url, snippet: body.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 160) };
+  });
+}
+
+// ─────────────────────────────────────────────
+// startFixtureServer(fixtures, port)
+// Serves fixtures (see the top of this file) on port (0 = any free port):
+//   GET /search?q=<query>&count=<n> → { results }
+//   GET /page?url=<url>             → the page, or 404
+// Resolves to { url, close() } — set WEB_FIXTURE_URL to url to use it
+// ─────────────────────────────────────────────
+function startFixtureServer(fixtures = DEFAULT_FIXTURES, port = 0) {
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/search') {
+      const count = Number(searchParams.get('count')) || undefined;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ results: searchResults(fixtures, searchParams.get('q') || '').slice(0, count) }));
+    }
+
+    const page = pathname === '/page' && (fixtures.pages || {})[searchParams.get('url')];
+    if (!page) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': typeof page === 'string' ? 'text/html' : (page.contentType || 'text/html') });
+    res.end(typeof page === 'string' ? page : page.body);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: 'http://127.0.0.1:' + server.address().port,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+// ─────────────────────────────────────────────
+// search(query, count, { signal }) / fetchRaw(url, { signal })
+// Same contract as webService.js, answered by the server at WEB_FIXTURE_URL
+// ─────────────────────────────────────────────
+async function search(query, count, { signal } = {}) {
+  const response = await fetch(fixtureUrl() + '/search?q=' + encodeURIComponent(query) + '&count=' + count, { signal });
+  if (!response.ok) throw new Error('Fixture search failed: ' + response.status);
+  return (await response.json()).results || [];
+}
+
+async function fetchRaw(url, { signal } = {}) {
+  const response = await fetch(fixtureUrl() + '/page?url=' + encodeURIComponent(url), { signal });
+  return { url, status: response.status, contentType: response.headers.get('content-type') || '', body: await response.text() };
+}
+
+module.exports = { name: 'fixture', search, fetchRaw, startFixtureServer, DEFAULT_FIXTURES };
+
+// node fixtureWebService.js [fixtures.json] — serve until stopped
+if (require.main === module) {
+  const file = process.argv[2];
+  const fixtures = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_FIXTURES;
+  startFixtureServer(fixtures, Number(process.env.WEB_FIXTURE_PORT) || DEFAULT_PORT).then(({ url }) => {
+    console.log('Web fixture server running on ' + url + ' — set WEB_BACKEND=fixture WEB_FIXTURE_URL=' + url);
+  });
+}
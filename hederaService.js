@@ -5,7 +5,6 @@
 require('dotenv').config();
 
 const {
-  Client,
   AccountId,
   PrivateKey,
   AccountBalanceQuery,
@@ -17,33 +16,141 @@ const {
   ScheduleCreateTransaction,
   ScheduleDeleteTransaction,
   ScheduleId,
+  ScheduleInfoQuery,
+  ScheduleSignTransaction,
+  TransactionReceiptQuery,
   Timestamp,
+  TokenId,
+  TokenInfoQuery,
+  TokenType,
 } = require('@hashgraph/sdk');
+const { getNetworkConfig, createClient, explorerUrl } = require('./networkService');
+const { mirrorGet, getTopicMessages } = require('./mirrorNodeService');
+const { isToken, formatAmount } = require('./currencyService');
+const { attestationBytes } = require('./attestationService');
+const agentRegistry = require('./agentRegistry');
 
 // This holds our connected client so we don't reconnect every time
 let client;
 
-// This holds the HCS topic ID once createHCSTopic() is called
-let hcsTopicId;
+// Audit messages over 1024 bytes are split into chunks (see submitAuditMessage);
+// 20 chunks = 20 KB is more than any payment record needs, even with an attestation
+const HCS_MAX_CHUNKS = 20;
+
+// Auto-refund fires this long after funding unless the caller picks a time
+const DEFAULT_REFUND_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How long to keep asking the mirror node for a user's funding transaction
+// (it usually shows up a few seconds after consensus)
+const FUNDING_LOOKUP_ATTEMPTS = 5;
+const FUNDING_LOOKUP_DELAY_MS = 2000;
+
+// How long after a schedule's expiry the mirror node may still not show that
+// it executed — until then an unexecuted schedule isn't reported 'expired'
+const MIRROR_LAG_MS = 60 * 1000;
+
+// Hedera's fixed USD base fees per transaction type (docs.hedera.com → Fees),
+// for estimating what a run costs in network fees before it's funded.
+// The network charges them in HBAR at its current exchange rate.
+const BASE_FEES_USD = {
+  transfer:       0.0001,
+  tokenTransfer:  0.001,
+  scheduleCreate: 0.01,
+  scheduleSign:   0.001,
+  scheduleDelete: 0.001,
+  topicCreate:    0.01,
+  topicMessage:   0.0001,
+};
+
+// Every sub-agent gets paid into its own Hedera account.
+// Maps agent name → the .env variable holding that agent's account ID.
+// Registered task agents can name their account in agentRegistry.js instead.
+const SUB_AGENT_ACCOUNT_ENV = {
+  'Research Agent':    'RESEARCH_AGENT_ACCOUNT_ID',
+  'Analysis Agent':    'ANALYSIS_AGENT_ACCOUNT_ID',
+  'Writer Agent':      'WRITER_AGENT_ACCOUNT_ID',
+  'Code Reader Agent': 'CODE_READER_AGENT_ACCOUNT_ID',
+  'Simplifier Agent':  'SIMPLIFIER_AGENT_ACCOUNT_ID',
+  'Analogy Agent':     'ANALOGY_AGENT_ACCOUNT_ID',
+  'Insight Agent':     'INSIGHT_AGENT_ACCOUNT_ID',
+  'Answer Agent':      'ANSWER_AGENT_ACCOUNT_ID',
+};
 
 // ─────────────────────────────────────────────
 // initClient()
-// Connects to the Hedera testnet using credentials from .env
-// Must be called once before anything else
+// Connects to the Hedera network picked by HEDERA_NETWORK (see networkService.js)
+// using credentials from .env. Must be called once before anything else
 // ─────────────────────────────────────────────
 function initClient() {
   const userAccountId = AccountId.fromString(process.env.HEDERA_ACCOUNT_ID);
   const userPrivateKey = PrivateKey.fromStringECDSA(process.env.HEDERA_PRIVATE_KEY);
 
-  client = Client.forTestnet();
+  client = createClient();
   client.setOperator(userAccountId, userPrivateKey);
 
-  console.log('Hedera client initialized.');
+  console.log('Hedera client initialized on ' + getNetworkConfig().name + '.');
   console.log('Operator: ' + userAccountId.toString());
 
   return client;
 }
 
+// ─────────────────────────────────────────────
+// getAgentAccountId()
+// The agent wallet users fund runs into. Returns a string like "0.0.7974282"
+// ─────────────────────────────────────────────
+function getAgentAccountId() {
+  return process.env.AGENT_ACCOUNT_ID;
+}
+
+// Where refunds go when a run wasn't funded by its own payer: the .env user wallet
+function refundAccount(refundAccountId) {
+  return AccountId.fromString(refundAccountId || process.env.HEDERA_ACCOUNT_ID);
+}
+
+// Adds one leg of a transfer in the run's currency — HBAR, or the run's HTS token.
+// currency = a currencyService.js currency object (omitted = HBAR)
+function addTransfer(tx, currency, accountId, amount) {
+  if (isToken(currency)) return tx.addTokenTransfer(TokenId.fromString(currency.tokenId), accountId, amount);
+  return tx.addHbarTransfer(accountId, Hbar.fromTinybars(amount));
+}
+
+// ─────────────────────────────────────────────
+// getTokenInfo(tokenId)
+// Looks up an HTS token so runs can be budgeted in it.
+// Returns { tokenId, symbol, decimals } — throws unless it's a fungible token
+// ─────────────────────────────────────────────
+async function getTokenInfo(tokenId) {
+  const info = await new TokenInfoQuery()
+    .setTokenId(TokenId.fromString(tokenId))
+    .execute(client);
+
+  if (info.tokenType && info.tokenType.toString() !== TokenType.FungibleCommon.toString()) {
+    throw new Error('Token ' + tokenId + ' is not a fungible token');
+  }
+  return { tokenId: info.tokenId.toString(), symbol: info.symbol, decimals: Number(info.decimals) };
+}
+
+// ─────────────────────────────────────────────
+// checkTokenAssociations(tokenId, accountIds)
+// An account can only receive an HTS token once it's associated with it.
+// Asks the mirror node about each account (null = the .env user wallet).
+// Returns the account IDs that are NOT associated — empty means all good
+// ─────────────────────────────────────────────
+async function checkTokenAssociations(tokenId, accountIds) {
+  const mirrorRestUrl = getNetworkConfig().mirrorRestUrl;
+  const missing = [];
+
+  for (const id of accountIds) {
+    const accountId = refundAccount(id).toString();
+    const res = await fetch(mirrorRestUrl + '/api/v1/accounts/' + accountId + '/tokens?token.id=' + tokenId);
+    if (!res.ok) throw new Error('Mirror node lookup failed for ' + accountId + ' token associations: HTTP ' + res.status);
+
+    const data = await res.json();
+    if (!(data.tokens || []).some((t) => t.token_id === tokenId)) missing.push(accountId);
+  }
+  return missing;
+}
+
 // ─────────────────────────────────────────────
 // getBalance(accountId)
 // Returns the HBAR balance of any account
@@ -59,141 +166,420 @@ async function getBalance(accountId) {
 }
 
 // ─────────────────────────────────────────────
-// createHCSTopic()
+// createHCSTopic(memo)
 // Creates a new Hedera Consensus Service topic.
 // Think of a topic like a public channel — every step the agent
 // takes gets posted here as a permanent, tamper-proof message.
+// Topics are long-lived — one per user or project, reused by every run
+// (see topicStore.js). Only our operator key can post to it (submit key)
+// or change it (admin key), so nobody else can write into the audit trail.
 // Returns the Topic ID (e.g. "0.0.1234567")
 // ─────────────────────────────────────────────
-async function createHCSTopic() {
+async function createHCSTopic(memo) {
   const tx = await new TopicCreateTransaction()
-    .setTopicMemo('PayStream Agent Audit Trail')
+    .setTopicMemo(memo || 'PayStream Agent Audit Trail')
+    .setAdminKey(client.operatorPublicKey)
+    .setSubmitKey(client.operatorPublicKey)
     .execute(client);
 
   const receipt = await tx.getReceipt(client);
   const topicId = receipt.topicId.toString();
 
-  // Save it to the module variable so paySubAgent can use it
-  hcsTopicId = topicId;
-
   console.log('HCS Topic created: ' + topicId);
-  console.log('View on HashScan: https://hashscan.io/testnet/topic/' + topicId);
+  console.log('View on explorer: ' + explorerUrl('topic', topicId));
 
   return topicId;
 }
 
 // ─────────────────────────────────────────────
-// paySubAgent(agentName, amountInHbar, stepDescription)
-// Logs a sub-agent payment permanently to HCS.
+// submitAuditMessage(topicId, runId, payload)
+// Posts a JSON message to an HCS topic — the permanent audit trail.
+// Topics are shared between runs, so every message is tagged with its runId;
+// payload also gets a timestamp added.
+// Anything over the 1024-byte message limit is split into chunks by the SDK
+// (up to HCS_MAX_CHUNKS) — mirrorNodeService.js stitches them back together.
+// Returns the HCS transaction ID (the first chunk's, for a chunked message).
+// ─────────────────────────────────────────────
+async function submitAuditMessage(topicId, runId, payload) {
+  if (!topicId) throw new Error('submitAuditMessage needs a topicId');
+  if (!runId) throw new Error('submitAuditMessage needs a runId — topics are shared between runs');
+
+  const message = JSON.stringify({ runId, ...payload, timestamp: new Date().toISOString() });
+
+  const responses = await new TopicMessageSubmitTransaction()
+    .setTopicId(TopicId.fromString(topicId))
+    .setMessage(message)
+    .setMaxChunks(HCS_MAX_CHUNKS)
+    .executeAll(client);
+
+  // Wait for every chunk — a message is only readable once all of them reach consensus
+  for (const response of responses) await response.getReceipt(client);
+  return responses[0].transactionId.toString();
+}
+
+// ─────────────────────────────────────────────
+// getAuditMessages(topicId, since)
+// Reads a topic's audit trail back from the mirror node, oldest first
+// (chunked messages reassembled — see mirrorNodeService.js).
+// since (optional Date / ISO string) skips messages from before then — a shared
+// topic's history can be long, and a run only cares about its own stretch of it.
+// Returns [{ sequenceNumber, consensusTimestamp, transactionId, payerAccountId, payload }]
+// ─────────────────────────────────────────────
+async function getAuditMessages(topicId, since) {
+  return getTopicMessages(topicId, since);
+}
+
+// ─────────────────────────────────────────────
+// signAttestation(attestation)
+// Signs an agent's content-hash attestation with the agent key, so the
+// HCS record proves the agent wallet vouched for exactly that output.
+// Returns the attestation with { signature, publicKey } (hex) added
+// ─────────────────────────────────────────────
+function signAttestation(attestation) {
+  const agentPrivateKey = PrivateKey.fromStringED25519(process.env.AGENT_PRIVATE_KEY);
+  const signature = agentPrivateKey.sign(attestationBytes(attestation));
+
+  return {
+    ...attestation,
+    signature: Buffer.from(signature).toString('hex'),
+    publicKey: agentPrivateKey.publicKey.toStringRaw(),
+  };
+}
+
+// ─────────────────────────────────────────────
+// verifyAttestation(attestation)
+// True if the attestation was signed by our agent key and hasn't been
+// altered since. A signature from any other key doesn't count.
+// ─────────────────────────────────────────────
+async function verifyAttestation(attestation) {
+  if (!attestation || !attestation.signature) return false;
+
+  const agentPublicKey = PrivateKey.fromStringED25519(process.env.AGENT_PRIVATE_KEY).publicKey;
+  if (attestation.publicKey && attestation.publicKey !== agentPublicKey.toStringRaw()) return false;
+
+  return agentPublicKey.verify(attestationBytes(attestation), Buffer.from(attestation.signature, 'hex'));
+}
+
+// 'Fact Checker' → 'FACT_CHECKER_ACCOUNT_ID', same shape as the names above
+function accountEnvName(agentName) {
+  return agentName.toUpperCase().replace(/[^A-Z0-9]+/g, '_') + '_ACCOUNT_ID';
+}
+
+// ─────────────────────────────────────────────
+// getSubAgentAccountId(agentName)
+// Looks up the Hedera account a sub-agent gets paid into: the registered
+// agent's payoutAccountId (see agentRegistry.js), else its variable in .env.
+// Throws if the account isn't configured — we never want to pay
+// an agent's share into the void.
+// ─────────────────────────────────────────────
+function getSubAgentAccountId(agentName) {
+  const registered = agentRegistry.getAgent(agentName);
+  if (registered && registered.payoutAccountId) return AccountId.fromString(registered.payoutAccountId);
+
+  const envName = SUB_AGENT_ACCOUNT_ENV[agentName] || (registered ? accountEnvName(agentName) : null);
+  if (!envName) throw new Error('Unknown sub-agent: ' + agentName);
+  if (!process.env[envName]) throw new Error('No Hedera account configured for ' + agentName + '. Set ' + envName + ' in .env');
+  return AccountId.fromString(process.env[envName]);
+}
+
+// ─────────────────────────────────────────────
+// paySubAgent(agentName, amountTinybars, stepDescription, currency, audit)
+// Pays a sub-agent for its work, then logs the payment permanently to HCS.
+//   1. Real transfer (HBAR, or the run's HTS token): agent wallet → sub-agent's own account
+//   2. HCS message referencing that transfer's transaction ID, carrying the
+//      signed content-hash attestation of what the agent produced
 // This is the on-chain proof that the agent did its work and got paid.
-// agentName = "Research Agent", "Analysis Agent", or "Writer Agent"
-// amountInHbar = 0.05
+// agentName = a registered task agent ("Research Agent", …) or a codebase agent
+// amountTinybars = integer smallest units, e.g. 5000000 tinybars (= 0.05 HBAR)
 // stepDescription = what this agent was asked to do
+// currency = the run's currency (omitted = HBAR)
+// audit = { topicId, runId, attestation, policy } — the run's HCS topic and ID (the message
+//   is tagged with it); attestation is the unsigned one from attestationService.js (optional);
+//   policy is the payment decision behind the amount (optional, see paymentPolicyService.js)
+// Returns { transferTxId, hcsTxId, attestation } — transferTxId is null for a zero payment
 // ─────────────────────────────────────────────
-async function paySubAgent(agentName, amountInHbar, stepDescription) {
-  // Build the message that will be permanently stored on Hedera
-  const message = JSON.stringify({
+async function paySubAgent(agentName, amountTinybars, stepDescription, currency, audit) {
+  const agentAccountId = AccountId.fromString(process.env.AGENT_ACCOUNT_ID);
+  const agentPrivateKey = PrivateKey.fromStringED25519(process.env.AGENT_PRIVATE_KEY);
+  const subAgentAccountId = getSubAgentAccountId(agentName);
+
+  // Step 1: Move the payment from agent wallet → sub-agent account
+  // The agent signs this since money is leaving the agent account.
+  // A zero payment (tiny budget split) has nothing to move — only the HCS record is written.
+  let transferTxId = null;
+  let transferStatus = 'SKIPPED (0 tinybars)';
+  if (amountTinybars > 0) {
+    const transferTx = new TransferTransaction();
+    addTransfer(transferTx, currency, agentAccountId, -amountTinybars);
+    addTransfer(transferTx, currency, subAgentAccountId, amountTinybars);
+    transferTx.freezeWith(client);
+    await transferTx.sign(agentPrivateKey);
+
+    const transferResponse = await transferTx.execute(client);
+    const transferReceipt = await transferResponse.getReceipt(client);
+    transferTxId = transferResponse.transactionId.toString();
+    transferStatus = transferReceipt.status.toString();
+  }
+
+  // Step 2: Log the payment permanently to HCS, referencing the transfer
+  const { hcsTxId, attestation: signedAttestation } = await logPayment(agentName, amountTinybars, stepDescription, currency, audit, transferTxId);
+
+  console.log('---');
+  console.log('Agent:    ' + agentName + ' (' + subAgentAccountId.toString() + ')');
+  console.log('Paid:     ' + formatAmount(currency, amountTinybars));
+  console.log('Task:     ' + stepDescription);
+  console.log('Transfer: ' + transferStatus);
+  if (transferTxId) console.log('Explorer: ' + explorerUrl('transaction', transferTxId));
+  if (signedAttestation) console.log('Output:   ' + signedAttestation.hashAlgorithm + ' ' + signedAttestation.outputHash);
+  console.log('HCS log:  ' + explorerUrl('transaction', hcsTxId));
+
+  return { transferTxId, hcsTxId, attestation: signedAttestation };
+}
+
+// The HCS 'payment' message for a sub-agent payment — shared by paySubAgent()
+// and releaseEscrow(). extra = more fields for the message (e.g. escrowScheduleId).
+// Returns { hcsTxId, attestation } (attestation signed, or null)
+async function logPayment(agentName, amountTinybars, stepDescription, currency, audit, transferTxId, extra) {
+  const { topicId, runId, attestation, policy } = audit;
+  const signedAttestation = attestation ? signAttestation(attestation) : null;
+
+  const hcsTxId = await submitAuditMessage(topicId, runId, {
+    type: 'payment',
     agent: agentName,
-    paid: amountInHbar + ' HBAR',
+    account: getSubAgentAccountId(agentName).toString(),
+    paid: formatAmount(currency, amountTinybars),
+    ...(isToken(currency) ? { paidTokenId: currency.tokenId, paidUnits: amountTinybars } : { paidTinybars: amountTinybars }),
+    transferTxId,
     task: stepDescription,
-    timestamp: new Date().toISOString(),
+    ...extra,
+    ...(policy ? { policy } : {}),
+    ...(signedAttestation ? { attestation: signedAttestation } : {}),
   });
 
-  // Submit the message to HCS — this is the on-chain payment record
-  const submitTx = await new TopicMessageSubmitTransaction()
-    .setTopicId(TopicId.fromString(hcsTopicId))
-    .setMessage(message)
+  return { hcsTxId, attestation: signedAttestation };
+}
+
+// ─────────────────────────────────────────────
+// createEscrow(agentName, amountTinybars, expiresAt, currency)
+// Milestone escrow for one step: a scheduled agent wallet → sub-agent
+// transfer that is deliberately NOT signed by the agent key yet.
+// The network holds it until either:
+//   - releaseEscrow() adds the agent's signature → it executes at once, or
+//   - cancelSchedule() deletes it (step failed), or
+//   - expiresAt passes unsigned (step timed out) → it expires, nothing moves.
+// The operator's key is the admin key, so we can always delete it.
+// Returns the scheduleId
+// ─────────────────────────────────────────────
+async function createEscrow(agentName, amountTinybars, expiresAt, currency) {
+  const userPrivateKey = PrivateKey.fromStringECDSA(process.env.HEDERA_PRIVATE_KEY);
+  const agentAccountId = AccountId.fromString(process.env.AGENT_ACCOUNT_ID);
+  const subAgentAccountId = getSubAgentAccountId(agentName);
+
+  const scheduledTransfer = new TransferTransaction();
+  addTransfer(scheduledTransfer, currency, agentAccountId, -amountTinybars);
+  addTransfer(scheduledTransfer, currency, subAgentAccountId, amountTinybars);
+
+  // setWaitForExpiry(false) = execute the moment the last signature (the agent's) arrives
+  const scheduleResponse = await new ScheduleCreateTransaction()
+    .setScheduledTransaction(scheduledTransfer)
+    .setScheduleMemo('PayStream escrow: ' + agentName + ' ' + Date.now())
+    .setAdminKey(userPrivateKey.publicKey)
+    .setExpirationTime(Timestamp.fromDate(expiresAt))
+    .setWaitForExpiry(false)
     .execute(client);
 
-  const receipt = await submitTx.getReceipt(client);
-  const txId = submitTx.transactionId.toString();
+  const scheduleReceipt = await scheduleResponse.getReceipt(client);
+  const scheduleId = scheduleReceipt.scheduleId.toString();
+
+  console.log('Escrow for ' + agentName + ': ' + formatAmount(currency, amountTinybars) + ' held in schedule ' + scheduleId + ' (until ' + expiresAt.toISOString() + ')');
+  console.log('Explorer: ' + explorerUrl('schedule', scheduleId));
+
+  return scheduleId;
+}
+
+// ─────────────────────────────────────────────
+// releaseEscrow(scheduleId, agentName, amountTinybars, stepDescription, currency, audit)
+// The step was accepted: the agent signs the escrow schedule, which
+// executes the transfer to the sub-agent, then the payment is logged
+// to HCS exactly like paySubAgent() does (plus the escrow's scheduleId).
+// Returns { transferTxId, hcsTxId, attestation } — transferTxId is the scheduled transfer's ID
+// ─────────────────────────────────────────────
+async function releaseEscrow(scheduleId, agentName, amountTinybars, stepDescription, currency, audit) {
+  const agentPrivateKey = PrivateKey.fromStringED25519(process.env.AGENT_PRIVATE_KEY);
+
+  const signTx = await new ScheduleSignTransaction()
+    .setScheduleId(ScheduleId.fromString(scheduleId))
+    .freezeWith(client)
+    .sign(agentPrivateKey);
+
+  const signResponse = await signTx.execute(client);
+  const signReceipt = await signResponse.getReceipt(client);
+
+  // The schedule executing doesn't mean the transfer succeeded — check the transfer itself
+  const transferReceipt = await new TransactionReceiptQuery()
+    .setTransactionId(signReceipt.scheduledTransactionId)
+    .execute(client);
+  const transferTxId = signReceipt.scheduledTransactionId.toString();
+
+  const { hcsTxId, attestation } = await logPayment(agentName, amountTinybars, stepDescription, currency, audit, transferTxId, { escrowScheduleId: scheduleId });
 
   console.log('---');
-  console.log('Agent:   ' + agentName);
-  console.log('Paid:    ' + amountInHbar + ' HBAR');
-  console.log('Task:    ' + stepDescription);
-  console.log('Status:  ' + receipt.status.toString());
-  console.log('HashScan: https://hashscan.io/testnet/transaction/' + txId);
+  console.log('Agent:    ' + agentName + ' — escrow ' + scheduleId + ' released');
+  console.log('Paid:     ' + formatAmount(currency, amountTinybars));
+  console.log('Transfer: ' + transferReceipt.status.toString());
+  console.log('Explorer: ' + explorerUrl('transaction', transferTxId));
+  console.log('HCS log:  ' + explorerUrl('transaction', hcsTxId));
 
-  return txId;
+  return { transferTxId, hcsTxId, attestation };
 }
 
 // ─────────────────────────────────────────────
-// fundAgent(budgetInHbar)
+// verifyFunding(transactionId, payerAccountId, budgetTinybars, currency)
+// Checks a funding transfer the user signed and submitted themselves:
+//   - it reached consensus with SUCCESS
+//   - payerAccountId paid for it and was debited at least the budget
+//   - the agent wallet was credited exactly the budget
+//     (in HBAR, or in the run's HTS token if currency is one)
+// Looked up on the mirror node, retrying while it catches up.
+// transactionId = SDK format "0.0.123@1700000000.000000000"
+// Returns { transactionId, payerAccountId, tinybars, consensusAt } — throws if anything doesn't match
+// ─────────────────────────────────────────────
+async function verifyFunding(transactionId, payerAccountId, budgetTinybars, currency) {
+  const match = String(transactionId).match(/^(\d+\.\d+\.\d+)@(\d+)\.(\d+)$/);
+  if (!match) throw new Error('Invalid funding transaction ID: ' + transactionId);
+  if (match[1] !== payerAccountId) throw new Error('Funding transaction ' + transactionId + ' was not paid for by ' + payerAccountId);
+
+  // Mirror node IDs look like 0.0.123-1700000000-000000000
+  const mirrorId = match[1] + '-' + match[2] + '-' + match[3];
+  const url = getNetworkConfig().mirrorRestUrl + '/api/v1/transactions/' + mirrorId;
+
+  let tx;
+  for (let attempt = 1; attempt <= FUNDING_LOOKUP_ATTEMPTS && !tx; attempt++) {
+    const res = await fetch(url);
+    if (res.ok) {
+      const data = await res.json();
+      tx = (data.transactions || []).find((t) => t.name === 'CRYPTOTRANSFER');
+    } else if (res.status !== 404) {
+      throw new Error('Mirror node lookup failed for ' + transactionId + ': HTTP ' + res.status);
+    }
+    if (!tx && attempt < FUNDING_LOOKUP_ATTEMPTS) await new Promise((r) => setTimeout(r, FUNDING_LOOKUP_DELAY_MS));
+  }
+  if (!tx) throw new Error('Funding transaction ' + transactionId + ' not found on the mirror node');
+  if (tx.result !== 'SUCCESS') throw new Error('Funding transaction ' + transactionId + ' failed: ' + tx.result);
+
+  const legs = isToken(currency)
+    ? (tx.token_transfers || []).filter((t) => t.token_id === currency.tokenId)
+    : (tx.transfers || []);
+  const netTransfer = (accountId) => legs
+    .filter((t) => t.account === accountId)
+    .reduce((sum, t) => sum + Number(t.amount), 0);
+
+  const credited = netTransfer(getAgentAccountId());
+  if (credited !== budgetTinybars) {
+    throw new Error('Funding transaction ' + transactionId + ' credited the agent ' + formatAmount(currency, credited) + ', expected ' + formatAmount(currency, budgetTinybars));
+  }
+  if (-netTransfer(payerAccountId) < budgetTinybars) {
+    throw new Error('Funding transaction ' + transactionId + ' did not debit ' + payerAccountId + ' for the budget');
+  }
+
+  const consensusAt = new Date(Number(tx.consensus_timestamp) * 1000).toISOString();
+  console.log('Funding verified: ' + formatAmount(currency, budgetTinybars) + ' from ' + payerAccountId + ' (' + transactionId + ')');
+  console.log('Explorer: ' + explorerUrl('transaction', transactionId));
+
+  return { transactionId, payerAccountId, tinybars: credited, consensusAt };
+}
+
+// ─────────────────────────────────────────────
+// fundAgent(budgetTinybars, expiresAt, funding, currency)
 // Does two things:
-//   1. Sends the user's budget to the agent wallet (real HBAR transfer)
+//   1. Gets the budget (HBAR, or the run's HTS token) into the agent wallet:
+//      - no funding → sends it from the .env user wallet (real HBAR transfer)
+//      - funding = { payerAccountId, transactionId } → the user already sent it
+//        from their own wallet, and openRun() in settlementService.js has
+//        already verified it with verifyFunding() — nothing moves here
 //   2. Creates a ScheduleCreateTransaction — a self-executing refund
-//      that the Hedera network will auto-run in 10 minutes if we don't
+//      that the Hedera network will auto-run at expiresAt if we don't
 //      cancel it first. No server needed. This is the On-Chain Automation bounty.
+//      The refund goes back to whoever funded the run.
+// budgetTinybars = integer smallest units — the exact amount moved and scheduled back
+// expiresAt      = Date the auto-refund fires (defaults to 10 minutes from now)
+// currency       = the run's currency (omitted = HBAR)
 // Returns the scheduleId so we can cancel it early in refundRemainder()
 // ─────────────────────────────────────────────
-async function fundAgent(budgetInHbar) {
+async function fundAgent(budgetTinybars, expiresAt, funding, currency) {
+  const refundAt = expiresAt || new Date(Date.now() + DEFAULT_REFUND_TIMEOUT_MS);
+
+  if (funding) return createRefundSchedule(budgetTinybars, refundAt, funding.payerAccountId, currency);
+
   const userAccountId = AccountId.fromString(process.env.HEDERA_ACCOUNT_ID);
-  const userPrivateKey = PrivateKey.fromStringECDSA(process.env.HEDERA_PRIVATE_KEY);
   const agentAccountId = AccountId.fromString(process.env.AGENT_ACCOUNT_ID);
-  const agentPrivateKey = PrivateKey.fromStringED25519(process.env.AGENT_PRIVATE_KEY);
 
   // Step 1: Transfer the budget from user wallet → agent wallet
-  console.log('Transferring ' + budgetInHbar + ' HBAR from User -> Agent...');
+  console.log('Transferring ' + formatAmount(currency, budgetTinybars) + ' from User -> Agent...');
 
-  const fundTx = await new TransferTransaction()
-    .addHbarTransfer(userAccountId, new Hbar(-budgetInHbar))
-    .addHbarTransfer(agentAccountId, new Hbar(budgetInHbar))
-    .execute(client);
+  const fundTransfer = new TransferTransaction();
+  addTransfer(fundTransfer, currency, userAccountId, -budgetTinybars);
+  addTransfer(fundTransfer, currency, agentAccountId, budgetTinybars);
+  const fundTx = await fundTransfer.execute(client);
 
   const fundReceipt = await fundTx.getReceipt(client);
   console.log('Fund transfer status: ' + fundReceipt.status.toString());
-  console.log('HashScan: https://hashscan.io/testnet/transaction/' + fundTx.transactionId.toString());
+  console.log('Explorer: ' + explorerUrl('transaction', fundTx.transactionId.toString()));
 
-  // Step 2: Create a scheduled auto-refund
-  // This is a TransferTransaction (agent -> user) wrapped inside a ScheduleCreateTransaction.
-  // The Hedera network holds it and will auto-execute it after 10 minutes.
-  // If the agent finishes early, we cancel this and do the refund immediately instead.
-  console.log('\nCreating scheduled auto-refund (10 min timer on Hedera)...');
+  // Step 2: Create a scheduled auto-refund for the whole budget
+  return createRefundSchedule(budgetTinybars, refundAt, null, currency);
+}
 
-  const scheduledTransfer = new TransferTransaction()
-    .addHbarTransfer(agentAccountId, new Hbar(-budgetInHbar))
-    .addHbarTransfer(userAccountId, new Hbar(budgetInHbar));
+// ─────────────────────────────────────────────
+// createRefundSchedule(tinybars, expiresAt, refundAccountId, currency)
+// A TransferTransaction (agent -> funder) wrapped inside a ScheduleCreateTransaction.
+// The Hedera network holds it and will auto-execute it at expiresAt.
+// If the agent finishes early, we cancel this and do the refund immediately instead.
+// Also used on its own to renew the timer for a long run (see settlementService.js).
+// refundAccountId = who gets the money back (defaults to the .env user wallet)
+// currency        = the run's currency (omitted = HBAR) — token refunds are token transfers
+// Returns the scheduleId
+// ─────────────────────────────────────────────
+async function createRefundSchedule(tinybars, expiresAt, refundAccountId, currency) {
+  const userPrivateKey = PrivateKey.fromStringECDSA(process.env.HEDERA_PRIVATE_KEY);
+  const agentAccountId = AccountId.fromString(process.env.AGENT_ACCOUNT_ID);
+  const agentPrivateKey = PrivateKey.fromStringED25519(process.env.AGENT_PRIVATE_KEY);
 
-  // setWaitForExpiry(true) = don't execute immediately even if all signatures are present.
-  // Wait until the expiry time. This is what makes it a real "10 min on-chain timer".
-  const expiryTime = Timestamp.fromDate(new Date(Date.now() + 10 * 60 * 1000));
+  console.log('\nCreating scheduled auto-refund (fires ' + expiresAt.toISOString() + ' on Hedera)...');
 
+  const scheduledTransfer = new TransferTransaction();
+  addTransfer(scheduledTransfer, currency, agentAccountId, -tinybars);
+  addTransfer(scheduledTransfer, currency, refundAccount(refundAccountId), tinybars);
+
+  // setWaitForExpiry(true) = don't execute immediately even if all signatures are present.
+  // Wait until the expiry time. This is what makes it a real on-chain timer.
   const scheduleCreateTx = await new ScheduleCreateTransaction()
     .setScheduledTransaction(scheduledTransfer)
     .setScheduleMemo('PayStream auto-refund ' + Date.now())
-    .setAdminKey(userPrivateKey.publicKey)  // lets us cancel it early
-    .setExpirationTime(expiryTime)          // auto-executes in 10 minutes
-    .setWaitForExpiry(true)                 // hold it — don't fire early
+    .setAdminKey(userPrivateKey.publicKey)          // lets us (the operator) cancel it early
+    .setExpirationTime(Timestamp.fromDate(expiresAt)) // auto-executes at expiresAt
+    .setWaitForExpiry(true)                         // hold it — don't fire early
     .freezeWith(client)
-    .sign(agentPrivateKey);                 // agent signs since money leaves agent wallet
+    .sign(agentPrivateKey);                         // agent signs since money leaves agent wallet
 
   const scheduleResponse = await scheduleCreateTx.execute(client);
   const scheduleReceipt = await scheduleResponse.getReceipt(client);
   const scheduleId = scheduleReceipt.scheduleId.toString();
 
   console.log('Scheduled auto-refund created: ' + scheduleId);
-  console.log('HashScan: https://hashscan.io/testnet/schedule/' + scheduleId);
+  console.log('Explorer: ' + explorerUrl('schedule', scheduleId));
 
   return scheduleId;
 }
 
 // ─────────────────────────────────────────────
-// refundRemainder(scheduleId, remainingHbar)
-// Called when the agent finishes its task early.
-// Does two things:
-//   1. Cancels the scheduled auto-refund timer (so it doesn't fire again later)
-//   2. Immediately sends the remaining HBAR back to the user wallet
-// remainingHbar = budget minus what was spent (e.g. 1 - 0.15 = 0.85)
+// cancelSchedule(scheduleId)
+// Deletes the scheduled auto-refund so it can't fire later.
+// We set adminKey to the user's key in fundAgent(), so the user (operator) can delete it
+// Returns the receipt status string
 // ─────────────────────────────────────────────
-async function refundRemainder(scheduleId, remainingHbar) {
-  const userAccountId = AccountId.fromString(process.env.HEDERA_ACCOUNT_ID);
-  const agentAccountId = AccountId.fromString(process.env.AGENT_ACCOUNT_ID);
-  const agentPrivateKey = PrivateKey.fromStringED25519(process.env.AGENT_PRIVATE_KEY);
-
-  // Step 1: Cancel the scheduled auto-refund timer
-  // We set adminKey to the user's key in fundAgent(), so the user (operator) can delete it
-  console.log('Cancelling scheduled auto-refund: ' + scheduleId);
+async function cancelSchedule(scheduleId) {
+  console.log('Cancelling schedule: ' + scheduleId);
 
   const deleteTx = await new ScheduleDeleteTransaction()
     .setScheduleId(ScheduleId.fromString(scheduleId))
@@ -202,23 +588,145 @@ async function refundRemainder(scheduleId, remainingHbar) {
   const deleteReceipt = await deleteTx.getReceipt(client);
   console.log('Schedule cancelled: ' + deleteReceipt.status.toString());
 
-  // Step 2: Immediately refund the remaining HBAR from agent wallet → user wallet
-  // The agent signs this since money is leaving the agent account
-  console.log('Refunding ' + remainingHbar + ' HBAR to user...');
+  return deleteReceipt.status.toString();
+}
 
-  const refundTx = await new TransferTransaction()
-    .addHbarTransfer(agentAccountId, new Hbar(-remainingHbar))
-    .addHbarTransfer(userAccountId, new Hbar(remainingHbar))
-    .freezeWith(client)
-    .sign(agentPrivateKey);
+// ─────────────────────────────────────────────
+// sendRefund(remainingTinybars, refundAccountId, currency)
+// Immediately sends HBAR (or the run's HTS token) from agent wallet → the
+// account that funded the run (defaults to the .env user wallet).
+// The agent signs this since money is leaving the agent account
+// Returns the refund transaction ID
+// ─────────────────────────────────────────────
+async function sendRefund(remainingTinybars, refundAccountId, currency) {
+  const toAccountId = refundAccount(refundAccountId);
+  const agentAccountId = AccountId.fromString(process.env.AGENT_ACCOUNT_ID);
+  const agentPrivateKey = PrivateKey.fromStringED25519(process.env.AGENT_PRIVATE_KEY);
+
+  console.log('Refunding ' + formatAmount(currency, remainingTinybars) + ' to ' + toAccountId.toString() + '...');
+
+  const refundTx = new TransferTransaction();
+  addTransfer(refundTx, currency, agentAccountId, -remainingTinybars);
+  addTransfer(refundTx, currency, toAccountId, remainingTinybars);
+  refundTx.freezeWith(client);
+  await refundTx.sign(agentPrivateKey);
 
   const refundResponse = await refundTx.execute(client);
   const refundReceipt = await refundResponse.getReceipt(client);
 
   console.log('Refund status: ' + refundReceipt.status.toString());
-  console.log('HashScan: https://hashscan.io/testnet/transaction/' + refundResponse.transactionId.toString());
+  console.log('Explorer: ' + explorerUrl('transaction', refundResponse.transactionId.toString()));
 
   return refundResponse.transactionId.toString();
 }
 
-module.exports = { initClient, getBalance, createHCSTopic, paySubAgent, fundAgent, refundRemainder };
+// ─────────────────────────────────────────────
+// refundRemainder(scheduleId, remainingTinybars, refundAccountId, currency)
+// Called when the agent finishes its task early.
+// Does two things:
+//   1. Cancels the scheduled auto-refund timer (so it doesn't fire again later)
+//   2. Immediately sends the remaining HBAR back to whoever funded the run
+// remainingTinybars = budget minus what was spent, in integer tinybars
+//   (e.g. 100000000 - 15000000 = 85000000, i.e. 0.85 HBAR)
+// settlementService.js calls the two halves separately so it can persist
+// progress in between — this wrapper is for one-shot callers.
+// ─────────────────────────────────────────────
+async function refundRemainder(scheduleId, remainingTinybars, refundAccountId, currency) {
+  await cancelSchedule(scheduleId);
+  return sendRefund(remainingTinybars, refundAccountId, currency);
+}
+
+// ─────────────────────────────────────────────
+// getScheduleStatus(scheduleId)
+// What happened to a scheduled auto-refund?
+// Returns { status, executedAt }
+//   status = 'pending' | 'executed' | 'deleted' | 'expired' | 'unknown'
+// The network forgets schedules shortly after expiry, so if ScheduleInfoQuery
+// can't find it we ask the mirror node, which keeps the history. 'expired'
+// always means it can no longer fire — callers refund directly on it.
+// ─────────────────────────────────────────────
+async function getScheduleStatus(scheduleId) {
+  try {
+    const info = await new ScheduleInfoQuery()
+      .setScheduleId(ScheduleId.fromString(scheduleId))
+      .execute(client);
+
+    if (info.executed) return { status: 'executed', executedAt: info.executed.toDate().toISOString() };
+    if (info.deleted)  return { status: 'deleted', executedAt: null };
+    return { status: 'pending', executedAt: null, expiresAt: info.expirationTime ? info.expirationTime.toDate().toISOString() : null };
+  } catch (err) {
+    console.log('ScheduleInfoQuery failed for ' + scheduleId + ' (' + err.message + '), asking mirror node...');
+  }
+
+  const res = await fetch(getNetworkConfig().mirrorRestUrl + '/api/v1/schedules/' + scheduleId);
+  if (!res.ok) return { status: 'unknown', executedAt: null };
+
+  const data = await res.json();
+  if (data.executed_timestamp) {
+    return { status: 'executed', executedAt: new Date(Number(data.executed_timestamp) * 1000).toISOString() };
+  }
+  if (data.deleted) return { status: 'deleted', executedAt: null };
+
+  // Neither executed nor deleted: still pending until its expiration_time —
+  // and for MIRROR_LAG_MS after, since the mirror node can take that long to
+  // show the execution. Only then has it expired without moving anything.
+  const expiresAt = new Date(Number(data.expiration_time) * 1000);
+  if (!data.expiration_time || isNaN(expiresAt)) return { status: 'unknown', executedAt: null };
+  if (Date.now() < expiresAt.getTime() + MIRROR_LAG_MS) {
+    return { status: 'pending', executedAt: null, expiresAt: expiresAt.toISOString() };
+  }
+  return { status: 'expired', executedAt: null, expiresAt: expiresAt.toISOString() };
+}
+
+// ─────────────────────────────────────────────
+// estimateFees(transactions)
+// What a set of transactions will roughly cost in network fees, in tinybars,
+// at the network's current HBAR/USD exchange rate (read from the mirror node).
+// transactions = { transfer: 2, scheduleCreate: 4, ... } — see BASE_FEES_USD
+// Returns { tinybars, usdPerHbar, byType: { <type>: { count, tinybars } } }
+// ─────────────────────────────────────────────
+async function estimateFees(transactions) {
+  const rate = (await mirrorGet('/api/v1/network/exchangerate')).current_rate;
+  const usdPerHbar = rate.cent_equivalent / rate.hbar_equivalent / 100;
+
+  const byType = {};
+  let tinybars = 0;
+  for (const [type, count] of Object.entries(transactions)) {
+    if (BASE_FEES_USD[type] === undefined) throw new Error('No fee estimate for transaction type: ' + type);
+    const each = Math.ceil((BASE_FEES_USD[type] / usdPerHbar) * 100000000);
+    byType[type] = { count, tinybars: each * count };
+    tinybars += each * count;
+  }
+  return { tinybars, usdPerHbar, byType };
+}
+
+// explorerLink(kind, id) — part of the ledger interface so orchestrators
+// can put links in SSE events without knowing which network/backend is live
+const explorerLink = explorerUrl;
+
+module.exports = {
+  name: 'hedera',
+  initClient,
+  getBalance,
+  getAgentAccountId,
+  getTokenInfo,
+  checkTokenAssociations,
+  createHCSTopic,
+  getSubAgentAccountId,
+  paySubAgent,
+  createEscrow,
+  releaseEscrow,
+  verifyFunding,
+  fundAgent,
+  createRefundSchedule,
+  submitAuditMessage,
+  getAuditMessages,
+  signAttestation,
+  verifyAttestation,
+  refundRemainder,
+  cancelSchedule,
+  sendRefund,
+  getScheduleStatus,
+  estimateFees,
+  explorerLink,
+};
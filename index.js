@@ -4,6 +4,7 @@
 // Run with: node index.js
 
 const { runMainAgent } = require('./agentService');
+const { getLedger }    = require('./ledgerService');
 
 // ─────────────────────────────────────────────
 // Configure your task and budget here
@@ -32,8 +33,11 @@ async function main() {
   console.log('========================================');
   console.log('Total spent:    ' + result.spent + ' HBAR');
   console.log('Total refunded: ' + result.refunded + ' HBAR');
-  console.log('\nAll transactions visible on HashScan:');
-  console.log('https://hashscan.io/testnet/account/' + process.env.AGENT_ACCOUNT_ID);
+  const agentAccountLink = getLedger().explorerLink('account', process.env.AGENT_ACCOUNT_ID);
+  if (agentAccountLink) {
+    console.log('\nAll transactions visible on the explorer:');
+    console.log(agentAccountLink);
+  }
   console.log('\nPayStream complete.');
 }
 
@@ -0,0 +1,84 @@
+// ledgerService.js
+// Picks which ledger backend the orchestrators talk to.
+//
+// A "ledger" is any module that exposes the same functions as hederaService.js:
+//   initClient()                                        → connect / reset session state
+//   getBalance(accountId)                               → HBAR balance of an account
+//   getAgentAccountId()                                 → the agent wallet users fund runs into
+//   getTokenInfo(tokenId)                               → { tokenId, symbol, decimals } of an HTS token
+//   checkTokenAssociations(tokenId, accountIds)         → the accountIds NOT associated with the token
+//   createHCSTopic(memo)                                → topicId of a new audit trail topic (long-lived,
+//                                                           one per user or project — see topicStore.js)
+//   verifyFunding(txId, payerAccountId, budgetTinybars, currency) → { transactionId, payerAccountId, tinybars, consensusAt }
+//   fundAgent(budgetTinybars, expiresAt, funding, currency) → scheduleId of the auto-refund
+//     (funding = { payerAccountId, transactionId } for a run the user paid for
+//      from their own wallet, already checked with verifyFunding — only the
+//      refund schedule is made; omit it to pay from the .env user wallet)
+//   createRefundSchedule(tinybars, expiresAt, refundAccountId, currency) → scheduleId (used to renew the timer)
+//   submitAuditMessage(topicId, runId, payload)         → HCS transaction ID (message tagged with runId,
+//                                                           chunked if it's over the 1024-byte limit)
+//   paySubAgent(agentName, amountTinybars, description, currency, audit) → { transferTxId, hcsTxId, attestation }
+//     (audit = { topicId, runId, attestation, policy } — the payment message goes on topicId tagged with
+//      runId, and carries the attestationService.js createAttestation() signed and the
+//      paymentPolicyService.js decision that set the amount)
+//   createEscrow(agentName, amountTinybars, expiresAt, currency) → scheduleId of a step's escrow
+//     (agent wallet → sub-agent, held until the agent signs; expires unsigned at expiresAt)
+//   releaseEscrow(scheduleId, agentName, amountTinybars, description, currency, audit)
+//                                                       → { transferTxId, hcsTxId, attestation }, like paySubAgent
+//   signAttestation(attestation)                        → attestation + { signature, publicKey } (agent key)
+//   verifyAttestation(attestation)                      → true if signed by this ledger's agent key
+//   getAuditMessages(topicId, since)                    → [{ sequenceNumber, consensusTimestamp, transactionId,
+//                                                           payerAccountId, payload }] oldest first
+//   refundRemainder(scheduleId, remainingTinybars, refundAccountId, currency) → refund transaction ID
+//     (= cancelSchedule(scheduleId) then sendRefund(remainingTinybars, refundAccountId, currency))
+//   cancelSchedule(scheduleId)                          → receipt status
+//   sendRefund(remainingTinybars, refundAccountId, currency) → refund transaction ID
+//
+// refundAccountId is always the account that funded the run; omitted means
+// the .env user wallet. currency is the run's currencyService.js currency;
+// omitted means HBAR, otherwise every transfer moves that HTS token.
+//   getScheduleStatus(scheduleId)                       → { status, executedAt }
+//   estimateFees(transactions)                          → { tinybars, usdPerHbar, byType } network fees for
+//                                                           e.g. { transfer: 2, scheduleCreate: 4 } (for quotes)
+//   explorerLink(kind, id)                              → explorer URL, or null if there isn't one
+//
+// Backends:
+//   'hedera' (default) — real Hedera network, see hederaService.js
+//   'mock'             — in-memory simulation, see mockLedgerService.js
+//
+// All amounts are integer tinybars (see budgetService.js), or the token's
+// smallest unit for a run budgeted in an HTS token.
+//
+// Select with LEDGER_BACKEND in .env, or pass options.ledger to an orchestrator.
+
+require('dotenv').config();
+
+const LEDGER_FUNCTIONS = [
+  'initClient', 'getBalance', 'getAgentAccountId', 'getTokenInfo', 'checkTokenAssociations', 'createHCSTopic', 'verifyFunding', 'fundAgent', 'createRefundSchedule',
+  'submitAuditMessage', 'paySubAgent', 'createEscrow', 'releaseEscrow', 'signAttestation', 'verifyAttestation', 'getAuditMessages', 'refundRemainder', 'cancelSchedule', 'sendRefund',
+  'getScheduleStatus', 'estimateFees', 'explorerLink',
+];
+
+const BACKENDS = {
+  hedera: () => require('./hederaService'),
+  mock:   () => require('./mockLedgerService'),
+};
+
+// ─────────────────────────────────────────────
+// getLedger(name)
+// Returns the ledger module for `name` (defaults to LEDGER_BACKEND, then 'hedera').
+// Backends are required lazily so the mock never loads the Hedera SDK config.
+// ─────────────────────────────────────────────
+function getLedger(name) {
+  const backend = (name || process.env.LEDGER_BACKEND || 'hedera').toLowerCase();
+  const load = BACKENDS[backend];
+  if (!load) throw new Error('Unknown LEDGER_BACKEND "' + backend + '". Expected one of: ' + Object.keys(BACKENDS).join(', '));
+
+  const ledger = load();
+  const missing = LEDGER_FUNCTIONS.filter((fn) => typeof ledger[fn] !== 'function');
+  if (missing.length) throw new Error('Ledger "' + backend + '" is missing: ' + missing.join(', '));
+
+  return ledger;
+}
+
+module.exports = { getLedger, LEDGER_FUNCTIONS };
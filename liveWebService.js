@@ -0,0 +1,116 @@
+// liveWebService.js
+// The real web backend: search through the Brave Search API, pages fetched
+// straight from the web. Select it with WEB_BACKEND=live (the default, see webService.js).
+//
+// Needs BRAVE_SEARCH_API_KEY in .env for search — fetching works without it.
+//
+// The URLs come from a model, so every fetch (and every redirect it follows)
+// is checked to resolve to a public address first — an agent can't be talked
+// into reading the server's own network.
+
+require('dotenv').config();
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const SEARCH_URL = 'https://api.search.brave.com/res/v1/web/search';
+
+// Redirects followed before a fetch gives up
+const MAX_REDIRECTS = 3;
+
+// Most bytes of a page read off the network
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+const USER_AGENT = 'PayStream-Agent/1.0';
+
+// Loopback, private, link-local, CGNAT, multicast, reserved and unspecified
+// ranges, IPv4 and IPv6
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+]) PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+
+// IPv6 ranges that carry an IPv4 address — mapped (::ffff:7f00:1 is
+// 127.0.0.1), NAT64 and IPv4-compatible (which takes in :: and ::1) — are
+// refused whole. Kept apart from PRIVATE_RANGES because a BlockList matches
+// every plain IPv4 address against these too.
+const EMBEDDED_IPV4_RANGES = new net.BlockList();
+for (const [network, prefix] of [['::ffff:0:0', 96], ['64:ff9b::', 96], ['::', 96]]) {
+  EMBEDDED_IPV4_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) return PRIVATE_RANGES.check(address, 'ipv4');
+  if (!net.isIPv6(address)) return true;
+  return PRIVATE_RANGES.check(address, 'ipv6') || EMBEDDED_IPV4_RANGES.check(address, 'ipv6');
+}
+
+async function assertPublicHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (!addresses.length || addresses.some((a) => isPrivateAddress(a.address))) {
+    throw new Error('Refusing to fetch ' + host + ' — it isn\'t a public address');
+  }
+}
+
+// The body, cut off at MAX_PAGE_BYTES
+async function readBody(response) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+  while (bytes < MAX_PAGE_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    bytes += value.length;
+  }
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, MAX_PAGE_BYTES).toString('utf8');
+}
+
+// ─────────────────────────────────────────────
+// search(query, count, { signal })
+// Same contract as webService.js search
+// ─────────────────────────────────────────────
+async function search(query, count, { signal } = {}) {
+  const apiKey = process.env.BRAVE_SEARCH_API_KEY;
+  if (!apiKey) throw new Error('BRAVE_SEARCH_API_KEY is not set in .env');
+
+  const response = await fetch(SEARCH_URL + '?q=' + encodeURIComponent(query) + '&count=' + count, {
+    headers: { Accept: 'application/json', 'X-Subscription-Token': apiKey },
+    signal,
+  });
+  if (!response.ok) throw new Error('Search failed: ' + response.status + ' ' + response.statusText);
+
+  const data = await response.json();
+  return ((data.web && data.web.results) || []).map((r) => ({ title: r.title, url: r.url, snippet: r.description }));
+}
+
+// ─────────────────────────────────────────────
+// fetchRaw(url, { signal })
+// Same contract as webService.js — redirects are followed by hand so each
+// hop gets the public-address check
+// ─────────────────────────────────────────────
+async function fetchRaw(url, { signal } = {}) {
+  let current = url;
+  for (let hops = 0; hops <= MAX_REDIRECTS; hops++) {
+    await assertPublicHost(current);
+    const response = await fetch(current, { redirect: 'manual', headers: { 'User-Agent': USER_AGENT }, signal });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      current = new URL(location, current).href;
+      if (!/^https?:$/.test(new URL(current).protocol)) throw new Error('Redirected to a non-http URL');
+      continue;
+    }
+    return { url: current, status: response.status, contentType: response.headers.get('content-type') || '', body: await readBody(response) };
+  }
+  throw new Error('Too many redirects fetching ' + url);
+}
+
+module.exports = { name: 'live', search, fetchRaw, isPrivateAddress };
@@ -0,0 +1,191 @@
+// meteringService.js
+// Usage-metered pricing — the optional alternative to paying each agent its
+// whole allocation. In a metered run an agent is paid for the tokens its call
+// actually used (response.usage from Anthropic):
+//
+//   cost = (inputTokens × input rate + outputTokens × output rate) × (100 + margin)%
+//
+// capped at the step's allocation, which is what its escrow holds. The rest of
+// the escrow goes straight back to the funder.
+//
+// Rates are per model, in the run's currency per million tokens: TOKEN_RATES
+// in .env, then MODEL_RATES below, then DEFAULT_RATES for any other model, e.g.
+//   TOKEN_RATES={"claude-sonnet-4-6":{"input":3,"output":15}}
+//   METERED_MARGIN_PERCENT=20
+//
+// Tool calls (toolService.js) cost a flat price per call, in the run's
+// currency: TOOL_RATES in .env, then DEFAULT_TOOL_RATES below, e.g.
+//   TOOL_RATES={"web_search":0.01,"fetch_url":0.002}
+// Metered, an agent's tool calls are added to its token cost (same margin,
+// same cap). A call that fails isn't charged.
+//
+// The same rates size every call, metered or not (chooseModel): a step starts
+// on the biggest model in its agent's list whose worst case its share covers.
+//
+// All costs are integer smallest units, rounded down like every other
+// payment (see budgetService.js) — the agent never gets the odd unit.
+
+require('dotenv').config();
+
+const { toSmallestUnits } = require('./currencyService');
+
+const PRICING_MODES = ['allocation', 'metered'];
+
+const DEFAULT_RATES = { input: 3, output: 15 };
+const MODEL_RATES = {
+  'claude-opus-4-1':   { input: 15, output: 75 },
+  'claude-sonnet-4-6': { input: 3,  output: 15 },
+  'claude-haiku-4-5':  { input: 1,  output: 5 },
+};
+const DEFAULT_TOOL_RATES = {
+  web_search: 0.005,
+  fetch_url:  0.001,
+  calculator: 0,
+};
+const DEFAULT_MARGIN_PERCENT = 20;
+const TOKENS_PER_RATE = 1000000n;
+
+// Fewest output tokens worth making a call for — below this a metered step is skipped
+const MIN_OUTPUT_TOKENS = 64;
+
+// Rough prompt size before the call: ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+let modelRates = null;
+let toolRates = null;
+
+// TOKEN_RATES from .env, checked once — a typo there should fail loudly, not bill wrongly
+function loadModelRates() {
+  if (modelRates) return modelRates;
+
+  const parsed = process.env.TOKEN_RATES ? JSON.parse(process.env.TOKEN_RATES) : {};
+  for (const [model, rates] of Object.entries(parsed)) {
+    for (const side of ['input', 'output']) {
+      if (typeof rates[side] !== 'number' || !(rates[side] >= 0)) throw new Error('TOKEN_RATES: ' + model + ' needs an ' + side + ' rate of 0 or more');
+    }
+  }
+  modelRates = parsed;
+  return modelRates;
+}
+
+// TOOL_RATES from .env, checked once like TOKEN_RATES
+function loadToolRates() {
+  if (toolRates) return toolRates;
+
+  const parsed = process.env.TOOL_RATES ? JSON.parse(process.env.TOOL_RATES) : {};
+  for (const [tool, rate] of Object.entries(parsed)) {
+    if (typeof rate !== 'number' || !(rate >= 0)) throw new Error('TOOL_RATES: ' + tool + ' needs a price per call of 0 or more');
+  }
+  toolRates = parsed;
+  return toolRates;
+}
+
+function marginPercent() {
+  const margin = process.env.METERED_MARGIN_PERCENT !== undefined ? Number(process.env.METERED_MARGIN_PERCENT) : DEFAULT_MARGIN_PERCENT;
+  if (!Number.isInteger(margin) || margin < 0) throw new Error('METERED_MARGIN_PERCENT must be a whole percent of 0 or more');
+  return margin;
+}
+
+// ─────────────────────────────────────────────
+// getRates(currency, model)
+// The model's rates in the run's currency's smallest units per million tokens,
+// plus the margin: { input, output, marginPercent }
+// ─────────────────────────────────────────────
+function getRates(currency, model) {
+  const rates = loadModelRates()[model] || MODEL_RATES[model] || DEFAULT_RATES;
+  return {
+    input:  toSmallestUnits(currency, rates.input),
+    output: toSmallestUnits(currency, rates.output),
+    marginPercent: marginPercent(),
+  };
+}
+
+// Integer cost of a call — BigInt so big token counts at big rates stay exact
+function costUnits(rates, inputTokens, outputTokens) {
+  const raw = BigInt(inputTokens) * BigInt(rates.input) + BigInt(outputTokens) * BigInt(rates.output);
+  return Number((raw * BigInt(100 + rates.marginPercent)) / (TOKENS_PER_RATE * 100n));
+}
+
+// ─────────────────────────────────────────────
+// meterUsage(currency, model, usage)
+// What one call costs at the metered rates.
+// usage = Anthropic's response.usage ({ input_tokens, output_tokens })
+// Returns { model, inputTokens, outputTokens, costUnits }
+// ─────────────────────────────────────────────
+function meterUsage(currency, model, usage) {
+  const inputTokens  = (usage && usage.input_tokens)  || 0;
+  const outputTokens = (usage && usage.output_tokens) || 0;
+  return { model, inputTokens, outputTokens, costUnits: costUnits(getRates(currency, model), inputTokens, outputTokens) };
+}
+
+// ─────────────────────────────────────────────
+// meterToolCall(currency, tool)
+// What one tool call costs, margin included, in the run's currency's smallest units
+// ─────────────────────────────────────────────
+function meterToolCall(currency, tool) {
+  const configured = loadToolRates()[tool];
+  const rate = configured !== undefined ? configured : (DEFAULT_TOOL_RATES[tool] || 0);
+  return Math.floor((toSmallestUnits(currency, rate) * (100 + marginPercent())) / 100);
+}
+
+// ─────────────────────────────────────────────
+// estimateTokens(text)
+// Rough token count of a prompt, for sizing a call before it's made
+// ─────────────────────────────────────────────
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// ─────────────────────────────────────────────
+// affordableOutputTokens(currency, model, capUnits, inputTokens)
+// The most output tokens a call can generate without its cost going over
+// capUnits, given (an estimate of) its input tokens. 0 if even the input
+// alone costs more than the cap.
+// ─────────────────────────────────────────────
+function affordableOutputTokens(currency, model, capUnits, inputTokens) {
+  const rates = getRates(currency, model);
+  if (rates.output === 0) return Number.MAX_SAFE_INTEGER;
+
+  // Undo the margin, take off the input, and see how much output the rest pays for
+  const beforeMargin = (BigInt(capUnits) * TOKENS_PER_RATE * 100n) / BigInt(100 + rates.marginPercent);
+  const leftForOutput = beforeMargin - BigInt(inputTokens) * BigInt(rates.input);
+  if (leftForOutput <= 0n) return 0;
+  return Number(leftForOutput / BigInt(rates.output));
+}
+
+// ─────────────────────────────────────────────
+// chooseModel(currency, models, capUnits, inputTokens, maxTokens)
+// Picks the model a call starts on from the agent's ordered list (biggest
+// first): the first one whose worst case — inputTokens plus every max_token —
+// fits capUnits. If none does, the last one with max_tokens lowered to what
+// capUnits covers.
+// inputTokens = an estimate of everything sent to the model (see estimateTokens)
+// Returns { model, fallbackModels, maxTokens, downshifted } — fallbackModels =
+// the rest of the list after model, downshifted = it isn't the first model or
+// max_tokens was lowered — or maxTokens 0 if capUnits can't cover even
+// MIN_OUTPUT_TOKENS on the last model, and the call shouldn't be made at all.
+// ─────────────────────────────────────────────
+function chooseModel(currency, models, capUnits, inputTokens, maxTokens) {
+  const pick = (i, tokens) => ({ model: models[i], fallbackModels: models.slice(i + 1), maxTokens: tokens, downshifted: i > 0 || tokens < maxTokens });
+
+  for (let i = 0; i < models.length; i++) {
+    if (affordableOutputTokens(currency, models[i], capUnits, inputTokens) >= maxTokens) return pick(i, maxTokens);
+  }
+  const last = models.length - 1;
+  const affordable = affordableOutputTokens(currency, models[last], capUnits, inputTokens);
+  return pick(last, affordable < MIN_OUTPUT_TOKENS ? 0 : affordable);
+}
+
+module.exports = {
+  PRICING_MODES,
+  DEFAULT_RATES,
+  MODEL_RATES,
+  DEFAULT_TOOL_RATES,
+  MIN_OUTPUT_TOKENS,
+  getRates,
+  meterUsage,
+  meterToolCall,
+  estimateTokens,
+  affordableOutputTokens,
+  chooseModel,
+};
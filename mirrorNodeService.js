@@ -0,0 +1,95 @@
+// mirrorNodeService.js
+// Reads Hedera history back from a mirror node's REST API.
+//
+// The consensus nodes only answer "what is true now" — the mirror node keeps
+// every topic message and transaction, so audit trails are read from here.
+//
+// Base URL comes from networkService.js: the active network's public mirror
+// node, or HEDERA_MIRROR_REST_URL in .env — point that at a local stub to
+// test against canned responses.
+
+require('dotenv').config();
+
+const { getNetworkConfig } = require('./networkService');
+
+// Mirror node caps page size at 100
+const PAGE_LIMIT = 100;
+
+function getMirrorRestUrl() {
+  return getNetworkConfig().mirrorRestUrl;
+}
+
+// ─────────────────────────────────────────────
+// mirrorGet(path)
+// GET a mirror node REST path (e.g. '/api/v1/topics/0.0.123/messages')
+// and return the parsed JSON. Throws on any non-2xx response.
+// ─────────────────────────────────────────────
+async function mirrorGet(path) {
+  const res = await fetch(getMirrorRestUrl() + path);
+  if (!res.ok) throw new Error('Mirror node request failed: GET ' + path + ' → HTTP ' + res.status);
+  return res.json();
+}
+
+// "0.0.1001" + "1792337841.312000008" → "0.0.1001@1792337841.312000008", same as the SDK prints
+function toTransactionId(initialTransactionId) {
+  if (!initialTransactionId) return null;
+  return initialTransactionId.account_id + '@' + initialTransactionId.transaction_valid_start;
+}
+
+// Date / ISO string → the mirror node's "seconds.nanoseconds" timestamp format
+function toMirrorTimestamp(date) {
+  const ms = new Date(date).getTime();
+  return Math.floor(ms / 1000) + '.' + String((ms % 1000) * 1000000).padStart(9, '0');
+}
+
+// ─────────────────────────────────────────────
+// getTopicMessages(topicId, since)
+// Every message on an HCS topic, oldest first, following the mirror node's
+// pagination links. Messages over 1 KB were split into chunks by
+// TopicMessageSubmitTransaction — they're stitched back together here.
+// since (optional Date / ISO string) → only messages at or after that time
+// Returns [{ sequenceNumber, consensusTimestamp, transactionId, payerAccountId, payload }]
+//   transactionId = the submit transaction's ID (first chunk's, for chunked messages)
+//   payload       = the parsed JSON message, or null if it isn't JSON
+// ─────────────────────────────────────────────
+async function getTopicMessages(topicId, since) {
+  const messages = [];
+  const chunks = {};
+
+  let next = '/api/v1/topics/' + topicId + '/messages?order=asc&limit=' + PAGE_LIMIT;
+  if (since) next += '&timestamp=gte:' + toMirrorTimestamp(since);
+  while (next) {
+    const data = await mirrorGet(next);
+
+    for (const m of data.messages || []) {
+      const content = Buffer.from(m.message, 'base64');
+      const chunk = m.chunk_info;
+      const transactionId = toTransactionId(chunk && chunk.initial_transaction_id);
+      const entry = {
+        sequenceNumber: m.sequence_number,
+        consensusTimestamp: m.consensus_timestamp,
+        transactionId,
+        payerAccountId: m.payer_account_id || null,
+      };
+
+      if (chunk && chunk.total > 1) {
+        chunks[transactionId] = chunks[transactionId] || [];
+        chunks[transactionId][chunk.number - 1] = content;
+        if (chunks[transactionId].filter(Boolean).length < chunk.total) continue;
+        messages.push({ ...entry, content: Buffer.concat(chunks[transactionId]) });
+        delete chunks[transactionId];
+      } else {
+        messages.push({ ...entry, content });
+      }
+    }
+    next = data.links && data.links.next;
+  }
+
+  return messages.map(({ content, ...m }) => {
+    let payload = null;
+    try { payload = JSON.parse(content.toString('utf8')); } catch (e) { /* not one of ours */ }
+    return { ...m, payload };
+  });
+}
+
+module.exports = { getMirrorRestUrl, mirrorGet, getTopicMessages };
@@ -0,0 +1,683 @@
+// mockLedgerService.js
+// In-memory stand-in for hederaService.js.
+// Same functions, same return shapes — but balances, HCS topics and
+// scheduled transactions all live in this process. No network, no keys.
+// Select it with LEDGER_BACKEND=mock (see ledgerService.js).
+//
+// Like hederaService.js, every amount in and out is integer tinybars — or,
+// for a run budgeted in an HTS token, the token's smallest unit.
+
+require('dotenv').config();
+
+const { hbarToTinybars, tinybarsToHbar, toUnits } = require('./budgetService');
+const { generateKeyPairSync, sign, verify } = require('crypto');
+const { isToken, formatAmount } = require('./currencyService');
+const { attestationBytes } = require('./attestationService');
+const agentRegistry = require('./agentRegistry');
+
+// Default mock accounts — override with the usual .env IDs if you want
+// the mock output to line up with your testnet accounts.
+const DEFAULT_USER_ACCOUNT  = '0.0.1001';
+const DEFAULT_AGENT_ACCOUNT = '0.0.1002';
+
+// Starting balance for the user wallet (HBAR)
+const DEFAULT_USER_BALANCE = 1000;
+
+// HCS message limits, same as the SDK: 1024-byte chunks, at most 20 of them
+const HCS_CHUNK_SIZE = 1024;
+const HCS_MAX_CHUNKS = 20;
+
+// Scheduled refunds auto-execute after this long unless told otherwise, same as hederaService.js
+const DEFAULT_REFUND_TIMEOUT_MS = 10 * 60 * 1000;
+
+// ── In-memory state ───────────────────────────────────────────────────────────
+let balances;        // accountId → tinybars
+let topics;          // topicId → [{ sequenceNumber, message, txId, consensusTimestamp, chunks }]
+let schedules;       // scheduleId → { transfers, expiresAt, status, executedTxId }
+let transactions;    // txId → { payer, transfers, result } — user-submitted transfers only
+let tokens;          // tokenId → { symbol, decimals, associated: Set<accountId>, balances: Map<accountId, units> }
+let autoAssociated;  // accounts that accept any token (mock sub-agents, like auto-association slots)
+let subAgentAccounts;// agentName → accountId
+let nextEntityNum;   // counter for topic/schedule/account IDs
+let clockOffsetMs;   // advanceTime() moves the mock clock forward
+let initialized = false;
+
+// Mock agent key — an ed25519 pair made once per process (survives reset(),
+// like a real agent key survives between runs)
+let agentKeyPair;
+
+function userAccountId()  { return process.env.HEDERA_ACCOUNT_ID || DEFAULT_USER_ACCOUNT; }
+function agentAccountId() { return process.env.AGENT_ACCOUNT_ID  || DEFAULT_AGENT_ACCOUNT; }
+
+// Refunds go back to whoever funded the run, else the default user wallet
+function refundAccount(refundAccountId) { return refundAccountId || userAccountId(); }
+
+function now() { return Date.now() + clockOffsetMs; }
+
+function nextEntityId() { return '0.0.' + nextEntityNum++; }
+
+// Hedera-style transaction ID: payer@seconds.nanos
+let txCounter = 0;
+function nextTxId(payer) {
+  const ms = now();
+  const nanos = String((ms % 1000) * 1000000 + (txCounter++ % 1000000)).padStart(9, '0');
+  return payer + '@' + Math.floor(ms / 1000) + '.' + nanos;
+}
+
+// ─────────────────────────────────────────────
+// reset()
+// Wipes all mock state and seeds the user wallet.
+// initClient() calls this the first time only, so balances carry
+// across runs in the same process — call it yourself between tests.
+// ─────────────────────────────────────────────
+function reset() {
+  balances         = new Map();
+  topics           = new Map();
+  schedules        = new Map();
+  transactions     = new Map();
+  tokens           = new Map();
+  autoAssociated   = new Set();
+  subAgentAccounts = new Map();
+  nextEntityNum    = 5000;
+  clockOffsetMs    = 0;
+
+  const startBalance = process.env.MOCK_USER_BALANCE ? Number(process.env.MOCK_USER_BALANCE) : DEFAULT_USER_BALANCE;
+  balances.set(userAccountId(), hbarToTinybars(startBalance));
+  balances.set(agentAccountId(), 0);
+  initialized = true;
+}
+
+// Which balance map a transfer leg moves: HBAR, or one token's
+function balancesFor(tokenId) {
+  if (!tokenId) return balances;
+  const token = tokens.get(tokenId);
+  if (!token) throw new Error('Mock ledger: INVALID_TOKEN_ID ' + tokenId);
+  return token.balances;
+}
+
+function isAssociated(tokenId, accountId) {
+  return autoAssociated.has(accountId) || tokens.get(tokenId).associated.has(accountId);
+}
+
+// ─────────────────────────────────────────────
+// applyTransfers(transfers)
+// Moves value between accounts atomically, like a TransferTransaction.
+// transfers = [{ accountId, tinybars, tokenId? }] — each HBAR/token must sum to zero.
+// tinybars is in the token's smallest unit when tokenId is set.
+// Fails the whole thing if any debited account would go negative,
+// or a token leg touches an account that isn't associated with the token.
+// ─────────────────────────────────────────────
+function applyTransfers(transfers) {
+  const sums = new Map();
+  for (const t of transfers) sums.set(t.tokenId || 'HBAR', (sums.get(t.tokenId || 'HBAR') || 0) + t.tinybars);
+  for (const [unit, sum] of sums) {
+    if (sum !== 0) throw new Error('Mock ledger: ' + unit + ' transfer list does not balance (' + sum + ')');
+  }
+
+  for (const t of transfers) {
+    const map = balancesFor(t.tokenId);
+    if (t.tokenId && !isAssociated(t.tokenId, t.accountId)) {
+      throw new Error('Mock ledger: TOKEN_NOT_ASSOCIATED_TO_ACCOUNT ' + t.accountId + ' / ' + t.tokenId);
+    }
+    const after = (map.get(t.accountId) || 0) + t.tinybars;
+    if (after < 0) throw new Error('Mock ledger: INSUFFICIENT_' + (t.tokenId ? 'TOKEN' : 'ACCOUNT') + '_BALANCE for ' + t.accountId);
+  }
+  for (const t of transfers) {
+    const map = balancesFor(t.tokenId);
+    map.set(t.accountId, (map.get(t.accountId) || 0) + t.tinybars);
+  }
+}
+
+// A from → to transfer in the run's currency (omitted = HBAR)
+function transferLegs(currency, fromAccountId, toAccountId, amount) {
+  const tokenId = isToken(currency) ? currency.tokenId : undefined;
+  return [
+    { accountId: fromAccountId, tinybars: -amount, tokenId },
+    { accountId: toAccountId, tinybars: amount, tokenId },
+  ];
+}
+
+// ─────────────────────────────────────────────
+// processSchedules()
+// Fires any scheduled transaction whose expiry has passed.
+// Runs before every ledger call, so expiry behaves like the real
+// network without needing timers in the process.
+// ─────────────────────────────────────────────
+function processSchedules() {
+  for (const [scheduleId, schedule] of schedules) {
+    if (schedule.status !== 'pending' || schedule.expiresAt > now()) continue;
+
+    // An escrow nobody signed just lapses — nothing moves
+    if (schedule.awaitingSignature) {
+      schedule.status = 'expired';
+      console.log('[Mock Ledger] Escrow ' + scheduleId + ' expired unsigned.');
+      continue;
+    }
+    try {
+      applyTransfers(schedule.transfers);
+      schedule.status = 'executed';
+      schedule.executedTxId = nextTxId(agentAccountId());
+      console.log('[Mock Ledger] Schedule ' + scheduleId + ' expired and executed.');
+    } catch (err) {
+      // Same as Hedera: a scheduled tx that can't execute is simply marked failed
+      schedule.status = 'failed';
+      schedule.error = err.message;
+      console.log('[Mock Ledger] Schedule ' + scheduleId + ' expired but failed: ' + err.message);
+    }
+  }
+}
+
+function ensureInitialized() {
+  if (!initialized) throw new Error('Mock ledger not initialized. Call initClient() first.');
+  processSchedules();
+}
+
+// ─────────────────────────────────────────────
+// initClient()
+// Mirrors hederaService.initClient(). Seeds state on first use.
+// ─────────────────────────────────────────────
+function initClient() {
+  if (!initialized) reset();
+  console.log('Mock ledger initialized.');
+  console.log('Operator: ' + userAccountId());
+  return { network: 'mock', operator: userAccountId() };
+}
+
+// ─────────────────────────────────────────────
+// getAgentAccountId()
+// The mock agent wallet users fund runs into
+// ─────────────────────────────────────────────
+function getAgentAccountId() {
+  return agentAccountId();
+}
+
+// ─────────────────────────────────────────────
+// getTokenInfo(tokenId)
+// Same shape as hederaService.getTokenInfo() for tokens made with createToken()
+// ─────────────────────────────────────────────
+async function getTokenInfo(tokenId) {
+  ensureInitialized();
+  const token = tokens.get(tokenId);
+  if (!token) throw new Error('Mock ledger: INVALID_TOKEN_ID ' + tokenId);
+  return { tokenId, symbol: token.symbol, decimals: token.decimals };
+}
+
+// ─────────────────────────────────────────────
+// checkTokenAssociations(tokenId, accountIds)
+// Returns the accounts (null = user wallet) that can't receive the token
+// ─────────────────────────────────────────────
+async function checkTokenAssociations(tokenId, accountIds) {
+  ensureInitialized();
+  if (!tokens.has(tokenId)) throw new Error('Mock ledger: INVALID_TOKEN_ID ' + tokenId);
+  return accountIds.map(refundAccount).filter((accountId) => !isAssociated(tokenId, accountId));
+}
+
+// ─────────────────────────────────────────────
+// getBalance(accountId)
+// Returns the HBAR balance (as a number) of any mock account
+// ─────────────────────────────────────────────
+async function getBalance(accountId) {
+  ensureInitialized();
+  const hbar = tinybarsToHbar(balances.get(accountId) || 0);
+  console.log('Balance of ' + accountId + ': ' + hbar + ' ℏ');
+  return hbar;
+}
+
+// ─────────────────────────────────────────────
+// createHCSTopic(memo)
+// Creates an in-memory topic. Like the real one it's long-lived —
+// topicStore.js reuses it for every run of the same user or project.
+// ─────────────────────────────────────────────
+async function createHCSTopic(memo) {
+  ensureInitialized();
+  const topicId = nextEntityId();
+  topics.set(topicId, []);
+
+  console.log('Mock HCS Topic created: ' + topicId + (memo ? ' (' + memo + ')' : ''));
+  return topicId;
+}
+
+// ─────────────────────────────────────────────
+// submitAuditMessage(topicId, runId, payload)
+// Appends a JSON message, tagged with runId, to a mock topic. Returns its tx ID.
+// Counts the chunks the real SDK would split it into, and refuses
+// anything over the chunk limit just like it does.
+// ─────────────────────────────────────────────
+async function submitAuditMessage(topicId, runId, payload) {
+  ensureInitialized();
+  if (!topics.has(topicId)) throw new Error('Mock ledger: INVALID_TOPIC_ID ' + topicId);
+  if (!runId) throw new Error('submitAuditMessage needs a runId — topics are shared between runs');
+
+  const message = JSON.stringify({ runId, ...payload, timestamp: new Date(now()).toISOString() });
+  const chunks = Math.ceil(Buffer.byteLength(message, 'utf8') / HCS_CHUNK_SIZE);
+  if (chunks > HCS_MAX_CHUNKS) throw new Error('Message with size ' + Buffer.byteLength(message, 'utf8') + ' too long for ' + HCS_MAX_CHUNKS + ' chunks');
+
+  const txId = nextTxId(userAccountId());
+  const messages = topics.get(topicId);
+  messages.push({ sequenceNumber: messages.length + 1, message, txId, consensusTimestamp: new Date(now()).toISOString(), chunks });
+
+  return txId;
+}
+
+// ─────────────────────────────────────────────
+// getAuditMessages(topicId, since)
+// Same shape as hederaService.getAuditMessages(), from the in-memory topic
+// ─────────────────────────────────────────────
+async function getAuditMessages(topicId, since) {
+  ensureInitialized();
+  if (!topics.has(topicId)) throw new Error('Mock ledger: INVALID_TOPIC_ID ' + topicId);
+
+  const from = since ? new Date(since).getTime() : 0;
+  return topics.get(topicId).filter((m) => new Date(m.consensusTimestamp).getTime() >= from).map((m) => ({
+    sequenceNumber: m.sequenceNumber,
+    consensusTimestamp: m.consensusTimestamp,
+    transactionId: m.txId,
+    payerAccountId: m.txId.split('@')[0],
+    payload: JSON.parse(m.message),
+  }));
+}
+
+function agentKey() {
+  if (!agentKeyPair) agentKeyPair = generateKeyPairSync('ed25519');
+  return agentKeyPair;
+}
+
+// ─────────────────────────────────────────────
+// signAttestation(attestation)
+// Signs with the mock agent key — same shape as hederaService.signAttestation()
+// ─────────────────────────────────────────────
+function signAttestation(attestation) {
+  const { privateKey, publicKey } = agentKey();
+  return {
+    ...attestation,
+    signature: sign(null, attestationBytes(attestation), privateKey).toString('hex'),
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).subarray(-32).toString('hex'),
+  };
+}
+
+// ─────────────────────────────────────────────
+// verifyAttestation(attestation)
+// True if signed by the mock agent key and unaltered since
+// ─────────────────────────────────────────────
+async function verifyAttestation(attestation) {
+  if (!attestation || !attestation.signature) return false;
+  return verify(null, attestationBytes(attestation), agentKey().publicKey, Buffer.from(attestation.signature, 'hex'));
+}
+
+// ─────────────────────────────────────────────
+// getSubAgentAccountId(agentName)
+// Hands out a stable mock account per sub-agent name — or the registered
+// agent's payoutAccountId, if it has one (see agentRegistry.js).
+// ─────────────────────────────────────────────
+function getSubAgentAccountId(agentName) {
+  const registered = agentRegistry.getAgent(agentName);
+  if (registered && registered.payoutAccountId) {
+    if (!balances.has(registered.payoutAccountId)) balances.set(registered.payoutAccountId, 0);
+    autoAssociated.add(registered.payoutAccountId);
+    return registered.payoutAccountId;
+  }
+
+  if (!subAgentAccounts.has(agentName)) {
+    const accountId = nextEntityId();
+    subAgentAccounts.set(agentName, accountId);
+    balances.set(accountId, 0);
+    autoAssociated.add(accountId);
+  }
+  return subAgentAccounts.get(agentName);
+}
+
+// ─────────────────────────────────────────────
+// paySubAgent(agentName, amountTinybars, stepDescription, currency, audit)
+// Agent wallet → sub-agent account, then an HCS message referencing it
+// on audit.topicId, tagged with audit.runId (carrying audit.attestation signed, if passed).
+// Returns { transferTxId, hcsTxId, attestation } like the real thing.
+// ─────────────────────────────────────────────
+async function paySubAgent(agentName, amountTinybars, stepDescription, currency, audit) {
+  ensureInitialized();
+  if (!topics.has(audit.topicId)) throw new Error('Mock ledger: INVALID_TOPIC_ID ' + audit.topicId);
+
+  const subAgentAccountId = getSubAgentAccountId(agentName);
+
+  // Zero payments skip the transfer, same as hederaService.js
+  let transferTxId = null;
+  if (amountTinybars > 0) {
+    applyTransfers(transferLegs(currency, agentAccountId(), subAgentAccountId, amountTinybars));
+    transferTxId = nextTxId(agentAccountId());
+  }
+
+  const { hcsTxId, attestation: signedAttestation } = await logPayment(agentName, amountTinybars, stepDescription, currency, audit, transferTxId);
+
+  console.log('---');
+  console.log('Agent:    ' + agentName + ' (' + subAgentAccountId + ')');
+  console.log('Paid:     ' + formatAmount(currency, amountTinybars) + ' (mock)');
+  console.log('Task:     ' + stepDescription);
+
+  return { transferTxId, hcsTxId, attestation: signedAttestation };
+}
+
+// Same HCS 'payment' message as hederaService.js logPayment()
+async function logPayment(agentName, amountTinybars, stepDescription, currency, audit, transferTxId, extra) {
+  const { topicId, runId, attestation, policy } = audit;
+  const signedAttestation = attestation ? signAttestation(attestation) : null;
+
+  const hcsTxId = await submitAuditMessage(topicId, runId, {
+    type: 'payment',
+    agent: agentName,
+    account: getSubAgentAccountId(agentName),
+    paid: formatAmount(currency, amountTinybars),
+    ...(isToken(currency) ? { paidTokenId: currency.tokenId, paidUnits: amountTinybars } : { paidTinybars: amountTinybars }),
+    transferTxId,
+    task: stepDescription,
+    ...extra,
+    ...(policy ? { policy } : {}),
+    ...(signedAttestation ? { attestation: signedAttestation } : {}),
+  });
+
+  return { hcsTxId, attestation: signedAttestation };
+}
+
+// ─────────────────────────────────────────────
+// createEscrow(agentName, amountTinybars, expiresAt, currency)
+// Pending agent → sub-agent transfer waiting on the agent's signature.
+// Unlike the auto-refund it never fires on its own: at expiresAt it just expires.
+// ─────────────────────────────────────────────
+async function createEscrow(agentName, amountTinybars, expiresAt, currency) {
+  ensureInitialized();
+
+  const scheduleId = nextEntityId();
+  schedules.set(scheduleId, {
+    transfers: transferLegs(currency, agentAccountId(), getSubAgentAccountId(agentName), amountTinybars),
+    expiresAt: expiresAt.getTime(),
+    status: 'pending',
+    awaitingSignature: true,
+  });
+
+  console.log('Mock escrow for ' + agentName + ': ' + formatAmount(currency, amountTinybars) + ' held in schedule ' + scheduleId);
+  return scheduleId;
+}
+
+// ─────────────────────────────────────────────
+// releaseEscrow(scheduleId, agentName, amountTinybars, stepDescription, currency, audit)
+// "Signs" the escrow schedule so it executes, then logs the payment.
+// Returns { transferTxId, hcsTxId, attestation } like the real thing.
+// ─────────────────────────────────────────────
+async function releaseEscrow(scheduleId, agentName, amountTinybars, stepDescription, currency, audit) {
+  ensureInitialized();
+  if (!topics.has(audit.topicId)) throw new Error('Mock ledger: INVALID_TOPIC_ID ' + audit.topicId);
+
+  const schedule = schedules.get(scheduleId);
+  if (!schedule) throw new Error('Mock ledger: INVALID_SCHEDULE_ID ' + scheduleId);
+  if (schedule.status !== 'pending') throw new Error('Mock ledger: SCHEDULE_ALREADY_' + schedule.status.toUpperCase() + ' ' + scheduleId);
+
+  applyTransfers(schedule.transfers);
+  schedule.status = 'executed';
+  schedule.executedAt = now();
+  schedule.executedTxId = nextTxId(agentAccountId());
+
+  const { hcsTxId, attestation } = await logPayment(agentName, amountTinybars, stepDescription, currency, audit, schedule.executedTxId, { escrowScheduleId: scheduleId });
+
+  console.log('---');
+  console.log('Agent:    ' + agentName + ' — escrow ' + scheduleId + ' released');
+  console.log('Paid:     ' + formatAmount(currency, amountTinybars) + ' (mock)');
+
+  return { transferTxId: schedule.executedTxId, hcsTxId, attestation };
+}
+
+// ─────────────────────────────────────────────
+// verifyFunding(transactionId, payerAccountId, budgetTinybars, currency)
+// Same checks as hederaService.verifyFunding(), against transfers made
+// with submitUserFunding(). Throws if anything doesn't match.
+// ─────────────────────────────────────────────
+async function verifyFunding(transactionId, payerAccountId, budgetTinybars, currency) {
+  ensureInitialized();
+
+  const tx = transactions.get(transactionId);
+  if (!tx) throw new Error('Funding transaction ' + transactionId + ' not found on the mock ledger');
+  if (tx.payer !== payerAccountId) throw new Error('Funding transaction ' + transactionId + ' was not paid for by ' + payerAccountId);
+  if (tx.result !== 'SUCCESS') throw new Error('Funding transaction ' + transactionId + ' failed: ' + tx.result);
+
+  const tokenId = isToken(currency) ? currency.tokenId : undefined;
+  const netTransfer = (accountId) => tx.transfers
+    .filter((t) => t.accountId === accountId && t.tokenId === tokenId)
+    .reduce((sum, t) => sum + t.tinybars, 0);
+
+  const credited = netTransfer(agentAccountId());
+  if (credited !== budgetTinybars) {
+    throw new Error('Funding transaction ' + transactionId + ' credited the agent ' + formatAmount(currency, credited) + ', expected ' + formatAmount(currency, budgetTinybars));
+  }
+  if (-netTransfer(payerAccountId) < budgetTinybars) {
+    throw new Error('Funding transaction ' + transactionId + ' did not debit ' + payerAccountId + ' for the budget');
+  }
+
+  console.log('Funding verified: ' + formatAmount(currency, budgetTinybars) + ' from ' + payerAccountId + ' (mock)');
+  return { transactionId, payerAccountId, tinybars: credited, consensusAt: tx.consensusAt };
+}
+
+// ─────────────────────────────────────────────
+// fundAgent(budgetTinybars, expiresAt, funding, currency)
+// User → agent transfer in the run's currency (or, with funding = { payerAccountId, transactionId },
+// nothing — the user already made it and openRun() verified it), plus a pending scheduled
+// refund to the funder that fires at expiresAt (mock time) unless
+// refundRemainder() cancels it.
+// Returns the scheduleId.
+// ─────────────────────────────────────────────
+async function fundAgent(budgetTinybars, expiresAt, funding, currency) {
+  ensureInitialized();
+  const refundAt = expiresAt || new Date(now() + DEFAULT_REFUND_TIMEOUT_MS);
+
+  if (funding) return createRefundSchedule(budgetTinybars, refundAt, funding.payerAccountId, currency);
+
+  applyTransfers(transferLegs(currency, userAccountId(), agentAccountId(), budgetTinybars));
+  console.log('Transferring ' + formatAmount(currency, budgetTinybars) + ' from User -> Agent (mock)');
+
+  return createRefundSchedule(budgetTinybars, refundAt, null, currency);
+}
+
+// ─────────────────────────────────────────────
+// createRefundSchedule(tinybars, expiresAt, refundAccountId, currency)
+// Pending agent → funder transfer that fires at expiresAt.
+// ─────────────────────────────────────────────
+async function createRefundSchedule(tinybars, expiresAt, refundAccountId, currency) {
+  ensureInitialized();
+
+  const scheduleId = nextEntityId();
+  schedules.set(scheduleId, {
+    transfers: transferLegs(currency, agentAccountId(), refundAccount(refundAccountId), tinybars),
+    expiresAt: expiresAt.getTime(),
+    status: 'pending',
+  });
+
+  console.log('Mock scheduled auto-refund created: ' + scheduleId + ' (fires ' + expiresAt.toISOString() + ')');
+  return scheduleId;
+}
+
+// ─────────────────────────────────────────────
+// cancelSchedule(scheduleId)
+// Deletes a pending schedule. Throws if it already fired,
+// exactly like ScheduleDeleteTransaction would.
+// ─────────────────────────────────────────────
+async function cancelSchedule(scheduleId) {
+  ensureInitialized();
+
+  const schedule = schedules.get(scheduleId);
+  if (!schedule) throw new Error('Mock ledger: INVALID_SCHEDULE_ID ' + scheduleId);
+  if (schedule.status !== 'pending') throw new Error('Mock ledger: SCHEDULE_ALREADY_' + schedule.status.toUpperCase() + ' ' + scheduleId);
+  schedule.status = 'deleted';
+  console.log('Mock schedule cancelled: ' + scheduleId);
+
+  return 'SUCCESS';
+}
+
+// ─────────────────────────────────────────────
+// sendRefund(remainingTinybars, refundAccountId, currency)
+// Agent wallet → funder (default user wallet), immediately.
+// ─────────────────────────────────────────────
+async function sendRefund(remainingTinybars, refundAccountId, currency) {
+  ensureInitialized();
+
+  applyTransfers(transferLegs(currency, agentAccountId(), refundAccount(refundAccountId), remainingTinybars));
+  console.log('Refunding ' + formatAmount(currency, remainingTinybars) + ' to ' + refundAccount(refundAccountId) + ' (mock)');
+
+  return nextTxId(agentAccountId());
+}
+
+// ─────────────────────────────────────────────
+// refundRemainder(scheduleId, remainingTinybars, refundAccountId, currency)
+// Cancels the pending schedule and refunds the remainder immediately.
+// ─────────────────────────────────────────────
+async function refundRemainder(scheduleId, remainingTinybars, refundAccountId, currency) {
+  await cancelSchedule(scheduleId);
+  return sendRefund(remainingTinybars, refundAccountId, currency);
+}
+
+// ─────────────────────────────────────────────
+// getScheduleStatus(scheduleId)
+// Same shape as hederaService.getScheduleStatus()
+// ─────────────────────────────────────────────
+async function getScheduleStatus(scheduleId) {
+  ensureInitialized();
+
+  const schedule = schedules.get(scheduleId);
+  if (!schedule) return { status: 'unknown', executedAt: null };
+  if (schedule.status === 'failed') return { status: 'expired', executedAt: null };
+  return {
+    status: schedule.status,
+    executedAt: schedule.status === 'executed' ? new Date(schedule.executedAt || schedule.expiresAt).toISOString() : null,
+    expiresAt: new Date(schedule.expiresAt).toISOString(),
+  };
+}
+
+// ─────────────────────────────────────────────
+// estimateFees(transactions)
+// Same shape as hederaService.estimateFees() — the mock charges no fees
+// ─────────────────────────────────────────────
+async function estimateFees(transactions) {
+  const byType = {};
+  for (const [type, count] of Object.entries(transactions)) byType[type] = { count, tinybars: 0 };
+  return { tinybars: 0, usdPerHbar: null, byType };
+}
+
+// ─────────────────────────────────────────────
+// explorerLink(kind, id)
+// Mock entities don't exist on any explorer — always null.
+// ─────────────────────────────────────────────
+function explorerLink() {
+  return null;
+}
+
+// ── Test helpers (not part of the ledger interface) ───────────────────────────
+
+// Moves the mock clock forward and fires any schedules that are now due
+function advanceTime(ms) {
+  clockOffsetMs += ms;
+  processSchedules();
+}
+
+// Opens a mock wallet for a user of your own, seeded with `hbar`. Returns its account ID
+function createAccount(hbar) {
+  ensureInitialized();
+  const accountId = nextEntityId();
+  balances.set(accountId, hbarToTinybars(hbar || 0));
+  return accountId;
+}
+
+// What a user's wallet does client-side: signs + submits payer → agent wallet.
+// amount is HBAR, or whole tokens when tokenId is given.
+// Returns the transaction ID to hand to /api/run as fundingTx
+function submitUserFunding(payerAccountId, amount, tokenId) {
+  ensureInitialized();
+  balancesFor(tokenId);
+  const units = tokenId ? toUnits(amount, tokens.get(tokenId).decimals, tokens.get(tokenId).symbol) : hbarToTinybars(amount);
+  const transfers = transferLegs(tokenId ? { tokenId } : null, payerAccountId, agentAccountId(), units);
+  const txId = nextTxId(payerAccountId);
+  let result = 'SUCCESS';
+  try {
+    applyTransfers(transfers);
+  } catch (err) {
+    result = 'INSUFFICIENT_PAYER_BALANCE';
+  }
+  transactions.set(txId, { payer: payerAccountId, transfers, result, consensusAt: new Date(now()).toISOString() });
+  return txId;
+}
+
+// Mints a mock fungible token into the user wallet (the treasury) and
+// associates it with the user and agent wallets. Returns the token ID
+function createToken(symbol, decimals, supply) {
+  ensureInitialized();
+  const tokenId = nextEntityId();
+  const token = { symbol, decimals, associated: new Set([userAccountId(), agentAccountId()]), balances: new Map() };
+  tokens.set(tokenId, token);
+  token.balances.set(userAccountId(), toUnits(supply || 0, decimals, symbol));
+  return tokenId;
+}
+
+// What a user does once per token before they can receive it
+function associateToken(accountId, tokenId) {
+  ensureInitialized();
+  balancesFor(tokenId);
+  tokens.get(tokenId).associated.add(accountId);
+}
+
+// Snapshot of one token's balances in whole tokens
+function getTokenBalances(tokenId) {
+  ensureInitialized();
+  const token = tokens.get(tokenId);
+  const out = {};
+  for (const [accountId, units] of token.balances) out[accountId] = units / 10 ** token.decimals;
+  return out;
+}
+
+// Snapshot of every account balance in HBAR — handy for assertions
+function getBalances() {
+  ensureInitialized();
+  const out = {};
+  for (const [accountId, tinybars] of balances) out[accountId] = tinybarsToHbar(tinybars);
+  return out;
+}
+
+function getTopicMessages(topicId) {
+  return (topics.get(topicId) || []).map((m) => ({ ...m }));
+}
+
+function getSchedule(scheduleId) {
+  const schedule = schedules.get(scheduleId);
+  return schedule ? { ...schedule } : null;
+}
+
+module.exports = {
+  name: 'mock',
+  initClient,
+  getBalance,
+  getAgentAccountId,
+  getTokenInfo,
+  checkTokenAssociations,
+  createHCSTopic,
+  getSubAgentAccountId,
+  paySubAgent,
+  createEscrow,
+  releaseEscrow,
+  verifyFunding,
+  fundAgent,
+  createRefundSchedule,
+  submitAuditMessage,
+  getAuditMessages,
+  signAttestation,
+  verifyAttestation,
+  refundRemainder,
+  cancelSchedule,
+  sendRefund,
+  getScheduleStatus,
+  estimateFees,
+  explorerLink,
+  // test helpers
+  reset,
+  advanceTime,
+  createAccount,
+  submitUserFunding,
+  createToken,
+  associateToken,
+  getBalances,
+  getTokenBalances,
+  getTopicMessages,
+  getSchedule,
+};
@@ -0,0 +1,212 @@
+// mockModelService.js
+// Offline stand-in for anthropicService.js — same streamMessage(), same
+// message shape, but every answer is scripted or generated from the request.
+// No network, no API key, and the same request always gets the same answer,
+// so test.js and the /api/run and /api/analyze flows can run reproducibly.
+// Select it with MODEL_PROVIDER=mock (see modelService.js).
+//
+// Out of the box:
+//   text calls  → "Mock <model> answer to: <first line of the prompt>"
+//   create_plan → one step per agent the tool offers, each building on the last
+//   grade_output → top marks on every criterion (see verifierService.js)
+//   other tools → an input generated from the tool's input_schema
+//   tools offered but not forced (a sub-agent's tool_use loop) → no tool calls, a text answer
+//
+// A script overrides any of that — a JSON file at MOCK_MODEL_SCRIPT, or
+// setScript() from a test:
+//   {
+//     "text":   [{ "match": "report formatter", "text": "..." }],   first entry whose match is in
+//                                                                     the system or user prompt
+//     "tools":  { "insight_output": { ... } },                       tool name → its input, or a list:
+//                                                                     the nth call in a conversation gets
+//                                                                     the nth (the last one repeats)
+//     "toolCalls": [{ "match": "Research", "name": "web_search",     called, one per round and each
+//                     "input": { "query": "..." } }],                once per conversation, by an agent
+//                                                                     offered that tool whose system or
+//                                                                     first prompt has match
+//     "errors": [{ "status": 529 }],                                 thrown by the next calls, in order
+//     "delayMs": 0                                                   how long each call takes
+//   }
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { estimateTokens } = require('./meteringService');
+
+// Deltas are streamed in slices this long
+const CHUNK_CHARS = 16;
+
+// Items generated for an array without minItems
+const DEFAULT_ARRAY_ITEMS = 4;
+
+let script = null;
+let pendingErrors = [];
+
+// The script from MOCK_MODEL_SCRIPT, read once — unless a test set one
+function loadScript() {
+  if (script) return script;
+  const path = process.env.MOCK_MODEL_SCRIPT;
+  setScript(path ? JSON.parse(fs.readFileSync(path, 'utf8')) : {});
+  return script;
+}
+
+// ─────────────────────────────────────────────
+// setScript(newScript)
+// Replaces the script (see the top of this file). setScript({}) = defaults only.
+// ─────────────────────────────────────────────
+function setScript(newScript) {
+  script = newScript || {};
+  pendingErrors = [...(script.errors || [])];
+}
+
+// An error shaped like the SDK's APIError, so modelService.js retries it the same way
+function scriptedError(spec) {
+  const err = new Error(spec.message || (spec.status + ' ' + (spec.status === 529 ? 'overloaded_error' : 'mock error')));
+  err.status = spec.status;
+  return err;
+}
+
+function promptText(params) {
+  const last = params.messages[params.messages.length - 1];
+  if (typeof last.content === 'string') return last.content;
+  return last.content.map((b) => b.text || b.content || '').join('\n');
+}
+
+// ─────────────────────────────────────────────
+// fromSchema(schema, key)
+// A value that passes acceptanceService.js validateSchema for this schema:
+// every property filled, first enum value, minItems (or 4) array items
+// ─────────────────────────────────────────────
+function fromSchema(schema, key) {
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, s]) => [k, fromSchema(s, k)]));
+    case 'array': {
+      const count = schema.minItems || DEFAULT_ARRAY_ITEMS;
+      return Array.from({ length: count }, (_, i) => {
+        const item = fromSchema(schema.items || { type: 'string' }, key);
+        return typeof item === 'string' ? item + ' ' + (i + 1) : item;
+      });
+    }
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 1;
+    case 'boolean':
+      return true;
+    default:
+      return key === 'mermaid' ? 'graph TD\n  A[App] --> B[Service]' : 'Mock ' + (key || 'value');
+  }
+}
+
+// One step per agent the planner may use, in order, equal shares
+function mockPlan(tool) {
+  const agents = tool.input_schema.properties.steps.items.properties.agent.enum;
+  return {
+    steps: agents.map((agent, i) => ({
+      id: 's' + (i + 1),
+      agent,
+      task: 'Mock task for ' + agent,
+      dependsOn: i ? ['s' + i] : [],
+      allocation: Math.floor(100 / agents.length),
+    })),
+  };
+}
+
+// Top marks on every criterion the verifier's rubric asks about
+function mockGrade(tool) {
+  const criteria = tool.input_schema.properties.scores.properties;
+  return {
+    scores: Object.fromEntries(Object.entries(criteria).map(([c, s]) => [c, { score: s.properties.score.maximum, comment: 'Mock grade' }])),
+    critique: '',
+  };
+}
+
+// The scripted input for a forced tool, if any. A list is one input per call
+// in the conversation — a repair round-trip gets the next one
+function scriptedInput(params, current, name) {
+  const input = current.tools && current.tools[name];
+  if (!Array.isArray(input)) return input;
+  const made = params.messages
+    .filter((m) => m.role === 'assistant' && Array.isArray(m.content))
+    .reduce((count, m) => count + m.content.filter((b) => b.type === 'tool_use' && b.name === name).length, 0);
+  return input[Math.min(made, input.length - 1)];
+}
+
+// The next scripted tool call this conversation hasn't made yet, if any
+function nextToolCall(params, current) {
+  if (!params.tools || (params.tool_choice && params.tool_choice.type === 'none')) return null;
+  const first = params.messages[0].content;
+  const made = params.messages
+    .filter((m) => m.role === 'assistant' && Array.isArray(m.content))
+    .flatMap((m) => m.content.filter((b) => b.type === 'tool_use').map((b) => b.name + JSON.stringify(b.input)));
+  return (current.toolCalls || []).find((c) =>
+    params.tools.some((t) => t.name === c.name)
+    && ((params.system || '').includes(c.match) || (typeof first === 'string' && first.includes(c.match)))
+    && !made.includes(c.name + JSON.stringify(c.input))) || null;
+}
+
+function answerFor(params) {
+  const current = loadScript();
+  const call = nextToolCall(params, current);
+  if (call) return { type: 'tool_use', id: 'toolu_mock_' + params.messages.length, name: call.name, input: JSON.parse(JSON.stringify(call.input)) };
+
+  if (params.tool_choice && params.tool_choice.type === 'tool') {
+    const tool = params.tools.find((t) => t.name === params.tool_choice.name);
+    const scripted = scriptedInput(params, current, tool.name);
+    let input;
+    if (scripted) input = scripted;
+    else if (tool.name === 'create_plan') input = mockPlan(tool);
+    else if (tool.name === 'grade_output') input = mockGrade(tool);
+    else input = fromSchema(tool.input_schema);
+    return { type: 'tool_use', id: 'toolu_mock_' + params.messages.length, name: tool.name, input: JSON.parse(JSON.stringify(input)) };
+  }
+
+  const prompt = promptText(params);
+  const scripted = (current.text || []).find((t) => (params.system || '').includes(t.match) || prompt.includes(t.match));
+  const text = scripted ? scripted.text : 'Mock ' + params.model + ' answer to: ' + prompt.split('\n')[0].slice(0, 120);
+  return { type: 'text', text };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('Request was aborted.'));
+    const timer = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener('abort', () => { clearTimeout(timer); reject(new Error('Request was aborted.')); }, { once: true });
+  });
+}
+
+// ─────────────────────────────────────────────
+// streamMessage(params, { onText, onJson, signal })
+// Same contract as anthropicService.js streamMessage
+// ─────────────────────────────────────────────
+async function streamMessage(params, { onText, onJson, signal } = {}) {
+  const current = loadScript();
+  await sleep(current.delayMs || 0, signal);
+  if (pendingErrors.length) throw scriptedError(pendingErrors.shift());
+
+  const block = answerFor(params);
+  const output = block.type === 'text' ? block.text : JSON.stringify(block.input);
+  const emit = block.type === 'text' ? onText : onJson;
+  if (emit) {
+    for (let i = 0; i < output.length; i += CHUNK_CHARS) emit(output.slice(i, i + CHUNK_CHARS));
+  }
+
+  // Tokens out are capped like the real thing — a script can force a max_tokens stop
+  const outputTokens = estimateTokens(output);
+  const truncated = outputTokens > params.max_tokens;
+  return {
+    id: 'msg_mock',
+    type: 'message',
+    role: 'assistant',
+    model: params.model,
+    content: [block],
+    stop_reason: truncated ? 'max_tokens' : (block.type === 'tool_use' ? 'tool_use' : 'end_turn'),
+    usage: {
+      input_tokens: estimateTokens((params.system || '') + promptText(params)),
+      output_tokens: Math.min(outputTokens, params.max_tokens),
+    },
+  };
+}
+
+module.exports = { name: 'mock', streamMessage, setScript, fromSchema };
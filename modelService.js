@@ -0,0 +1,195 @@
+// modelService.js
+// The one way the orchestrators talk to a model.
+//
+// A "model provider" is any module that exposes:
+//   name
+//   streamMessage(params, { onText, onJson, signal }) → the final message
+//     { model, content, usage, stop_reason }, streaming text / tool_use input
+//     deltas to onText / onJson as they arrive
+//
+// Providers:
+//   'anthropic' (default) — Claude through the Anthropic API, see anthropicService.js
+//   'mock'                — scripted offline answers, see mockModelService.js
+// Select with MODEL_PROVIDER in .env.
+//
+// Every agent has an ordered model list, biggest first — the orchestrators
+// pick where in it a call starts from what the step can pay for (see
+// meteringService.js chooseModel), and the rest of the list is its fallback.
+// Registry agents (agentRegistry.js) carry their own list; the others — the
+// codebase agents, the Planner and the Report Formatter — get modelsFor():
+// AGENT_MODELS in .env, e.g.
+//   AGENT_MODELS={"Insight Agent":["claude-opus-4-1","claude-sonnet-4-6"],"Planner":"claude-haiku-4-5"}
+// then DEFAULT_MODELS (comma-separated), then DEFAULT_MODELS below.
+//
+// On top of the provider, createMessage() adds:
+//   - a timeout per attempt (MODEL_TIMEOUT_SECONDS, default 120)
+//   - fallback down the model list when a model is overloaded or errors
+//   - retries with exponential backoff on 429 (rate limited) and 529 (overloaded)
+//     and on timeouts (MODEL_MAX_RETRIES, default 3) once the list is down to
+//     its last model
+// Neither happens once output has streamed to the caller, which would then see
+// it twice, or once the caller's signal has cancelled the call.
+
+require('dotenv').config();
+
+const PROVIDERS = {
+  anthropic: () => require('./anthropicService'),
+  mock:      () => require('./mockModelService'),
+};
+
+const DEFAULT_MODELS = ['claude-sonnet-4-6', 'claude-haiku-4-5'];
+const DEFAULT_TIMEOUT_SECONDS = 120;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRYABLE_STATUSES = [429, 529];
+
+// Backoff: 1s, 2s, 4s, ... up to 30s, plus up to 25% jitter — or the server's retry-after
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+let agentModels = null;
+
+// ─────────────────────────────────────────────
+// getModelProvider(name)
+// Returns the provider module for `name` (defaults to MODEL_PROVIDER, then 'anthropic').
+// Providers are required lazily so the mock never loads the Anthropic SDK.
+// ─────────────────────────────────────────────
+function getModelProvider(name) {
+  const provider = (name || process.env.MODEL_PROVIDER || 'anthropic').toLowerCase();
+  const load = PROVIDERS[provider];
+  if (!load) throw new Error('Unknown MODEL_PROVIDER "' + provider + '". Expected one of: ' + Object.keys(PROVIDERS).join(', '));
+  return load();
+}
+
+// AGENT_MODELS from .env, checked once — a lone model ID is a list of one
+function loadAgentModels() {
+  if (agentModels) return agentModels;
+  const parsed = process.env.AGENT_MODELS ? JSON.parse(process.env.AGENT_MODELS) : {};
+  agentModels = {};
+  for (const [agent, models] of Object.entries(parsed)) {
+    const list = Array.isArray(models) ? models : [models];
+    if (!list.length || list.some((m) => typeof m !== 'string' || !m)) throw new Error('AGENT_MODELS: ' + agent + ' needs a model ID or a list of them');
+    agentModels[agent] = list;
+  }
+  return agentModels;
+}
+
+// ─────────────────────────────────────────────
+// modelsFor(agentName)
+// The ordered model list of an agent that isn't in the registry — the
+// codebase agents, the Planner and the Report Formatter
+// ─────────────────────────────────────────────
+function modelsFor(agentName) {
+  const configured = loadAgentModels()[agentName];
+  if (configured) return [...configured];
+  if (process.env.DEFAULT_MODELS) return process.env.DEFAULT_MODELS.split(',').map((m) => m.trim()).filter(Boolean);
+  return [...DEFAULT_MODELS];
+}
+
+function settingFromEnv(name, fallback) {
+  if (process.env[name] === undefined) return fallback;
+  const value = Number(process.env[name]);
+  if (!Number.isInteger(value) || value < 0) throw new Error(name + ' must be a whole number of 0 or more');
+  return value;
+}
+
+function isRetryable(err) {
+  return err.timedOut || RETRYABLE_STATUSES.includes(err.status) || /overloaded_error|rate_limit_error/.test(err.message || '');
+}
+
+// How long to wait before retry number `attempt` (1 = the first retry)
+function backoffMs(attempt, err) {
+  const retryAfter = err.headers && typeof err.headers.get === 'function' ? Number(err.headers.get('retry-after')) : NaN;
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+  const base = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return base + Math.floor(Math.random() * base * 0.25);
+}
+
+// The caller's signal was aborted — nothing more should be tried
+function cancelledError(signal) {
+  return signal.reason instanceof Error ? signal.reason : new Error('Model call cancelled');
+}
+
+// Waits ms, or rejects as soon as signal is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(cancelledError(signal));
+    const done = () => { clearTimeout(timer); reject(cancelledError(signal)); };
+    const timer = setTimeout(() => { if (signal) signal.removeEventListener('abort', done); resolve(); }, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+// One attempt, cancelled after timeoutMs or when the caller's signal is aborted
+async function attempt(provider, params, handlers, timeoutMs, signal) {
+  if (signal && signal.aborted) throw cancelledError(signal);
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener('abort', cancel, { once: true });
+  try {
+    return await provider.streamMessage(params, { ...handlers, signal: controller.signal });
+  } catch (err) {
+    if (signal && signal.aborted) throw cancelledError(signal);
+    if (!timedOut) throw err;
+    const timeout = new Error('Model call timed out after ' + Math.round(timeoutMs / 1000) + 's');
+    timeout.timedOut = true;
+    throw timeout;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+// ─────────────────────────────────────────────
+// createMessage(params, { onText, onJson, label, fallbackModels, onFallback, signal })
+// A streamed Messages API call through the selected provider, with the
+// timeout, fallback and retries described at the top of this file.
+// params         = the usual messages.create() body; params.model is tried first
+// fallbackModels = the models to try next, in order
+// onFallback({ from, to, error }) is told each time a model is given up on
+// label          = who's calling, for the logs
+// signal         = AbortSignal that cancels the call — no retry or fallback after it
+// Returns the final message { model, content, usage, stop_reason } —
+// model = the model that actually answered
+// ─────────────────────────────────────────────
+async function createMessage(params, { onText, onJson, label, fallbackModels = [], onFallback, signal } = {}) {
+  const provider = getModelProvider();
+  const timeoutMs = settingFromEnv('MODEL_TIMEOUT_SECONDS', DEFAULT_TIMEOUT_SECONDS) * 1000;
+  const maxRetries = settingFromEnv('MODEL_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+  const who = label || params.model;
+  const models = [params.model, ...fallbackModels];
+
+  // Once anything has reached the caller a retry would send it twice
+  let streamed = false;
+  const handlers = {
+    onText: onText && ((delta) => { streamed = true; onText(delta); }),
+    onJson: onJson && ((partialJson) => { streamed = true; onJson(partialJson); }),
+  };
+
+  for (let m = 0; m < models.length; m++) {
+    const model = models[m];
+    const lastModel = m === models.length - 1;
+
+    for (let tries = 0; ; tries++) {
+      try {
+        return await attempt(provider, { ...params, model }, handlers, timeoutMs, signal);
+      } catch (err) {
+        if (streamed || (signal && signal.aborted)) throw err;
+
+        // A model further down the list beats waiting out this one
+        if (!lastModel) {
+          console.log('[' + who + '] ' + model + ' failed (' + err.message + ') — falling back to ' + models[m + 1]);
+          if (onFallback) onFallback({ from: model, to: models[m + 1], error: err.message });
+          break;
+        }
+        if (tries >= maxRetries || !isRetryable(err)) throw err;
+        const waitMs = backoffMs(tries + 1, err);
+        console.log('[' + who + '] ' + err.message + ' — retrying in ' + (waitMs / 1000).toFixed(1) + 's (' + (tries + 1) + '/' + maxRetries + ')');
+        await sleep(waitMs, signal);
+      }
+    }
+  }
+}
+
+module.exports = { getModelProvider, createMessage, modelsFor, DEFAULT_MODELS };
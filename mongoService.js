@@ -1,7 +1,9 @@
 // mongoService.js
-// MongoDB persistence layer for PayStream analysis reports.
+// MongoDB persistence layer for PayStream analysis reports and run records.
 // Reports are saved after every successful analysis run and can be
 // retrieved by shareId to render the CEO-facing shareable page.
+// Runs track funding, schedule, payments and refund state so an
+// interrupted run can be reconciled on the next startup (see reconcilerService.js).
 
 require('dotenv').config();
 const mongoose = require('mongoose');
@@ -15,6 +17,13 @@ const reportSchema = new mongoose.Schema(
     repoUrl:  { type: String },
     meta:     { type: mongoose.Schema.Types.Mixed },  // { fileCount, languages }
     data:     { type: mongoose.Schema.Types.Mixed },  // { codeReader, simplifier, analogy, insight }
+    // On-chain attestations of each section (see attestationService.js)
+    runId:        { type: String },
+    topicId:      { type: String },                      // the run's HCS audit trail
+    ledger:       { type: String },                      // 'hedera' | 'mock'
+    attestations: { type: mongoose.Schema.Types.Mixed }, // { [section]: { agent, model, outputHash, hcsTxId } }
+    verifications:{ type: mongoose.Schema.Types.Mixed }, // { [section]: { passed, attempts } } with ?verify=true, see verifierService.js
+    files:        { type: [mongoose.Schema.Types.Mixed] }, // [{ path, content }] the agents read — for follow-up questions
     createdAt:{ type: Date, default: Date.now },
   },
   { _id: false }
@@ -25,6 +34,51 @@ reportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 30 });
 
 const Report = mongoose.model('Report', reportSchema);
 
+// Run records are money records — no TTL, they stay until someone archives them
+const runSchema = new mongoose.Schema(
+  {
+    _id:            { type: String },          // runId (randomUUID)
+    kind:           { type: String },          // 'task' | 'analyze' | 'ask'
+    label:          { type: String },          // task text or repo name
+    ledger:         { type: String },          // ledger backend name
+    status:         { type: String, index: true },
+    budgetTinybars: { type: Number },          // smallest units of `currency` (tinybars for HBAR)
+    currency:       { type: mongoose.Schema.Types.Mixed }, // { code, symbol, decimals, tokenId }
+    payerAccountId: { type: String },          // who funded the run — refunds go back here
+    fundingTxId:    { type: String, index: { unique: true, sparse: true } }, // user-signed funding tx, used once — absent, never null, for .env-funded runs
+    heldTinybars:   { type: Number },          // this run's share of the agent wallet right now
+    topicId:        { type: String },          // shared HCS audit topic — messages carry the runId
+    topicOwner:     { type: String },          // whose topic it is, see topicStore.js
+    scheduleId:     { type: String },
+    scheduleExpiresAt: { type: String },       // when the current auto-refund fires
+    refundTimeoutMs:   { type: Number },
+    onExpiry:          { type: String },       // 'renew' | 'settle'
+    renewals:          { type: [mongoose.Schema.Types.Mixed], default: [] },
+    payments:       { type: [mongoose.Schema.Types.Mixed], default: [] },
+    refund:         { type: mongoose.Schema.Types.Mixed },
+    reconciliation: { type: mongoose.Schema.Types.Mixed },
+    error:          { type: String },
+    outcome:        { type: mongoose.Schema.Types.Mixed }, // what it produced, for follow-up questions (see runStore.js)
+  },
+  { _id: false, timestamps: true }
+);
+
+const Run = mongoose.model('Run', runSchema);
+
+// One HCS audit topic per user or project, reused by every run — see topicStore.js
+const topicSchema = new mongoose.Schema(
+  {
+    _id:       { type: String },               // '<ledger>:<owner>'
+    ledger:    { type: String },               // ledger backend name
+    owner:     { type: String },               // 'project:<name>' | 'account:<accountId>'
+    topicId:   { type: String },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const Topic = mongoose.model('Topic', topicSchema);
+
 // ─── Connection ───────────────────────────────────────────────────────────────
 
 async function connectDB() {
@@ -37,9 +91,9 @@ async function connectDB() {
 
 // ─── Save / Fetch ─────────────────────────────────────────────────────────────
 
-async function saveReport({ shareId, repoName, repoUrl, meta, data }) {
+async function saveReport({ shareId, repoName, repoUrl, meta, data, files, runId, topicId, ledger, attestations, verifications }) {
   await connectDB();
-  const doc = new Report({ _id: shareId, repoName, repoUrl, meta, data });
+  const doc = new Report({ _id: shareId, repoName, repoUrl, meta, data, files, runId, topicId, ledger, attestations, verifications });
   await doc.save();
   return shareId;
 }
@@ -49,4 +103,80 @@ async function getReport(shareId) {
   return Report.findById(shareId).lean();
 }
 
-module.exports = { saveReport, getReport };
+// ─── Runs ─────────────────────────────────────────────────────────────────────
+
+async function saveRun(run) {
+  await connectDB();
+  const { runId, ...rest } = run;
+  await new Run({ _id: runId, ...rest }).save();
+  return runId;
+}
+
+// A field patched to undefined is removed from the record
+async function updateRun(runId, patch) {
+  await connectDB();
+  const $set = {};
+  const $unset = {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === undefined) $unset[key] = '';
+    else $set[key] = value;
+  }
+  const update = {};
+  if (Object.keys($set).length) update.$set = $set;
+  if (Object.keys($unset).length) update.$unset = $unset;
+  await Run.updateOne({ _id: runId }, update);
+}
+
+// Upserts one payment inside the run by its id — parallel agents each
+// touch only their own entry, so concurrent writes can't clobber each other
+async function savePayment(runId, payment) {
+  await connectDB();
+  const updated = await Run.updateOne({ _id: runId, 'payments.id': payment.id }, { $set: { 'payments.$': payment } });
+  if (updated.matchedCount === 0) {
+    await Run.updateOne({ _id: runId }, { $push: { payments: payment } });
+  }
+}
+
+async function getRun(runId) {
+  await connectDB();
+  const doc = await Run.findById(runId).lean();
+  return doc ? toRun(doc) : null;
+}
+
+async function findRunByFundingTx(fundingTxId) {
+  await connectDB();
+  const doc = await Run.findOne({ fundingTxId }).lean();
+  return doc ? toRun(doc) : null;
+}
+
+async function findRunsByStatus(statuses) {
+  await connectDB();
+  const docs = await Run.find({ status: { $in: statuses } }).sort({ createdAt: 1 }).lean();
+  return docs.map(toRun);
+}
+
+// ─── Topics ───────────────────────────────────────────────────────────────────
+
+async function getTopic(key) {
+  await connectDB();
+  return Topic.findById(key).lean();
+}
+
+// Inserts the topic unless another process stored one for this key first —
+// either way, returns whichever topic is stored now
+async function saveTopic({ key, ledger, owner, topicId }) {
+  await connectDB();
+  await Topic.updateOne({ _id: key }, { $setOnInsert: { ledger, owner, topicId, createdAt: new Date() } }, { upsert: true });
+  return Topic.findById(key).lean();
+}
+
+function toRun(doc) {
+  const { _id, __v, ...rest } = doc;
+  return { runId: _id, ...rest };
+}
+
+module.exports = {
+  saveReport, getReport,
+  saveRun, updateRun, savePayment, getRun, findRunByFundingTx, findRunsByStatus,
+  getTopic, saveTopic,
+};
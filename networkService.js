@@ -0,0 +1,104 @@
+// networkService.js
+// Which Hedera network we talk to, and how to link to things on it.
+//
+// Configure with HEDERA_NETWORK in .env:
+//   mainnet | testnet (default) | previewnet | local
+//
+// For a local node (e.g. hiero-local-node) also set:
+//   HEDERA_NODE_ADDRESS     consensus node gRPC address   (default 127.0.0.1:50211)
+//   HEDERA_NODE_ACCOUNT_ID  that node's account ID        (default 0.0.3)
+//   HEDERA_MIRROR_NODE      mirror node gRPC address      (default 127.0.0.1:5600)
+//
+// Optional overrides for any network:
+//   HEDERA_EXPLORER_URL     explorer base URL, e.g. https://hashscan.io/testnet
+//   HEDERA_MIRROR_REST_URL  mirror node REST base URL
+
+require('dotenv').config();
+
+const { Client, AccountId } = require('@hashgraph/sdk');
+
+const NETWORKS = {
+  mainnet: {
+    explorerUrl:   'https://hashscan.io/mainnet',
+    mirrorRestUrl: 'https://mainnet-public.mirrornode.hedera.com',
+  },
+  testnet: {
+    explorerUrl:   'https://hashscan.io/testnet',
+    mirrorRestUrl: 'https://testnet.mirrornode.hedera.com',
+  },
+  previewnet: {
+    explorerUrl:   'https://hashscan.io/previewnet',
+    mirrorRestUrl: 'https://previewnet.mirrornode.hedera.com',
+  },
+  local: {
+    explorerUrl:   'http://localhost:8080/devnet',
+    mirrorRestUrl: 'http://localhost:5551',
+  },
+};
+
+// Things the explorer has a page for → URL path segment
+const EXPLORER_PATHS = {
+  transaction: 'transaction',
+  topic:       'topic',
+  schedule:    'schedule',
+  account:     'account',
+  token:       'token',
+};
+
+// ─────────────────────────────────────────────
+// getNetworkConfig()
+// Resolves the active network from .env.
+// Returns { name, explorerUrl, mirrorRestUrl, nodeAddress, nodeAccountId, mirrorNode }
+// (the last three are only set for 'local')
+// ─────────────────────────────────────────────
+function getNetworkConfig() {
+  const name = (process.env.HEDERA_NETWORK || 'testnet').toLowerCase();
+  const defaults = NETWORKS[name];
+  if (!defaults) throw new Error('Unknown HEDERA_NETWORK "' + name + '". Expected one of: ' + Object.keys(NETWORKS).join(', '));
+
+  const config = {
+    name,
+    explorerUrl:   (process.env.HEDERA_EXPLORER_URL || defaults.explorerUrl).replace(/\/$/, ''),
+    mirrorRestUrl: (process.env.HEDERA_MIRROR_REST_URL || defaults.mirrorRestUrl).replace(/\/$/, ''),
+  };
+
+  if (name === 'local') {
+    config.nodeAddress   = process.env.HEDERA_NODE_ADDRESS    || '127.0.0.1:50211';
+    config.nodeAccountId = process.env.HEDERA_NODE_ACCOUNT_ID || '0.0.3';
+    config.mirrorNode    = process.env.HEDERA_MIRROR_NODE     || '127.0.0.1:5600';
+  }
+
+  return config;
+}
+
+// ─────────────────────────────────────────────
+// createClient()
+// Builds an SDK Client for the active network (no operator set yet).
+// ─────────────────────────────────────────────
+function createClient() {
+  const config = getNetworkConfig();
+
+  if (config.name === 'local') {
+    const client = Client.forNetwork({ [config.nodeAddress]: AccountId.fromString(config.nodeAccountId) });
+    client.setMirrorNetwork([config.mirrorNode]);
+    return client;
+  }
+
+  return Client.forName(config.name);
+}
+
+// ─────────────────────────────────────────────
+// explorerUrl(kind, id)
+// The one place explorer links get built.
+// kind = 'transaction' | 'topic' | 'schedule' | 'account' | 'token'
+// id   = the entity or transaction ID as a string
+// Returns null if there's nothing to link to.
+// ─────────────────────────────────────────────
+function explorerUrl(kind, id) {
+  const path = EXPLORER_PATHS[kind];
+  if (!path) throw new Error('Unknown explorer link type: ' + kind);
+  if (!id) return null;
+  return getNetworkConfig().explorerUrl + '/' + path + '/' + String(id);
+}
+
+module.exports = { getNetworkConfig, createClient, explorerUrl };
@@ -0,0 +1,102 @@
+// paymentPolicyService.js
+// How much of a step's escrowed payment an agent actually gets, decided from
+// how its step went.
+//
+// Each step ends in one outcome (see assessOutcome in acceptanceService.js):
+//   ok               output accepted as-is
+//   defaults_filled  we had to fill in fields the model left out
+//   truncated        the model stopped on max_tokens — output may be cut short
+//   below_rubric     still under the verifier's bar after its retry (verifierService.js)
+//   invalid          output doesn't match the tool schema
+//   empty            no (or next to no) output
+//   error            the call threw or timed out
+//
+// A policy maps every outcome to the percent of the payment released:
+//   100 = full pay, 0 = no pay, anything between = partial pay.
+// The unpaid part goes straight back to the funder. Agents use DEFAULT_POLICY
+// unless PAYMENT_POLICIES in .env overrides some outcomes for them, e.g.
+//   PAYMENT_POLICIES={"Insight Agent":{"defaults_filled":25},"Writer Agent":{"truncated":0}}
+//
+// In a metered run (see meteringService.js) the percent applies to what the
+// call's tokens cost, capped at the escrow, instead of the whole escrow.
+//
+// Every decision (and why) goes into the step's HCS payment / escrow_refund
+// message and out over SSE as a payment_decision event.
+
+require('dotenv').config();
+
+const OUTCOMES = ['ok', 'defaults_filled', 'truncated', 'below_rubric', 'invalid', 'empty', 'error'];
+
+const DEFAULT_POLICY = {
+  ok:              100,
+  defaults_filled: 50,
+  truncated:       50,
+  below_rubric:    50,
+  invalid:         0,
+  empty:           0,
+  error:           0,
+};
+
+let agentPolicies = null;
+
+// PAYMENT_POLICIES from .env, checked once — a typo there should fail loudly, not pay wrongly
+function loadAgentPolicies() {
+  if (agentPolicies) return agentPolicies;
+
+  const raw = process.env.PAYMENT_POLICIES;
+  const parsed = raw ? JSON.parse(raw) : {};
+  for (const [agent, policy] of Object.entries(parsed)) {
+    for (const [outcome, percent] of Object.entries(policy)) {
+      if (!OUTCOMES.includes(outcome)) throw new Error('PAYMENT_POLICIES: unknown outcome "' + outcome + '" for ' + agent + ' (expected one of ' + OUTCOMES.join(', ') + ')');
+      if (!Number.isInteger(percent) || percent < 0 || percent > 100) throw new Error('PAYMENT_POLICIES: ' + agent + ' ' + outcome + ' must be a whole percent 0-100');
+    }
+  }
+  agentPolicies = parsed;
+  return agentPolicies;
+}
+
+// ─────────────────────────────────────────────
+// getPolicy(agentName)
+// The full outcome → percent table for one agent
+// ─────────────────────────────────────────────
+function getPolicy(agentName) {
+  return { ...DEFAULT_POLICY, ...(loadAgentPolicies()[agentName] || {}) };
+}
+
+// ─────────────────────────────────────────────
+// decidePayment(agentName, assessment, tinybars, meteredTinybars)
+// assessment      = acceptanceService.js assessOutcome() → { outcome, reasons, signals }
+// tinybars        = the step's escrowed payment (smallest units)
+// meteredTinybars = metered runs only: what the step's tokens cost — the
+//                   percent is taken of this (at most the escrow) instead
+// Returns { decision: 'full'|'partial'|'none', outcome, percent, payTinybars,
+//           refundTinybars, reason, signals }
+// 'none' means nothing is paid: the step failed, or its share of a non-empty
+// escrow rounds down to zero (e.g. a metered call that reported no usage) —
+// either way the escrow is refunded. A metered step that succeeded but cost
+// less than its escrow is 'partial'.
+// ─────────────────────────────────────────────
+function decidePayment(agentName, assessment, tinybars, meteredTinybars) {
+  const percent = getPolicy(agentName)[assessment.outcome];
+  const metered = meteredTinybars !== undefined;
+  const payable = metered ? Math.min(meteredTinybars, tinybars) : tinybars;
+  // Same integer rounding as budgetService.js percentOf — the agent never gets the odd unit
+  const payTinybars = percent === 100 ? payable : Math.floor((payable * percent) / 100);
+  // A free step (nothing escrowed) is still released — there's nothing to refund
+  const roundedAway = percent > 0 && payTinybars === 0 && tinybars > 0;
+  const decision = percent === 0 || roundedAway ? 'none' : (payTinybars === tinybars ? 'full' : 'partial');
+
+  const why = assessment.reasons.length ? assessment.reasons.join('; ') : 'output accepted';
+  return {
+    decision,
+    outcome: assessment.outcome,
+    percent,
+    payTinybars,
+    refundTinybars: tinybars - payTinybars,
+    reason: assessment.outcome + ' → ' + percent + '% ' + (metered ? 'of metered usage ' : '') + 'paid: ' + why
+      + (roundedAway ? ' (rounds down to nothing — refunded)' : ''),
+    signals: assessment.signals,
+  };
+}
+
+module.exports = { OUTCOMES, DEFAULT_POLICY, getPolicy, decidePayment };
@@ -0,0 +1,128 @@
+// planApprovalService.js
+// Human-in-the-loop plan approval for /api/run?approvePlan=true.
+//
+// After planning, the run pauses with its budget funded but nothing spent and
+// sends a plan_ready event carrying a planToken — only whoever holds the
+// run's event stream can answer for it. The user then answers through
+// POST /api/runs/:runId/plan (see server.js), with the token in an
+// X-Plan-Token header, and one of:
+//   { action: 'approve' }                                      run the plan as is
+//   { action: 'edit', steps: [{ id, task?, allocation? }] }    run it with those changes
+//   { action: 'reject', reason? }                              refund everything now
+// No answer within PLAN_APPROVAL_TIMEOUT_MS counts as a rejection. Edited
+// steps go through the same checks as the planner's (see agentService.js
+// checkPlan): allocations are scaled back to 100 and none may end up under
+// the minimum.
+//
+// Pending approvals live in this process only — the run waiting on one is
+// active here, and if the process dies the reconciler refunds it like any
+// other interrupted run.
+
+require('dotenv').config();
+
+const { randomUUID, timingSafeEqual } = require('crypto');
+
+const PLAN_APPROVAL_TIMEOUT_MS = 30 * 60 * 1000;
+const PLAN_ACTIONS = ['approve', 'edit', 'reject'];
+const MAX_TASK_LENGTH = 2000;
+
+const pending = new Map();   // runId → { steps, token, checkSteps, resolve, timer }
+
+// ─────────────────────────────────────────────
+// waitForPlanDecision(runId, steps, { checkSteps, timeoutMs })
+// Waits for the user's answer on this run's plan.
+// steps      = the planner's validated steps (see agentService.js validatePlan)
+// checkSteps = (steps) → { steps } | { problems }, run on an edited plan
+// Returns { token, decision }: token = what the answer must carry (send it
+// out on plan_ready), decision = a promise of { action: 'approve', steps } —
+// edits applied — or { action: 'reject', reason }. It never rejects.
+// ─────────────────────────────────────────────
+function waitForPlanDecision(runId, steps, { checkSteps, timeoutMs = PLAN_APPROVAL_TIMEOUT_MS } = {}) {
+  const token = randomUUID();
+  const decision = new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      pending.delete(runId);
+      console.log('[Run ' + runId + '] plan not approved within ' + Math.round(timeoutMs / 60000) + ' minutes — rejecting');
+      resolve({ action: 'reject', reason: 'No decision within ' + Math.round(timeoutMs / 60000) + ' minutes' });
+    }, timeoutMs);
+    timer.unref();
+    pending.set(runId, { steps, token, checkSteps, resolve, timer });
+  });
+  return { token, decision };
+}
+
+// ─────────────────────────────────────────────
+// applyEdits(steps, edits, checkSteps)
+// The plan with the user's task / allocation changes. Steps can't be added,
+// removed, reassigned or rewired — only what each one does and what it's worth.
+// The result goes through checkSteps, so it holds to the planner's rules.
+// Returns { steps } or { error }
+// ─────────────────────────────────────────────
+function applyEdits(steps, edits, checkSteps) {
+  if (!Array.isArray(edits) || edits.length === 0) return { error: 'edit needs a steps list of { id, task?, allocation? }' };
+
+  const edited = steps.map((s) => ({ ...s, dependsOn: [...s.dependsOn] }));
+  for (const edit of edits) {
+    const step = edit && edited.find((s) => s.id === String(edit.id));
+    if (!step) return { error: 'No step with id "' + (edit && edit.id) + '" in this plan' };
+
+    if (edit.task !== undefined) {
+      if (typeof edit.task !== 'string' || !edit.task.trim() || edit.task.length > MAX_TASK_LENGTH) {
+        return { error: 'Step ' + step.id + ': task must be 1-' + MAX_TASK_LENGTH + ' characters' };
+      }
+      step.task = edit.task;
+    }
+    if (edit.allocation !== undefined) {
+      if (typeof edit.allocation !== 'number' || !(edit.allocation > 0) || edit.allocation > 100) {
+        return { error: 'Step ' + step.id + ': allocation must be above 0 and at most 100' };
+      }
+      step.allocation = edit.allocation;
+    }
+  }
+  if (!checkSteps) return { steps: edited };
+
+  const checked = checkSteps(edited);
+  if (checked.problems) return { error: 'The edited plan doesn\'t work: ' + checked.problems.join('; ') };
+  return { steps: checked.steps };
+}
+
+function sameToken(given, expected) {
+  const a = Buffer.from(typeof given === 'string' ? given : '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// ─────────────────────────────────────────────
+// submitPlanDecision(runId, body, token)
+// Hands the user's answer to the run waiting on it.
+// body  = { action, steps?, reason? } — see the top of this file
+// token = the planToken from the run's plan_ready event
+// Returns { action, steps? } or { error, status }, null if no run is waiting on a plan
+// ─────────────────────────────────────────────
+function submitPlanDecision(runId, body, token) {
+  const waiting = pending.get(runId);
+  if (!waiting) return null;
+  if (!sameToken(token, waiting.token)) return { error: 'This run\'s plan token is required (X-Plan-Token, from its plan_ready event).', status: 403 };
+
+  const action = body && body.action;
+  if (!PLAN_ACTIONS.includes(action)) return { error: 'action must be one of: ' + PLAN_ACTIONS.join(', '), status: 400 };
+
+  let decision;
+  if (action === 'reject') {
+    const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.slice(0, 500) : 'Rejected by the user';
+    decision = { action: 'reject', reason };
+  } else if (action === 'edit') {
+    const { steps, error } = applyEdits(waiting.steps, body.steps, waiting.checkSteps);
+    if (error) return { error, status: 400 };
+    decision = { action: 'approve', steps, edited: true };
+  } else {
+    decision = { action: 'approve', steps: waiting.steps };
+  }
+
+  clearTimeout(waiting.timer);
+  pending.delete(runId);
+  waiting.resolve(decision);
+  return decision;
+}
+
+module.exports = { waitForPlanDecision, submitPlanDecision, PLAN_APPROVAL_TIMEOUT_MS };
@@ -0,0 +1,183 @@
+// quoteService.js
+// What a run will cost before anyone commits a budget to it — for GET /api/quote.
+//
+// Nothing is funded and nothing moves on the ledger. A task quote runs the
+// planner (one real Claude call) to get the steps; an analyze quote only uses
+// the repo fetch and file selection. Both then estimate, per step:
+//   - tokens in (the prompt) and out (at most the agent's max_tokens)
+//   - what the agent would be paid — its share of the agent pool, or, for
+//     pricing=metered, what those tokens would cost (see meteringService.js)
+// plus the network fees of the run's transactions and the expected refund.
+// Estimates assume every step is accepted and uses its full max_tokens, so
+// the expected spend is an upper bound — except that an agent with tools
+// (toolService.js) can take several rounds and pay for tool calls, which
+// can't be known ahead. Those steps list their tools; metered, what they're
+// paid is still capped at their share.
+
+require('dotenv').config();
+
+const { getLedger } = require('./ledgerService');
+const { createRunBudget } = require('./budgetService');
+const { resolveCurrency, toSmallestUnits, amountFields, isToken } = require('./currencyService');
+const { meterUsage, estimateTokens, chooseModel, MIN_OUTPUT_TOKENS } = require('./meteringService');
+const { modelsFor } = require('./modelService');
+const agentRegistry = require('./agentRegistry');
+const agentService = require('./agentService');
+const codebaseAgentService = require('./codebaseAgentService');
+
+// ─────────────────────────────────────────────
+// runTransactions(stepCount, currency)
+// The ledger transactions a run with this many steps makes when every step
+// is accepted: funding + its scheduled auto-refund, per step an escrow
+// schedule, its release (a signature + the transfer it executes) and the HCS
+// payment record, then cancelling the auto-refund and refunding the rest.
+// A project's first run also creates its HCS topic — not counted here.
+// ─────────────────────────────────────────────
+function runTransactions(stepCount, currency) {
+  const transfer = isToken(currency) ? 'tokenTransfer' : 'transfer';
+  return {
+    [transfer]:     2 + stepCount,
+    scheduleCreate: 1 + stepCount,
+    scheduleSign:   stepCount,
+    scheduleDelete: 1,
+    topicMessage:   stepCount,
+  };
+}
+
+// ─────────────────────────────────────────────
+// buildQuote(ledger, budget, pricing, calls, meta)
+// Shared by both quotes. calls = [{ id?, agent, task?, dependsOn?, allocation,
+// model, inputTokens, maxTokens, share, skipped?, tools? }] — share = the step's cut of
+// the agent pool, skipped = a metered step its share can't pay a call for
+// ─────────────────────────────────────────────
+async function buildQuote(ledger, budget, pricing, calls, meta) {
+  const metered = pricing === 'metered';
+  const currency = budget.currency;
+
+  const payments = [];
+  const steps = calls.map((c, i) => {
+    const cost = meterUsage(currency, c.model, { input_tokens: c.inputTokens, output_tokens: c.maxTokens }).costUnits;
+    payments[i] = c.skipped ? 0 : (metered ? Math.min(cost, c.share) : c.share);
+    return {
+      ...(c.id ? { id: c.id } : {}),
+      agent: c.agent,
+      ...(c.task ? { task: c.task, dependsOn: c.dependsOn } : {}),
+      allocation: c.allocation,
+      model: c.model,
+      ...(c.skipped ? { skipped: true } : {}),
+      ...(c.tools && c.tools.length ? { tools: c.tools } : {}),
+      estimatedInputTokens: c.inputTokens,
+      maxOutputTokens: c.maxTokens,
+      ...(metered ? amountFields(currency, 'meteredCost', cost) : {}),
+      ...amountFields(currency, 'payment', payments[i]),
+    };
+  });
+
+  // Per agent — an agent can take more than one step
+  const perAgent = {};
+  calls.forEach((c, i) => { perAgent[c.agent] = (perAgent[c.agent] || 0) + payments[i]; });
+  const spend = payments.reduce((sum, units) => sum + units, 0);
+
+  // Fees are the agent wallet's to pay, not taken out of the budget — and
+  // an estimate the quote can do without if the mirror node is down
+  let networkFees;
+  try {
+    const fees = await ledger.estimateFees(runTransactions(calls.length, currency));
+    networkFees = { ...amountFields(null, 'total', fees.tinybars), usdPerHbar: fees.usdPerHbar, byType: fees.byType, paidBy: 'agent wallet' };
+  } catch (err) {
+    console.log('[Quote] Fee estimate unavailable: ' + err.message);
+    networkFees = { error: err.message };
+  }
+
+  return {
+    ...meta,
+    ledger: ledger.name,
+    pricing,
+    currency: currency.code,
+    ...amountFields(currency, 'budget', budget.total),
+    ...amountFields(currency, 'agentPool', budget.agentPool),
+    steps,
+    perAgent: Object.fromEntries(Object.entries(perAgent).map(([agent, units]) => [agent, amountFields(currency, 'payment', units)])),
+    estimatedTokens: {
+      input: calls.reduce((sum, c) => sum + c.inputTokens, 0),
+      maxOutput: calls.reduce((sum, c) => sum + c.maxTokens, 0),
+    },
+    ...amountFields(currency, 'expectedSpend', spend),
+    ...amountFields(currency, 'expectedRefund', budget.total - spend),
+    networkFees,
+  };
+}
+
+// ─────────────────────────────────────────────
+// quoteTask(task, budgetAmount, options)
+// Plans the task like runMainAgent would and prices the plan, each step on
+// the model and max_tokens its share would get (meteringService.js chooseModel).
+// options = the run's options (ledger, currency, pricing — see runMainAgent)
+// ─────────────────────────────────────────────
+async function quoteTask(task, budgetAmount, options = {}) {
+  const ledger = options.ledger || getLedger();
+  ledger.initClient();
+
+  const agents = agentRegistry.listAgents();
+  if (!agents.length) throw new Error('No agents registered — add one through /api/agents first');
+
+  const currency = await resolveCurrency(ledger, options.currency);
+  const budget = createRunBudget(toSmallestUnits(currency, budgetAmount), agentService.AGENT_BUDGET_PERCENT, currency);
+
+  const { steps, fallback } = await agentService.planSteps(task, agents);
+  const shares = agentService.stepPayments(steps, agents, budget);
+
+  // A step's prompt is its task plus the output of every step it depends on
+  const pricing = options.pricing || 'allocation';
+  const maxOutput = {};
+  const calls = steps.map((step, i) => {
+    const agent = agents.find((a) => a.name === step.agent);
+    const inputTokens = estimateTokens(agent.systemPrompt + step.task) + step.dependsOn.reduce((sum, dep) => sum + maxOutput[dep], 0);
+    const route = chooseModel(currency, agent.models, shares[i], inputTokens, agent.maxTokens);
+    const skipped = !route.maxTokens && pricing === 'metered';
+    if (!route.maxTokens && !skipped) route.maxTokens = MIN_OUTPUT_TOKENS;
+    maxOutput[step.id] = route.maxTokens;
+    return {
+      id: step.id,
+      agent: step.agent,
+      task: step.task,
+      dependsOn: step.dependsOn,
+      allocation: step.allocation,
+      model: route.model,
+      inputTokens,
+      maxTokens: route.maxTokens,
+      share: shares[i],
+      skipped,
+      tools: agent.tools,
+    };
+  });
+
+  return buildQuote(ledger, budget, pricing, calls, { kind: 'task', task, planFallback: fallback });
+}
+
+// ─────────────────────────────────────────────
+// quoteAnalysis(repoContent, budgetAmount, options)
+// Prices runCodebaseAnalysis's four agents for an already-fetched repo
+// (githubService.js fetchRepoContent). Always allocation-priced.
+// ─────────────────────────────────────────────
+async function quoteAnalysis(repoContent, budgetAmount, options = {}) {
+  const ledger = options.ledger || getLedger();
+  ledger.initClient();
+
+  const currency = await resolveCurrency(ledger, options.currency);
+  const budget = createRunBudget(toSmallestUnits(currency, budgetAmount), codebaseAgentService.AGENT_BUDGET_PERCENT, currency);
+  const shares = budget.allocate(codebaseAgentService.AGENT_ALLOCATIONS);
+
+  // Routed like runAgents does — never skipped, analysis being allocation-priced
+  const calls = codebaseAgentService.estimateAgentCalls(repoContent).map((c) => {
+    const route = chooseModel(currency, modelsFor(c.agent), shares[c.agent], c.inputTokens, c.maxTokens);
+    return { ...c, model: route.model, maxTokens: route.maxTokens || MIN_OUTPUT_TOKENS, share: shares[c.agent] };
+  });
+
+  return buildQuote(ledger, budget, 'allocation', calls, {
+    kind: 'analyze',
+    repo: { repoName: repoContent.repoName, fileCount: repoContent.fileCount, languages: repoContent.languages },
+  });
+}
+
+module.exports = { quoteTask, quoteAnalysis, runTransactions };
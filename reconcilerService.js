@@ -0,0 +1,245 @@
+// reconcilerService.js
+// Startup safety net for runs that never finished.
+//
+// If server.js dies mid-run, two things can go wrong:
+//   1. The scheduled auto-refund fires for more than is left — it's shrunk
+//      after every payment, but a crash can land between the two.
+//   2. We deleted the schedule but died before sending the refund,
+//      so the user gets nothing back.
+// For every unfinished run in runStore we look at what was recorded and
+// what the ledger says happened to the schedule, then either refund the
+// correct remainder ourselves or let the schedule fire.
+//
+// Step payments held in escrow (see openEscrow in settlementService.js) are
+// settled first: an escrow that executed was paid, one that didn't is
+// cancelled and its amount goes back with the rest of the remainder.
+
+require('dotenv').config();
+
+const runStore = require('./runStore');
+const { getLedger } = require('./ledgerService');
+const { isActive }  = require('./settlementService');
+const { isToken, formatAmount } = require('./currencyService');
+
+// Result of the most recent reconcileRuns() — served by the admin endpoint
+let lastReport = null;
+
+// Escrow states in which we send transfers after deleting the schedule
+const MONEY_MOVING_STATES = ['refunding', 'partially_releasing'];
+
+// Payments that were charged (even if the on-chain confirmation never got
+// recorded) count as spent. Only explicitly reversed ones are refundable,
+// and refunded ones (a failed step's escrow) already went back to the funder.
+function spentTinybars(run) {
+  return (run.payments || [])
+    .filter((p) => p.status !== 'reversed' && p.status !== 'refunded')
+    .reduce((sum, p) => sum + p.tinybars, 0);
+}
+
+// Partly refunded payments (partial pay) keep the refunded part in refundedTinybars
+function refundedTinybars(run) {
+  return (run.payments || [])
+    .reduce((sum, p) => sum + (p.status === 'refunded' ? p.tinybars : (p.refundedTinybars || 0)), 0);
+}
+
+// What the live auto-refund pays back: the budget, until it's renewed for
+// what the run held at the time (see renewRefundSchedule in settlementService.js)
+function scheduledTinybars(run) {
+  const renewals = run.renewals || [];
+  return renewals.length ? renewals[renewals.length - 1].tinybars : run.budgetTinybars;
+}
+
+// ─────────────────────────────────────────────
+// settleEscrows(ledger, run)
+// Finishes every step escrow the crash left open, by what its schedule did:
+//   executed          → the sub-agent was paid: payment 'paid'
+//   pending           → cancelled now: payment 'reversed' (refunded with the remainder)
+//   expired / deleted → nothing moved: payment 'reversed'
+// An escrow that was mid-refund (or mid partial pay) when we died is the
+// exception: its schedule is gone, but we can't tell which transfers were
+// sent, so it's returned as needing review. Updates run.payments in place and in runStore.
+// Returns the payments that need review
+// ─────────────────────────────────────────────
+async function settleEscrows(ledger, run) {
+  const unsure = [];
+
+  for (const payment of run.payments || []) {
+    if (payment.status !== 'charged' || !payment.escrow) continue;
+    const escrow = payment.escrow;
+
+    // An escrow that never got a schedule (or a free one) can't have moved anything
+    let status = 'expired';
+    let cancelledNow = false;
+    if (escrow.scheduleId) {
+      status = (await ledger.getScheduleStatus(escrow.scheduleId)).status;
+      if (status === 'pending') {
+        await ledger.cancelSchedule(escrow.scheduleId);
+        status = 'deleted';
+        cancelledNow = true;
+      } else if (status === 'unknown' && run.ledger !== 'mock') {
+        unsure.push(payment.id);
+        continue;
+      }
+    }
+
+    if (status === 'executed') {
+      Object.assign(payment, { status: 'paid', escrow: { ...escrow, state: 'released' } });
+    } else if (MONEY_MOVING_STATES.includes(escrow.state) && !cancelledNow && escrow.scheduleId && payment.tinybars > 0) {
+      unsure.push(payment.id);
+      continue;
+    } else {
+      Object.assign(payment, { status: 'reversed', reason: 'Escrow not released before restart', escrow: { ...escrow, state: 'cancelled' } });
+    }
+    await runStore.savePayment(run.runId, payment);
+  }
+
+  return unsure;
+}
+
+// ─────────────────────────────────────────────
+// refundAndClose(ledger, run, remaining, refund)
+// Sends the remainder back to whoever funded the run and marks it settled.
+// ─────────────────────────────────────────────
+async function refundAndClose(ledger, run, remaining, refund) {
+  const currency = isToken(run.currency) ? run.currency : undefined;
+  const txId = remaining > 0 ? await ledger.sendRefund(remaining, run.payerAccountId, currency) : null;
+  await runStore.updateRun(run.runId, { status: 'settled', heldTinybars: 0, refund: { ...refund, tinybars: remaining, txId } });
+  return txId;
+}
+
+// ─────────────────────────────────────────────
+// reconcileRun(run)
+// Decides and performs the right action for one unfinished run.
+// Returns a report entry: { runId, action, ... }
+// ─────────────────────────────────────────────
+async function reconcileRun(run) {
+  const entry = {
+    runId: run.runId,
+    kind: run.kind,
+    previousStatus: run.status,
+    budgetTinybars: run.budgetTinybars,
+    unconfirmedPayments: (run.payments || []).filter((p) => p.status === 'charged').length,
+  };
+
+  const finish = async (action, patch) => {
+    Object.assign(entry, { action }, patch && patch.report);
+    const reconciliation = { at: new Date().toISOString(), ...entry };
+    await runStore.updateRun(run.runId, { ...(patch && patch.run), reconciliation });
+    console.log('[Reconciler] ' + run.runId + ' → ' + action);
+    return entry;
+  };
+
+  try {
+    // Never got as far as creating the schedule: we can't tell from the
+    // record alone whether the funding transfer went through
+    if (!run.scheduleId) return finish('needs_review_no_schedule', { run: { status: 'needs_review' } });
+
+    const ledger = getLedger(run.ledger);
+    ledger.initClient();
+    const refund = run.refund || {};
+
+    if (refund.txId) return finish('already_refunded', { run: { status: 'settled' } });
+
+    const unsureEscrows = await settleEscrows(ledger, run);
+    if (unsureEscrows.length) {
+      return finish('needs_review_escrow_refund', { run: { status: 'needs_review' }, report: { paymentIds: unsureEscrows } });
+    }
+
+    // What already went back to the funder early (refunded escrows) isn't owed again
+    const spent         = spentTinybars(run);
+    const refundedEarly = refundedTinybars(run);
+    const remaining     = run.budgetTinybars - spent - refundedEarly;
+    const scheduled     = scheduledTinybars(run);
+    Object.assign(entry, { spentTinybars: spent, refundedTinybars: refundedEarly, remainingTinybars: remaining, scheduledTinybars: scheduled });
+
+    // We cancelled the schedule and then died — refund is still owed
+    if (refund.scheduleCancelled) {
+      const txId = await refundAndClose(ledger, run, remaining, refund);
+      return finish('refunded_after_cancel', { report: { refundTxId: txId } });
+    }
+
+    const schedule = await ledger.getScheduleStatus(run.scheduleId);
+    entry.scheduleStatus = schedule.status;
+
+    switch (schedule.status) {
+      case 'pending': {
+        // The schedule refunds exactly the right amount (nothing was paid since it was made) — let it fire
+        if (scheduled === remaining) return finish('left_schedule_to_fire', { run: { status: 'awaiting_schedule' } });
+
+        // Agents were paid since → the schedule would over-refund; cancel and refund the real remainder
+        await ledger.cancelSchedule(run.scheduleId);
+        await runStore.updateRun(run.runId, { status: 'settling', refund: { tinybars: remaining, scheduleCancelled: true, txId: null } });
+        const txId = await refundAndClose(ledger, run, remaining, { scheduleCancelled: true });
+        return finish('cancelled_schedule_and_refunded', { report: { refundTxId: txId } });
+      }
+
+      case 'executed': {
+        // The schedule already refunded what it was made for
+        if (scheduled === remaining) return finish('refunded_by_schedule', { run: { status: 'settled' } });
+        if (scheduled < remaining) {
+          const txId = await refundAndClose(ledger, run, remaining - scheduled, { executedBySchedule: true, scheduleTinybars: scheduled });
+          return finish('refunded_rest_after_schedule', { report: { refundTxId: txId, executedAt: schedule.executedAt } });
+        }
+        console.log('[Reconciler] ' + run.runId + ' schedule over-refunded ' + formatAmount(run.currency, scheduled - remaining));
+        return finish('schedule_overrefunded', {
+          run: { status: 'settled' },
+          report: { overRefundedTinybars: scheduled - remaining, executedAt: schedule.executedAt },
+        });
+      }
+
+      case 'deleted': {
+        // Deleted on-chain but we never recorded it — the refund is still owed
+        const txId = await refundAndClose(ledger, run, remaining, { scheduleCancelled: true });
+        return finish('refunded_after_cancel', { report: { refundTxId: txId } });
+      }
+
+      case 'expired': {
+        // Expired without executing (e.g. agent wallet was short) — refund what's really left
+        const txId = await refundAndClose(ledger, run, remaining, { scheduleCancelled: false });
+        return finish('refunded_after_failed_schedule', { report: { refundTxId: txId } });
+      }
+
+      default:
+        // The mock ledger lives in memory — if it doesn't know the schedule, the process restarted
+        if (run.ledger === 'mock') return finish('abandoned_mock_run', { run: { status: 'abandoned' } });
+        return finish('needs_review_unknown_schedule', { run: { status: 'needs_review' } });
+    }
+  } catch (err) {
+    console.error('[Reconciler] ' + run.runId + ' failed: ' + err.message);
+    entry.action = 'error';
+    entry.error = err.message;
+    return entry;
+  }
+}
+
+// ─────────────────────────────────────────────
+// reconcileRuns()
+// Reconciles every unfinished run this process isn't actively working on.
+// Safe to call repeatedly — settled runs are never touched again.
+// ─────────────────────────────────────────────
+async function reconcileRuns() {
+  const startedAt = new Date().toISOString();
+  const runs = (await runStore.listUnfinishedRuns()).filter((r) => !isActive(r.runId));
+
+  console.log('[Reconciler] ' + runs.length + ' unfinished run(s) to check.');
+
+  const results = [];
+  for (const run of runs) {
+    results.push(await reconcileRun(run));
+  }
+
+  lastReport = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    persistent: runStore.isPersistent(),
+    checked: results.length,
+    runs: results,
+  };
+  return lastReport;
+}
+
+function getLastReport() {
+  return lastReport;
+}
+
+module.exports = { reconcileRuns, reconcileRun, getLastReport };
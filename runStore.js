@@ -0,0 +1,116 @@
+// runStore.js
+// Where run records live.
+// MongoDB when MONGODB_URI is set (survives crashes — that's the point),
+// otherwise a plain in-memory Map so local/mock runs still work.
+// Runs on the mock ledger (dry runs) always stay in memory: nothing real is
+// in flight, and the mock ledger is gone after a restart anyway — like their
+// topics in topicStore.js, they never reach Mongo or a later reconciler pass.
+//
+// A run record looks like:
+//   { runId, kind, label, ledger, status, budgetTinybars, topicId, topicOwner, scheduleId,
+//     currency: { code, symbol, decimals, tokenId }, payerAccountId, fundingTxId, heldTinybars,
+//     scheduleExpiresAt, refundTimeoutMs, onExpiry,
+//     renewals: [{ at, oldScheduleId, scheduleId, tinybars, expiresAt, hcsTxId }],
+//     payments: [{ id, agent, tinybars, refundedTinybars, status, transferTxId, hcsTxId,
+//                  escrow: { state, scheduleId, expiresAt, heldTinybars, policy, reason, refundTxId, hcsTxId } }],
+//     refund: { tinybars, scheduleCancelled, txId }, reconciliation, error,
+//     outcome }
+//
+// kind is 'task', 'analyze' or 'ask' (a follow-up question, see askService.js).
+// outcome is what a finished run produced, kept so follow-up questions can be
+// asked about it: { finalReport, results } for a task, { results, files, shareId }
+// for an analysis, { question, answer, about } for a question.
+//
+// budgetTinybars, heldTinybars and payment/refund amounts are in the smallest
+// unit of the run's currency — tinybars for HBAR, token units for an HTS token.
+//
+// status moves: funding → funded → settling → settled
+//               (or → failed, then the reconciler picks it up)
+//               funded ⇄ awaiting_approval while the user reviews the plan
+//
+// payment.status: charged → paid | reversed | refunded (escrow sent back to the funder)
+// payment.escrow.state: creating → held → releasing → released
+//                                        → partially_releasing → partially_released
+//                                        → refunding → refunded
+// (a partially released payment's tinybars is what the agent got; refundedTinybars went back)
+
+require('dotenv').config();
+
+const mongo = require('./mongoService');
+
+// Anything not settled/abandoned still has money in flight
+const UNFINISHED_STATUSES = ['funding', 'funded', 'awaiting_approval', 'settling', 'failed', 'awaiting_schedule'];
+
+const memoryRuns = new Map();
+
+function useMongo(ledgerName) {
+  return Boolean(process.env.MONGODB_URI) && ledgerName !== 'mock';
+}
+
+// Where an existing run lives: in memory if it was created there
+function storedInMongo(runId) {
+  return useMongo() && !memoryRuns.has(runId);
+}
+
+function isPersistent() {
+  return useMongo();
+}
+
+async function createRun(run) {
+  const record = { payments: [], createdAt: new Date().toISOString(), ...run };
+  if (useMongo(run.ledger)) return mongo.saveRun(record);
+  memoryRuns.set(run.runId, record);
+  return run.runId;
+}
+
+// A field patched to undefined is removed from the record
+async function updateRun(runId, patch) {
+  if (storedInMongo(runId)) return mongo.updateRun(runId, patch);
+  const run = memoryRuns.get(runId);
+  if (!run) return;
+  Object.assign(run, patch, { updatedAt: new Date().toISOString() });
+  for (const key of Object.keys(patch)) if (patch[key] === undefined) delete run[key];
+}
+
+async function savePayment(runId, payment) {
+  if (storedInMongo(runId)) return mongo.savePayment(runId, payment);
+  const run = memoryRuns.get(runId);
+  if (!run) return;
+  const i = run.payments.findIndex((p) => p.id === payment.id);
+  if (i === -1) run.payments.push({ ...payment });
+  else run.payments[i] = { ...payment };
+}
+
+async function getRun(runId) {
+  if (storedInMongo(runId)) return mongo.getRun(runId);
+  const run = memoryRuns.get(runId);
+  return run ? JSON.parse(JSON.stringify(run)) : null;
+}
+
+// The run a user-signed funding transaction already paid for, if any —
+// each funding transaction can only ever fund one run
+async function findRunByFundingTx(fundingTxId) {
+  const run = [...memoryRuns.values()].find((r) => r.fundingTxId === fundingTxId);
+  if (run) return JSON.parse(JSON.stringify(run));
+  return useMongo() ? mongo.findRunByFundingTx(fundingTxId) : null;
+}
+
+// This process's in-memory runs too — a mock run only needs reconciling if
+// it failed before this process could settle it
+async function listUnfinishedRuns() {
+  const memory = [...memoryRuns.values()]
+    .filter((r) => UNFINISHED_STATUSES.includes(r.status))
+    .map((r) => JSON.parse(JSON.stringify(r)));
+  return useMongo() ? [...(await mongo.findRunsByStatus(UNFINISHED_STATUSES)), ...memory] : memory;
+}
+
+module.exports = {
+  createRun,
+  updateRun,
+  savePayment,
+  getRun,
+  findRunByFundingTx,
+  listUnfinishedRuns,
+  isPersistent,
+  UNFINISHED_STATUSES,
+};
@@ -7,12 +7,24 @@ require('dotenv').config();
 
 const express = require('express');
 const cors    = require('cors');
-const { randomUUID } = require('crypto');
+const { randomUUID, timingSafeEqual } = require('crypto');
 
 const { runMainAgent }        = require('./agentService');
 const { fetchRepoContent }    = require('./githubService');
 const { runCodebaseAnalysis } = require('./codebaseAgentService');
 const { saveReport, getReport } = require('./mongoService');
+const { reconcileRuns, getLastReport } = require('./reconcilerService');
+const { getWalletHoldings } = require('./settlementService');
+const { getLedger } = require('./ledgerService');
+const { verifyReport } = require('./attestationService');
+const { getRunAudit } = require('./auditService');
+const { quoteTask, quoteAnalysis } = require('./quoteService');
+const { submitPlanDecision } = require('./planApprovalService');
+const { answerQuestion, runSource, reportSource } = require('./askService');
+const { isValidCurrencyCode } = require('./currencyService');
+const { PRICING_MODES } = require('./meteringService');
+const runStore = require('./runStore');
+const agentRegistry = require('./agentRegistry');
 
 const app  = express();
 const PORT = 3001;
@@ -20,8 +32,207 @@ const PORT = 3001;
 app.use(cors());
 app.use(express.json());
 
+// Auto-refund timeout limits for ?timeout= (minutes)
+const MIN_REFUND_TIMEOUT_MINUTES = 1;
+const MAX_REFUND_TIMEOUT_MINUTES = 24 * 60;
+const ON_EXPIRY_MODES = ['renew', 'settle'];
+
+// Per-step timeout limits for ?stepTimeout= (seconds) — a step still running
+// after this is failed and its escrow refunded
+const MIN_STEP_TIMEOUT_SECONDS = 10;
+const MAX_STEP_TIMEOUT_SECONDS = 30 * 60;
+
+// Hedera IDs as the frontend wallet hands them to us
+const ACCOUNT_ID_PATTERN     = /^\d+\.\d+\.\d+$/;
+const TRANSACTION_ID_PATTERN = /^\d+\.\d+\.\d+@\d+\.\d+$/;
+
+// ?project= names the shared HCS audit topic a run writes to
+const PROJECT_PATTERN = /^[\w.-]{1,64}$/;
+
+// ─────────────────────────────────────────────
+// parseRunOptions(query)
+// Reads the optional settings shared by /api/run and /api/analyze:
+//   currency  → 'HBAR' (default) or an HTS token ID; `budget` is in this currency
+//   timeout   → minutes until the scheduled auto-refund fires (default 10)
+//   onExpiry  → 'renew' (default) or 'settle' when that time gets close
+//   stepTimeout → seconds one step may run before its escrow is refunded (default 300)
+//   pricing   → 'allocation' (default) or 'metered' — agents paid per token used,
+//               capped at their allocation (see meteringService.js). /api/run only.
+//   dryRun    → 'true' runs the whole pipeline against the mock ledger: real
+//               agents, simulated money (see mockLedgerService.js)
+//   approvePlan → 'true' pauses after planning until the plan is approved, edited
+//               or rejected through POST /api/runs/:runId/plan. /api/run only.
+//   verify    → 'true' grades each output on a rubric before it's paid for, and
+//               retries it once below the bar (see verifierService.js)
+//   project   → HCS audit topic to share with the project's other runs
+//               (default: one topic per funding account — see topicStore.js)
+//   payer     → the user's own account that funded the run, and
+//   fundingTx → the transfer (payer → agent wallet, exactly `budget`) they
+//               signed and submitted. Both or neither — without them the
+//               .env user wallet pays. See GET /api/wallet.
+// Returns { options } or { error }
+// ─────────────────────────────────────────────
+function parseRunOptions(query) {
+  const options = {};
+
+  if (query.currency !== undefined) {
+    if (!isValidCurrencyCode(query.currency)) {
+      return { error: 'currency must be HBAR or an HTS token ID like 0.0.12345' };
+    }
+    options.currency = query.currency.toUpperCase() === 'HBAR' ? 'HBAR' : query.currency;
+  }
+
+  if (query.payer !== undefined || query.fundingTx !== undefined) {
+    if (!ACCOUNT_ID_PATTERN.test(query.payer || '')) {
+      return { error: 'payer must be a Hedera account ID like 0.0.12345' };
+    }
+    if (!TRANSACTION_ID_PATTERN.test(query.fundingTx || '')) {
+      return { error: 'fundingTx must be a transaction ID like 0.0.12345@1700000000.000000000' };
+    }
+    options.funding = { payerAccountId: query.payer, transactionId: query.fundingTx };
+  }
+
+  if (query.timeout !== undefined) {
+    const minutes = Number(query.timeout);
+    if (!Number.isFinite(minutes) || minutes < MIN_REFUND_TIMEOUT_MINUTES || minutes > MAX_REFUND_TIMEOUT_MINUTES) {
+      return { error: 'timeout must be between ' + MIN_REFUND_TIMEOUT_MINUTES + ' and ' + MAX_REFUND_TIMEOUT_MINUTES + ' minutes' };
+    }
+    options.refundTimeoutMinutes = minutes;
+  }
+
+  if (query.stepTimeout !== undefined) {
+    const seconds = Number(query.stepTimeout);
+    if (!Number.isFinite(seconds) || seconds < MIN_STEP_TIMEOUT_SECONDS || seconds > MAX_STEP_TIMEOUT_SECONDS) {
+      return { error: 'stepTimeout must be between ' + MIN_STEP_TIMEOUT_SECONDS + ' and ' + MAX_STEP_TIMEOUT_SECONDS + ' seconds' };
+    }
+    options.stepTimeoutSeconds = seconds;
+  }
+
+  if (query.pricing !== undefined) {
+    if (!PRICING_MODES.includes(query.pricing)) {
+      return { error: 'pricing must be one of: ' + PRICING_MODES.join(', ') };
+    }
+    options.pricing = query.pricing;
+  }
+
+  if (query.dryRun !== undefined) {
+    if (query.dryRun !== 'true' && query.dryRun !== 'false') {
+      return { error: 'dryRun must be true or false' };
+    }
+    if (query.dryRun === 'true') {
+      // A dry run never touches a real wallet, so there's no user funding to verify
+      if (options.funding) return { error: 'payer and fundingTx can\'t be used with dryRun' };
+      options.dryRun = true;
+      options.ledger = getLedger('mock');
+    }
+  }
+
+  if (query.approvePlan !== undefined) {
+    if (query.approvePlan !== 'true' && query.approvePlan !== 'false') {
+      return { error: 'approvePlan must be true or false' };
+    }
+    if (query.approvePlan === 'true') options.approvePlan = true;
+  }
+
+  if (query.verify !== undefined) {
+    if (query.verify !== 'true' && query.verify !== 'false') {
+      return { error: 'verify must be true or false' };
+    }
+    if (query.verify === 'true') options.verify = true;
+  }
+
+  if (query.project !== undefined) {
+    if (!PROJECT_PATTERN.test(query.project)) {
+      return { error: 'project must be 1-64 letters, digits, dots, dashes or underscores' };
+    }
+    options.project = query.project;
+  }
+
+  if (query.onExpiry !== undefined) {
+    if (!ON_EXPIRY_MODES.includes(query.onExpiry)) {
+      return { error: 'onExpiry must be one of: ' + ON_EXPIRY_MODES.join(', ') };
+    }
+    options.onExpiry = query.onExpiry;
+  }
+
+  return { options };
+}
+
+// ─────────────────────────────────────────────
+// parseAskRequest(req)
+// Reads a follow-up question (POST .../ask): { "question": "..." } in the
+// body, the budget and parseRunOptions settings in the query string.
+// A question is always metered and has no plan or steps to verify.
+// Returns { question, budget, options } or { error }
+// ─────────────────────────────────────────────
+function parseAskRequest(req) {
+  const question = req.body && req.body.question;
+  const budget = parseFloat(req.query.budget);
+  if (typeof question !== 'string' || !question.trim() || isNaN(budget)) {
+    return { error: 'Pass a question in the body and a budget' };
+  }
+
+  const { options, error } = parseRunOptions(req.query);
+  if (error) return { error };
+  if (options.pricing || options.approvePlan || options.verify) {
+    return { error: 'pricing, approvePlan and verify don\'t apply to questions — every answer is metered' };
+  }
+  return { question, budget, options };
+}
+
+// Streams answerQuestion's events back over SSE, like /api/run
+async function streamAnswer(res, source, { question, budget, options }) {
+  console.log('\nNew question about ' + source.label + ': ' + question);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const sendEvent = (data) => res.write('data: ' + JSON.stringify(data) + '\n\n');
+
+  try {
+    await answerQuestion(source, question, budget, sendEvent, options);
+  } catch (err) {
+    console.error('Answer error:', err.message);
+    sendEvent({ type: 'error', message: err.message });
+  }
+
+  res.end();
+}
+
 // ─────────────────────────────────────────────
-// GET /api/run?task=...&budget=...
+// GET /api/quote?task=...&budget=...[&currency=HBAR|<tokenId>][&pricing=allocation|metered][&dryRun=true]
+// GET /api/quote?repo=<githubUrl>&budget=...[&currency=HBAR|<tokenId>][&dryRun=true]
+// What /api/run (task) or /api/analyze (repo) would cost, without funding
+// anything: the planned steps, estimated tokens, payment per agent, network
+// fees and the expected refund. See quoteService.js.
+// ─────────────────────────────────────────────
+app.get('/api/quote', async (req, res) => {
+  const { task, repo } = req.query;
+  const budget = parseFloat(req.query.budget);
+
+  if ((!task && !repo) || (task && repo) || isNaN(budget)) {
+    return res.status(400).json({ error: 'Pass a budget and either a task or a repo' });
+  }
+
+  const { options, error } = parseRunOptions(req.query);
+  if (error) return res.status(400).json({ error });
+  if (repo && options.pricing === 'metered') return res.status(400).json({ error: 'pricing=metered is only supported by /api/run' });
+
+  try {
+    const quote = task
+      ? await quoteTask(task, budget, options)
+      : await quoteAnalysis(await fetchRepoContent(repo), budget, options);
+    res.json(quote);
+  } catch (err) {
+    console.error('Quote error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/run?task=...&budget=...[&currency=HBAR|<tokenId>][&project=<name>][&timeout=<minutes>&onExpiry=renew|settle][&stepTimeout=<seconds>][&pricing=allocation|metered][&approvePlan=true][&verify=true][&dryRun=true][&payer=...&fundingTx=...]
 // ─────────────────────────────────────────────
 app.get('/api/run', async (req, res) => {
   const task   = req.query.task;
@@ -31,9 +242,12 @@ app.get('/api/run', async (req, res) => {
     return res.status(400).json({ error: 'Missing task or budget' });
   }
 
+  const { options, error } = parseRunOptions(req.query);
+  if (error) return res.status(400).json({ error });
+
   console.log('\nNew run request:');
   console.log('Task:   ' + task);
-  console.log('Budget: ' + budget + ' HBAR');
+  console.log('Budget: ' + budget + ' ' + (options.currency || 'HBAR'));
 
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -43,7 +257,7 @@ app.get('/api/run', async (req, res) => {
   const sendEvent = (data) => res.write('data: ' + JSON.stringify(data) + '\n\n');
 
   try {
-    await runMainAgent(task, budget, sendEvent);
+    await runMainAgent(task, budget, sendEvent, options);
   } catch (err) {
     console.error('Agent error:', err.message);
     sendEvent({ type: 'error', message: err.message });
@@ -53,7 +267,7 @@ app.get('/api/run', async (req, res) => {
 });
 
 // ─────────────────────────────────────────────
-// GET /api/analyze?repo=<githubUrl>&budget=<hbar>
+// GET /api/analyze?repo=<githubUrl>&budget=<amount>[&currency=HBAR|<tokenId>][&project=<name>][&timeout=<minutes>&onExpiry=renew|settle][&stepTimeout=<seconds>][&verify=true][&dryRun=true][&payer=...&fundingTx=...]
 // Fetches a GitHub repo, runs 4 codebase intelligence agents,
 // saves results to MongoDB, streams everything back via SSE.
 // ─────────────────────────────────────────────
@@ -65,9 +279,16 @@ app.get('/api/analyze', async (req, res) => {
     return res.status(400).json({ error: 'Missing repo URL or budget' });
   }
 
+  const { options, error } = parseRunOptions(req.query);
+  if (error) return res.status(400).json({ error });
+  // The codebase agents are one fixed-size tool call each — there's nothing to meter down,
+  // and a fixed pipeline with no planner has no plan to approve
+  if (options.pricing === 'metered') return res.status(400).json({ error: 'pricing=metered is only supported by /api/run' });
+  if (options.approvePlan) return res.status(400).json({ error: 'approvePlan is only supported by /api/run' });
+
   console.log('\nNew analyze request:');
   console.log('Repo:   ' + repo);
-  console.log('Budget: ' + budget + ' HBAR');
+  console.log('Budget: ' + budget + ' ' + (options.currency || 'HBAR'));
 
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -93,7 +314,7 @@ app.get('/api/analyze', async (req, res) => {
     //         and returns a shareId that the frontend uses to build the share URL.
     //         Gracefully skipped if MONGODB_URI is not configured.
     const persistFn = process.env.MONGODB_URI
-      ? async (results) => {
+      ? async (results, attestation) => {
           const shareId = randomUUID().replace(/-/g, '').slice(0, 16);
           await saveReport({
             shareId,
@@ -104,13 +325,15 @@ app.get('/api/analyze', async (req, res) => {
               languages: repoContent.languages,
             },
             data: results,
+            files: repoContent.files,
+            ...attestation,   // runId, topicId, ledger, attestations — for /verify
           });
           return shareId;
         }
       : null;
 
     // Step 3: Run the 4-agent analysis pipeline (fires SSE events + saves)
-    await runCodebaseAnalysis(repoContent, budget, sendEvent, persistFn);
+    await runCodebaseAnalysis(repoContent, budget, sendEvent, persistFn, options);
 
   } catch (err) {
     console.error('Analysis error:', err.message);
@@ -120,6 +343,26 @@ app.get('/api/analyze', async (req, res) => {
   res.end();
 });
 
+// ─────────────────────────────────────────────
+// GET /api/wallet
+// Where a user's wallet should send a run's budget before calling
+// /api/run or /api/analyze with payer + fundingTx.
+// ─────────────────────────────────────────────
+app.get('/api/wallet', (req, res) => {
+  try {
+    const ledger = getLedger();
+    const agentAccountId = ledger.getAgentAccountId();
+    res.json({
+      ledger: ledger.name,
+      agentAccountId,
+      link: ledger.explorerLink('account', agentAccountId),
+      instructions: 'Transfer exactly the run budget from your account to agentAccountId, then pass payer=<your account>&fundingTx=<transaction ID>.',
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ─────────────────────────────────────────────
 // GET /api/report/:shareId
 // Returns the full saved report JSON for the CEO share page.
@@ -138,15 +381,234 @@ app.get('/api/report/:shareId', async (req, res) => {
   }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'PayStream server is running' });
+// ─────────────────────────────────────────────
+// GET /api/report/:shareId/verify
+// Re-hashes every section of a saved report and checks it against the
+// signed attestations on the run's HCS topic.
+// Returns { verified, topicId, sections: [{ key, agent, localHash, onChainHash,
+//   hashMatches, signatureValid, hcsSequenceNumber }] }
+// ─────────────────────────────────────────────
+app.get('/api/report/:shareId/verify', async (req, res) => {
+  if (!process.env.MONGODB_URI) {
+    return res.status(503).json({ error: 'MongoDB not configured on this server.' });
+  }
+  try {
+    const report = await getReport(req.params.shareId);
+    if (!report) return res.status(404).json({ error: 'Report not found or expired.' });
+    res.json({ shareId: req.params.shareId, ...(await verifyReport(report)) });
+  } catch (err) {
+    console.error('Report verify error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.listen(PORT, () => {
-  console.log('PayStream server running on http://localhost:' + PORT);
-  console.log('Ready to receive requests from the frontend.');
+// ─────────────────────────────────────────────
+// POST /api/report/:shareId/ask?budget=<amount>[&currency=HBAR|<tokenId>][&project=<name>][&timeout=<minutes>][&stepTimeout=<seconds>][&dryRun=true][&payer=...&fundingTx=...]
+// Body: { "question": "..." }
+// Answers a follow-up question about a saved report from its sections and
+// the files its agents read, as a small metered run of its own — streamed
+// back via SSE (answer_delta events, then answer). See askService.js.
+// ─────────────────────────────────────────────
+app.post('/api/report/:shareId/ask', async (req, res) => {
   if (!process.env.MONGODB_URI) {
-    console.log('[MongoDB] MONGODB_URI not set — share-link feature disabled.');
+    return res.status(503).json({ error: 'MongoDB not configured on this server.' });
+  }
+  const ask = parseAskRequest(req);
+  if (ask.error) return res.status(400).json({ error: ask.error });
+
+  let report;
+  try {
+    report = await getReport(req.params.shareId);
+  } catch (err) {
+    console.error('Report fetch error:', err.message);
+    return res.status(500).json({ error: err.message });
   }
+  if (!report) return res.status(404).json({ error: 'Report not found or expired.' });
+
+  await streamAnswer(res, reportSource(req.params.shareId, report), ask);
 });
+
+// ─────────────────────────────────────────────
+// POST /api/runs/:runId/ask?budget=<amount>[&...same options as /api/report/:shareId/ask]
+// Body: { "question": "..." }
+// Answers a follow-up question about a finished /api/run or /api/analyze run
+// from the results stored on its record. See askService.js.
+// ─────────────────────────────────────────────
+app.post('/api/runs/:runId/ask', async (req, res) => {
+  const ask = parseAskRequest(req);
+  if (ask.error) return res.status(400).json({ error: ask.error });
+
+  let run;
+  try {
+    run = await runStore.getRun(req.params.runId);
+  } catch (err) {
+    console.error('Run fetch error:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+  if (!run) return res.status(404).json({ error: 'Run not found.' });
+  const { source, error } = runSource(run);
+  if (error) return res.status(409).json({ error });
+
+  await streamAnswer(res, source, ask);
+});
+
+// ─────────────────────────────────────────────
+// POST /api/runs/:runId/plan
+// Answers a run paused on its plan (/api/run?approvePlan=true, plan_ready event).
+// Header: X-Plan-Token: <planToken from the plan_ready event> — else 403
+// Body: { "action": "approve" }
+//       { "action": "edit", "steps": [{ "id": "s1", "task": "...", "allocation": 40 }] }
+//       { "action": "reject", "reason": "..." } — the whole budget is refunded right away
+// See planApprovalService.js.
+// ─────────────────────────────────────────────
+app.post('/api/runs/:runId/plan', async (req, res) => {
+  const decision = submitPlanDecision(req.params.runId, req.body, req.get('x-plan-token'));
+  if (!decision) {
+    const run = await runStore.getRun(req.params.runId);
+    if (!run) return res.status(404).json({ error: 'Run not found.' });
+    return res.status(409).json({ error: 'Run is not waiting on a plan decision.' });
+  }
+  if (decision.error) return res.status(decision.status).json({ error: decision.error });
+  res.json({ runId: req.params.runId, ...decision });
+});
+
+// ─────────────────────────────────────────────
+// GET /api/runs/:runId/audit
+// The run's HCS audit trail, read back from the mirror node and
+// cross-checked against the payments we recorded for it.
+// runId is on the 'funded' SSE event. ok is false if anything disagrees —
+// see auditService.js for the mismatch kinds.
+// ─────────────────────────────────────────────
+app.get('/api/runs/:runId/audit', async (req, res) => {
+  try {
+    const audit = await getRunAudit(req.params.runId);
+    if (!audit) return res.status(404).json({ error: 'Run not found.' });
+    res.json(audit);
+  } catch (err) {
+    console.error('Run audit error:', err.message);
+    res.status(502).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// Admin endpoints — reconciliation of interrupted runs, agent wallet holdings.
+// Callers must send ADMIN_TOKEN from .env as x-admin-token. Without an
+// ADMIN_TOKEN they're closed to everyone.
+// ─────────────────────────────────────────────
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin endpoints are disabled — set ADMIN_TOKEN in .env to enable them.' });
+  }
+  const token = Buffer.from(req.get('x-admin-token') || '');
+  const expected = Buffer.from(process.env.ADMIN_TOKEN);
+  if (token.length !== expected.length || !timingSafeEqual(token, expected)) {
+    return res.status(401).json({ error: 'Admin token required.' });
+  }
+  next();
+}
+
+// GET /api/admin/reconciliation — what the last reconciliation pass did
+app.get('/api/admin/reconciliation', requireAdmin, (req, res) => {
+  const report = getLastReport();
+  if (!report) return res.status(404).json({ error: 'Reconciliation has not run yet.' });
+  res.json(report);
+});
+
+// POST /api/admin/reconcile — run a reconciliation pass now
+app.post('/api/admin/reconcile', requireAdmin, async (req, res) => {
+  try {
+    res.json(await reconcileRuns());
+  } catch (err) {
+    console.error('Reconcile error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/wallet — which runs hold how much of the shared agent wallet
+app.get('/api/admin/wallet', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getWalletHoldings());
+  } catch (err) {
+    console.error('Wallet holdings error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// Agent registry — the sub-agents /api/run can plan with (see agentRegistry.js).
+// Anyone can read it. Changing it — prompts, tools, where agents are paid —
+// needs the admin token like the endpoints above, and without an ADMIN_TOKEN
+// the routes that change it aren't there at all.
+// Body for POST / PUT: { name, systemPrompt, models, maxTokens, tools, price, payoutAccountId }
+// (PUT only needs the fields being changed; an agent can't be renamed)
+// ─────────────────────────────────────────────
+
+// GET /api/agents — every registered agent
+app.get('/api/agents', (req, res) => {
+  res.json({ agents: agentRegistry.listAgents() });
+});
+
+// GET /api/agents/:name — one agent
+app.get('/api/agents/:name', (req, res) => {
+  const agent = agentRegistry.getAgent(req.params.name);
+  if (!agent) return res.status(404).json({ error: 'Agent not found.' });
+  res.json(agent);
+});
+
+if (process.env.ADMIN_TOKEN) {
+  // POST /api/agents — register a new agent
+  app.post('/api/agents', requireAdmin, (req, res) => {
+    if (req.body && agentRegistry.getAgent(req.body.name)) {
+      return res.status(409).json({ error: 'An agent named "' + req.body.name + '" already exists.' });
+    }
+    const { agent, error } = agentRegistry.createAgent(req.body);
+    if (error) return res.status(400).json({ error });
+    res.status(201).json(agent);
+  });
+
+  // PUT /api/agents/:name — change an agent's prompt, models, limits, price or payout account
+  app.put('/api/agents/:name', requireAdmin, (req, res) => {
+    const updated = agentRegistry.updateAgent(req.params.name, req.body);
+    if (!updated) return res.status(404).json({ error: 'Agent not found.' });
+    if (updated.error) return res.status(400).json({ error: updated.error });
+    res.json(updated.agent);
+  });
+
+  // DELETE /api/agents/:name — remove an agent (a run mid-way through still using it has that step refunded)
+  app.delete('/api/agents/:name', requireAdmin, (req, res) => {
+    if (!agentRegistry.deleteAgent(req.params.name)) return res.status(404).json({ error: 'Agent not found.' });
+    res.status(204).end();
+  });
+}
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', message: 'PayStream server is running' });
+});
+
+// node server.js listens; required (unitTest.js) it only hands back the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log('PayStream server running on http://localhost:' + PORT);
+    console.log('Ready to receive requests from the frontend.');
+    console.log('Ledger backend: ' + (process.env.LEDGER_BACKEND || 'hedera'));
+    console.log('Model provider: ' + (process.env.MODEL_PROVIDER || 'anthropic'));
+    console.log('Web backend (agent tools): ' + (process.env.WEB_BACKEND || 'live'));
+    if (!process.env.ADMIN_TOKEN) {
+      console.log('[Admin] ADMIN_TOKEN not set — admin endpoints disabled, agent registry read-only.');
+    }
+    if (!process.env.MONGODB_URI) {
+      console.log('[MongoDB] MONGODB_URI not set — share-link feature disabled.');
+    }
+    if (!runStore.isPersistent()) {
+      console.log('[Runs] Run records are in memory only — crash recovery needs MONGODB_URI.');
+    }
+
+    // Finish anything a previous crash left half-done before taking new runs
+    reconcileRuns()
+      .then((report) => console.log('[Reconciler] Startup pass done — ' + report.checked + ' run(s) checked.'))
+      .catch((err) => console.error('[Reconciler] Startup pass failed:', err.message));
+  });
+}
+
+module.exports = app;
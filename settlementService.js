@@ -0,0 +1,797 @@
+// settlementService.js
+// Money lifecycle of one run: fund → pay agents → refund the rest.
+// Every step is written to runStore BEFORE and AFTER it touches the ledger,
+// so if the process dies mid-run, reconcilerService.js knows exactly how
+// far we got and can refund correctly on the next startup.
+
+require('dotenv').config();
+
+const { randomUUID } = require('crypto');
+const runStore = require('./runStore');
+const topicStore = require('./topicStore');
+const { isToken, formatAmount, amountFields, describeCurrency } = require('./currencyService');
+
+// Runs this process is working on right now — the reconciler must never touch these
+const activeRuns = new Set();
+
+// User-signed funding transactions claimed by a run in this process. runStore
+// (a unique index in Mongo) catches reuse across restarts; this catches two
+// requests racing with the same transaction before either is written.
+const claimedFundingTxs = new Set();
+
+// Scheduled auto-refund fires this long after funding unless the request asks otherwise
+const DEFAULT_REFUND_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How close to expiry we act (renew or stop): 2 minutes, or a quarter of short timeouts
+const MAX_RENEW_MARGIN_MS = 2 * 60 * 1000;
+
+// A step that hasn't finished after this long is failed and its escrow refunded
+const DEFAULT_STEP_TIMEOUT_MS = 5 * 60 * 1000;
+
+// A step's escrow schedule expires this long after the step times out, so a
+// release racing the timeout can still land — but a forgotten one can't
+const ESCROW_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// What the ledger calls take as `currency`: the run's token, or undefined for HBAR
+function runCurrency(budget) {
+  return isToken(budget.currency) ? budget.currency : undefined;
+}
+
+// 'HBAR' or the token ID — tags every money event so the frontend knows which fields to read
+function currencyCode(budget) {
+  return isToken(budget.currency) ? budget.currency.tokenId : 'HBAR';
+}
+
+function renewMarginMs(timeoutMs) {
+  return Math.min(MAX_RENEW_MARGIN_MS, Math.floor(timeoutMs / 4));
+}
+
+function isActive(runId) {
+  return activeRuns.has(runId);
+}
+
+// Ledger entry → what we store on the run record
+function toPaymentRecord(entry) {
+  const { id, agent, tinybars, status, task, transferTxId, hcsTxId, reason, attestation, escrow, refundedTinybars } = entry;
+  return {
+    id, agent, tinybars, status, task,
+    ...(refundedTinybars ? { refundedTinybars } : {}),
+    transferTxId: transferTxId || null,
+    hcsTxId: hcsTxId || null,
+    outputHash: attestation ? attestation.outputHash : null,
+    reason,
+    ...(escrow ? { escrow: { ...escrow } } : {}),
+  };
+}
+
+// ─────────────────────────────────────────────
+// openRun(ledger, budget, { kind, label, project, funding, payees, refundTimeoutMs, onExpiry, onEvent })
+// Creates the run record, finds (or creates) its HCS topic, funds the agent
+// wallet and creates the scheduled auto-refund — persisting after each step.
+// Everything moves in budget.currency (HBAR, or an HTS token).
+//   project         → audit topic to share with other runs of the same project
+//                     (default: the funder's topic — see topicStore.js)
+//   payees          → sub-agent names this run may pay. For a token run, they,
+//                     the agent wallet and the funder must all be associated with
+//                     the token — checked up front, before any money moves.
+//   funding         → { payerAccountId, transactionId } when the user paid the budget
+//                     from their own wallet. Verified on the ledger, usable once,
+//                     and every refund goes back to payerAccountId.
+//                     Omit to fund from the .env user wallet.
+//   refundTimeoutMs → when the auto-refund fires (default 10 minutes)
+//   onExpiry        → what to do as it gets close:
+//                     'renew'  (default) replace the schedule with a fresh one for what's left
+//                     'settle' set run.stopRequested so the orchestrator wraps up and refunds
+//   onEvent         → SSE callback for refund_renewed / refund_window_closing / escrow
+//   stepTimeoutMs   → how long one step may run before its escrow is refunded (default 5 minutes)
+// Returns the run handle: { runId, topicId, scheduleId, expiresAt, stopRequested, stepTimeoutMs, ... }
+// ─────────────────────────────────────────────
+async function openRun(ledger, budget, { kind, label, project, funding, payees, refundTimeoutMs, onExpiry, onEvent, stepTimeoutMs }) {
+  const timeoutMs = refundTimeoutMs || DEFAULT_REFUND_TIMEOUT_MS;
+
+  if (isToken(budget.currency)) await checkAssociations(ledger, budget.currency, funding, payees || []);
+  if (funding) {
+    // Verified before it's claimed — a transfer the mirror node hasn't indexed
+    // yet fails here, and the user can retry with the same transaction
+    await ledger.verifyFunding(funding.transactionId, funding.payerAccountId, budget.total, runCurrency(budget));
+    await claimFundingTx(funding.transactionId);
+  }
+
+  const runId = randomUUID();
+  activeRuns.add(runId);
+  const topicOwner = topicStore.topicOwner({ project, payerAccountId: funding && funding.payerAccountId });
+
+  try {
+    await runStore.createRun({
+      runId,
+      kind,
+      label,
+      ledger: ledger.name,
+      topicOwner,
+      status: 'funding',
+      budgetTinybars: budget.total,
+      currency: describeCurrency(runCurrency(budget)),
+      payerAccountId: funding ? funding.payerAccountId : null,
+      // Left off entirely without funding — the unique index would count a null
+      ...(funding ? { fundingTxId: funding.transactionId } : {}),
+      heldTinybars: 0,
+      refundTimeoutMs: timeoutMs,
+      onExpiry: onExpiry || 'renew',
+      renewals: [],
+    });
+  } catch (err) {
+    // Never recorded — the funding transaction is free to fund a retry
+    if (funding) claimedFundingTxs.delete(funding.transactionId);
+    activeRuns.delete(runId);
+    throw err;
+  }
+
+  const expiresAt = new Date(Date.now() + timeoutMs);
+  let topicId, scheduleId;
+  try {
+    topicId = await topicStore.getOrCreateTopic(ledger, topicOwner);
+    await runStore.updateRun(runId, { topicId });
+
+    scheduleId = await ledger.fundAgent(budget.total, expiresAt, funding, runCurrency(budget));
+    await runStore.updateRun(runId, {
+      status: 'funded',
+      scheduleId,
+      scheduleExpiresAt: expiresAt.toISOString(),
+      heldTinybars: budget.total,
+    });
+  } catch (err) {
+    // No schedule recorded — the reconciler will flag this one for a human.
+    // Without a schedule the run never took the user's payment, so the
+    // funding transaction is released for a retry.
+    const release = funding && !scheduleId ? { fundingTxId: undefined } : {};
+    await runStore.updateRun(runId, { status: 'failed', error: err.message, ...release }).catch(() => {});
+    if (funding && !scheduleId) claimedFundingTxs.delete(funding.transactionId);
+    activeRuns.delete(runId);
+    throw err;
+  }
+
+  console.log('[Run ' + runId + '] funded — schedule ' + scheduleId + ' fires ' + expiresAt.toISOString());
+
+  const run = {
+    runId,
+    topicId,
+    scheduleId,
+    payerAccountId: funding ? funding.payerAccountId : null,
+    fundingTxId: funding ? funding.transactionId : null,
+    heldTinybars: budget.total,
+    scheduledTinybars: budget.total,   // what the live auto-refund pays back
+    expiresAt,
+    timeoutMs,
+    onExpiry: onExpiry || 'renew',
+    stepTimeoutMs: stepTimeoutMs || DEFAULT_STEP_TIMEOUT_MS,
+    stopRequested: false,
+    renewals: [],
+    closed: false,
+    onEvent: onEvent || function () {},
+    watch: { timer: null, inFlight: null },
+  };
+  watchRefundWindow(ledger, run, budget);
+  return run;
+}
+
+// A token transfer to an account that isn't associated with the token fails
+// on-chain, so find out before funding rather than halfway through paying
+async function checkAssociations(ledger, currency, funding, payees) {
+  const accountIds = [
+    ledger.getAgentAccountId(),
+    funding ? funding.payerAccountId : null,
+    ...payees.map((name) => String(ledger.getSubAgentAccountId(name))),
+  ];
+  const missing = await ledger.checkTokenAssociations(currency.tokenId, accountIds);
+  if (missing.length) {
+    throw new Error('Not associated with token ' + currency.tokenId + ' (' + currency.symbol + '): ' + missing.join(', ') + '. Associate these accounts before budgeting a run in it.');
+  }
+}
+
+// Refuses a funding transaction that already paid for a run
+async function claimFundingTx(transactionId) {
+  if (claimedFundingTxs.has(transactionId)) throw new Error('Funding transaction ' + transactionId + ' is already funding a run');
+  claimedFundingTxs.add(transactionId);
+
+  let existing;
+  try {
+    existing = await runStore.findRunByFundingTx(transactionId);
+  } catch (err) {
+    claimedFundingTxs.delete(transactionId);
+    throw err;
+  }
+  if (existing) throw new Error('Funding transaction ' + transactionId + ' already funded run ' + existing.runId);
+}
+
+// ─────────────────────────────────────────────
+// watchRefundWindow(ledger, run, budget)
+// Arms a timer for just before the scheduled refund fires.
+// The timer is unref'd so it never keeps the process alive on its own.
+// ─────────────────────────────────────────────
+function watchRefundWindow(ledger, run, budget) {
+  clearTimeout(run.watch.timer);
+  const delay = Math.max(0, run.expiresAt.getTime() - renewMarginMs(run.timeoutMs) - Date.now());
+
+  run.watch.timer = setTimeout(() => {
+    afterRenewals(run, () => onRefundWindowClosing(ledger, run, budget))
+      .catch((err) => console.error('[Run ' + run.runId + '] refund window handling failed: ' + err.message));
+  }, delay);
+  run.watch.timer.unref();
+}
+
+// Runs fn once any schedule change already in flight is done, so two never
+// work on the same schedule at once. run.watch.inFlight is the tail of the queue.
+function afterRenewals(run, fn) {
+  const next = (run.watch.inFlight || Promise.resolve()).then(fn);
+  const tail = next.catch(() => {});
+  run.watch.inFlight = tail;
+  tail.then(() => { if (run.watch.inFlight === tail) run.watch.inFlight = null; });
+  return next;
+}
+
+async function onRefundWindowClosing(ledger, run, budget) {
+  if (run.closed) return;
+
+  // A paused run is waiting on the user — always renew, never settle out from under them
+  if (run.onExpiry === 'settle' && !run.paused) {
+    console.log('[Run ' + run.runId + '] refund window closing — stopping after the current step');
+    run.stopRequested = true;
+    run.onEvent({ type: 'refund_window_closing', runId: run.runId, action: 'settle', expiresAt: run.expiresAt.toISOString() });
+    return;
+  }
+
+  await renewRefundSchedule(ledger, run, budget);
+  watchRefundWindow(ledger, run, budget);
+}
+
+// ─────────────────────────────────────────────
+// renewRefundSchedule(ledger, run, budget, expiresAt)
+// Deletes the current auto-refund and creates a new one for what the run
+// still holds (run.heldTinybars — what's left, plus any step payment still in
+// escrow), expiring at expiresAt (default: a full timeout from now). Logged to HCS.
+//
+// Order matters: the old schedule is deleted and that's persisted (as a
+// cancelled refund) BEFORE the new one is created. If we crash in between,
+// the reconciler sees a cancelled schedule and refunds the remainder.
+// ─────────────────────────────────────────────
+async function renewRefundSchedule(ledger, run, budget, expiresAt = new Date(Date.now() + run.timeoutMs)) {
+  const oldScheduleId = run.scheduleId;
+  const tinybars = run.heldTinybars;
+
+  await ledger.cancelSchedule(oldScheduleId);
+  await runStore.updateRun(run.runId, { refund: { tinybars, scheduleCancelled: true, txId: null, renewing: true } });
+
+  const scheduleId = await ledger.createRefundSchedule(tinybars, expiresAt, run.payerAccountId, runCurrency(budget));
+  const renewal = { at: new Date().toISOString(), oldScheduleId, scheduleId, tinybars, expiresAt: expiresAt.toISOString() };
+  run.renewals.push(renewal);
+  Object.assign(run, { scheduleId, expiresAt, scheduledTinybars: tinybars });
+  await runStore.updateRun(run.runId, {
+    scheduleId,
+    scheduleExpiresAt: expiresAt.toISOString(),
+    refund: null,
+    renewals: run.renewals,
+  });
+
+  renewal.hcsTxId = await ledger.submitAuditMessage(run.topicId, run.runId, {
+    type: 'refund_renewal',
+    oldScheduleId,
+    scheduleId,
+    refund: formatAmount(budget.currency, tinybars),
+    ...(isToken(budget.currency) ? { refundTokenId: budget.currency.tokenId, refundUnits: tinybars } : { refundTinybars: tinybars }),
+    expiresAt: renewal.expiresAt,
+  });
+  await runStore.updateRun(run.runId, { renewals: run.renewals });
+
+  console.log('[Run ' + run.runId + '] auto-refund renewed: ' + oldScheduleId + ' → ' + scheduleId + ' (' + formatAmount(budget.currency, tinybars) + ', fires ' + renewal.expiresAt + ')');
+  run.onEvent({
+    type: 'refund_renewed',
+    runId: run.runId,
+    ...renewal,
+    currency: currencyCode(budget),
+    ...amountFields(budget.currency, 'amount', tinybars),
+    links: { schedule: ledger.explorerLink('schedule', scheduleId), hcs: ledger.explorerLink('transaction', renewal.hcsTxId) },
+  });
+  return scheduleId;
+}
+
+// ─────────────────────────────────────────────
+// shrinkRefundSchedule(ledger, run, budget)
+// Called once money has left the agent wallet (a payment, or an escrow paid
+// out or sent back): renews the auto-refund for what the run still holds,
+// keeping its expiry — so if the process is down when it fires, it can't
+// refund what the agents were already paid. A failure is logged, not thrown:
+// the payment itself went through, and settleRun or the reconciler still
+// refund the right amount.
+// ─────────────────────────────────────────────
+async function shrinkRefundSchedule(ledger, run, budget) {
+  await afterRenewals(run, async () => {
+    // Nothing left to hold means settleRun is next, and it deletes the schedule
+    if (run.closed || run.heldTinybars <= 0 || run.heldTinybars === run.scheduledTinybars) return;
+    await renewRefundSchedule(ledger, run, budget, run.expiresAt);
+  }).catch((err) => console.error('[Run ' + run.runId + '] couldn\'t shrink the auto-refund: ' + err.message));
+}
+
+// ─────────────────────────────────────────────
+// pauseRun(run) / resumeRun(run)
+// While a run waits on the user (plan approval, see planApprovalService.js)
+// nothing is spent, and the auto-refund is renewed as it gets close even
+// with onExpiry 'settle' — the pause can't let it fire underneath the run.
+// ─────────────────────────────────────────────
+async function pauseRun(run) {
+  run.paused = true;
+  await runStore.updateRun(run.runId, { status: 'awaiting_approval' });
+}
+
+async function resumeRun(run) {
+  run.paused = false;
+  await runStore.updateRun(run.runId, { status: 'funded' });
+}
+
+// Stops the refund-window timer and waits out any renewal already in flight,
+// so settlement always cancels the schedule that's actually live
+async function closeRefundWindow(run) {
+  run.closed = true;
+  clearTimeout(run.watch.timer);
+  if (run.watch.inFlight) await run.watch.inFlight;
+}
+
+// ─────────────────────────────────────────────
+// payAgent(ledger, run, budget, agentName, tinybars, description, attestation)
+// Charges the budget, records the payment as pending, pays on-chain,
+// then records it as paid. A pending payment left behind by a crash
+// is counted as spent by the reconciler — we never over-refund.
+// attestation = attestationService.js createAttestation() for the agent's
+// output; it's signed and written into the HCS payment message.
+// Returns the ledger entry (with transferTxId + hcsTxId + signed attestation)
+// ─────────────────────────────────────────────
+async function payAgent(ledger, run, budget, agentName, tinybars, description, attestation) {
+  // budget.charge() is synchronous, so parallel agents can never both spend the same tinybars
+  const entry = budget.charge(agentName, tinybars, { task: description });
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+
+  let tx;
+  try {
+    tx = await ledger.paySubAgent(agentName, tinybars, description, runCurrency(budget), { topicId: run.topicId, runId: run.runId, attestation });
+  } catch (err) {
+    budget.reverse(entry, err.message);
+    await runStore.savePayment(run.runId, toPaymentRecord(entry));
+    throw err;
+  }
+
+  // The money has left the agent wallet — this run holds that much less of it
+  Object.assign(entry, tx, { status: 'paid' });
+  run.heldTinybars -= tinybars;
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+  await runStore.updateRun(run.runId, { heldTinybars: run.heldTinybars });
+  await shrinkRefundSchedule(ledger, run, budget);
+  return entry;
+}
+
+// ─────────────────────────────────────────────
+// Milestone escrow
+// Instead of paying a step up front, each step's payment is held in its own
+// scheduled transfer (ledger.createEscrow) that only the agent's signature
+// can execute:
+//   openEscrow()    before the step runs → state 'held'
+//   settleEscrow()  after it, by the paymentPolicyService.js decision:
+//     full    → releaseEscrow(): the schedule executes      → 'released'
+//     partial → schedule deleted, the agent's share paid directly,
+//               the rest sent back to the funder           → 'partially_released'
+//     none    → refundEscrow(): schedule deleted, all of it
+//               sent back to the funder                    → 'refunded'
+// The escrow lives on the payment record (payment.escrow) and is persisted at
+// every state change, so the reconciler can finish a half-done one.
+// ─────────────────────────────────────────────
+
+// ─────────────────────────────────────────────
+// openEscrow(ledger, run, budget, agentName, tinybars, description)
+// Charges the budget and locks the step's payment in an escrow schedule
+// that expires shortly after the step's timeout.
+// Returns the ledger entry (status 'charged', entry.escrow.state 'held')
+// ─────────────────────────────────────────────
+async function openEscrow(ledger, run, budget, agentName, tinybars, description) {
+  const entry = budget.charge(agentName, tinybars, { task: description });
+  const expiresAt = new Date(Date.now() + run.stepTimeoutMs + ESCROW_EXPIRY_MARGIN_MS);
+  entry.escrow = { state: 'creating', scheduleId: null, expiresAt: expiresAt.toISOString(), heldTinybars: tinybars };
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+
+  try {
+    // Nothing to hold for a free step — it's released with a plain zero payment
+    if (tinybars > 0) entry.escrow.scheduleId = await ledger.createEscrow(agentName, tinybars, expiresAt, runCurrency(budget));
+  } catch (err) {
+    budget.reverse(entry, err.message);
+    entry.escrow.state = 'failed';
+    await runStore.savePayment(run.runId, toPaymentRecord(entry));
+    throw err;
+  }
+
+  entry.escrow.state = 'held';
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+  run.onEvent(escrowEvent(ledger, run, budget, entry));
+  return entry;
+}
+
+// ─────────────────────────────────────────────
+// settleEscrow(ledger, run, budget, entry, decision, attestation)
+// Pays out a step's escrow the way the payment policy decided.
+// decision    = paymentPolicyService.js decidePayment() — recorded on HCS with the payment,
+//               with decision.metered (the call's tokens and cost) in metered runs,
+//               decision.model (the model that actually answered) when there was a call
+//               and decision.tools ({ calls, costUnits }) when the agent used tools
+// attestation = createAttestation() for the output (omit when nothing usable came back)
+// Returns the ledger entry
+// ─────────────────────────────────────────────
+async function settleEscrow(ledger, run, budget, entry, decision, attestation) {
+  const policy = { decision: decision.decision, outcome: decision.outcome, percent: decision.percent, reason: decision.reason };
+  if (decision.metered) policy.metered = decision.metered;
+  if (decision.model) policy.model = decision.model;
+  if (decision.tools) policy.tools = decision.tools;
+  entry.escrow.policy = policy;
+
+  if (decision.decision === 'full') return releaseEscrow(ledger, run, budget, entry, attestation, policy);
+  if (decision.decision === 'none') return refundEscrow(ledger, run, budget, entry, decision.reason, policy);
+  return releaseEscrowPartially(ledger, run, budget, entry, decision.payTinybars, attestation, policy);
+}
+
+// ─────────────────────────────────────────────
+// releaseEscrow(ledger, run, budget, entry, attestation, policy)
+// Full pay: sign the escrow so it pays the sub-agent, and log the payment
+// (with its attestation and policy decision) to HCS.
+// If the release fails, the escrow is refunded instead and the error rethrown.
+// Returns the ledger entry (status 'paid')
+// ─────────────────────────────────────────────
+async function releaseEscrow(ledger, run, budget, entry, attestation, policy) {
+  const audit = { topicId: run.topicId, runId: run.runId, attestation, policy };
+  entry.escrow.state = 'releasing';
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+
+  let tx;
+  try {
+    tx = entry.escrow.scheduleId
+      ? await ledger.releaseEscrow(entry.escrow.scheduleId, entry.agent, entry.tinybars, entry.task, runCurrency(budget), audit)
+      : await ledger.paySubAgent(entry.agent, entry.tinybars, entry.task, runCurrency(budget), audit);
+  } catch (err) {
+    console.error('[Run ' + run.runId + '] releasing escrow for ' + entry.agent + ' failed: ' + err.message);
+    await refundEscrow(ledger, run, budget, entry, 'Release failed: ' + err.message, policy);
+    throw err;
+  }
+
+  Object.assign(entry, tx, { status: 'paid' });
+  entry.escrow.state = 'released';
+  run.heldTinybars -= entry.tinybars;
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+  await runStore.updateRun(run.runId, { heldTinybars: run.heldTinybars });
+  run.onEvent(escrowEvent(ledger, run, budget, entry));
+  await shrinkRefundSchedule(ledger, run, budget);
+  return entry;
+}
+
+// ─────────────────────────────────────────────
+// releaseEscrowPartially(ledger, run, budget, entry, payTinybars, attestation, policy)
+// Partial pay: a schedule can't execute for less than it holds, so the escrow
+// is deleted, the agent's share is paid directly (logged to HCS like any
+// payment) and the rest goes back to the funder.
+// Returns the ledger entry (status 'paid', entry.tinybars = what the agent got)
+// ─────────────────────────────────────────────
+async function releaseEscrowPartially(ledger, run, budget, entry, payTinybars, attestation, policy) {
+  entry.escrow.state = 'partially_releasing';
+  entry.escrow.reason = policy.reason;
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+
+  if (await cancelEscrowSchedule(ledger, run, entry) === 'executed') return escrowExecutedAnyway(ledger, run, budget, entry);
+
+  let tx;
+  try {
+    tx = await ledger.paySubAgent(entry.agent, payTinybars, entry.task, runCurrency(budget), { topicId: run.topicId, runId: run.runId, attestation, policy });
+  } catch (err) {
+    // Nothing reached the agent — the whole escrow goes back to the funder
+    console.error('[Run ' + run.runId + '] partial payment to ' + entry.agent + ' failed: ' + err.message);
+    await returnEscrowFunds(ledger, run, budget, entry, entry.tinybars, 'Partial payment failed: ' + err.message, policy);
+    entry.escrow.state = 'refunded';
+    await runStore.savePayment(run.runId, toPaymentRecord(entry));
+    run.onEvent(escrowEvent(ledger, run, budget, entry));
+    await shrinkRefundSchedule(ledger, run, budget);
+    throw err;
+  }
+  Object.assign(entry, tx);
+
+  await returnEscrowFunds(ledger, run, budget, entry, entry.tinybars - payTinybars, policy.reason, policy);
+  entry.status = 'paid';
+  entry.escrow.state = 'partially_released';
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+  console.log('[Run ' + run.runId + '] escrow for ' + entry.agent + ' partially released: ' + formatAmount(budget.currency, entry.tinybars) + ' paid, ' + formatAmount(budget.currency, entry.refundedTinybars) + ' refunded');
+  run.onEvent(escrowEvent(ledger, run, budget, entry));
+  await shrinkRefundSchedule(ledger, run, budget);
+  return entry;
+}
+
+// ─────────────────────────────────────────────
+// refundEscrow(ledger, run, budget, entry, reason, policy)
+// No pay — the step failed, timed out or was rejected: delete its escrow
+// schedule and send the held amount straight back to the funder.
+// If the schedule can't be deleted because it already executed, the
+// sub-agent was paid after all — the entry is marked paid, not refunded.
+// Returns the ledger entry (status 'refunded')
+// ─────────────────────────────────────────────
+async function refundEscrow(ledger, run, budget, entry, reason, policy) {
+  entry.escrow.state = 'refunding';
+  entry.escrow.reason = reason;
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+
+  if (await cancelEscrowSchedule(ledger, run, entry) === 'executed') return escrowExecutedAnyway(ledger, run, budget, entry);
+
+  await returnEscrowFunds(ledger, run, budget, entry, entry.tinybars, reason, policy);
+  entry.escrow.state = 'refunded';
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+
+  console.log('[Run ' + run.runId + '] escrow for ' + entry.agent + ' refunded (' + formatAmount(budget.currency, entry.tinybars) + '): ' + reason);
+  run.onEvent(escrowEvent(ledger, run, budget, entry));
+  await shrinkRefundSchedule(ledger, run, budget);
+  return entry;
+}
+
+// Deletes a step's escrow schedule. Returns 'cancelled', or 'executed' if it
+// had already paid out. Expired (unsigned) or already-deleted counts as cancelled.
+async function cancelEscrowSchedule(ledger, run, entry) {
+  if (!entry.escrow.scheduleId) return 'cancelled';
+  try {
+    await ledger.cancelSchedule(entry.escrow.scheduleId);
+    return 'cancelled';
+  } catch (err) {
+    const schedule = await ledger.getScheduleStatus(entry.escrow.scheduleId);
+    if (schedule.status === 'executed') return 'executed';
+    if (schedule.status !== 'expired' && schedule.status !== 'deleted') throw err;
+    return 'cancelled';
+  }
+}
+
+// The escrow executed before we could delete it — the sub-agent keeps the full payment
+async function escrowExecutedAnyway(ledger, run, budget, entry) {
+  console.log('[Run ' + run.runId + '] escrow ' + entry.escrow.scheduleId + ' already executed — ' + entry.agent + ' keeps the payment');
+  entry.status = 'paid';
+  entry.escrow.state = 'released';
+  run.heldTinybars -= entry.tinybars;
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+  await runStore.updateRun(run.runId, { heldTinybars: run.heldTinybars });
+  run.onEvent(escrowEvent(ledger, run, budget, entry));
+  await shrinkRefundSchedule(ledger, run, budget);
+  return entry;
+}
+
+// Sends tinybars of a deleted escrow back to the funder, takes them off the
+// budget and logs it to HCS (type 'escrow_refund', with the policy decision)
+async function returnEscrowFunds(ledger, run, budget, entry, tinybars, reason, policy) {
+  const heldTinybars = entry.tinybars;
+  if (tinybars > 0) {
+    entry.escrow.refundTxId = await ledger.sendRefund(tinybars, run.payerAccountId, runCurrency(budget));
+  }
+  budget.refund(entry, reason, tinybars);
+  // Whatever isn't refunded was paid to the agent — either way it's left this run's share of the wallet
+  run.heldTinybars -= heldTinybars;
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+  await runStore.updateRun(run.runId, { heldTinybars: run.heldTinybars });
+
+  entry.escrow.hcsTxId = await ledger.submitAuditMessage(run.topicId, run.runId, {
+    type: 'escrow_refund',
+    agent: entry.agent,
+    scheduleId: entry.escrow.scheduleId,
+    refund: formatAmount(budget.currency, tinybars),
+    ...(isToken(budget.currency) ? { refundTokenId: budget.currency.tokenId, refundUnits: tinybars } : { refundTinybars: tinybars }),
+    refundTxId: entry.escrow.refundTxId || null,
+    task: entry.task,
+    reason,
+    ...(policy ? { policy } : {}),
+  });
+  await runStore.savePayment(run.runId, toPaymentRecord(entry));
+}
+
+// SSE payload for an escrow state change: held → released | partially_released | refunded
+function escrowEvent(ledger, run, budget, entry) {
+  const escrow = entry.escrow;
+  return {
+    type: 'escrow',
+    runId: run.runId,
+    paymentId: entry.id,
+    agent: entry.agent,
+    task: entry.task,
+    state: escrow.state,
+    scheduleId: escrow.scheduleId,
+    expiresAt: escrow.expiresAt,
+    currency: currencyCode(budget),
+    ...amountFields(budget.currency, 'amount', escrow.heldTinybars),
+    ...(escrow.state === 'partially_released' ? {
+      ...amountFields(budget.currency, 'paid', entry.tinybars),
+      ...amountFields(budget.currency, 'refunded', entry.refundedTinybars),
+    } : {}),
+    policy: escrow.policy || null,
+    reason: escrow.reason || null,
+    transferTxId: entry.transferTxId || null,
+    refundTxId: escrow.refundTxId || null,
+    links: {
+      schedule: ledger.explorerLink('schedule', escrow.scheduleId),
+      transfer: ledger.explorerLink('transaction', entry.transferTxId),
+      refund:   ledger.explorerLink('transaction', escrow.refundTxId),
+      hcs:      ledger.explorerLink('transaction', entry.hcsTxId || escrow.hcsTxId),
+    },
+  };
+}
+
+// ─────────────────────────────────────────────
+// settleRun(ledger, run, budget)
+// Cancels the scheduled auto-refund and refunds whatever is left.
+// Persisted in two halves so a crash between them is recoverable.
+// Returns the refund transaction ID (null if nothing was left to refund)
+// ─────────────────────────────────────────────
+async function settleRun(ledger, run, budget) {
+  await closeRefundWindow(run);
+  const refund = { tinybars: budget.remaining(), scheduleCancelled: false, txId: null };
+
+  await runStore.updateRun(run.runId, { status: 'settling', refund: { ...refund } });
+
+  try {
+    await ledger.cancelSchedule(run.scheduleId);
+  } catch (err) {
+    // The run outlived its refund window — see what the schedule did
+    const schedule = await ledger.getScheduleStatus(run.scheduleId);
+    if (schedule.status === 'executed') {
+      // It paid back what it was last renewed for — anything still owed on top is refunded below
+      const owed = refund.tinybars - run.scheduledTinybars;
+      Object.assign(refund, { executedBySchedule: true, scheduleTinybars: run.scheduledTinybars });
+      if (owed <= 0) {
+        console.log('[Run ' + run.runId + '] auto-refund already executed — nothing left to refund');
+        run.heldTinybars = 0;
+        await runStore.updateRun(run.runId, {
+          status: 'settled',
+          heldTinybars: 0,
+          refund: { ...refund, tinybars: 0, overRefundedTinybars: -owed },
+        });
+        activeRuns.delete(run.runId);
+        return null;
+      }
+      console.log('[Run ' + run.runId + '] auto-refund already executed — refunding the ' + formatAmount(budget.currency, owed) + ' it didn\'t cover');
+      run.heldTinybars -= run.scheduledTinybars;
+      refund.tinybars = owed;
+    } else {
+      // Expired without moving funds (or already gone) — just refund directly below
+      if (schedule.status !== 'expired' && schedule.status !== 'deleted') throw err;
+      console.log('[Run ' + run.runId + '] auto-refund ' + schedule.status + ' without paying out — refunding directly');
+    }
+  }
+  refund.scheduleCancelled = true;
+  await runStore.updateRun(run.runId, { refund: { ...refund } });
+
+  if (refund.tinybars > 0) {
+    refund.txId = await ledger.sendRefund(refund.tinybars, run.payerAccountId, runCurrency(budget));
+  }
+  run.heldTinybars -= refund.tinybars;
+  await runStore.updateRun(run.runId, { status: 'settled', heldTinybars: run.heldTinybars, refund: { ...refund } });
+
+  activeRuns.delete(run.runId);
+  console.log('[Run ' + run.runId + '] settled — refunded ' + formatAmount(budget.currency, refund.tinybars));
+  return refund.txId;
+}
+
+// ─────────────────────────────────────────────
+// failRun(ledger, run, budget, err)
+// Something threw mid-run. Try to settle right away so the user isn't
+// left waiting on the scheduled refund; if even that fails, mark the run
+// 'failed' and leave it for the reconciler.
+// ─────────────────────────────────────────────
+async function failRun(ledger, run, budget, err) {
+  console.error('[Run ' + run.runId + '] failed: ' + err.message);
+  try {
+    await runStore.updateRun(run.runId, { error: err.message });
+    return await settleRun(ledger, run, budget);
+  } catch (settleErr) {
+    console.error('[Run ' + run.runId + '] could not settle: ' + settleErr.message);
+    await runStore.updateRun(run.runId, { status: 'failed', error: err.message + ' | settle: ' + settleErr.message }).catch(() => {});
+    activeRuns.delete(run.runId);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────
+// fundedEvent / paymentDecisionEvent / refundEvent
+// SSE payloads both orchestrators send after openRun(), for each step's
+// payment decision, and after settleRun()/failRun()
+// ─────────────────────────────────────────────
+function fundedEvent(ledger, run, budget) {
+  return {
+    type: 'funded',
+    runId: run.runId,
+    ledger: ledger.name,
+    currency: describeCurrency(runCurrency(budget)),
+    ...amountFields(budget.currency, 'budget', budget.total),
+    topicId: run.topicId,
+    scheduleId: run.scheduleId,
+    payerAccountId: run.payerAccountId,
+    fundingTxId: run.fundingTxId,
+    refundExpiresAt: run.expiresAt.toISOString(),
+    onExpiry: run.onExpiry,
+    links: {
+      topic:        ledger.explorerLink('topic', run.topicId),
+      schedule:     ledger.explorerLink('schedule', run.scheduleId),
+      agentAccount: ledger.explorerLink('account', ledger.getAgentAccountId()),
+      funding:      ledger.explorerLink('transaction', run.fundingTxId),
+    },
+  };
+}
+
+// What the payment policy decided for a step, sent before its escrow is settled
+function paymentDecisionEvent(ledger, run, budget, entry, decision) {
+  return {
+    type: 'payment_decision',
+    runId: run.runId,
+    paymentId: entry.id,
+    agent: entry.agent,
+    task: entry.task,
+    decision: decision.decision,
+    outcome: decision.outcome,
+    percent: decision.percent,
+    reason: decision.reason,
+    signals: decision.signals,
+    ...(decision.metered ? { metered: decision.metered } : {}),
+    ...(decision.model ? { model: decision.model } : {}),
+    ...(decision.tools ? { tools: decision.tools } : {}),
+    currency: currencyCode(budget),
+    ...amountFields(budget.currency, 'pay', decision.payTinybars),
+    ...amountFields(budget.currency, 'refund', decision.refundTinybars),
+  };
+}
+
+// The refund goes to run.payerAccountId (null when the .env user wallet funded it)
+function refundEvent(ledger, run, budget, refundTinybars, refundTxId) {
+  return {
+    type: 'refund',
+    currency: currencyCode(budget),
+    ...amountFields(budget.currency, 'amount', refundTinybars),
+    to: run.payerAccountId || null,
+    txId: refundTxId,
+    link: ledger.explorerLink('transaction', refundTxId),
+  };
+}
+
+// ─────────────────────────────────────────────
+// getWalletHoldings()
+// How the agent wallet's balance splits across runs that still hold money.
+// Several runs share one agent wallet, so this — not the wallet balance —
+// is what says whose HBAR is whose.
+// Amounts are smallest units of each run's currency, so totals are per currency.
+// Returns { held: { HBAR: tinybars, <tokenId>: units }, runs: [{ runId, status, currency, payerAccountId, heldTinybars }] }
+// ─────────────────────────────────────────────
+async function getWalletHoldings() {
+  const runs = (await runStore.listUnfinishedRuns())
+    .filter((r) => r.heldTinybars > 0)
+    .map((r) => ({
+      runId: r.runId,
+      status: r.status,
+      currency: (r.currency && r.currency.code) || 'HBAR',
+      payerAccountId: r.payerAccountId || null,
+      heldTinybars: r.heldTinybars,
+    }));
+
+  const held = {};
+  for (const r of runs) held[r.currency] = (held[r.currency] || 0) + r.heldTinybars;
+  return { held, runs };
+}
+
+module.exports = {
+  DEFAULT_REFUND_TIMEOUT_MS,
+  DEFAULT_STEP_TIMEOUT_MS,
+  openRun,
+  payAgent,
+  openEscrow,
+  settleEscrow,
+  releaseEscrow,
+  refundEscrow,
+  renewRefundSchedule,
+  settleRun,
+  failRun,
+  isActive,
+  pauseRun,
+  resumeRun,
+  fundedEvent,
+  paymentDecisionEvent,
+  refundEvent,
+  getWalletHoldings,
+};
@@ -1,14 +1,45 @@
 // test.js
 // Full end-to-end PayStream test using agentService.js
 // Run with: node test.js
+// Offline (no Hedera credentials): LEDGER_BACKEND=mock node test.js
+// Fully offline and reproducible (no Anthropic key either):
+//   LEDGER_BACKEND=mock MODEL_PROVIDER=mock node test.js
+// With the mock model the Research Agent's web tools go to a local fixture
+// server (fixtureWebService.js) instead of the web.
 
+const assert = require('assert');
 const { runMainAgent } = require('./agentService');
+const { getLedger }    = require('./ledgerService');
+const { getModelProvider } = require('./modelService');
+const { startFixtureServer, DEFAULT_FIXTURES } = require('./fixtureWebService');
 
 async function test() {
   const task = 'Research the top 3 AI and crypto projects announced this week';
   const budget = 1; // HBAR
 
-  const result = await runMainAgent(task, budget);
+  // Script the Research Agent's tool calls and serve the pages it asks for
+  const mockModel = getModelProvider().name === 'mock';
+  let fixtures = null;
+  const fetchedUrl = Object.keys(DEFAULT_FIXTURES.pages)[0];
+  if (mockModel) {
+    fixtures = await startFixtureServer();
+    process.env.WEB_BACKEND = 'fixture';
+    process.env.WEB_FIXTURE_URL = fixtures.url;
+    getModelProvider().setScript({
+      toolCalls: [
+        { match: 'Research Agent', name: 'web_search', input: { query: 'AI and crypto projects announced this week' } },
+        { match: 'Research Agent', name: 'fetch_url', input: { url: fetchedUrl } },
+      ],
+    });
+  }
+
+  const ledger = getLedger();
+  let result;
+  try {
+    result = await runMainAgent(task, budget, undefined, { ledger });
+  } finally {
+    if (fixtures) await fixtures.close();
+  }
 
   console.log('\n========================================');
   console.log('FINAL REPORT:');
@@ -16,6 +47,32 @@ async function test() {
   console.log(result.finalReport);
   console.log('\nSpent:    ' + result.spent + ' HBAR');
   console.log('Refunded: ' + result.refunded + ' HBAR');
+
+  // With the mock ledger we can check where every tinybar ended up
+  if (ledger.name === 'mock') {
+    const balances = ledger.getBalances();
+    console.log('\nMock balances:', balances);
+
+    const agentAccount = process.env.AGENT_ACCOUNT_ID || '0.0.1002';
+    const startBalance = Number(process.env.MOCK_USER_BALANCE || 1000);
+    const total = Object.values(balances).reduce((a, b) => a + b, 0);
+    assert.strictEqual(balances[agentAccount], 0, 'agent wallet should be empty after refund');
+    assert.ok(Math.abs(total - startBalance) < 1e-8, 'no HBAR should be created or destroyed');
+    console.log('Balance assertions passed.');
+  }
+
+  // The mock model plans one step per registered agent and every answer passes acceptance
+  if (mockModel) {
+    assert.ok(result.results.length > 0, 'every mock step should be accepted');
+    assert.ok(result.finalReport.startsWith('Mock '), 'the report should come from the mock model');
+    console.log('Mock model assertions passed.');
+
+    const research = result.results.find((r) => r.agentName === 'Research Agent');
+    assert.deepStrictEqual(research.toolCalls.map((c) => c.tool), ['web_search', 'fetch_url'], 'the Research Agent should search, then fetch');
+    assert.ok(research.toolCalls.every((c) => c.ok), 'both tool calls should succeed against the fixture server');
+    assert.strictEqual(research.toolCalls[1].input.url, fetchedUrl);
+    console.log('Tool assertions passed.');
+  }
 }
 
 test().catch((err) => {
@@ -0,0 +1,206 @@
+// toolService.js
+// Tools a registry agent can be given — its "tools" in agents.json (see
+// agentRegistry.js). runSubAgent (agentService.js) offers them to the model
+// and runs the tool_use loop; this file defines them and runs one call.
+//
+// TOOLS:
+//   web_search → top results for a query, through webService.js
+//   fetch_url  → the text of a web page, through webService.js
+//   calculator → arithmetic on an expression, worked out locally
+//
+// A tool call never throws into the loop — a failure goes back to the model
+// as an is_error tool_result, and it can try something else. Each call is
+// cut off after TOOL_TIMEOUT_SECONDS in .env (default 20).
+// What calls cost is meteringService.js meterToolCall.
+
+require('dotenv').config();
+
+const { search, fetchPage } = require('./webService');
+
+const DEFAULT_TIMEOUT_SECONDS = 20;
+
+// Most characters of one tool result handed back to the model
+const MAX_RESULT_CHARS = 12000;
+
+// ─────────────────────────────────────────────
+// calculate(expression)
+// Evaluates + - * / % ^ and parentheses over numbers, with sqrt, abs, round,
+// floor, ceil, ln, log10, exp, min, max and the constants pi and e.
+// A small parser — never eval — so a model can't run code through it.
+// ─────────────────────────────────────────────
+const FUNCTIONS = {
+  sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  ln: Math.log, log10: Math.log10, exp: Math.exp, min: Math.min, max: Math.max,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+function calculate(expression) {
+  const tokens = String(expression).match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z_]\w*|\*\*|[-+*/%^(),]|\S/gi) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const take = (expected) => {
+    const token = tokens[pos++];
+    if (expected && token !== expected) throw new Error('Expected "' + expected + '"' + (token ? ' but found "' + token + '"' : ' at the end'));
+    return token;
+  };
+
+  // expr := term (('+' | '-') term)*
+  const expr = () => {
+    let value = term();
+    while (peek() === '+' || peek() === '-') value = take() === '+' ? value + term() : value - term();
+    return value;
+  };
+  // term := unary (('*' | '/' | '%') unary)*
+  const term = () => {
+    let value = unary();
+    while (['*', '/', '%'].includes(peek())) {
+      const op = take();
+      const right = unary();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+  // unary := ('-' | '+') unary | power
+  const unary = () => {
+    if (peek() === '-') { take(); return -unary(); }
+    if (peek() === '+') { take(); return unary(); }
+    return power();
+  };
+  // power := atom (('^' | '**') unary)?   — right-associative
+  const power = () => {
+    const base = atom();
+    if (peek() === '^' || peek() === '**') { take(); return base ** unary(); }
+    return base;
+  };
+  // atom := number | constant | function '(' expr (',' expr)* ')' | '(' expr ')'
+  const atom = () => {
+    const token = take();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+    if (token === '(') { const value = expr(); take(')'); return value; }
+    if (/^(\d|\.\d)/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    // Own names only — "constructor" or "toString" must not reach Object.prototype
+    if (Object.hasOwn(CONSTANTS, name)) return CONSTANTS[name];
+    if (!Object.hasOwn(FUNCTIONS, name)) throw new Error('Unknown name "' + token + '"');
+    take('(');
+    const args = [expr()];
+    while (peek() === ',') { take(); args.push(expr()); }
+    take(')');
+    return FUNCTIONS[name](...args);
+  };
+
+  if (!tokens.length) throw new Error('Empty expression');
+  const value = expr();
+  if (pos < tokens.length) throw new Error('Unexpected "' + tokens[pos] + '"');
+  if (!Number.isFinite(value)) throw new Error('The result isn\'t a finite number');
+  return value;
+}
+
+const TOOLS = {
+  web_search: {
+    definition: {
+      name: 'web_search',
+      description: 'Search the web. Returns the top results with their title, URL and a snippet. Use fetch_url to read a result in full.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to search for.' },
+          count: { type: 'integer', minimum: 1, maximum: 10, description: 'How many results (default 5).' },
+        },
+        required: ['query'],
+      },
+    },
+    async run(input, { signal }) {
+      const results = await search(String(input.query || ''), input.count, { signal });
+      if (!results.length) return 'No results.';
+      return results.map((r, i) => (i + 1) + '. ' + r.title + '\n   ' + r.url + '\n   ' + r.snippet).join('\n');
+    },
+  },
+
+  fetch_url: {
+    definition: {
+      name: 'fetch_url',
+      description: 'Fetch a web page and return its text. Only http and https URLs.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'The full URL, e.g. one from web_search.' },
+        },
+        required: ['url'],
+      },
+    },
+    async run(input, { signal }) {
+      const page = await fetchPage(String(input.url || ''), { signal });
+      if (page.status >= 400) throw new Error('HTTP ' + page.status + ' fetching ' + page.url);
+      return 'URL: ' + page.url + '\n\n' + page.text + (page.truncated ? '\n[... page cut for length]' : '');
+    },
+  },
+
+  calculator: {
+    definition: {
+      name: 'calculator',
+      description: 'Work out an arithmetic expression exactly, e.g. "(1250 - 980) / 980 * 100". Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, ln, log10, exp, min, max, pi and e.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'The expression to evaluate.' },
+        },
+        required: ['expression'],
+      },
+    },
+    async run(input) {
+      return String(calculate(input.expression));
+    },
+  },
+};
+
+const TOOL_NAMES = Object.keys(TOOLS);
+
+// ─────────────────────────────────────────────
+// toolDefinitions(names)
+// The Anthropic tool definitions for an agent's tools, for the `tools` param
+// ─────────────────────────────────────────────
+function toolDefinitions(names) {
+  return (names || []).map((name) => TOOLS[name].definition);
+}
+
+function timeoutMs() {
+  const seconds = process.env.TOOL_TIMEOUT_SECONDS !== undefined ? Number(process.env.TOOL_TIMEOUT_SECONDS) : DEFAULT_TIMEOUT_SECONDS;
+  if (!(seconds > 0)) throw new Error('TOOL_TIMEOUT_SECONDS must be more than 0');
+  return seconds * 1000;
+}
+
+// ─────────────────────────────────────────────
+// runTool(name, input, allowed, signal)
+// Runs one tool_use block. allowed = the agent's tools — a model asking for
+// any other tool gets an error back, not the tool. signal (optional) cancels
+// it along with the step it's part of.
+// Returns { ok, content, error?, ms } — content is the tool_result text
+// ─────────────────────────────────────────────
+async function runTool(name, input, allowed, signal) {
+  const started = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs());
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener('abort', cancel, { once: true });
+  try {
+    if (signal && signal.aborted) throw new Error(name + ' cancelled');
+    if (!allowed.includes(name) || !TOOLS[name]) throw new Error('No tool named "' + name + '" is available');
+    const content = await TOOLS[name].run(input || {}, { signal: controller.signal });
+    return {
+      ok: true,
+      content: content.length > MAX_RESULT_CHARS ? content.slice(0, MAX_RESULT_CHARS) + '\n[... cut for length]' : content,
+      ms: Date.now() - started,
+    };
+  } catch (err) {
+    const error = signal && signal.aborted ? name + ' cancelled'
+      : controller.signal.aborted ? name + ' timed out after ' + Math.round(timeoutMs() / 1000) + 's' : err.message;
+    return { ok: false, content: 'Error: ' + error, error, ms: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+module.exports = { TOOLS, TOOL_NAMES, toolDefinitions, runTool, calculate };
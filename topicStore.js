@@ -0,0 +1,84 @@
+// topicStore.js
+// Which HCS topic a run writes its audit trail to.
+//
+// Topics are created once per user or project and reused by every run after
+// that — one creation fee instead of one per run, and the whole history in
+// one place. Messages are tagged with their runId so runs sharing a topic
+// can be told apart (see submitAuditMessage in hederaService.js).
+//
+// Owner of a run's topic:
+//   options.project set          → 'project:<project>'
+//   funded from a user's wallet  → 'account:<payerAccountId>'
+//   otherwise                    → 'project:default'
+//
+// Stored in MongoDB when MONGODB_URI is set (so topics survive restarts),
+// otherwise in memory like runStore.js. Mock ledger topics (dry runs) are
+// always in memory — the mock forgets them on restart, so must we.
+
+require('dotenv').config();
+
+const mongo = require('./mongoService');
+
+const DEFAULT_PROJECT = 'default';
+
+const memoryTopics = new Map();  // key → { key, ledger, owner, topicId }
+const creating = new Map();      // key → in-flight creation, so concurrent runs share one topic
+
+function useMongo(ledgerName) {
+  return Boolean(process.env.MONGODB_URI) && ledgerName !== 'mock';
+}
+
+// ─────────────────────────────────────────────
+// topicOwner({ project, payerAccountId })
+// Who a run's audit topic belongs to — see the table above
+// ─────────────────────────────────────────────
+function topicOwner({ project, payerAccountId } = {}) {
+  if (project) return 'project:' + project;
+  if (payerAccountId) return 'account:' + payerAccountId;
+  return 'project:' + DEFAULT_PROJECT;
+}
+
+async function loadTopic(key, ledgerName) {
+  if (useMongo(ledgerName)) return mongo.getTopic(key);
+  return memoryTopics.get(key) || null;
+}
+
+async function storeTopic(topic) {
+  if (useMongo(topic.ledger)) return mongo.saveTopic(topic);
+  if (!memoryTopics.has(topic.key)) memoryTopics.set(topic.key, topic);
+  return memoryTopics.get(topic.key);
+}
+
+// ─────────────────────────────────────────────
+// getOrCreateTopic(ledger, owner)
+// The stored topic for this ledger + owner, creating (and storing) it on first use.
+// Returns the topic ID
+// ─────────────────────────────────────────────
+async function getOrCreateTopic(ledger, owner) {
+  const key = ledger.name + ':' + owner;
+  if (creating.has(key)) return creating.get(key);
+
+  const pending = (async () => {
+    const existing = await loadTopic(key, ledger.name);
+    if (existing) return existing.topicId;
+
+    const topicId = await ledger.createHCSTopic('PayStream audit trail — ' + owner);
+    const stored = await storeTopic({ key, ledger: ledger.name, owner, topicId });
+    if (stored.topicId !== topicId) {
+      // Another server instance got there first — use theirs, ours stays empty
+      console.log('[Topics] ' + owner + ' already has topic ' + stored.topicId + ' — not using ' + topicId);
+    } else {
+      console.log('[Topics] ' + owner + ' → new audit topic ' + topicId);
+    }
+    return stored.topicId;
+  })();
+
+  creating.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    creating.delete(key);
+  }
+}
+
+module.exports = { topicOwner, getOrCreateTopic, DEFAULT_PROJECT };
@@ -0,0 +1,1352 @@
+// unitTest.js
+// Focused tests for the parts of PayStream that can be checked on their own,
+// with no ledger and only the mock model — test.js covers a whole run end to end.
+// Run with: node unitTest.js   (fully offline, no .env needed)
+// npm test runs this, then test.js on the mock ledger and mock model.
+
+process.env.MODEL_PROVIDER = 'mock';
+process.env.LEDGER_BACKEND = 'mock';
+// Run records stay in memory (runStore.js) even with a MONGODB_URI in .env
+process.env.MONGODB_URI = '';
+// Metered pricing at fixed test rates, whatever .env sets (per million tokens / per call, in HBAR)
+process.env.TOKEN_RATES = JSON.stringify({ 'test-big': { input: 10, output: 50 }, 'test-small': { input: 2, output: 8 }, 'test-free-output': { input: 1, output: 0 }, 'test-tiny': { input: 0.000001, output: 0 } });
+process.env.TOOL_RATES = JSON.stringify({ web_search: 0.01 });
+process.env.METERED_MARGIN_PERCENT = '20';
+// Admin routes (and the registry's write routes) are only there with a token
+process.env.ADMIN_TOKEN = 'unit-test-admin-token';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Registry changes go to a copy of agents.json, never the real one
+process.env.AGENT_REGISTRY_PATH = path.join(os.tmpdir(), 'paystream-unit-agents-' + process.pid + '.json');
+fs.copyFileSync(path.join(__dirname, 'agents.json'), process.env.AGENT_REGISTRY_PATH);
+
+const { isPrivateAddress, fetchRaw } = require('./liveWebService');
+const { createMessage, getModelProvider, modelsFor } = require('./modelService');
+const { calculate, runTool } = require('./toolService');
+const { verifyOutput, verifyWithRetry } = require('./verifierService');
+const { runSource, reportSource, buildContext, answerQuestion, MAX_QUESTION_LENGTH } = require('./askService');
+const { getRunAudit } = require('./auditService');
+const runStore = require('./runStore');
+const { getLedger } = require('./ledgerService');
+const { createRunBudget, hbarToTinybars, percentOf, splitTinybars, toUnits, formatUnits } = require('./budgetService');
+const { openRun, openEscrow, settleEscrow, settleRun } = require('./settlementService');
+const { decidePayment, getPolicy, DEFAULT_POLICY, OUTCOMES } = require('./paymentPolicyService');
+const { waitForPlanDecision, submitPlanDecision } = require('./planApprovalService');
+const { reconcileRuns } = require('./reconcilerService');
+const hedera = require('./hederaService');
+const topicStore = require('./topicStore');
+const { runMainAgent, planSteps, validatePlan, normalizeAllocations, checkPlan } = require('./agentService');
+const agentRegistry = require('./agentRegistry');
+const { meterUsage, meterToolCall, affordableOutputTokens, chooseModel, MIN_OUTPUT_TOKENS } = require('./meteringService');
+const { HBAR } = require('./currencyService');
+const mongo = require('./mongoService');
+const { runCodebaseAnalysis } = require('./codebaseAgentService');
+const { createAttestation, hashOutput } = require('./attestationService');
+
+// Every mongoService call goes through here, so withMongoStub can stand in
+// for Mongo — even in server.js, which takes its functions at load time
+let mongoStub = null;
+for (const [name, real] of Object.entries(mongo)) {
+  mongo[name] = (...args) => (mongoStub ? mongoStub(name, args) : real(...args));
+}
+const app = require('./server');
+
+const tests = [];
+function check(name, fn) {
+  tests.push({ name, fn });
+}
+
+// ─────────────────────────────────────────────
+// liveWebService.js — the public-address guard on fetch_url
+// ─────────────────────────────────────────────
+check('private and reserved addresses are refused', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+    '::', '::1', 'fd00::1', 'fe80::1', 'fec0::1', 'ff02::1',
+    '::ffff:7f00:1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '::ffff:8.8.8.8', '64:ff9b::7f00:1', '::7f00:1',
+    'not-an-address',
+  ]) {
+    assert.strictEqual(isPrivateAddress(address), true, address + ' should be refused');
+  }
+});
+
+check('public addresses are allowed', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '93.184.216.34', '2606:4700::1111', '2001:4860:4860::8888']) {
+    assert.strictEqual(isPrivateAddress(address), false, address + ' should be allowed');
+  }
+});
+
+check('fetching loopback through an IPv4-mapped IPv6 URL is refused', async () => {
+  const server = http.createServer((req, res) => res.end('INTERNAL SECRET'));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+  try {
+    for (const url of [
+      'http://127.0.0.1:' + port + '/',
+      'http://[::ffff:127.0.0.1]:' + port + '/',
+      'http://[::ffff:7f00:1]:' + port + '/',
+      'http://[64:ff9b::7f00:1]:' + port + '/',
+    ]) {
+      await assert.rejects(fetchRaw(url), /isn't a public address/, url + ' should be refused');
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+// ─────────────────────────────────────────────
+// modelService.js — fallback down the model list, retries, cancelling
+// ─────────────────────────────────────────────
+const hello = { model: 'model-a', max_tokens: 64, messages: [{ role: 'user', content: 'hello' }] };
+
+check('a failing model falls back to the next one in the list', async () => {
+  getModelProvider().setScript({ errors: [{ status: 500 }] });
+  const fallbacks = [];
+  const response = await createMessage(hello, { fallbackModels: ['model-b'], onFallback: (f) => fallbacks.push(f) });
+  assert.strictEqual(response.model, 'model-b');
+  assert.deepStrictEqual(fallbacks.map((f) => [f.from, f.to]), [['model-a', 'model-b']]);
+});
+
+check('the last model is retried when overloaded, but not on other errors', async () => {
+  getModelProvider().setScript({ errors: [{ status: 529 }] });
+  assert.strictEqual((await createMessage(hello)).model, 'model-a');
+
+  getModelProvider().setScript({ errors: [{ status: 400, message: 'bad request' }, { status: 400 }] });
+  await assert.rejects(createMessage(hello), /bad request/);
+});
+
+check('an aborted signal cancels the call with no retry or fallback', async () => {
+  getModelProvider().setScript({ delayMs: 5000 });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error('step timed out')), 50);
+  const fallbacks = [];
+  await assert.rejects(createMessage(hello, { fallbackModels: ['model-b'], onFallback: (f) => fallbacks.push(f), signal: controller.signal }), /step timed out/);
+  assert.deepStrictEqual(fallbacks, []);
+});
+
+// ─────────────────────────────────────────────
+// toolService.js — the calculator's parser
+// ─────────────────────────────────────────────
+check('the calculator follows precedence and associativity', () => {
+  for (const [expression, value] of [
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['10 - 4 - 3', 3],
+    ['2 ^ 3 ^ 2', 512],
+    ['2 ** 10', 1024],
+    ['-2 ^ 2', -4],
+    ['(-2) ^ 2', 4],
+    ['7 % 4 + 1', 4],
+    ['--3', 3],
+    ['.5 * 4', 2],
+    ['1.5e3 / 3', 500],
+    ['(1250 - 980) / 980 * 100', (1250 - 980) / 980 * 100],
+  ]) {
+    assert.strictEqual(calculate(expression), value, expression);
+  }
+});
+
+check('the calculator knows its functions and constants', () => {
+  assert.strictEqual(calculate('sqrt(16) + abs(-2)'), 6);
+  assert.strictEqual(calculate('max(1, 7, 3) - min(4, 2)'), 5);
+  assert.strictEqual(calculate('round(2.5) + floor(1.9) + ceil(1.1)'), 6);
+  assert.strictEqual(calculate('ln(e)'), 1);
+  assert.strictEqual(calculate('log10(1000)'), 3);
+  assert.strictEqual(calculate('PI'), Math.PI);
+});
+
+check('the calculator refuses anything that isn\'t arithmetic', () => {
+  for (const [expression, error] of [
+    ['', /Empty expression/],
+    ['1 +', /Unexpected end/],
+    ['(1 + 2', /Expected "\)"/],
+    ['1 2', /Unexpected "2"/],
+    ['1 / 0', /finite/],
+    ['process.exit(1)', /Unknown name "process"/],
+    ['constructor', /Unknown name "constructor"/],
+    ['toString(1)', /Unknown name "toString"/],
+    ['sqrt 4', /Expected "\("/],
+    ['2; 3', /Unexpected ";"/],
+  ]) {
+    assert.throws(() => calculate(expression), error, expression);
+  }
+});
+
+check('a tool an agent wasn\'t given comes back as an error, not a run', async () => {
+  const outcome = await runTool('calculator', { expression: '1 + 1' }, ['web_search']);
+  assert.strictEqual(outcome.ok, false);
+  assert.match(outcome.error, /No tool named "calculator"/);
+  assert.deepStrictEqual(await runTool('calculator', { expression: '1 + 1' }, ['calculator']).then((o) => [o.ok, o.content]), [true, '2']);
+});
+
+// ─────────────────────────────────────────────
+// verifierService.js — grading against the rubric, one retry with the critique
+// ─────────────────────────────────────────────
+function grades(relevance, factuality, limits, critique) {
+  const score = (n) => ({ score: n, comment: 'scored ' + n });
+  return { tools: { grade_output: { scores: { relevance: score(relevance), factuality: score(factuality), limits: score(limits) }, critique: critique || '' } } };
+}
+const firstTry = { output: 'first answer', meta: { system: 'You are a tester.', prompt: 'Say something.', usage: { input_tokens: 10, output_tokens: 5 } } };
+
+check('an output is graded against every criterion of the rubric', async () => {
+  getModelProvider().setScript(grades(5, 4, 3));
+  const grade = await verifyOutput('Tester', firstTry.meta, firstTry.output);
+  assert.strictEqual(grade.passed, true);
+  assert.deepStrictEqual(Object.keys(grade.scores), ['relevance', 'factuality', 'limits']);
+
+  getModelProvider().setScript(grades(5, 2, 5, 'Cite the material.'));
+  const failing = await verifyOutput('Tester', firstTry.meta, firstTry.output);
+  assert.strictEqual(failing.passed, false);
+  assert.strictEqual(failing.critique, 'Cite the material.');
+
+  getModelProvider().setScript(grades(5, 9, 5));
+  assert.strictEqual((await verifyOutput('Tester', firstTry.meta, firstTry.output)).passed, null);
+});
+
+check('a failing output is retried once with the critique and the retry is what counts', async () => {
+  getModelProvider().setScript(grades(2, 5, 5, 'Answer the question asked.'));
+  const critiques = [];
+  const graded = [];
+  const result = await verifyWithRetry('Tester', firstTry, async (critique) => {
+    critiques.push(critique);
+    getModelProvider().setScript(grades(4, 5, 5));
+    return { output: 'second answer', meta: { ...firstTry.meta, usage: { input_tokens: 20, output_tokens: 7 } } };
+  }, (attempt, grade, retrying) => graded.push([attempt, grade.passed, retrying]));
+
+  assert.deepStrictEqual(critiques, ['Answer the question asked.']);
+  assert.deepStrictEqual(graded, [[1, false, true], [2, true, false]]);
+  assert.strictEqual(result.output, 'second answer');
+  assert.strictEqual(result.verification.passed, true);
+  assert.deepStrictEqual(result.meta.usage, { input_tokens: 30, output_tokens: 12 });
+});
+
+check('an unusable grade or a failed retry never costs the first output', async () => {
+  getModelProvider().setScript({ errors: [{ status: 400 }, { status: 400 }] });
+  let retried = false;
+  const unverified = await verifyWithRetry('Tester', firstTry, async () => { retried = true; }, () => {});
+  assert.strictEqual(retried, false);
+  assert.strictEqual(unverified.output, 'first answer');
+  assert.strictEqual(unverified.verification.passed, null);
+
+  getModelProvider().setScript(grades(1, 1, 1));
+  const kept = await verifyWithRetry('Tester', firstTry, async () => { throw new Error('agent down'); }, () => {});
+  assert.strictEqual(kept.output, 'first answer');
+  assert.strictEqual(kept.verification.passed, false);
+  assert.strictEqual(kept.verification.retryError, 'agent down');
+});
+
+// ─────────────────────────────────────────────
+// askService.js — what a follow-up question is answered from
+// ─────────────────────────────────────────────
+check('only finished task and analysis runs can be asked about', () => {
+  assert.match(runSource({ kind: 'ask', outcome: {} }).error, /Only task and analysis runs/);
+  assert.match(runSource({ kind: 'task', label: 'x' }).error, /no stored results/);
+
+  const { source } = runSource({ kind: 'task', runId: 'run-1', label: 'Compare two libraries', outcome: { finalReport: 'Use A.', results: [] } });
+  assert.deepStrictEqual(source.about, { runId: 'run-1' });
+  assert.strictEqual(source.finalReport, 'Use A.');
+  assert.deepStrictEqual(reportSource('share-1', { repoName: 'acme/app', data: {}, files: [] }).about, { shareId: 'share-1' });
+});
+
+check('the context carries the results, then whole files while they fit', () => {
+  const task = buildContext({
+    kind: 'task',
+    label: 'Compare two libraries',
+    finalReport: 'Use A.',
+    results: [{ agentName: 'Research Agent', stepId: 'step_1', task: 'Find both', result: 'A is smaller.' }],
+  });
+  assert.match(task, /ORIGINAL TASK: Compare two libraries/);
+  assert.match(task, /=== Research Agent \(step_1\): Find both ===\nA is smaller\./);
+
+  const big = 'x'.repeat(40000);
+  const analysis = buildContext({
+    kind: 'analyze',
+    label: 'acme/app',
+    results: { summary: 'A web app.' },
+    files: [{ path: 'src/a.js', content: big }, { path: 'src/b.js', content: big }, { path: 'src/c.js', content: 'small' }],
+  });
+  assert.match(analysis, /=== FILE: src\/a\.js ===/);
+  assert.doesNotMatch(analysis, /src\/b\.js/);
+  assert.match(analysis, /\(2 more file\(s\) left out for length\)/);
+});
+
+check('an empty or overlong question is refused before anything is funded', async () => {
+  const source = reportSource('share-1', { repoName: 'acme/app', data: {}, files: [] });
+  const ledger = { initClient() { throw new Error('the ledger should not be reached'); } };
+  await assert.rejects(answerQuestion(source, '   ', 1, null, { ledger }), /question must be/);
+  await assert.rejects(answerQuestion(source, 'x'.repeat(MAX_QUESTION_LENGTH + 1), 1, null, { ledger }), /question must be/);
+});
+
+// ─────────────────────────────────────────────
+// auditService.js — a run's HCS trail read back from a mirror node stub
+// ─────────────────────────────────────────────
+// A local JSON server standing in for the mirror node REST API.
+// respond(url) → the body to send, or undefined for a 404
+async function serveJson(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const body = respond(new URL(req.url, 'http://stub'));
+    res.statusCode = body === undefined ? 404 : 200;
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify(body === undefined ? {} : body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: 'http://127.0.0.1:' + server.address().port,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Runs fn with the mirror node base URL pointed at url
+async function withMirrorUrl(url, fn) {
+  const previous = process.env.HEDERA_MIRROR_REST_URL;
+  process.env.HEDERA_MIRROR_REST_URL = url;
+  try {
+    return await fn();
+  } finally {
+    if (previous === undefined) delete process.env.HEDERA_MIRROR_REST_URL;
+    else process.env.HEDERA_MIRROR_REST_URL = previous;
+  }
+}
+
+// A mirror node stub serving topic messages, two to a page.
+// messages = [{ payload, txId, chunks? }] — payload is JSON-encoded unless it's a string,
+// and split into that many chunks by bytes.
+// arrange(chunks) → the order they reached consensus in (default: as given)
+async function startMirrorStub(topicId, messages, arrange = (chunks) => chunks) {
+  const chunks = [];
+  for (const m of messages) {
+    const content = Buffer.from(typeof m.payload === 'string' ? m.payload : JSON.stringify(m.payload));
+    const total = m.chunks || 1;
+    const size = Math.ceil(content.length / total);
+    const [accountId, validStart] = m.txId.split('@');
+    for (let i = 0; i < total; i++) {
+      chunks.push({
+        message: content.subarray(i * size, (i + 1) * size).toString('base64'),
+        payer_account_id: accountId,
+        chunk_info: { initial_transaction_id: { account_id: accountId, transaction_valid_start: validStart }, number: i + 1, total },
+      });
+    }
+  }
+  const served = arrange(chunks).map((chunk, i) => ({
+    consensus_timestamp: '1792337841.' + String(i + 1).padStart(9, '0'),
+    sequence_number: i + 1,
+    ...chunk,
+  }));
+
+  return serveJson((url) => {
+    if (url.pathname !== '/api/v1/topics/' + topicId + '/messages') return undefined;
+    const page = Number(url.searchParams.get('page') || 0);
+    const next = (page + 1) * 2 < served.length ? url.pathname + '?order=asc&limit=2&page=' + (page + 1) : null;
+    return { messages: served.slice(page * 2, page * 2 + 2), links: { next } };
+  });
+}
+
+// Audits a run on the 'hedera' ledger against the stub
+async function auditAgainstStub(run, messages) {
+  const stub = await startMirrorStub(run.topicId, messages);
+  try {
+    await runStore.createRun({ ledger: 'hedera', status: 'settled', ...run });
+    return { audit: await withMirrorUrl(stub.url, () => getRunAudit(run.runId)), requests: stub.requests };
+  } finally {
+    await stub.close();
+  }
+}
+
+function paymentMessage(runId, agent, tinybars, transferTxId) {
+  return { runId, type: 'payment', agent, paid: tinybars + ' tinybars', paidTinybars: tinybars, transferTxId };
+}
+
+check('an audit reads the trail page by page and matches every payment in order', async () => {
+  const { audit, requests } = await auditAgainstStub({
+    runId: 'audit-ok',
+    topicId: '0.0.7001',
+    payments: [
+      { id: 'p1', agent: 'Research Agent', tinybars: 3000, status: 'paid', transferTxId: '0.0.1002@1.1', hcsTxId: '0.0.1001@2.1' },
+      { id: 'p2', agent: 'Writer Agent', tinybars: 2000, status: 'paid', transferTxId: '0.0.1002@1.2', hcsTxId: '0.0.1001@2.3' },
+    ],
+  }, [
+    { txId: '0.0.1001@2.1', payload: paymentMessage('audit-ok', 'Research Agent', 3000, '0.0.1002@1.1') },
+    { txId: '0.0.1001@2.2', payload: paymentMessage('another-run', 'Research Agent', 9000, '0.0.1002@1.9') },
+    { txId: '0.0.1001@2.3', payload: { ...paymentMessage('audit-ok', 'Writer Agent', 2000, '0.0.1002@1.2'), task: 'x'.repeat(1500) }, chunks: 2 },
+  ]);
+
+  assert.deepStrictEqual(audit.mismatches, []);
+  assert.strictEqual(audit.ok, true);
+  assert.deepStrictEqual(audit.payments.map((p) => [p.id, p.sequenceNumber]), [['p1', 1], ['p2', 4]]);
+  assert.deepStrictEqual(audit.messages.map((m) => m.paymentId), ['p1', 'p2']);
+  assert.strictEqual(requests.length, 2, 'both pages should be read');
+  assert.match(requests[0], /timestamp=gte:\d+\.\d{9}/, 'only the run\'s stretch of the topic should be asked for');
+});
+
+check('an audit flags missing, mismatched and foreign payment messages', async () => {
+  const { audit } = await auditAgainstStub({
+    runId: 'audit-bad',
+    topicId: '0.0.7002',
+    payments: [
+      { id: 'missing', agent: 'Research Agent', tinybars: 1000, status: 'paid', hcsTxId: '0.0.1001@3.9' },
+      { id: 'amount', agent: 'Analysis Agent', tinybars: 2000, status: 'paid', hcsTxId: '0.0.1001@3.1' },
+      { id: 'foreign', agent: 'Writer Agent', tinybars: 3000, status: 'paid', hcsTxId: '0.0.1001@3.2' },
+    ],
+  }, [
+    { txId: '0.0.1001@3.1', payload: paymentMessage('audit-bad', 'Analysis Agent', 2500, null) },
+    { txId: '0.0.1001@3.2', payload: paymentMessage('someone-else', 'Writer Agent', 3000, null) },
+    { txId: '0.0.1001@3.3', payload: paymentMessage('audit-bad', 'Ghost Agent', 700, null) },
+  ]);
+
+  const kinds = audit.mismatches.map((m) => [m.kind, m.paymentId || null, m.sequenceNumber || null]);
+  assert.strictEqual(audit.ok, false);
+  assert.deepStrictEqual(kinds, [
+    ['unexpected_run', null, 2],
+    ['missing_message', 'missing', null],
+    ['amount_mismatch', 'amount', 1],
+    ['missing_message', 'foreign', null],
+    ['unrecorded_payment', null, 3],
+  ]);
+  assert.strictEqual(audit.mismatches[2].expected, 2000);
+  assert.strictEqual(audit.mismatches[2].onChain, 2500);
+});
+
+// ─────────────────────────────────────────────
+// budgetService.js — integer budget math
+// ─────────────────────────────────────────────
+check('amounts convert to whole units exactly', () => {
+  assert.strictEqual(hbarToTinybars('0.1'), 10000000);
+  assert.strictEqual(hbarToTinybars(0.3), 30000000);
+  assert.strictEqual(toUnits('1.5', 6, 'USDC'), 1500000);
+  assert.throws(() => toUnits('1.0000001', 6, 'USDC'), /more than 6 decimals/);
+  assert.throws(() => hbarToTinybars('-1'), /Invalid HBAR amount/);
+  assert.strictEqual(formatUnits(9000000, 8), '0.09');
+  assert.strictEqual(formatUnits(-150, 2), '-1.5');
+});
+
+check('percentOf rounds down, fractional percents included', () => {
+  assert.strictEqual(percentOf(100000000, 30), 30000000);
+  assert.strictEqual(percentOf(999, 30), 299);
+  assert.strictEqual(percentOf(1000, 12.5), 125);
+  assert.strictEqual(percentOf(7, 100), 7);
+  assert.strictEqual(percentOf(Number.MAX_SAFE_INTEGER, 50), Math.floor(Number.MAX_SAFE_INTEGER / 2));
+});
+
+check('an uneven split hands the remainder out by largest remainder and sums to the pool', () => {
+  assert.deepStrictEqual(splitTinybars(10, [1, 1, 1]), [4, 3, 3]);
+  assert.deepStrictEqual(splitTinybars(100, [50, 30, 20]), [50, 30, 20]);
+  assert.deepStrictEqual(splitTinybars(10, [2, 1]), [7, 3]);
+  assert.deepStrictEqual(splitTinybars(5, [12.5, 37.5, 50]), [1, 2, 2]);
+  for (const [total, weights] of [[29999999, [1, 1, 1, 1, 1, 1, 1]], [1, [3, 3, 3]], [123456789, [0.1, 33, 66.9]]]) {
+    const parts = splitTinybars(total, weights);
+    assert.strictEqual(parts.reduce((a, p) => a + p, 0), total, total + ' split ' + weights);
+    assert.ok(parts.every((p) => Number.isInteger(p) && p >= 0));
+  }
+  assert.throws(() => splitTinybars(10, []), /no positive weights/);
+});
+
+check('spent, refunded and remaining always add back up to the budget', () => {
+  const budget = createRunBudget(1000, 30);
+  assert.strictEqual(budget.agentPool, 300);
+  assert.deepStrictEqual(budget.allocate({ a: 1, b: 1, c: 1 }), { a: 100, b: 100, c: 100 });
+  const balanced = () => assert.strictEqual(budget.spent() + budget.refunded() + budget.remaining(), 1000);
+
+  const paid = budget.charge('Research Agent', 400);
+  const reversed = budget.charge('Analysis Agent', 200);
+  const refunded = budget.charge('Writer Agent', 100);
+  const part = budget.charge('Critic Agent', 250);
+  balanced();
+  assert.throws(() => budget.charge('Greedy Agent', 51), /Budget exhausted/);
+  assert.throws(() => budget.charge('Odd Agent', 1.5), /Invalid charge/);
+
+  budget.reverse(reversed, 'transfer failed');
+  budget.refund(refunded, 'step failed');
+  budget.refund(part, 'truncated', 100);
+  balanced();
+  assert.deepStrictEqual([budget.spent(), budget.refunded(), budget.remaining()], [550, 200, 250]);
+  assert.deepStrictEqual(budget.entries().map((e) => [e.id, e.agent, e.status, e.tinybars, e.refundedTinybars || 0]), [
+    [1, 'Research Agent', 'charged', 400, 0],
+    [2, 'Analysis Agent', 'reversed', 200, 0],
+    [3, 'Writer Agent', 'refunded', 100, 0],
+    [4, 'Critic Agent', 'charged', 150, 100],
+  ]);
+
+  // Settled entries can't be undone twice
+  budget.reverse(reversed, 'again');
+  budget.refund(refunded, 'again');
+  assert.throws(() => budget.refund(paid, 'too much', 401), /Invalid refund/);
+  balanced();
+  assert.strictEqual(paid.status, 'charged');
+});
+
+// ─────────────────────────────────────────────
+// settlementService.js — a step's escrow, settled every way the policy can decide
+// ─────────────────────────────────────────────
+// A funded run on the mock ledger. Each test gets its own project, so its own audit topic.
+async function openMockRun(hbar, options = {}) {
+  const ledger = getLedger('mock');
+  ledger.initClient();
+  const budget = createRunBudget(hbarToTinybars(hbar), 100);
+  const run = await openRun(ledger, budget, { kind: 'task', label: 'unit test', ...options });
+  return { ledger, budget, run };
+}
+
+const accepted = { outcome: 'ok', reasons: [], signals: {} };
+const failed = { outcome: 'error', reasons: ['step timed out'], signals: {} };
+
+async function storedPayment(run, entry) {
+  return (await runStore.getRun(run.runId)).payments.find((p) => p.id === entry.id);
+}
+
+check('a full, a partial and a refused escrow each move the right amount', async () => {
+  const mock = getLedger('mock');
+  mock.initClient();
+  const agentWallet = mock.getAgentAccountId();
+  const walletBefore = mock.getBalances()[agentWallet];
+  const { ledger, budget, run } = await openMockRun(1, { project: 'unit-escrow' });
+
+  const full = await openEscrow(ledger, run, budget, 'Research Agent', 30000000, 'research');
+  assert.strictEqual(full.escrow.state, 'held');
+  await settleEscrow(ledger, run, budget, full, decidePayment('Research Agent', accepted, 30000000));
+  assert.deepStrictEqual([full.status, full.escrow.state, full.tinybars], ['paid', 'released', 30000000]);
+  assert.strictEqual(run.heldTinybars, 70000000);
+  assert.strictEqual(ledger.getBalances()[ledger.getSubAgentAccountId('Research Agent')], 0.3);
+
+  // Metered: the step cost a quarter of its escrow, the rest goes back
+  const partial = await openEscrow(ledger, run, budget, 'Analysis Agent', 20000000, 'analysis');
+  await settleEscrow(ledger, run, budget, partial, decidePayment('Analysis Agent', accepted, 20000000, 5000000));
+  assert.deepStrictEqual([partial.status, partial.escrow.state, partial.tinybars, partial.refundedTinybars], ['paid', 'partially_released', 5000000, 15000000]);
+  assert.ok(partial.escrow.refundTxId);
+  assert.strictEqual(run.heldTinybars, 50000000);
+
+  const none = await openEscrow(ledger, run, budget, 'Writer Agent', 10000000, 'writing');
+  await settleEscrow(ledger, run, budget, none, decidePayment('Writer Agent', failed, 10000000));
+  assert.deepStrictEqual([none.status, none.escrow.state], ['refunded', 'refunded']);
+  assert.strictEqual(run.heldTinybars, 40000000);
+
+  assert.deepStrictEqual([budget.spent(), budget.refunded(), budget.remaining()], [35000000, 25000000, 40000000]);
+  assert.deepStrictEqual((await storedPayment(run, partial)).escrow.state, 'partially_released');
+  assert.strictEqual((await runStore.getRun(run.runId)).heldTinybars, 40000000);
+  // The auto-refund only ever covers what the run still holds
+  assert.strictEqual(run.scheduledTinybars, 40000000);
+  assert.strictEqual(ledger.getSchedule(run.scheduleId).transfers[1].tinybars, 40000000);
+
+  await settleRun(ledger, run, budget);
+  assert.strictEqual(run.heldTinybars, 0);
+  assert.strictEqual(Math.round((ledger.getBalances()[agentWallet] - walletBefore) * 1e8), 0, 'the run should leave nothing in the agent wallet');
+});
+
+check('an escrow whose release fails is refunded instead', async () => {
+  const { ledger, budget, run } = await openMockRun(1, { project: 'unit-escrow-fail' });
+  const failing = { ...ledger, releaseEscrow: async () => { throw new Error('node busy'); } };
+
+  const entry = await openEscrow(failing, run, budget, 'Research Agent', 40000000, 'research');
+  await assert.rejects(settleEscrow(failing, run, budget, entry, decidePayment('Research Agent', accepted, 40000000)), /node busy/);
+  assert.deepStrictEqual([entry.status, entry.escrow.state], ['refunded', 'refunded']);
+  assert.match(entry.escrow.reason, /Release failed: node busy/);
+  assert.strictEqual(ledger.getSchedule(entry.escrow.scheduleId).status, 'deleted');
+  assert.strictEqual(run.heldTinybars, 60000000);
+  assert.deepStrictEqual([budget.spent(), budget.refunded()], [0, 40000000]);
+  assert.strictEqual((await storedPayment(run, entry)).status, 'refunded');
+  await settleRun(ledger, run, budget);
+});
+
+check('a user\'s funding is verified once, and a run that was never recorded frees it for a retry', async () => {
+  const mock = getLedger('mock');
+  mock.initClient();
+  const payerAccountId = mock.createAccount(5);
+  const funding = { payerAccountId, transactionId: mock.submitUserFunding(payerAccountId, 1) };
+  let verified = 0;
+  const ledger = { ...mock, verifyFunding: (...args) => { verified++; return mock.verifyFunding(...args); } };
+
+  const createRun = runStore.createRun;
+  runStore.createRun = async () => { throw new Error('database unavailable'); };
+  try {
+    await assert.rejects(openRun(ledger, createRunBudget(hbarToTinybars(1), 100), { kind: 'task', label: 'unit test', funding }), /database unavailable/);
+  } finally {
+    runStore.createRun = createRun;
+  }
+
+  const budget = createRunBudget(hbarToTinybars(1), 100);
+  const run = await openRun(ledger, budget, { kind: 'task', label: 'unit test', funding });
+  assert.strictEqual(verified, 2, 'one check per attempt — fundAgent doesn\'t repeat it');
+  await assert.rejects(openRun(ledger, createRunBudget(hbarToTinybars(1), 100), { kind: 'task', label: 'unit test', funding }), /already funding a run/);
+  await settleRun(ledger, run, budget);
+  assert.strictEqual(mock.getBalances()[payerAccountId], 5);
+});
+
+// ─────────────────────────────────────────────
+// reconcilerService.js — unfinished runs picked up after a restart
+// ─────────────────────────────────────────────
+check('the reconciler settles open escrows and refunds exactly what is left', async () => {
+  const mock = getLedger('mock');
+  const user = mock.initClient().operator;
+  const B = 100000000;
+  const soon = () => new Date(Date.now() + 60 * 60 * 1000);
+  const past = () => new Date(Date.now() - 1000);
+  // Puts tinybars into the agent wallet with nothing scheduled to send them back
+  const deposit = (tinybars) => mock.submitUserFunding(user, tinybars / B);
+
+  const topicId = await mock.createHCSTopic('reconciler test');
+  const escrowRunSchedule = await mock.fundAgent(B, soon());
+  const executedEscrow = await mock.createEscrow('Critic Agent', 10000000, soon());
+  await mock.releaseEscrow(executedEscrow, 'Critic Agent', 10000000, 'review', undefined, { topicId, runId: 'recon-escrows' });
+  const heldEscrow = await mock.createEscrow('Writer Agent', 20000000, soon());
+  const deletedSchedule = await mock.fundAgent(B, soon());
+  await mock.cancelSchedule(deletedSchedule);
+  deposit(10000000);
+  deposit(B);
+
+  const seeded = {
+    'recon-no-schedule': {},
+    'recon-already-refunded': { scheduleId: '0.0.1', refund: { tinybars: B, scheduleCancelled: true, txId: '0.0.1002@1.1' } },
+    'recon-untouched': { scheduleId: await mock.fundAgent(B, soon()) },
+    'recon-escrows': {
+      scheduleId: escrowRunSchedule,
+      payments: [
+        { id: 1, agent: 'Research Agent', tinybars: 30000000, status: 'paid' },
+        { id: 2, agent: 'Writer Agent', tinybars: 20000000, status: 'charged', escrow: { state: 'held', scheduleId: heldEscrow } },
+        { id: 3, agent: 'Analysis Agent', tinybars: 10000000, status: 'refunded' },
+        { id: 4, agent: 'Summary Agent', tinybars: 5000000, refundedTinybars: 15000000, status: 'paid' },
+        { id: 5, agent: 'Critic Agent', tinybars: 10000000, status: 'charged', escrow: { state: 'releasing', scheduleId: executedEscrow } },
+      ],
+    },
+    'recon-cancelled': { scheduleId: deletedSchedule, refund: { tinybars: B, scheduleCancelled: true, txId: null } },
+    'recon-schedule-exact': {
+      scheduleId: await mock.fundAgent(60000000, past()),
+      renewals: [{ tinybars: 60000000 }],
+      payments: [{ id: 1, agent: 'Research Agent', tinybars: 40000000, status: 'paid' }],
+    },
+    'recon-schedule-short': {
+      scheduleId: await mock.fundAgent(50000000, past()),
+      renewals: [{ tinybars: 50000000 }],
+      payments: [{ id: 1, agent: 'Research Agent', tinybars: 40000000, status: 'paid' }],
+    },
+    'recon-schedule-over': {
+      scheduleId: await mock.fundAgent(B, past()),
+      payments: [{ id: 1, agent: 'Research Agent', tinybars: 40000000, status: 'paid' }],
+    },
+    'recon-schedule-failed': { scheduleId: await mock.createRefundSchedule(1e15, past()) },
+    'recon-forgotten': { scheduleId: '0.0.999999' },
+  };
+  for (const [runId, fields] of Object.entries(seeded)) {
+    await runStore.createRun({ runId, kind: 'task', ledger: 'mock', status: 'failed', budgetTinybars: B, renewals: [], ...fields });
+  }
+
+  const userBefore = mock.getBalances()[user];
+  const report = await reconcileRuns();
+  const byRun = Object.fromEntries(report.runs.filter((r) => seeded[r.runId]).map((r) => [r.runId, r]));
+  const refunded = async (runId) => (await runStore.getRun(runId)).refund.tinybars;
+
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(byRun).map(([runId, r]) => [runId, r.action])), {
+    'recon-no-schedule': 'needs_review_no_schedule',
+    'recon-already-refunded': 'already_refunded',
+    'recon-untouched': 'left_schedule_to_fire',
+    'recon-escrows': 'cancelled_schedule_and_refunded',
+    'recon-cancelled': 'refunded_after_cancel',
+    'recon-schedule-exact': 'refunded_by_schedule',
+    'recon-schedule-short': 'refunded_rest_after_schedule',
+    'recon-schedule-over': 'schedule_overrefunded',
+    'recon-schedule-failed': 'refunded_after_failed_schedule',
+    'recon-forgotten': 'abandoned_mock_run',
+  });
+
+  // budget − spent (paid, partly paid, executed escrow) − refunded early (refunded escrow, partial refund)
+  const escrows = byRun['recon-escrows'];
+  assert.deepStrictEqual([escrows.spentTinybars, escrows.refundedTinybars, escrows.remainingTinybars], [45000000, 25000000, 30000000]);
+  assert.strictEqual(await refunded('recon-escrows'), 30000000);
+  const payments = (await runStore.getRun('recon-escrows')).payments;
+  assert.deepStrictEqual(payments.map((p) => p.status), ['paid', 'reversed', 'refunded', 'paid', 'paid']);
+  assert.strictEqual(mock.getSchedule(heldEscrow).status, 'deleted');
+
+  assert.strictEqual(await refunded('recon-cancelled'), B);
+  assert.strictEqual(await refunded('recon-schedule-short'), 10000000);
+  assert.strictEqual(byRun['recon-schedule-over'].overRefundedTinybars, 40000000);
+  assert.strictEqual(await refunded('recon-schedule-failed'), B);
+  assert.strictEqual(mock.getSchedule(seeded['recon-untouched'].scheduleId).status, 'pending');
+  assert.strictEqual((await runStore.getRun('recon-untouched')).status, 'awaiting_schedule');
+  assert.strictEqual((await runStore.getRun('recon-no-schedule')).status, 'needs_review');
+  assert.strictEqual(Math.round((mock.getBalances()[user] - userBefore) * B), 30000000 + B + 10000000 + B);
+
+  // Settled runs are never picked up again
+  const again = await reconcileRuns();
+  assert.deepStrictEqual(again.runs.filter((r) => seeded[r.runId]).map((r) => [r.runId, r.action]), [['recon-untouched', 'left_schedule_to_fire']]);
+  await mock.refundRemainder(seeded['recon-untouched'].scheduleId, B);
+});
+
+check('a schedule the network forgot stays pending on the mirror node until its expiry has lagged past', async () => {
+  const seconds = (ms) => ((Date.now() + ms) / 1000).toFixed(9);
+  const schedules = {
+    '0.0.801': { expiration_time: seconds(-30 * 1000) },
+    '0.0.802': { expiration_time: seconds(-2 * 60 * 1000) },
+    '0.0.803': { executed_timestamp: seconds(-5000), expiration_time: seconds(-1000) },
+    '0.0.804': { deleted: true },
+    '0.0.805': {},
+  };
+  const stub = await serveJson((url) => schedules[url.pathname.replace('/api/v1/schedules/', '')]);
+  try {
+    const statuses = await withMirrorUrl(stub.url, () => Promise.all(['0.0.801', '0.0.802', '0.0.803', '0.0.804', '0.0.805', '0.0.806'].map((id) => hedera.getScheduleStatus(id))));
+    assert.deepStrictEqual(statuses.map((s) => s.status), ['pending', 'expired', 'executed', 'deleted', 'unknown', 'unknown']);
+  } finally {
+    await stub.close();
+  }
+});
+
+// ─────────────────────────────────────────────
+// paymentPolicyService.js — outcome → percent, and the rounding
+// ─────────────────────────────────────────────
+check('every outcome pays its percent of the escrow', () => {
+  assert.deepStrictEqual(Object.keys(DEFAULT_POLICY), OUTCOMES);
+  assert.deepStrictEqual(getPolicy('Unconfigured Agent'), DEFAULT_POLICY);
+
+  const decided = OUTCOMES.map((outcome) => {
+    const d = decidePayment('Unconfigured Agent', { outcome, reasons: outcome === 'ok' ? [] : [outcome], signals: {} }, 1000);
+    return [outcome, d.decision, d.percent, d.payTinybars, d.refundTinybars];
+  });
+  assert.deepStrictEqual(decided, [
+    ['ok', 'full', 100, 1000, 0],
+    ['defaults_filled', 'partial', 50, 500, 500],
+    ['truncated', 'partial', 50, 500, 500],
+    ['below_rubric', 'partial', 50, 500, 500],
+    ['invalid', 'none', 0, 0, 1000],
+    ['empty', 'none', 0, 0, 1000],
+    ['error', 'none', 0, 0, 1000],
+  ]);
+});
+
+check('a partial payment rounds down and the odd unit goes back to the funder', () => {
+  const truncated = { outcome: 'truncated', reasons: ['cut short'], signals: {} };
+  const odd = decidePayment('Writer Agent', truncated, 1001);
+  assert.deepStrictEqual([odd.payTinybars, odd.refundTinybars], [500, 501]);
+
+  // Metered: the percent is of what the tokens cost, never more than the escrow
+  const cheap = decidePayment('Writer Agent', accepted, 1000, 333);
+  assert.deepStrictEqual([cheap.decision, cheap.payTinybars, cheap.refundTinybars], ['partial', 333, 667]);
+  assert.match(cheap.reason, /of metered usage/);
+  assert.strictEqual(decidePayment('Writer Agent', accepted, 1000, 5000).decision, 'full');
+});
+
+check('a share that rounds down to nothing refunds the escrow instead of paying 0', () => {
+  const unmetered = decidePayment('Answer Agent', accepted, 1000, 0);
+  assert.deepStrictEqual([unmetered.decision, unmetered.payTinybars, unmetered.refundTinybars], ['none', 0, 1000]);
+  assert.match(unmetered.reason, /rounds down to nothing/);
+
+  assert.strictEqual(decidePayment('Writer Agent', { outcome: 'truncated', reasons: ['cut short'], signals: {} }, 1).decision, 'none');
+  // Nothing escrowed is nothing to refund — a free step that succeeded is still released
+  assert.strictEqual(decidePayment('Writer Agent', accepted, 0).decision, 'full');
+});
+
+// ─────────────────────────────────────────────
+// planApprovalService.js — answering a paused run's plan
+// ─────────────────────────────────────────────
+const twoAgents = [{ name: 'Research Agent' }, { name: 'Writer Agent' }];
+function twoSteps() {
+  return [
+    { id: 's1', agent: 'Research Agent', task: 'Find sources', dependsOn: [], allocation: 50 },
+    { id: 's2', agent: 'Writer Agent', task: 'Write it up', dependsOn: ['s1'], allocation: 50 },
+  ];
+}
+
+check('only the holder of the plan token can answer for a run', async () => {
+  const { token, decision } = waitForPlanDecision('plan-token', twoSteps());
+  assert.strictEqual(submitPlanDecision('plan-token', { action: 'reject' }).status, 403);
+  assert.strictEqual(submitPlanDecision('plan-token', { action: 'reject' }, 'not-the-token').status, 403);
+  assert.strictEqual(submitPlanDecision('plan-token', { action: 'maybe' }, token).status, 400);
+
+  assert.strictEqual(submitPlanDecision('plan-token', { action: 'approve' }, token).action, 'approve');
+  assert.deepStrictEqual((await decision).steps.map((s) => s.id), ['s1', 's2']);
+  assert.strictEqual(submitPlanDecision('plan-token', { action: 'approve' }, token), null, 'a plan is answered once');
+});
+
+check('edited allocations are scaled back to 100 and held to the minimum', async () => {
+  const { token, decision } = waitForPlanDecision('plan-edit', twoSteps(), { checkSteps: (edited) => checkPlan({ steps: edited }, twoAgents) });
+
+  const starved = submitPlanDecision('plan-edit', { action: 'edit', steps: [{ id: 's1', allocation: 100 }, { id: 's2', allocation: 3 }] }, token);
+  assert.strictEqual(starved.status, 400);
+  assert.match(starved.error, /Step s2 gets 3% of the budget — the minimum is 5%/);
+  assert.match(submitPlanDecision('plan-edit', { action: 'edit', steps: [{ id: 's9', allocation: 10 }] }, token).error, /No step with id "s9"/);
+
+  const edited = submitPlanDecision('plan-edit', { action: 'edit', steps: [{ id: 's1', allocation: 100, task: 'Find five sources' }] }, token);
+  assert.deepStrictEqual(edited.steps.map((s) => [s.id, s.allocation]), [['s1', 67], ['s2', 33]]);
+  assert.strictEqual((await decision).steps[0].task, 'Find five sources');
+});
+
+// ─────────────────────────────────────────────
+// meteringService.js — what a call costs, and what a share can pay for
+// ─────────────────────────────────────────────
+check('a call costs its tokens at the model\'s rates plus the margin, in exact integer tinybars', () => {
+  // (1000 × 10 HBAR + 200 × 50 HBAR) per million tokens = 0.02 HBAR, + 20%
+  assert.deepStrictEqual(meterUsage(HBAR, 'test-big', { input_tokens: 1000, output_tokens: 200 }), {
+    model: 'test-big', inputTokens: 1000, outputTokens: 200, costUnits: 2400000,
+  });
+  // Far past 2^53 before the division — a float would be a tinybar off
+  assert.strictEqual(meterUsage(HBAR, 'test-big', { input_tokens: 123456789, output_tokens: 987654321 }).costUnits, 6074074072800);
+  // Rounded down: at 100 tinybars per million tokens (+ 20%), 8,334 tokens just make 1 tinybar
+  assert.strictEqual(meterUsage(HBAR, 'test-tiny', { input_tokens: 8333, output_tokens: 0 }).costUnits, 0);
+  assert.strictEqual(meterUsage(HBAR, 'test-tiny', { input_tokens: 8334, output_tokens: 0 }).costUnits, 1);
+  assert.strictEqual(meterUsage(HBAR, 'test-small', { input_tokens: 1, output_tokens: 1 }).costUnits, 1200);
+  assert.strictEqual(meterUsage(HBAR, 'test-small', undefined).costUnits, 0);
+
+  assert.strictEqual(meterToolCall(HBAR, 'web_search'), 1200000);
+  assert.strictEqual(meterToolCall(HBAR, 'fetch_url'), 120000, 'the built-in price when .env has none');
+  assert.strictEqual(meterToolCall(HBAR, 'calculator'), 0);
+
+  process.env.METERED_MARGIN_PERCENT = '0';
+  try {
+    assert.strictEqual(meterUsage(HBAR, 'test-big', { input_tokens: 1000, output_tokens: 200 }).costUnits, 2000000);
+  } finally {
+    process.env.METERED_MARGIN_PERCENT = '20';
+  }
+});
+
+check('the output a share affords undoes the margin and takes off the input first', () => {
+  const cap = meterUsage(HBAR, 'test-big', { input_tokens: 1000, output_tokens: 200 }).costUnits;
+  assert.strictEqual(affordableOutputTokens(HBAR, 'test-big', cap, 1000), 200);
+  assert.strictEqual(affordableOutputTokens(HBAR, 'test-big', cap - 1, 1000), 199);
+  assert.strictEqual(affordableOutputTokens(HBAR, 'test-big', cap, 0), 400);
+  assert.strictEqual(affordableOutputTokens(HBAR, 'test-big', 1200000, 1000), 0, 'the input alone uses the whole cap');
+  assert.strictEqual(affordableOutputTokens(HBAR, 'test-free-output', 0, 1000), Number.MAX_SAFE_INTEGER);
+});
+
+check('a step starts on the biggest model its share covers, or the smallest with fewer tokens, or not at all', () => {
+  const models = ['test-big', 'test-small'];
+  // Worst case at 512 max_tokens with 1000 input tokens: 4,272,000 tinybars on test-big, 731,520 on test-small
+  assert.deepStrictEqual(chooseModel(HBAR, models, 4272000, 1000, 512), { model: 'test-big', fallbackModels: ['test-small'], maxTokens: 512, downshifted: false });
+  assert.deepStrictEqual(chooseModel(HBAR, models, 4271999, 1000, 512), { model: 'test-small', fallbackModels: [], maxTokens: 512, downshifted: true });
+  assert.deepStrictEqual(chooseModel(HBAR, models, 400000, 1000, 512), { model: 'test-small', fallbackModels: [], maxTokens: 166, downshifted: true });
+
+  // 301,440 tinybars buys exactly MIN_OUTPUT_TOKENS on test-small — a tinybar less isn't worth a call
+  assert.strictEqual(MIN_OUTPUT_TOKENS, 64);
+  assert.strictEqual(chooseModel(HBAR, models, 301440, 1000, 512).maxTokens, 64);
+  assert.strictEqual(chooseModel(HBAR, models, 301439, 1000, 512).maxTokens, 0);
+  assert.strictEqual(chooseModel(HBAR, ['test-small'], 731520, 1000, 512).downshifted, false);
+});
+
+// ─────────────────────────────────────────────
+// agentService.js — planning: validation, one repair, the default plan
+// ─────────────────────────────────────────────
+check('a plan is refused for unknown agents, empty tasks, bad allocations, reused ids and forward dependencies', () => {
+  const steps = [
+    { agent: 'Research Agent', task: 'Find sources', allocation: 40 },
+    { id: 's1', agent: 'Poet Agent', task: ' ', allocation: 0, dependsOn: ['s3'] },
+    { id: 's3', agent: 'Writer Agent', task: 'Write it up', allocation: 60, dependsOn: 's1' },
+  ];
+  assert.deepStrictEqual(validatePlan(steps, twoAgents), [
+    'Step s1 uses unknown agent "Poet Agent" (registered: Research Agent, Writer Agent)',
+    'Step s1 has no task',
+    'Step s1 has an invalid allocation: 0',
+    'Step id "s1" is used twice',
+    'Step s1 depends on "s3", which isn\'t an earlier step',
+    'Step s3 has a dependsOn that isn\'t a list',
+  ]);
+  // Defaults are filled in as it goes
+  assert.deepStrictEqual([steps[0].id, steps[0].dependsOn], ['s1', []]);
+
+  assert.deepStrictEqual(validatePlan([], twoAgents), ['The plan has no steps']);
+  const tooMany = Array.from({ length: 9 }, () => ({ agent: 'Research Agent', task: 'x', allocation: 1 }));
+  assert.deepStrictEqual(validatePlan(tooMany, twoAgents), ['The plan has 9 steps — the most allowed is 8']);
+});
+
+check('allocations are scaled to whole percents summing to 100, and a sliver under the minimum is a problem', () => {
+  const thirds = [{ id: 'a', allocation: 1 }, { id: 'b', allocation: 1 }, { id: 'c', allocation: 1 }];
+  assert.deepStrictEqual(normalizeAllocations(thirds), []);
+  assert.deepStrictEqual(thirds.map((s) => s.allocation), [34, 33, 33]);
+
+  const lopsided = [{ id: 'a', allocation: 2 }, { id: 'b', allocation: 2 }, { id: 'c', allocation: 96 }];
+  assert.deepStrictEqual(normalizeAllocations(lopsided), [
+    'Step a gets 2% of the budget — the minimum is 5%',
+    'Step b gets 2% of the budget — the minimum is 5%',
+  ]);
+
+  // checkPlan works on a copy, and doesn't normalize a plan that failed validation
+  const input = { steps: twoSteps().map((s) => ({ ...s, allocation: 3 })) };
+  assert.deepStrictEqual(checkPlan(input, twoAgents).steps.map((s) => s.allocation), [50, 50]);
+  assert.strictEqual(input.steps[0].allocation, 3);
+  assert.deepStrictEqual(checkPlan({ steps: [{ agent: 'Writer Agent', task: 'x', allocation: 3, dependsOn: ['s2'] }] }, twoAgents), {
+    problems: ['Step s1 depends on "s2", which isn\'t an earlier step'],
+  });
+  assert.deepStrictEqual(checkPlan(null, twoAgents), { problems: ['The plan has no steps'] });
+});
+
+// Planner inputs: a step on an agent that isn't registered, then a usable plan
+const unknownAgentPlan = { steps: [{ id: 's1', agent: 'Poet Agent', task: 'Write a poem', allocation: 100 }] };
+const repairedPlan = { steps: [
+  { id: 's1', agent: 'Research Agent', task: 'Find sources', allocation: 3 },
+  { id: 's2', agent: 'Writer Agent', task: 'Write it up', dependsOn: ['s1'], allocation: 1 },
+] };
+
+// Calls fn, recording the params of every model call it makes
+async function recordingModelCalls(fn) {
+  const provider = getModelProvider();
+  const streamMessage = provider.streamMessage;
+  const calls = [];
+  provider.streamMessage = (params, handlers) => {
+    calls.push(JSON.parse(JSON.stringify(params)));
+    return streamMessage(params, handlers);
+  };
+  try {
+    return { result: await fn(), calls };
+  } finally {
+    provider.streamMessage = streamMessage;
+  }
+}
+
+check('an invalid plan goes back to the planner once with its problems, and the repair is used', async () => {
+  getModelProvider().setScript({ tools: { create_plan: [unknownAgentPlan, repairedPlan] } });
+  const { result, calls } = await recordingModelCalls(() => planSteps('Write about bees', twoAgents));
+
+  assert.strictEqual(result.fallback, null);
+  assert.deepStrictEqual(result.steps.map((s) => [s.id, s.agent, s.dependsOn, s.allocation]), [
+    ['s1', 'Research Agent', [], 75],
+    ['s2', 'Writer Agent', ['s1'], 25],
+  ]);
+
+  assert.strictEqual(calls.length, 2);
+  const [echoed, rejection] = calls[1].messages.slice(1);
+  assert.deepStrictEqual(echoed.content[0].input, unknownAgentPlan);
+  const toolResult = rejection.content[0];
+  assert.strictEqual(toolResult.type, 'tool_result');
+  assert.strictEqual(toolResult.tool_use_id, echoed.content[0].id);
+  assert.strictEqual(toolResult.is_error, true);
+  assert.match(toolResult.content, /- Step s1 uses unknown agent "Poet Agent"/);
+});
+
+check('a plan that fails twice falls back to the default plan, and the run says so', async () => {
+  getModelProvider().setScript({ tools: { create_plan: [unknownAgentPlan, { steps: [] }] } });
+  const { result, calls } = await recordingModelCalls(() => planSteps('Write about bees', twoAgents));
+  assert.strictEqual(calls.length, 2, 'one repair, no more');
+  assert.deepStrictEqual(result.fallback, { reason: 'The planner didn\'t produce a valid plan', problems: ['The plan has no steps'] });
+  assert.deepStrictEqual(result.steps.map((s) => [s.id, s.agent, s.dependsOn, s.allocation]), [
+    ['s1', 'Research Agent', [], 50],
+    ['s2', 'Writer Agent', ['s1'], 50],
+  ]);
+
+  const events = [];
+  await runMainAgent('Write about bees', 1, (e) => events.push(e), { ledger: getLedger('mock'), project: 'unit-plan-fallback' });
+  const fallback = events.find((e) => e.type === 'plan_fallback');
+  assert.ok(fallback, 'plan_fallback event');
+  assert.deepStrictEqual(fallback.problems, ['The plan has no steps']);
+  const agents = agentRegistry.listAgents().slice(0, 8).map((a) => a.name);
+  assert.deepStrictEqual(fallback.steps.map((s) => s.agent), agents);
+  assert.strictEqual(fallback.steps.reduce((sum, s) => sum + s.allocation, 0), 100);
+});
+
+// ─────────────────────────────────────────────
+// agentService.js — running the step graph
+// ─────────────────────────────────────────────
+// s1 fans out to s2 and s3, which join again at s4
+const diamondPlan = { steps: [
+  { id: 's1', agent: 'Research Agent', task: 'Gather the facts', allocation: 25 },
+  { id: 's2', agent: 'Analysis Agent', task: 'Weigh the facts', dependsOn: ['s1'], allocation: 25 },
+  { id: 's3', agent: 'Writer Agent', task: 'Draft the copy', dependsOn: ['s1'], allocation: 25 },
+  { id: 's4', agent: 'Writer Agent', task: 'Merge both drafts', dependsOn: ['s2', 's3'], allocation: 25 },
+] };
+
+// Each step's answer, matched on its task — the later steps first, since a
+// step's prompt also carries the tasks of the steps it builds on
+function diamondScript(weighed) {
+  return {
+    delayMs: 20,
+    tools: { create_plan: diamondPlan },
+    text: [
+      { match: 'Merge both drafts', text: 'Both drafts merged into one.' },
+      { match: 'Weigh the facts', text: weighed },
+      { match: 'Draft the copy', text: 'A first draft of the copy.' },
+      { match: 'Gather the facts', text: 'Five facts found about bees.' },
+    ],
+  };
+}
+
+// Where each step's events of a type fall in the event stream
+function eventIndex(events, type) {
+  const at = {};
+  events.forEach((e, i) => { if (e.type === type) at[e.stepId] = i; });
+  return at;
+}
+
+check('independent steps run side by side and a joining step gets every upstream result', async () => {
+  getModelProvider().setScript(diamondScript('The facts weighed against each other.'));
+  const events = [];
+  const { result, calls } = await recordingModelCalls(() => runMainAgent('Write about bees', 1, (e) => events.push(e), { ledger: getLedger('mock'), project: 'unit-diamond' }));
+
+  const started = eventIndex(events, 'step_start');
+  const completed = eventIndex(events, 'step_complete');
+  assert.ok(started.s2 > completed.s1 && started.s3 > completed.s1, 's2 and s3 wait for s1');
+  assert.ok(Math.max(started.s2, started.s3) < Math.min(completed.s2, completed.s3), 's2 and s3 run in parallel');
+  assert.ok(started.s4 > Math.max(completed.s2, completed.s3), 's4 waits for both');
+
+  const prompt = (task) => calls.find((c) => typeof c.messages[0].content === 'string' && c.messages[0].content.startsWith(task)).messages[0].content;
+  assert.ok(prompt('Weigh the facts').includes('=== Research Agent (s1): Gather the facts ===\nFive facts found about bees.'));
+  const joined = prompt('Merge both drafts');
+  assert.ok(joined.includes('=== Analysis Agent (s2): Weigh the facts ===\nThe facts weighed against each other.'));
+  assert.ok(joined.includes('=== Writer Agent (s3): Draft the copy ===\nA first draft of the copy.'));
+  assert.ok(!joined.includes('Five facts found'), 's4 only gets the steps it depends on');
+
+  assert.deepStrictEqual(result.results.map((r) => r.stepId), ['s1', 's2', 's3', 's4']);
+});
+
+check('a failed step settles the steps that depend on it without starting them', async () => {
+  getModelProvider().setScript(diamondScript(''));
+  const events = [];
+  const result = await runMainAgent('Write about bees', 1, (e) => events.push(e), { ledger: getLedger('mock'), project: 'unit-diamond-failed' });
+
+  assert.deepStrictEqual(Object.keys(eventIndex(events, 'step_start')), ['s1', 's2', 's3']);
+  assert.deepStrictEqual(Object.keys(eventIndex(events, 'step_failed')), ['s2']);
+  assert.deepStrictEqual(events.find((e) => e.type === 'node_status' && e.id === 's4'), {
+    type: 'node_status', id: 's4', agent: 'Writer Agent', status: 'skipped', reason: 'needs s2, which produced no accepted result',
+  });
+  assert.deepStrictEqual(result.results.map((r) => r.stepId), ['s1', 's3']);
+
+  // Only s1 and s3 were paid; s2's escrow and s4's share went back with the rest
+  const paid = events.filter((e) => e.type === 'step_complete').reduce((sum, e) => sum + e.paymentTinybars, 0);
+  assert.strictEqual(result.spentTinybars, paid);
+  assert.strictEqual(result.refundedTinybars, hbarToTinybars(1) - paid);
+  const record = await runStore.getRun(result.runId);
+  assert.deepStrictEqual(record.payments.map((p) => [p.agent, p.status]), [['Research Agent', 'paid'], ['Analysis Agent', 'refunded'], ['Writer Agent', 'paid']]);
+});
+
+// ─────────────────────────────────────────────
+// runStore.js / server.js — dry runs and quotes
+// ─────────────────────────────────────────────
+// Calls fn(calls, reports) with MONGODB_URI set and every mongoService call
+// recorded instead of made. Saved reports go in the reports Map (shareId →
+// report); any other read finds nothing
+async function withMongoStub(fn) {
+  const calls = [];
+  const reports = new Map();
+  mongoStub = async (name, args) => {
+    calls.push(name);
+    if (name === 'saveReport') return reports.set(args[0].shareId, JSON.parse(JSON.stringify(args[0]))) && args[0].shareId;
+    if (name === 'getReport') return reports.has(args[0]) ? JSON.parse(JSON.stringify(reports.get(args[0]))) : null;
+    if (name === 'findRunsByStatus') return [];
+    return name.startsWith('get') || name.startsWith('find') ? null : undefined;
+  };
+  process.env.MONGODB_URI = 'mongodb://unit-test.invalid/paystream';
+  try {
+    return await fn(calls, reports);
+  } finally {
+    mongoStub = null;
+    process.env.MONGODB_URI = '';
+  }
+}
+
+// Calls fn(baseUrl) with the server's routes listening on a free local port
+async function withServer(fn) {
+  const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  try {
+    return await fn('http://127.0.0.1:' + server.address().port);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+check('a dry run never reaches Mongo, so a later reconciler pass never sees it', async () => {
+  await withMongoStub(async (calls) => {
+    const result = await runMainAgent('Write about bees', 1, undefined, { ledger: getLedger('mock'), project: 'unit-dry-run' });
+    assert.deepStrictEqual(calls, []);
+    assert.strictEqual((await runStore.getRun(result.runId)).status, 'settled');
+
+    // A dry run that failed mid-way is this process's to reconcile — until it exits
+    await runStore.createRun({ runId: 'dry-failed', kind: 'task', ledger: 'mock', status: 'failed' });
+    await runStore.updateRun('dry-failed', { status: 'settling' });
+    assert.deepStrictEqual(calls, []);
+    assert.ok((await runStore.listUnfinishedRuns()).some((r) => r.runId === 'dry-failed'));
+    assert.deepStrictEqual(calls, ['findRunsByStatus']);
+    await runStore.updateRun('dry-failed', { status: 'abandoned' });
+
+    // A real run still goes to Mongo
+    await runStore.createRun({ runId: 'real-run', kind: 'task', ledger: 'hedera', status: 'funding' });
+    await runStore.updateRun('real-run', { status: 'funded' });
+    assert.deepStrictEqual(calls.slice(1), ['saveRun', 'updateRun']);
+    assert.strictEqual(await runStore.getRun('real-run'), null, 'read back from Mongo, not memory');
+  });
+});
+
+check('a quote prices the plan without funding anything', async () => {
+  getModelProvider().setScript({ tools: { create_plan: diamondPlan } });
+  const mock = getLedger('mock');
+  mock.initClient();
+  const balancesBefore = mock.getBalances();
+  const unfinishedBefore = (await runStore.listUnfinishedRuns()).length;
+
+  await withServer(async (url) => {
+    const res = await fetch(url + '/api/quote?task=' + encodeURIComponent('Write about bees') + '&budget=1&dryRun=true');
+    assert.strictEqual(res.status, 200);
+    const quote = await res.json();
+    assert.deepStrictEqual([quote.kind, quote.ledger, quote.pricing, quote.currency, quote.budgetTinybars, quote.agentPoolTinybars], ['task', 'mock', 'allocation', 'HBAR', 100000000, 30000000]);
+    assert.strictEqual(quote.planFallback, null);
+    assert.deepStrictEqual(quote.steps.map((s) => [s.id, s.dependsOn, s.paymentTinybars]), [
+      ['s1', [], 7500000], ['s2', ['s1'], 7500000], ['s3', ['s1'], 7500000], ['s4', ['s2', 's3'], 7500000],
+    ]);
+    assert.strictEqual(quote.perAgent['Writer Agent'].paymentTinybars, 15000000);
+    assert.deepStrictEqual([quote.expectedSpendTinybars, quote.expectedRefundTinybars], [30000000, 70000000]);
+
+    const bad = async (query) => {
+      const r = await fetch(url + '/api/quote?' + query);
+      return [r.status, (await r.json()).error];
+    };
+    assert.deepStrictEqual(await bad('budget=1'), [400, 'Pass a budget and either a task or a repo']);
+    assert.deepStrictEqual(await bad('task=x&repo=y&budget=1'), [400, 'Pass a budget and either a task or a repo']);
+    assert.deepStrictEqual(await bad('repo=https://github.com/a/b&budget=1&pricing=metered'), [400, 'pricing=metered is only supported by /api/run']);
+    assert.deepStrictEqual(await bad('task=x&budget=1&dryRun=maybe'), [400, 'dryRun must be true or false']);
+  });
+
+  assert.deepStrictEqual(mock.getBalances(), balancesBefore);
+  assert.strictEqual((await runStore.listUnfinishedRuns()).length, unfinishedBefore);
+});
+
+// ─────────────────────────────────────────────
+// attestationService.js — signed output hashes and report verification
+// ─────────────────────────────────────────────
+check('an attestation verifies until any signed field is changed', async () => {
+  const mock = getLedger('mock');
+  const signed = mock.signAttestation(createAttestation({
+    agent: 'Insight Agent', task: 'Find the risks', output: { risks: ['none'], score: 3 }, model: 'claude-sonnet-4-6', usage: { input_tokens: 10, output_tokens: 5 },
+  }));
+  assert.strictEqual(signed.outputHash, hashOutput({ score: 3, risks: ['none'] }), 'key order doesn\'t change the hash');
+  assert.strictEqual(await mock.verifyAttestation(signed), true);
+  assert.strictEqual(await mock.verifyAttestation(JSON.parse(JSON.stringify(signed))), true);
+
+  assert.strictEqual(await mock.verifyAttestation({ ...signed, outputHash: hashOutput('something else') }), false);
+  assert.strictEqual(await mock.verifyAttestation({ ...signed, usage: { inputTokens: 10, outputTokens: 500 } }), false);
+  assert.strictEqual(await mock.verifyAttestation({ ...signed, signature: undefined }), false);
+});
+
+check('a saved report verifies against the run\'s topic, and an altered section doesn\'t', async () => {
+  const repoContent = {
+    repoName: 'unit/bees',
+    fileCount: 1,
+    languages: ['JavaScript'],
+    files: [{ path: 'hive.js', content: 'module.exports = function buzz() { return \'bzz\'; };\n' }],
+  };
+  await withMongoStub(async (calls, reports) => {
+    let shareId;
+    const persistFn = async (results, attestation) => {
+      shareId = 'unitreport000001';
+      await mongo.saveReport({ shareId, repoName: repoContent.repoName, data: results, files: repoContent.files, ...attestation });
+      return shareId;
+    };
+    await runCodebaseAnalysis(repoContent, 1, () => {}, persistFn, { ledger: getLedger('mock'), project: 'unit-attestation' });
+    assert.deepStrictEqual(calls, ['saveReport']);
+
+    await withServer(async (url) => {
+      const verify = async (id) => {
+        const res = await fetch(url + '/api/report/' + id + '/verify');
+        return { status: res.status, body: await res.json() };
+      };
+
+      const { status, body } = await verify(shareId);
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.verified, true);
+      assert.deepStrictEqual(body.sections.map((s) => [s.key, s.hashMatches, s.signatureValid]), [
+        ['codeReader', true, true], ['simplifier', true, true], ['analogy', true, true], ['insight', true, true],
+      ]);
+
+      // One changed word in one section
+      const report = reports.get(shareId);
+      report.data.simplifier = JSON.parse(JSON.stringify(report.data.simplifier).replace(/Mock/, 'Forged'));
+      const tampered = await verify(shareId);
+      assert.strictEqual(tampered.status, 200);
+      assert.strictEqual(tampered.body.verified, false);
+      assert.deepStrictEqual(tampered.body.sections.filter((s) => !s.hashMatches).map((s) => s.key), ['simplifier']);
+      assert.strictEqual(tampered.body.sections.find((s) => s.key === 'simplifier').onChainHash, body.sections.find((s) => s.key === 'simplifier').onChainHash);
+
+      // A section no agent was paid for has nothing on-chain to match
+      report.data.extra = 'Added after the run';
+      const added = (await verify(shareId)).body.sections.find((s) => s.key === 'extra');
+      assert.deepStrictEqual([added.onChainHash, added.hashMatches, added.signatureValid], [null, false, false]);
+
+      assert.strictEqual((await verify('nosuchreport0000')).status, 404);
+    });
+  });
+});
+
+// ─────────────────────────────────────────────
+// agentRegistry.js / server.js — the registry and the admin token
+// ─────────────────────────────────────────────
+const newAgent = { name: 'Fact Checker', systemPrompt: 'You check facts.', tools: ['web_search'] };
+
+check('an agent definition is checked field by field and filled with defaults', () => {
+  assert.deepStrictEqual(agentRegistry.validateAgent(newAgent).agent, {
+    ...newAgent, models: modelsFor('Fact Checker'), maxTokens: 512, price: 0, payoutAccountId: null,
+  });
+  assert.deepStrictEqual(agentRegistry.validateAgent({ ...newAgent, model: 'claude-haiku-4-5' }).agent.models, ['claude-haiku-4-5']);
+
+  const error = (patch) => agentRegistry.validateAgent({ ...newAgent, ...patch }).error;
+  assert.strictEqual(agentRegistry.validateAgent(null).error, 'agent must be a JSON object');
+  assert.strictEqual(error({ name: 'Fact/Checker' }), 'name must be 1-64 letters, digits, spaces, dots, dashes or underscores');
+  assert.strictEqual(error({ systemPrompt: ' ' }), 'Fact Checker: systemPrompt must be 1-4000 characters');
+  assert.strictEqual(error({ systemPrompt: 'x'.repeat(4001) }), 'Fact Checker: systemPrompt must be 1-4000 characters');
+  assert.match(error({ models: [] }), /^Fact Checker: models must be a list of 1-5 model IDs/);
+  assert.match(error({ models: ['a', 'b', 'c', 'd', 'e', 'f'] }), /^Fact Checker: models must be a list of 1-5 model IDs/);
+  assert.match(error({ models: ['claude sonnet'] }), /^Fact Checker: models must be a list/);
+  assert.strictEqual(error({ maxTokens: 0 }), 'Fact Checker: maxTokens must be a whole number from 1 to 8192');
+  assert.strictEqual(error({ maxTokens: 512.5 }), 'Fact Checker: maxTokens must be a whole number from 1 to 8192');
+  assert.match(error({ tools: ['shell'] }), /^Fact Checker: tools must be a list of distinct tool names from /);
+  assert.match(error({ tools: ['web_search', 'web_search'] }), /^Fact Checker: tools must be a list of distinct/);
+  assert.strictEqual(error({ price: -1 }), 'Fact Checker: price must be 0 or more');
+  assert.strictEqual(error({ price: Infinity }), 'Fact Checker: price must be 0 or more');
+  assert.strictEqual(error({ payoutAccountId: '12345' }), 'Fact Checker: payoutAccountId must be a Hedera account ID like 0.0.12345, or null');
+
+  // An update only needs the fields that change
+  const existing = agentRegistry.validateAgent({ ...newAgent, price: 2 }).agent;
+  assert.deepStrictEqual(agentRegistry.validateAgent({ maxTokens: 1024 }, existing).agent, { ...existing, maxTokens: 1024 });
+});
+
+check('admin routes are closed without ADMIN_TOKEN and refuse a wrong token', async () => {
+  await withServer(async (url) => {
+    const call = async (method, route, token, body) => {
+      const headers = { 'content-type': 'application/json', ...(token ? { 'x-admin-token': token } : {}) };
+      const res = await fetch(url + route, { method, headers, body: body && JSON.stringify(body) });
+      return [res.status, res.status === 204 ? null : await res.json()];
+    };
+    const admin = process.env.ADMIN_TOKEN;
+
+    for (const [method, route] of [['GET', '/api/admin/wallet'], ['POST', '/api/admin/reconcile'], ['POST', '/api/agents'], ['DELETE', '/api/agents/Writer Agent']]) {
+      assert.deepStrictEqual(await call(method, route), [401, { error: 'Admin token required.' }], method + ' ' + route);
+      assert.deepStrictEqual(await call(method, route, admin + 'x'), [401, { error: 'Admin token required.' }]);
+      assert.deepStrictEqual(await call(method, route, admin.slice(0, -1) + 'X'), [401, { error: 'Admin token required.' }]);
+
+      delete process.env.ADMIN_TOKEN;
+      try {
+        assert.deepStrictEqual(await call(method, route, admin), [503, { error: 'Admin endpoints are disabled — set ADMIN_TOKEN in .env to enable them.' }]);
+      } finally {
+        process.env.ADMIN_TOKEN = admin;
+      }
+    }
+    assert.strictEqual((await call('GET', '/api/admin/wallet', admin))[0], 200);
+    assert.ok(agentRegistry.getAgent('Writer Agent'), 'nothing was deleted');
+  });
+});
+
+check('agents are created, changed and removed through the admin routes, and the file follows', async () => {
+  const onDisk = () => JSON.parse(fs.readFileSync(process.env.AGENT_REGISTRY_PATH, 'utf8')).map((a) => a.name);
+  await withServer(async (url) => {
+    const call = async (method, route, body) => {
+      const res = await fetch(url + route, { method, headers: { 'content-type': 'application/json', 'x-admin-token': process.env.ADMIN_TOKEN }, body: body && JSON.stringify(body) });
+      return [res.status, res.status === 204 ? null : await res.json()];
+    };
+    const route = '/api/agents/' + encodeURIComponent(newAgent.name);
+
+    const [created, agent] = await call('POST', '/api/agents', newAgent);
+    assert.strictEqual(created, 201);
+    assert.deepStrictEqual(agent.tools, ['web_search']);
+    assert.ok(onDisk().includes('Fact Checker'));
+    assert.deepStrictEqual(await call('GET', route), [200, agent]);
+    assert.deepStrictEqual(await call('POST', '/api/agents', newAgent), [409, { error: 'An agent named "Fact Checker" already exists.' }]);
+    assert.deepStrictEqual(await call('POST', '/api/agents', { ...newAgent, name: 'Shell Agent', tools: ['shell'] }),
+      [400, { error: agentRegistry.validateAgent({ ...newAgent, name: 'Shell Agent', tools: ['shell'] }).error }]);
+    assert.ok(!onDisk().includes('Shell Agent'));
+
+    assert.deepStrictEqual(await call('PUT', route, { price: 0.5, payoutAccountId: '0.0.4242' }), [200, { ...agent, price: 0.5, payoutAccountId: '0.0.4242' }]);
+    assert.deepStrictEqual(await call('PUT', route, { name: 'Fact Finder' }), [400, { error: 'An agent can\'t be renamed — create a new one instead' }]);
+    assert.deepStrictEqual(await call('PUT', route, { maxTokens: 9000 }), [400, { error: 'Fact Checker: maxTokens must be a whole number from 1 to 8192' }]);
+    assert.strictEqual(agentRegistry.getAgent('Fact Checker').maxTokens, 512, 'a refused update changes nothing');
+    assert.deepStrictEqual(await call('PUT', '/api/agents/Nobody', { price: 1 }), [404, { error: 'Agent not found.' }]);
+
+    assert.deepStrictEqual(await call('DELETE', route), [204, null]);
+    assert.deepStrictEqual(await call('DELETE', route), [404, { error: 'Agent not found.' }]);
+    assert.deepStrictEqual(await call('GET', route), [404, { error: 'Agent not found.' }]);
+    assert.ok(!onDisk().includes('Fact Checker'));
+  });
+});
+
+// ─────────────────────────────────────────────
+// topicStore.js — one audit topic per project, shared by its runs
+// ─────────────────────────────────────────────
+check('a topic belongs to the project, else the paying account, else the default project', () => {
+  assert.strictEqual(topicStore.topicOwner({ project: 'bees', payerAccountId: '0.0.7' }), 'project:bees');
+  assert.strictEqual(topicStore.topicOwner({ payerAccountId: '0.0.7' }), 'account:0.0.7');
+  assert.strictEqual(topicStore.topicOwner({}), 'project:default');
+  assert.strictEqual(topicStore.topicOwner(), 'project:default');
+});
+
+check('runs on the same project share one topic and tag every message with their runId', async () => {
+  const mock = getLedger('mock');
+  let created = 0;
+  const ledger = { ...mock, createHCSTopic: (memo) => { created++; return mock.createHCSTopic(memo); } };
+
+  // Started together, so the second asks for the topic while the first is still creating it
+  const [first, second] = await Promise.all([
+    runMainAgent('Write about bees', 1, undefined, { ledger, project: 'unit-shared-topic' }),
+    runMainAgent('Write about wasps', 1, undefined, { ledger, project: 'unit-shared-topic' }),
+  ]);
+  const other = await runMainAgent('Write about ants', 1, undefined, { ledger, project: 'unit-other-topic' });
+  assert.strictEqual(created, 2);
+
+  const topicOf = async (result) => (await runStore.getRun(result.runId)).topicId;
+  const topicId = await topicOf(first);
+  assert.strictEqual(await topicOf(second), topicId);
+  assert.notStrictEqual(await topicOf(other), topicId);
+  assert.strictEqual((await runStore.getRun(first.runId)).topicOwner, 'project:unit-shared-topic');
+
+  const payloads = (await mock.getAuditMessages(topicId)).map((m) => m.payload);
+  assert.deepStrictEqual([...new Set(payloads.map((p) => p.runId))].sort(), [first.runId, second.runId].sort());
+  for (const result of [first, second]) {
+    const payments = payloads.filter((p) => p.runId === result.runId && p.type === 'payment');
+    assert.deepStrictEqual(payments.map((p) => p.agent), ['Research Agent', 'Analysis Agent', 'Writer Agent']);
+  }
+});
+
+check('a message over 1 KB goes out in chunks, up to 20 of them', async () => {
+  const mock = getLedger('mock');
+  mock.initClient();
+  const topicId = await mock.createHCSTopic('chunk test');
+  await mock.submitAuditMessage(topicId, 'chunk-run', { type: 'note', text: 'short' });
+  await mock.submitAuditMessage(topicId, 'chunk-run', { type: 'note', text: '🐝'.repeat(600) });
+  assert.deepStrictEqual(mock.getTopicMessages(topicId).map((m) => m.chunks), [1, 3]);
+  assert.strictEqual((await mock.getAuditMessages(topicId))[1].payload.text, '🐝'.repeat(600));
+
+  await assert.rejects(mock.submitAuditMessage(topicId, 'chunk-run', { type: 'note', text: 'x'.repeat(20 * 1024) }), /too long for 20 chunks/);
+  await assert.rejects(mock.submitAuditMessage(topicId, undefined, { type: 'note' }), /needs a runId/);
+  assert.strictEqual(mock.getTopicMessages(topicId).length, 2);
+});
+
+check('chunks of two runs\' messages that interleave on the mirror node are stitched back apart', async () => {
+  const topicId = '0.0.7300';
+  const bees = { runId: 'run-bees', type: 'payment', task: '🐝 '.repeat(500) };
+  const wasps = { runId: 'run-wasps', type: 'payment', task: 'wasps and more wasps '.repeat(100) };
+  // Consensus order: every first chunk, then every second, ... — and one of the
+  // bees' chunk edges cuts a multi-byte character in half
+  const byChunkNumber = (chunks) => [...chunks].sort((a, b) => a.chunk_info.number - b.chunk_info.number);
+  const stub = await startMirrorStub(topicId, [
+    { payload: bees, txId: '0.0.1002@1792337800.000000001', chunks: 3 },
+    { payload: wasps, txId: '0.0.1002@1792337800.000000002', chunks: 3 },
+    { payload: { runId: 'run-bees', type: 'refund' }, txId: '0.0.1002@1792337800.000000003' },
+  ], byChunkNumber);
+  try {
+    const messages = await withMirrorUrl(stub.url, () => hedera.getAuditMessages(topicId));
+    assert.deepStrictEqual(messages.map((m) => [m.transactionId, m.payload && m.payload.runId, m.payload && m.payload.type]), [
+      ['0.0.1002@1792337800.000000003', 'run-bees', 'refund'],
+      ['0.0.1002@1792337800.000000001', 'run-bees', 'payment'],
+      ['0.0.1002@1792337800.000000002', 'run-wasps', 'payment'],
+    ]);
+    assert.deepStrictEqual(messages[1].payload, bees);
+    assert.deepStrictEqual(messages[2].payload, wasps);
+  } finally {
+    await stub.close();
+  }
+});
+
+async function run() {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log('ok   ' + name);
+    } catch (err) {
+      failed++;
+      console.log('FAIL ' + name + '\n     ' + err.message);
+    } finally {
+      getModelProvider().setScript({});
+    }
+  }
+  fs.rmSync(process.env.AGENT_REGISTRY_PATH, { force: true });
+  console.log('\n' + (tests.length - failed) + '/' + tests.length + ' passed');
+  if (failed) process.exit(1);
+}
+
+run();
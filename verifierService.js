@@ -0,0 +1,174 @@
+// verifierService.js
+// Optional quality check between an agent's output and its payment
+// (?verify=true on /api/run and /api/analyze).
+//
+// A verifier model grades each output against the task it was given, on RUBRIC:
+//   relevance  — does it do what the task asked
+//   factuality — is it backed by the material the agent was given (repo files,
+//                earlier steps' results), with nothing invented
+//   limits     — does it keep to the word / item limits in its instructions
+// Every criterion is scored 1-5; an output passes when none scores below
+// VERIFY_MIN_SCORE in .env (default 3). One that doesn't gets one retry with
+// the verifier's critique attached — the retry is graded too, and it's what
+// gets paid for. Still below the bar, the step's outcome is 'below_rubric'
+// (see paymentPolicyService.js).
+//
+// Verifier calls are the platform's cost, like the planner's — never charged
+// to the run. If the verifier itself fails, the output counts as unverified
+// and goes on to the payment policy as if verification were off.
+
+require('dotenv').config();
+
+const { createMessage, modelsFor } = require('./modelService');
+
+const RUBRIC = {
+  relevance:  'Does the output do what the task asked, for this specific task?',
+  factuality: 'Is every claim backed by the material the agent was given (files, earlier results)? Nothing invented. With no material, no made-up specifics.',
+  limits:     'Does the output keep to the word, item and format limits in its instructions?',
+};
+
+const DEFAULT_MIN_SCORE = 3;
+const MAX_SCORE = 5;
+const VERIFY_TOOL_NAME = 'grade_output';
+const VERIFIER_MAX_TOKENS = 1024;
+
+// The verifier sees at most this much of the agent's prompt and output (characters)
+const MAX_MATERIAL_CHARS = 40000;
+const MAX_OUTPUT_CHARS = 20000;
+
+function minScore() {
+  const min = process.env.VERIFY_MIN_SCORE !== undefined ? Number(process.env.VERIFY_MIN_SCORE) : DEFAULT_MIN_SCORE;
+  if (!Number.isInteger(min) || min < 1 || min > MAX_SCORE) throw new Error('VERIFY_MIN_SCORE must be a whole number from 1 to ' + MAX_SCORE);
+  return min;
+}
+
+function clip(text, max) {
+  return text.length > max ? text.slice(0, max) + '\n[... cut for length]' : text;
+}
+
+const gradeTool = {
+  name: VERIFY_TOOL_NAME,
+  description: 'Grade the agent\'s output on each rubric criterion and say what to fix.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      scores: {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(RUBRIC).map(([criterion, question]) => [criterion, {
+          type: 'object',
+          description: question,
+          properties: {
+            score:   { type: 'integer', minimum: 1, maximum: MAX_SCORE },
+            comment: { type: 'string', description: 'One sentence: why this score.' },
+          },
+          required: ['score', 'comment'],
+        }])),
+        required: Object.keys(RUBRIC),
+      },
+      critique: { type: 'string', description: 'What the agent should fix, addressed to it. Empty if nothing.' },
+    },
+    required: ['scores', 'critique'],
+  },
+};
+
+// ─────────────────────────────────────────────
+// verifyOutput(agentName, { system, prompt }, output)
+// Grades one output. system / prompt = what the agent was sent (see the
+// meta runSubAgent and callWithToolUse fill in).
+// Returns { passed, scores: { [criterion]: { score, comment } }, critique, model }
+// — or { passed: null, error } if the verifier couldn't grade it
+// ─────────────────────────────────────────────
+async function verifyOutput(agentName, { system, prompt }, output) {
+  const models = modelsFor('Verifier');
+  const shown = typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+
+  try {
+    const response = await createMessage({
+      model: models[0],
+      max_tokens: VERIFIER_MAX_TOKENS,
+      system: 'You are a strict reviewer. Grade an AI agent\'s output against the task it was given, on each criterion of the rubric, 1 (fails) to ' + MAX_SCORE + ' (excellent). Judge only from what is shown.',
+      tools: [gradeTool],
+      tool_choice: { type: 'tool', name: VERIFY_TOOL_NAME },
+      messages: [{
+        role: 'user',
+        content:
+          'AGENT: ' + agentName + '\n\n' +
+          'INSTRUCTIONS IT WAS GIVEN:\n' + (system || '(none)') + '\n\n' +
+          'TASK AND MATERIAL IT WAS GIVEN:\n' + clip(prompt || '', MAX_MATERIAL_CHARS) + '\n\n' +
+          'ITS OUTPUT:\n' + clip(shown || '', MAX_OUTPUT_CHARS),
+      }],
+    }, { label: 'Verifier', fallbackModels: models.slice(1) });
+
+    const block = response.content.find((b) => b.type === 'tool_use');
+    const scores = block && block.input && block.input.scores;
+    const broken = Object.keys(RUBRIC).filter((c) => !scores || !scores[c] || !Number.isInteger(scores[c].score) || scores[c].score < 1 || scores[c].score > MAX_SCORE);
+    if (broken.length) throw new Error('verifier returned no usable score for ' + broken.join(', '));
+
+    const min = minScore();
+    return {
+      passed: Object.keys(RUBRIC).every((c) => scores[c].score >= min),
+      scores: Object.fromEntries(Object.keys(RUBRIC).map((c) => [c, { score: scores[c].score, comment: scores[c].comment || '' }])),
+      critique: block.input.critique || '',
+      model: response.model,
+    };
+  } catch (err) {
+    console.log('[Verifier] Couldn\'t grade ' + agentName + ': ' + err.message);
+    return { passed: null, error: err.message };
+  }
+}
+
+// The criteria an output fell short on, as assessOutcome reasons
+function failedCriteria(grade) {
+  const min = minScore();
+  return Object.entries(grade.scores || {})
+    .filter(([, s]) => s.score < min)
+    .map(([criterion, s]) => criterion + ' ' + s.score + '/' + MAX_SCORE + ': ' + s.comment);
+}
+
+// ─────────────────────────────────────────────
+// withCritique(prompt, critique)
+// The prompt for a retry: the original, plus what the verifier wants fixed
+// ─────────────────────────────────────────────
+function withCritique(prompt, critique) {
+  return prompt + '\n\nA reviewer graded your previous answer below the bar. Fix this and answer again in full:\n' + (critique || 'It fell short on the rubric.');
+}
+
+// ─────────────────────────────────────────────
+// verifyWithRetry(agentName, first, retry, onGrade)
+// Grades first = { output, meta }; below the bar, retry(critique) runs the
+// agent again (resolving to { output, meta }) and that is graded too.
+// onGrade(attempt, grade, retrying) is called after each grading.
+// Returns { output, meta, verification } — the retry's output if there was one
+// (meta usage and tool calls summed over both); verification = { passed, attempts: [grade, ...] }.
+// A retry that throws leaves the first output in place.
+// ─────────────────────────────────────────────
+async function verifyWithRetry(agentName, first, retry, onGrade) {
+  const grade = await verifyOutput(agentName, first.meta, first.output);
+  const retrying = grade.passed === false;
+  onGrade(1, grade, retrying);
+  if (!retrying) return { ...first, verification: { passed: grade.passed, attempts: [grade] } };
+
+  console.log('[' + agentName + '] Below the rubric (' + failedCriteria(grade).join('; ') + ') — retrying with the critique');
+  let second;
+  try {
+    second = await retry(grade.critique);
+  } catch (err) {
+    console.log('[' + agentName + '] Retry failed: ' + err.message);
+    return { ...first, verification: { passed: false, attempts: [grade], retryError: err.message } };
+  }
+
+  const regrade = await verifyOutput(agentName, second.meta, second.output);
+  onGrade(2, regrade, false);
+  const usage = {
+    input_tokens:  ((first.meta.usage && first.meta.usage.input_tokens) || 0) + ((second.meta.usage && second.meta.usage.input_tokens) || 0),
+    output_tokens: ((first.meta.usage && first.meta.usage.output_tokens) || 0) + ((second.meta.usage && second.meta.usage.output_tokens) || 0),
+  };
+  const toolCalls = [...(first.meta.toolCalls || []), ...(second.meta.toolCalls || [])];
+  return {
+    output: second.output,
+    meta: { ...second.meta, usage, ...(toolCalls.length ? { toolCalls } : {}) },
+    verification: { passed: regrade.passed, attempts: [grade, regrade] },
+  };
+}
+
+module.exports = { RUBRIC, verifyOutput, verifyWithRetry, withCritique, failedCriteria };
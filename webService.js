@@ -0,0 +1,104 @@
+// webService.js
+// Picks the backend the sub-agents' web tools (toolService.js) search and fetch through.
+//
+// A "web backend" is any module that exposes:
+//   name
+//   search(query, count, { signal })  → [{ title, url, snippet }]
+//   fetchRaw(url, { signal })         → { url, status, contentType, body }
+//                                         (url = where it ended up after redirects)
+//
+// Backends:
+//   'live' (default) — search through the Brave Search API, pages straight
+//                      from the web, see liveWebService.js
+//   'fixture'        — a local fixture server stands in for the web, so tests
+//                      and offline demos are reproducible, see fixtureWebService.js
+// Select with WEB_BACKEND in .env.
+//
+// On top of the backend, search() and fetchPage() cap how much comes back and
+// turn HTML into plain text — all the model gets is text.
+
+require('dotenv').config();
+
+const BACKENDS = {
+  live:    () => require('./liveWebService'),
+  fixture: () => require('./fixtureWebService'),
+};
+
+const DEFAULT_RESULT_COUNT = 5;
+const MAX_RESULT_COUNT = 10;
+
+// Most characters of a page handed back to the model
+const MAX_PAGE_CHARS = 12000;
+
+// ─────────────────────────────────────────────
+// getWebBackend(name)
+// Returns the backend module for `name` (defaults to WEB_BACKEND, then 'live')
+// ─────────────────────────────────────────────
+function getWebBackend(name) {
+  const backend = (name || process.env.WEB_BACKEND || 'live').toLowerCase();
+  const load = BACKENDS[backend];
+  if (!load) throw new Error('Unknown WEB_BACKEND "' + backend + '". Expected one of: ' + Object.keys(BACKENDS).join(', '));
+  return load();
+}
+
+// ─────────────────────────────────────────────
+// htmlToText(html)
+// Readable text of a page: scripts, styles and tags dropped, the common
+// entities decoded, whitespace collapsed
+// ─────────────────────────────────────────────
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript|svg)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<\/?(p|div|br|li|tr|h[1-6]|section|article|header|footer)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/[ \t\r\f\v]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// ─────────────────────────────────────────────
+// search(query, count, { signal })
+// Top `count` results (default 5, at most 10) → [{ title, url, snippet }]
+// ─────────────────────────────────────────────
+async function search(query, count, { signal } = {}) {
+  const wanted = Math.min(Math.max(Math.floor(count) || DEFAULT_RESULT_COUNT, 1), MAX_RESULT_COUNT);
+  const results = await getWebBackend().search(query, wanted, { signal });
+  return results.slice(0, wanted).map((r) => ({ title: r.title || '', url: r.url || '', snippet: r.snippet || '' }));
+}
+
+// ─────────────────────────────────────────────
+// fetchPage(url, { signal })
+// A page as text → { url, status, contentType, text, truncated }
+// Only http(s) URLs; anything that isn't text or HTML is refused.
+// ─────────────────────────────────────────────
+async function fetchPage(url, { signal } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Not a valid URL: ' + url);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('Only http and https URLs can be fetched');
+
+  const page = await getWebBackend().fetchRaw(parsed.href, { signal });
+  const contentType = (page.contentType || '').toLowerCase();
+  if (contentType && !/^text\/|json|xml/.test(contentType)) throw new Error('Can\'t read ' + contentType + ' content');
+
+  const text = /html/.test(contentType) ? htmlToText(page.body) : page.body.trim();
+  return {
+    url: page.url,
+    status: page.status,
+    contentType: page.contentType,
+    text: text.slice(0, MAX_PAGE_CHARS),
+    truncated: text.length > MAX_PAGE_CHARS,
+  };
+}
+
+module.exports = { getWebBackend, search, fetchPage, htmlToText };